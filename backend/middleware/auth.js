@@ -10,6 +10,10 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    // URL tokens only open the URL they were issued for
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Token is not valid' });
+    }
     req.userId = decoded.userId;
     
     // Get user and attach to request
@@ -26,6 +30,41 @@ const auth = async (req, res, next) => {
   }
 };
 
+const URL_TOKEN_TTL_SECONDS = 5 * 60;
+const URL_TOKEN_PURPOSES = ['job-events', 'export-preview'];
+
+// EventSource and iframes cannot set headers, so those URLs carry a short-lived token for one purpose and one resource
+const signUrlToken = (userId, purpose, resourceId) => jwt.sign(
+  { userId, purpose, resourceId: String(resourceId) },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: URL_TOKEN_TTL_SECONDS }
+);
+
+// Authenticate with a ?token= issued for this purpose and the :id in the path, or the usual Authorization header
+const urlTokenAuth = (purpose) => async (req, res, next) => {
+  if (typeof req.query.token !== 'string') {
+    return auth(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.purpose !== purpose || decoded.resourceId !== req.params.id) {
+      return res.status(401).json({ error: 'Token is not valid' });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      return res.status(401).json({ error: 'Token is not valid' });
+    }
+
+    req.userId = decoded.userId;
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Token is not valid' });
+  }
+};
+
 // API Key authentication middleware
 const apiAuth = async (req, res, next) => {
   try {
@@ -98,4 +137,13 @@ const requirePlan = (requiredPlans) => {
   };
 };
 
-module.exports = { auth, apiAuth, adminAuth, requirePlan };
+module.exports = {
+  URL_TOKEN_TTL_SECONDS,
+  URL_TOKEN_PURPOSES,
+  auth,
+  signUrlToken,
+  urlTokenAuth,
+  apiAuth,
+  adminAuth,
+  requirePlan
+};
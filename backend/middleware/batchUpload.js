@@ -0,0 +1,38 @@
+const multer = require('multer');
+const { MAX_BATCH_FILES, MAX_BATCH_UPLOAD_SIZE } = require('../utils/batchAnalysis');
+
+// Batch and requisition uploads: several CVs or ZIP archives buffered in memory, so the whole request
+// is capped, not just each file. Requests without a Content-Length (chunked) are refused for the same reason.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_BATCH_UPLOAD_SIZE,
+    files: MAX_BATCH_FILES
+  }
+});
+
+const MEGABYTE = 1024 * 1024;
+
+const batchUpload = (field) => {
+  const parse = upload.array(field, MAX_BATCH_FILES);
+  return (req, res, next) => {
+    const length = Number(req.header('Content-Length'));
+    if (!req.header('Content-Length')) {
+      return res.status(411).json({ error: 'Uploads must send a Content-Length' });
+    }
+    if (!Number.isFinite(length) || length > MAX_BATCH_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `Uploads are limited to ${MAX_BATCH_UPLOAD_SIZE / MEGABYTE}MB in total` });
+    }
+
+    parse(req, res, error => {
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+      }
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  batchUpload
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A bulk CV upload; each accepted file becomes its own CVAnalysis, tracked here by id
+const analysisBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  roleProfile: String,
+  jobTitle: String, // title of the posting every file was matched against, if any
+  files: [{
+    _id: false,
+    fileName: String,
+    fileType: {
+      type: String,
+      enum: ['pdf', 'docx', 'json', 'txt', 'md', 'html', 'rtf', 'odt', 'tex']
+    },
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CVAnalysis'
+    },
+    // 'skipped' files never reached the queue (unsupported, empty or over the plan limit)
+    status: {
+      type: String,
+      enum: ['queued', 'skipped'],
+      default: 'queued'
+    },
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+analysisBatchSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AnalysisBatch', analysisBatchSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { getRoleProfile, DEFAULT_ROLE_PROFILE } = require('../utils/roleProfiles');
+const { getSeniorityBand } = require('../utils/experienceTimeline');
+const { buildOutputSchema, computeScore } = require('../utils/analyzerRegistry');
+const { performATSAnalysis, describeCvScoringModel } = require('../utils/cvAnalyzers');
+const { getParsedResume } = require('../utils/resumeParser');
+const { attachSuggestionEdits, carryOverDecisions } = require('../utils/suggestionEdits');
+const scoringModelSchema = require('./scoringModelSchema');
+const rescoreSchema = require('./rescoreSchema');
+const cvEditSchema = require('./cvEditSchema');
 
 const cvAnalysisSchema = new mongoose.Schema({
   userId: {
@@ -12,12 +21,74 @@ const cvAnalysisSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['pdf', 'docx'],
+    // Keep in step with utils/cvFileTypes.js; 'txt' also covers text posted to the API
+    enum: ['pdf', 'docx', 'json', 'txt', 'md', 'html', 'rtf', 'odt', 'tex'],
     required: true
   },
+  // Filled in by the analysis job once the upload is parsed
   extractedText: {
     type: String,
-    required: true
+    required: function() { return this.status === 'completed'; }
+  },
+  parsedResume: {
+    contact: {
+      name: String,
+      email: String,
+      phone: String,
+      location: String,
+      linkedin: String,
+      github: String,
+      website: String
+    },
+    summary: String,
+    experience: [{
+      title: String,
+      company: String,
+      location: String,
+      startDate: String,
+      endDate: String,
+      current: Boolean,
+      bullets: [String]
+    }],
+    education: [{
+      institution: String,
+      degree: String,
+      field: String,
+      startDate: String,
+      endDate: String,
+      details: [String]
+    }],
+    skills: [String],
+    projects: [{
+      name: String,
+      description: String,
+      technologies: [String],
+      bullets: [String]
+    }],
+    certifications: [{
+      name: String,
+      issuer: String,
+      date: String
+    }],
+    sections: [{
+      name: String,
+      heading: String,
+      startLine: Number,
+      endLine: Number
+    }]
+  },
+  roleProfile: {
+    type: String,
+    default: DEFAULT_ROLE_PROFILE
+  },
+  jobDescription: {
+    title: String,
+    text: String,
+    seniority: [String],
+    minYearsExperience: Number,
+    requiredSkills: [String],
+    preferredSkills: [String],
+    responsibilities: [String]
   },
   atsScore: {
     type: Number,
@@ -25,38 +96,14 @@ const cvAnalysisSchema = new mongoose.Schema({
     max: 100,
     required: true
   },
-  analysis: {
-    keywords: {
-      found: [String],
-      missing: [String],
-      score: Number
-    },
-    formatting: {
-      hasProperSections: Boolean,
-      hasContactInfo: Boolean,
-      hasSkillsSection: Boolean,
-      hasExperienceSection: Boolean,
-      score: Number
-    },
-    content: {
-      hasQuantifiableAchievements: Boolean,
-      hasRelevantExperience: Boolean,
-      hasEducationSection: Boolean,
-      wordCount: Number,
-      score: Number
-    },
-    technical: {
-      programmingLanguages: [String],
-      frameworks: [String],
-      tools: [String],
-      databases: [String],
-      score: Number
-    }
-  },
+  // One result per analyzer; definitions live with the analyzers in utils/cvAnalyzers.js
+  analysis: buildOutputSchema('cv'),
+  scoringModel: scoringModelSchema,
+  rescores: [rescoreSchema],
   suggestions: [{
     category: {
       type: String,
-      enum: ['keywords', 'formatting', 'content', 'technical', 'general']
+      enum: ['keywords', 'formatting', 'content', 'technical', 'jobMatch', 'timeline', 'contact', 'language', 'general']
     },
     priority: {
       type: String,
@@ -64,15 +111,27 @@ const cvAnalysisSchema = new mongoose.Schema({
     },
     title: String,
     description: String,
-    impact: Number // Expected score improvement
+    impact: Number, // Expected score improvement
+    suggestionId: String,
+    edits: [cvEditSchema], // concrete changes that carry out the suggestion, if it has any
+    status: {
+      type: String,
+      enum: ['proposed', 'accepted', 'rejected'],
+      default: 'proposed'
+    }
   }],
+  // Text with the accepted edits applied
   optimizedVersion: {
     text: String,
-    generatedAt: Date
+    generatedAt: Date,
+    edits: [cvEditSchema],
+    unsupportedSkills: [String] // wanted by the target role but with no evidence in the CV
   },
   comparisonData: {
     beforeScore: Number,
     afterScore: Number,
+    beforeMatchScore: Number,
+    afterMatchScore: Number,
     improvements: [String]
   },
   status: {
@@ -80,6 +139,40 @@ const cvAnalysisSchema = new mongoose.Schema({
     enum: ['analyzing', 'completed', 'failed'],
     default: 'analyzing'
   },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  failureReason: String,
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResumeDocument'
+  },
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // How this revision came about; edited revisions also point at the analysis they were derived from
+  source: {
+    type: String,
+    enum: ['upload', 'api', 'suggestions', 'optimized'],
+    default: 'upload'
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVAnalysis'
+  },
+  appliedSuggestions: [{
+    _id: false,
+    suggestionId: String,
+    title: String,
+    edits: Number,
+    scoreDelta: Number // score change from this suggestion, applied after the ones before it
+  }],
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalysisBatch'
+  },
   processingTime: {
     type: Number, // in milliseconds
     default: 0
@@ -91,36 +184,48 @@ const cvAnalysisSchema = new mongoose.Schema({
 // Index for efficient queries
 cvAnalysisSchema.index({ userId: 1, createdAt: -1 });
 cvAnalysisSchema.index({ atsScore: 1 });
+cvAnalysisSchema.index({ batchId: 1 });
+cvAnalysisSchema.index({ documentId: 1, revision: 1 });
 
-// Calculate overall ATS score
+// Calculate overall ATS score with the current scoring model and record which model that was
 cvAnalysisSchema.methods.calculateATSScore = function() {
-  const weights = {
-    keywords: 0.35,
-    formatting: 0.25,
-    content: 0.25,
-    technical: 0.15
-  };
-  
-  const scores = {
-    keywords: this.analysis.keywords.score || 0,
-    formatting: this.analysis.formatting.score || 0,
-    content: this.analysis.content.score || 0,
-    technical: this.analysis.technical.score || 0
-  };
-  
-  this.atsScore = Math.round(
-    scores.keywords * weights.keywords +
-    scores.formatting * weights.formatting +
-    scores.content * weights.content +
-    scores.technical * weights.technical
-  );
-  
+  this.scoringModel = describeCvScoringModel(this.roleProfile);
+  this.atsScore = computeScore(this.scoringModel, this.analysis);
   return this.atsScore;
 };
 
-// Generate improvement suggestions
+// Re-run the current pipeline on the stored text, keeping the original file's layout findings
+cvAnalysisSchema.methods.rescore = async function(jobId) {
+  const stored = this.toObject();
+  const previousScore = this.atsScore;
+  const previousModelVersion = stored.scoringModel ? stored.scoringModel.version : null;
+  const layout = stored.analysis && stored.analysis.formatting && stored.analysis.formatting.layout;
+  const timeline = stored.analysis && stored.analysis.timeline;
+
+  this.analysis = await performATSAnalysis(this.extractedText, {
+    resume: getParsedResume(stored),
+    roleProfile: this.roleProfile,
+    jobDescription: stored.jobDescription && stored.jobDescription.text,
+    layout: layout && layout.source ? layout : undefined,
+    gapThresholdMonths: timeline && timeline.gapThresholdMonths
+  });
+  this.calculateATSScore();
+  this.generateSuggestions();
+  this.rescores.push({
+    previousScore,
+    previousModelVersion,
+    score: this.atsScore,
+    modelVersion: this.scoringModel.version,
+    jobId
+  });
+
+  return this.atsScore;
+};
+
+// Generate improvement suggestions; decisions already made on earlier ones carry over (see carryOverDecisions)
 cvAnalysisSchema.methods.generateSuggestions = function() {
   const suggestions = [];
+  const profile = getRoleProfile(this.roleProfile);
   
   // Keywords suggestions
   if (this.analysis.keywords.score < 70) {
@@ -135,15 +240,49 @@ cvAnalysisSchema.methods.generateSuggestions = function() {
   
   // Formatting suggestions
   if (!this.analysis.formatting.hasProperSections) {
+    const missingSections = this.analysis.formatting.missingSections || [];
     suggestions.push({
       category: 'formatting',
       priority: 'high',
       title: 'Improve CV Structure',
-      description: 'Add clear sections: Contact Info, Summary, Experience, Skills, Education',
+      description: missingSections.length > 0
+        ? `Add clearly headed sections for: ${missingSections.join(', ')}`
+        : 'Add clear sections: Contact Info, Summary, Experience, Skills, Education',
       impact: 12
     });
   }
   
+  const missingRecommended = this.analysis.formatting.missingRecommendedSections || [];
+  if (missingRecommended.length > 0) {
+    suggestions.push({
+      category: 'formatting',
+      priority: 'low',
+      title: 'Add Recommended Sections',
+      description: `${profile.name} CVs usually include: ${missingRecommended.join(', ')}`,
+      impact: 4
+    });
+  }
+  
+  const layoutRisks = (this.analysis.formatting.layout && this.analysis.formatting.layout.risks) || [];
+  const seriousRisks = layoutRisks.filter(risk => risk.severity !== 'low');
+  if (seriousRisks.length > 0) {
+    suggestions.push({
+      category: 'formatting',
+      priority: seriousRisks.some(risk => risk.severity === 'high') ? 'high' : 'medium',
+      title: 'Simplify Your Layout for ATS Parsing',
+      description: `${seriousRisks.slice(0, 3).map(risk => risk.message).join('; ')}. Use a single-column layout with plain text headings`,
+      impact: Math.min(15, this.analysis.formatting.layout.penalty)
+    });
+  } else if (layoutRisks.length > 0) {
+    suggestions.push({
+      category: 'formatting',
+      priority: 'low',
+      title: 'Reduce Minor Layout Risks',
+      description: layoutRisks.slice(0, 3).map(risk => risk.message).join('; '),
+      impact: 3
+    });
+  }
+  
   // Content suggestions
   if (!this.analysis.content.hasQuantifiableAchievements) {
     suggestions.push({
@@ -155,8 +294,232 @@ cvAnalysisSchema.methods.generateSuggestions = function() {
     });
   }
   
+  const bullets = this.analysis.bullets;
+  if (bullets && bullets.count > 0) {
+    if (bullets.weakOpenerCount > 0 || bullets.actionVerbRatio < 0.6) {
+      const weakCount = bullets.items.filter(item => !item.startsWithActionVerb).length;
+      suggestions.push({
+        category: 'content',
+        priority: 'medium',
+        title: 'Start Bullets with Action Verbs',
+        description: `${weakCount} of ${bullets.count} bullets open with a duty or filler instead of an action verb; see the rewrite hints on each bullet`,
+        impact: 6
+      });
+    }
+    if (bullets.passiveCount > 0) {
+      suggestions.push({
+        category: 'content',
+        priority: 'low',
+        title: 'Use Active Voice',
+        description: `${bullets.passiveCount} bullet(s) are written in passive voice; say what you did, not what was done`,
+        impact: 3
+      });
+    }
+    if (bullets.repeatedVerbs.length > 0) {
+      suggestions.push({
+        category: 'content',
+        priority: 'low',
+        title: 'Vary Your Verbs',
+        description: `Several bullets start with the same verb: ${bullets.repeatedVerbs.slice(0, 3).map(({ verb, count }) => `"${verb}" (${count}x)`).join(', ')}`,
+        impact: 2
+      });
+    }
+  }
+  
+  const content = this.analysis.content;
+  if (content.seniority) {
+    const band = getSeniorityBand(content.seniority);
+    const [minWords, maxWords] = band.wordRange;
+    if (content.wordCount < minWords || content.wordCount > maxWords) {
+      suggestions.push({
+        category: 'content',
+        priority: 'low',
+        title: content.wordCount < minWords ? 'Expand Your CV' : 'Tighten Your CV',
+        description: `${band.name} CVs usually run ${minWords}-${maxWords} words; yours has ${content.wordCount}`,
+        impact: 5
+      });
+    }
+    if (band.expectsLeadership && !content.hasLeadershipSignals) {
+      suggestions.push({
+        category: 'content',
+        priority: 'medium',
+        title: 'Show Leadership and Scope',
+        description: 'At your level recruiters look for ownership: mention teams you led, people you mentored or systems you architected',
+        impact: 8
+      });
+    }
+  }
+  
+  // Timeline suggestions
+  const timelineIssues = (this.analysis.timeline && this.analysis.timeline.issues) || [];
+  const issuesOfType = (...types) => timelineIssues.filter(issue => types.includes(issue.type));
+  
+  const invalidDates = issuesOfType('future-date', 'invalid-range');
+  if (invalidDates.length > 0) {
+    suggestions.push({
+      category: 'timeline',
+      priority: 'high',
+      title: 'Fix Impossible Dates',
+      description: invalidDates.map(issue => issue.message).slice(0, 3).join('; '),
+      impact: 8
+    });
+  }
+  
+  const gaps = issuesOfType('gap');
+  if (gaps.length > 0) {
+    suggestions.push({
+      category: 'timeline',
+      priority: 'medium',
+      title: 'Explain Employment Gaps',
+      description: `${gaps.map(issue => issue.message).slice(0, 3).join('; ')}. Add a short line on what you did (study, freelance work, caregiving, travel) so recruiters do not have to guess`,
+      impact: 6
+    });
+  }
+  
+  const overlaps = issuesOfType('overlap');
+  if (overlaps.length > 0) {
+    suggestions.push({
+      category: 'timeline',
+      priority: 'medium',
+      title: 'Clarify Overlapping Roles',
+      description: `${overlaps.map(issue => issue.message).slice(0, 3).join('; ')}. Mark part-time, contract or advisory roles as such, or correct the dates`,
+      impact: 5
+    });
+  }
+  
+  const undated = issuesOfType('missing-end-date', 'undated');
+  if (undated.length > 0) {
+    suggestions.push({
+      category: 'timeline',
+      priority: 'medium',
+      title: 'Complete Your Dates',
+      description: `Give every role a start and end date, or "Present": ${undated.map(issue => issue.entries[0]).slice(0, 3).join(', ')}`,
+      impact: 5
+    });
+  }
+  
+  if (issuesOfType('inconsistent-format').length > 0) {
+    suggestions.push({
+      category: 'timeline',
+      priority: 'low',
+      title: 'Use One Date Format',
+      description: 'Write every date the same way, e.g. "Jan 2021 - Mar 2023", so ATS parsers read your timeline correctly',
+      impact: 3
+    });
+  }
+  
+  // Contact and personal data suggestions
+  const contactProblems = ((this.analysis.contact && this.analysis.contact.checks) || [])
+    .filter(item => item.status !== 'valid');
+  if (contactProblems.length > 0) {
+    const blocking = contactProblems.some(item => ['email', 'phone'].includes(item.field) && item.status !== 'warning');
+    suggestions.push({
+      category: 'contact',
+      priority: blocking ? 'high' : 'medium',
+      title: 'Fix Your Contact Details',
+      description: contactProblems.map(item => item.message).slice(0, 3).join('; '),
+      impact: blocking ? 10 : 4
+    });
+  }
+  
+  const piiFindings = (this.analysis.contact && this.analysis.contact.pii) || [];
+  if (piiFindings.length > 0) {
+    suggestions.push({
+      category: 'contact',
+      priority: piiFindings.some(finding => finding.severity === 'high') ? 'high' : 'medium',
+      title: 'Remove Personal Details',
+      description: piiFindings.map(finding => finding.message).slice(0, 3).join('; '),
+      impact: 3
+    });
+  }
+  
+  // Language suggestions
+  const languageIssues = (this.analysis.language && this.analysis.language.issues) || [];
+  const languageOfType = type => languageIssues.filter(issue => issue.type === type);
+  
+  const typos = [...languageOfType('spelling'), ...languageOfType('repeated-word')];
+  if (typos.length > 0) {
+    suggestions.push({
+      category: 'language',
+      priority: 'high',
+      title: 'Fix Spelling Mistakes',
+      description: typos.slice(0, 5).map(issue => (issue.suggestions.length > 0 ? `"${issue.text}" → "${issue.suggestions[0]}"` : `"${issue.text}"`)).join(', '),
+      impact: Math.min(10, typos.length * 2)
+    });
+  }
+  
+  // Words missing from the offline dictionary may be correct jargon, so they get a hint and no edits
+  const possibleTypos = languageOfType('possible-typo');
+  if (possibleTypos.length > 0) {
+    suggestions.push({
+      category: 'language',
+      priority: 'low',
+      title: 'Check Spelling',
+      description: `Check these words, which are not in our dictionary: ${possibleTypos.slice(0, 5).map(issue => `"${issue.text}"`).join(', ')}`,
+      impact: 2
+    });
+  }
+  
+  const tenseIssues = languageOfType('tense');
+  if (tenseIssues.length > 0) {
+    suggestions.push({
+      category: 'language',
+      priority: 'medium',
+      title: 'Keep Bullet Tense Consistent',
+      description: `${tenseIssues.length} bullet(s) switch tense. Use past tense for previous roles and one tense throughout your current role`,
+      impact: 4
+    });
+  }
+  
+  const buzzwords = languageOfType('buzzword');
+  if (buzzwords.length >= 3) {
+    suggestions.push({
+      category: 'language',
+      priority: 'medium',
+      title: 'Cut the Buzzwords',
+      description: `Replace ${[...new Set(buzzwords.map(issue => `"${issue.text.toLowerCase()}"`))].slice(0, 5).join(', ')} with concrete evidence of what you achieved`,
+      impact: 4
+    });
+  }
+  
+  const hardSentences = languageOfType('readability');
+  if (hardSentences.length > 0) {
+    suggestions.push({
+      category: 'language',
+      priority: 'low',
+      title: 'Shorten Dense Sentences',
+      description: `${hardSentences.length} sentence(s) are long or hard to read; recruiters skim, so keep to one idea per line`,
+      impact: 3
+    });
+  }
+  
+  // Job description suggestions
+  const jobMatch = this.analysis.jobMatch;
+  if (jobMatch && typeof jobMatch.score === 'number' && jobMatch.score < 70) {
+    const missingRequired = jobMatch.requiredSkillsMissing || [];
+    suggestions.push({
+      category: 'jobMatch',
+      priority: 'high',
+      title: 'Cover the Job Requirements',
+      description: missingRequired.length > 0
+        ? `The posting requires skills your CV does not mention: ${missingRequired.slice(0, 5).join(', ')}`
+        : 'Describe experience that maps to the responsibilities listed in the posting',
+      impact: 15
+    });
+  }
+  
   // Technical suggestions
-  if (this.analysis.technical.programmingLanguages.length < 3) {
+  if (profile.expectedSkills) {
+    if (this.analysis.technical.score < 60) {
+      suggestions.push({
+        category: 'technical',
+        priority: 'medium',
+        title: 'Expand Technical Skills',
+        description: `Show more of the core ${profile.name} stack you have used: ${this.analysis.keywords.missing.slice(0, 5).join(', ')}`,
+        impact: 8
+      });
+    }
+  } else if (this.analysis.technical.programmingLanguages.length < 3) {
     suggestions.push({
       category: 'technical',
       priority: 'medium',
@@ -166,8 +529,9 @@ cvAnalysisSchema.methods.generateSuggestions = function() {
     });
   }
   
-  this.suggestions = suggestions;
-  return suggestions;
+  const previous = this.toObject().suggestions;
+  this.suggestions = carryOverDecisions(attachSuggestionEdits(suggestions, this, getParsedResume(this.toObject())), previous);
+  return this.suggestions;
 };
 
 module.exports = mongoose.model('CVAnalysis', cvAnalysisSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Background work queued in MongoDB and processed by utils/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Handler-defined step shown to the user ("parsing", "analyzing", ...)
+  stage: {
+    type: String,
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  file: Buffer, // uploaded file, dropped once the job settles
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVAnalysis'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String, // most recent attempt's error, kept while retrying
+  failureReason: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+// Public view without the file or worker bookkeeping
+jobSchema.methods.toStatus = function() {
+  return {
+    jobId: this._id,
+    type: this.type,
+    status: this.status,
+    stage: this.stage,
+    progress: this.progress,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    analysisId: this.analysisId,
+    failureReason: this.failureReason || null,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt || null
+  };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
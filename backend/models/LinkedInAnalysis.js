@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { getRoleProfile, DEFAULT_ROLE_PROFILE } = require('../utils/roleProfiles');
+const { buildOutputSchema, computeScore } = require('../utils/analyzerRegistry');
+const { performLinkedInAnalysis, describeLinkedInScoringModel } = require('../utils/linkedinAnalyzers');
+const scoringModelSchema = require('./scoringModelSchema');
+const rescoreSchema = require('./rescoreSchema');
 
 const linkedinAnalysisSchema = new mongoose.Schema({
   userId: {
@@ -10,6 +15,10 @@ const linkedinAnalysisSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  roleProfile: {
+    type: String,
+    default: DEFAULT_ROLE_PROFILE
+  },
   profileData: {
     headline: String,
     summary: String,
@@ -34,40 +43,10 @@ const linkedinAnalysisSchema = new mongoose.Schema({
     max: 100,
     required: true
   },
-  analysis: {
-    headline: {
-      hasKeywords: Boolean,
-      isCompelling: Boolean,
-      length: Number,
-      score: Number
-    },
-    summary: {
-      hasCallToAction: Boolean,
-      hasKeywords: Boolean,
-      hasAchievements: Boolean,
-      length: Number,
-      score: Number
-    },
-    experience: {
-      hasQuantifiableResults: Boolean,
-      hasRelevantKeywords: Boolean,
-      isWellStructured: Boolean,
-      count: Number,
-      score: Number
-    },
-    skills: {
-      hasRelevantSkills: Boolean,
-      hasTechnicalSkills: Boolean,
-      count: Number,
-      score: Number
-    },
-    engagement: {
-      hasRecentActivity: Boolean,
-      hasRecommendations: Boolean,
-      connectionCount: Number,
-      score: Number
-    }
-  },
+  // One result per analyzer; definitions live with the analyzers in utils/linkedinAnalyzers.js
+  analysis: buildOutputSchema('linkedin'),
+  scoringModel: scoringModelSchema,
+  rescores: [rescoreSchema],
   suggestions: [{
     category: {
       type: String,
@@ -111,32 +90,30 @@ const linkedinAnalysisSchema = new mongoose.Schema({
 linkedinAnalysisSchema.index({ userId: 1, createdAt: -1 });
 linkedinAnalysisSchema.index({ optimizationScore: 1 });
 
-// Calculate LinkedIn optimization score
+// Calculate LinkedIn optimization score with the current scoring model and record which model that was
 linkedinAnalysisSchema.methods.calculateOptimizationScore = function() {
-  const weights = {
-    headline: 0.25,
-    summary: 0.25,
-    experience: 0.25,
-    skills: 0.15,
-    engagement: 0.10
-  };
-  
-  const scores = {
-    headline: this.analysis.headline.score || 0,
-    summary: this.analysis.summary.score || 0,
-    experience: this.analysis.experience.score || 0,
-    skills: this.analysis.skills.score || 0,
-    engagement: this.analysis.engagement.score || 0
-  };
-  
-  this.optimizationScore = Math.round(
-    scores.headline * weights.headline +
-    scores.summary * weights.summary +
-    scores.experience * weights.experience +
-    scores.skills * weights.skills +
-    scores.engagement * weights.engagement
-  );
-  
+  this.scoringModel = describeLinkedInScoringModel(this.roleProfile);
+  this.optimizationScore = computeScore(this.scoringModel, this.analysis);
+  return this.optimizationScore;
+};
+
+// Re-run the current pipeline on the stored profile data
+linkedinAnalysisSchema.methods.rescore = async function(jobId) {
+  const stored = this.toObject();
+  const previousScore = this.optimizationScore;
+  const previousModelVersion = stored.scoringModel ? stored.scoringModel.version : null;
+
+  this.analysis = await performLinkedInAnalysis(stored.profileData || {}, this.roleProfile);
+  this.calculateOptimizationScore();
+  this.generateSuggestions();
+  this.rescores.push({
+    previousScore,
+    previousModelVersion,
+    score: this.optimizationScore,
+    modelVersion: this.scoringModel.version,
+    jobId
+  });
+
   return this.optimizationScore;
 };
 
@@ -182,13 +159,17 @@ linkedinAnalysisSchema.methods.generateSuggestions = function() {
   
   // Skills suggestions
   if (this.analysis.skills.count < 10) {
+    const profile = getRoleProfile(this.roleProfile);
+    const exampleSkills = profile.expectedSkills
+      ? profile.expectedSkills.slice(0, 4).join(', ')
+      : 'React, Node.js, Python, AWS';
     suggestions.push({
       category: 'skills',
       priority: 'medium',
       title: 'Add More Relevant Skills',
-      description: 'Add technical skills relevant to your target role',
+      description: `Add technical skills relevant to your target role (${profile.name})`,
       impact: 8,
-      example: 'Add skills like React, Node.js, Python, AWS, etc.'
+      example: `Add skills like ${exampleSkills}, etc.`
     });
   }
   
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// An open role screened in recruiter mode: one job description, many candidate CVs
+const requisitionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  jobDescription: {
+    title: String,
+    text: {
+      type: String,
+      required: true
+    },
+    seniority: [String],
+    minYearsExperience: Number,
+    requiredSkills: [String],
+    preferredSkills: [String],
+    responsibilities: [String]
+  },
+  // Skills or phrases a candidate cannot be shortlisted without; defaults to the posting's required skills
+  mustHaves: [String],
+  roleProfile: String,
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  candidates: [{
+    _id: false,
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CVAnalysis',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+requisitionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Requisition', requisitionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const MAX_FAILURES = 200;
+
+// Admin-triggered re-scoring of stored analyses; cursors make it resumable after a restart
+const rescoreJobSchema = new mongoose.Schema({
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  targets: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['cv', 'linkedin']
+    },
+    modelVersion: Number, // scoring model the analyses are brought up to
+    cursor: mongoose.Schema.Types.ObjectId, // last analysis processed, in _id order
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    changed: { type: Number, default: 0 }, // score differs from the stored one
+    failed: { type: Number, default: 0 },
+    done: { type: Boolean, default: false }
+  }],
+  failures: [{
+    _id: false,
+    target: String,
+    analysisId: mongoose.Schema.Types.ObjectId,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  error: String, // why the job itself stopped
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+rescoreJobSchema.index({ status: 1, createdAt: -1 });
+
+rescoreJobSchema.virtual('progress').get(function() {
+  const total = this.targets.reduce((sum, target) => sum + target.total, 0);
+  const processed = this.targets.reduce((sum, target) => sum + target.processed, 0);
+  return {
+    total,
+    processed,
+    failed: this.targets.reduce((sum, target) => sum + target.failed, 0),
+    percent: total > 0 ? Math.round((processed / total) * 100) : 100
+  };
+});
+
+rescoreJobSchema.set('toJSON', { virtuals: true });
+
+// Keep the most recent failures only, so a systematic error cannot grow the document without bound
+rescoreJobSchema.methods.recordFailure = function(target, analysisId, error) {
+  this.failures.push({ target, analysisId, error: error.message || String(error) });
+  if (this.failures.length > MAX_FAILURES) {
+    this.failures.splice(0, this.failures.length - MAX_FAILURES);
+  }
+};
+
+module.exports = mongoose.model('RescoreJob', rescoreJobSchema);
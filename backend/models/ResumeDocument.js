@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One resume across its drafts: every upload or edited version of it is a CVAnalysis revision
+const resumeDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Highest revision number handed out; incremented atomically for each new revision
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  // The analysis a document was created for when analyses from before documents existed were filed
+  legacyAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVAnalysis',
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+resumeDocumentSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ResumeDocument', resumeDocumentSchema);
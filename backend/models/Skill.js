@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['language', 'framework', 'tool', 'database', 'cloud', 'practice', 'soft'],
+    required: true
+  },
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  related: [String],
+  weight: {
+    type: Number, // how often employers ask for the skill, 1 (niche) to 3 (very common)
+    min: 1,
+    max: 3,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+skillSchema.index({ category: 1, name: 1 });
+
+// Keep the lookup key in sync with the display name
+skillSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.key = this.name.toLowerCase();
+  }
+  this.aliases = [...new Set((this.aliases || []).filter(alias => alias && alias !== this.key))];
+  next();
+});
+
+module.exports = mongoose.model('Skill', skillSchema);
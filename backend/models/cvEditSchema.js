@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A proposed change to a CV's text (built by utils/cvRewriter.js); offsets point into the original text
+module.exports = new mongoose.Schema({
+  editId: String,
+  kind: String, // bullet-opener, add-skill, add-skills-section, reorder-bullets
+  section: String,
+  start: Number,
+  end: Number,
+  original: String,
+  replacement: String,
+  // Reordered bullets: the original line spans in their new order
+  segments: [{
+    _id: false,
+    start: Number,
+    end: Number
+  }],
+  alternatives: [String],
+  evidence: [String],
+  reason: String,
+  modified: Boolean, // replacement was changed by the user
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'rejected'],
+    default: 'proposed'
+  }
+}, { _id: false });
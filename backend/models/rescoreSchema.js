@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One re-score of a stored analysis by a RescoreJob; the model versions make old and new scores comparable
+module.exports = new mongoose.Schema({
+  previousScore: Number,
+  previousModelVersion: Number, // null when the analysis predates versioned scoring
+  score: Number,
+  modelVersion: Number,
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescoreJob'
+  },
+  rescoredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Outcome of one scoring rule (built by utils/scoreRules.js); spans point into the analysed text
+module.exports = new mongoose.Schema({
+  ruleId: String,
+  label: String,
+  pointsAwarded: Number,
+  pointsPossible: Number,
+  passed: Boolean,
+  detail: String,
+  spans: [{
+    field: String, // LinkedIn only: which profile field the offsets refer to
+    start: Number,
+    end: Number,
+    text: String
+  }]
+}, { _id: false });
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Scoring model an analysis was scored with (see utils/analyzerRegistry.js); absent on analyses that predate versioning
+module.exports = new mongoose.Schema({
+  version: Number,
+  analyzers: [{
+    _id: false,
+    id: String,
+    version: Number,
+    weight: Number
+  }]
+}, { _id: false });
@@ -4,6 +4,10 @@ const User = require('../models/User');
 const CVAnalysis = require('../models/CVAnalysis');
 const LinkedInAnalysis = require('../models/LinkedInAnalysis');
 const Payment = require('../models/Payment');
+const Skill = require('../models/Skill');
+const RescoreJob = require('../models/RescoreJob');
+const { DEFAULT_SKILLS, seedDefaultSkills, invalidateTaxonomy } = require('../utils/skillTaxonomy');
+const { countOutdated, createRescoreJob, runInBackground } = require('../utils/rescoreJobs');
 
 const router = express.Router();
 
@@ -324,6 +328,220 @@ router.get('/export/:type', async (req, res) => {
   }
 });
 
+// Get skill taxonomy (built-in defaults until the first edit)
+router.get('/taxonomy', async (req, res) => {
+  try {
+    const { category, search } = req.query;
+    const stored = await Skill.countDocuments();
+
+    let skills;
+    if (stored === 0) {
+      skills = DEFAULT_SKILLS
+        .filter(skill => !category || skill.category === category)
+        .filter(skill => !search || [skill.name, ...skill.aliases].some(term => term.toLowerCase().includes(search.toLowerCase())));
+    } else {
+      const query = {};
+      if (category) query.category = category;
+      if (search) {
+        query.$or = [
+          { name: { $regex: escapeRegex(search), $options: 'i' } },
+          { aliases: { $regex: escapeRegex(search), $options: 'i' } }
+        ];
+      }
+      skills = await Skill.find(query).sort({ category: 1, name: 1 });
+    }
+
+    res.json({
+      skills,
+      source: stored === 0 ? 'default' : 'database',
+      total: skills.length
+    });
+  } catch (error) {
+    console.error('Get taxonomy error:', error);
+    res.status(500).json({ error: 'Failed to fetch skill taxonomy' });
+  }
+});
+
+// Add a skill to the taxonomy
+router.post('/taxonomy', async (req, res) => {
+  try {
+    const { name, category, aliases = [], related = [], weight = 1 } = req.body;
+
+    if (!name || !category) {
+      return res.status(400).json({ error: 'Skill name and category are required' });
+    }
+
+    await seedDefaultSkills();
+
+    const conflict = await findTaxonomyConflict(name, aliases);
+    if (conflict) {
+      return res.status(400).json({ error: `"${conflict.term}" is already used by ${conflict.skill}` });
+    }
+
+    const skill = new Skill({ name, category, aliases, related, weight, updatedBy: req.userId });
+    await skill.save();
+    invalidateTaxonomy();
+
+    res.status(201).json({ message: 'Skill added successfully', skill });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create taxonomy skill error:', error);
+    res.status(500).json({ error: 'Failed to add skill' });
+  }
+});
+
+// Update a taxonomy skill (aliases, category, related skills, weight, active flag)
+router.patch('/taxonomy/:id', async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id);
+    if (!skill) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    const { name, category, aliases, related, weight, isActive } = req.body;
+
+    const conflict = await findTaxonomyConflict(name || skill.name, aliases || [], skill._id);
+    if (conflict) {
+      return res.status(400).json({ error: `"${conflict.term}" is already used by ${conflict.skill}` });
+    }
+
+    if (name) skill.name = name;
+    if (category) skill.category = category;
+    if (aliases) skill.aliases = aliases;
+    if (related) skill.related = related;
+    if (weight !== undefined) skill.weight = weight;
+    if (isActive !== undefined) skill.isActive = isActive;
+    skill.updatedBy = req.userId;
+
+    await skill.save();
+    invalidateTaxonomy();
+
+    res.json({ message: 'Skill updated successfully', skill });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update taxonomy skill error:', error);
+    res.status(500).json({ error: 'Failed to update skill' });
+  }
+});
+
+// Remove a skill from the taxonomy
+router.delete('/taxonomy/:id', async (req, res) => {
+  try {
+    const skill = await Skill.findByIdAndDelete(req.params.id);
+    if (!skill) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    invalidateTaxonomy();
+
+    res.json({ message: 'Skill deleted successfully' });
+  } catch (error) {
+    console.error('Delete taxonomy skill error:', error);
+    res.status(500).json({ error: 'Failed to delete skill' });
+  }
+});
+
+// Scoring model versions, analyses still scored with older ones, and recent re-score jobs
+router.get('/rescore', async (req, res) => {
+  try {
+    const [models, jobs] = await Promise.all([
+      countOutdated(),
+      RescoreJob.find().sort({ createdAt: -1 }).limit(10).select('-failures').populate('startedBy', 'firstName lastName email')
+    ]);
+
+    res.json({ models, jobs });
+  } catch (error) {
+    console.error('Get re-score status error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-score status' });
+  }
+});
+
+// Start re-scoring every analysis computed with an outdated scoring model
+router.post('/rescore', async (req, res) => {
+  try {
+    const active = await RescoreJob.findOne({ status: { $in: ['running', 'paused'] } });
+    if (active) {
+      return res.status(409).json({ error: 'A re-score job is already in progress', job: active });
+    }
+
+    const job = await createRescoreJob(req.userId);
+
+    res.status(202).json({ message: 'Re-score job started', job });
+  } catch (error) {
+    console.error('Start re-score error:', error);
+    res.status(500).json({ error: 'Failed to start re-score job' });
+  }
+});
+
+// Job progress including the most recent failures
+router.get('/rescore/:id', async (req, res) => {
+  try {
+    const job = await RescoreJob.findById(req.params.id).populate('startedBy', 'firstName lastName email');
+    if (!job) {
+      return res.status(404).json({ error: 'Re-score job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get re-score job error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-score job' });
+  }
+});
+
+// Pause, resume or cancel a job; a paused job keeps its cursor and continues from there
+router.post('/rescore/:id/:action', async (req, res) => {
+  try {
+    const transitions = {
+      pause: { from: ['running'], to: 'paused', verb: 'paused' },
+      resume: { from: ['paused'], to: 'running', verb: 'resumed' },
+      cancel: { from: ['running', 'paused'], to: 'cancelled', verb: 'cancelled' }
+    };
+    const transition = transitions[req.params.action];
+    if (!transition) {
+      return res.status(404).json({ error: 'Unknown re-score action' });
+    }
+
+    const update = { status: transition.to };
+    if (transition.to === 'cancelled') update.finishedAt = new Date();
+    const job = await RescoreJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: transition.from } },
+      update,
+      { new: true }
+    );
+    if (!job) {
+      return res.status(409).json({ error: `Only ${transition.from.join(' or ')} jobs can be ${transition.verb}` });
+    }
+
+    if (job.status === 'running') runInBackground(job._id);
+
+    res.json({ message: `Re-score job ${transition.verb}`, job });
+  } catch (error) {
+    console.error('Update re-score job error:', error);
+    res.status(500).json({ error: 'Failed to update re-score job' });
+  }
+});
+
+// A name or alias may only belong to one skill
+async function findTaxonomyConflict(name, aliases, excludeId = null) {
+  const terms = [name, ...aliases].map(term => term.toLowerCase().trim());
+  const query = { $or: [{ key: { $in: terms } }, { aliases: { $in: terms } }] };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const existing = await Skill.findOne(query);
+  if (!existing) return null;
+
+  const term = terms.find(value => value === existing.key || existing.aliases.includes(value));
+  return { term, skill: existing.name };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // Helper function to convert data to CSV
 function convertToCSV(data, type) {
   if (!data.length) return '';
@@ -3,6 +3,13 @@ const rateLimit = require('express-rate-limit');
 const { apiAuth } = require('../middleware/auth');
 const CVAnalysis = require('../models/CVAnalysis');
 const LinkedInAnalysis = require('../models/LinkedInAnalysis');
+const { parseResume } = require('../utils/resumeParser');
+const { ROLE_PROFILES } = require('../utils/roleProfiles');
+const { performATSAnalysis } = require('../utils/cvAnalyzers');
+const { describeJobPosting } = require('../utils/jobMatcher');
+const { nextRevision } = require('../utils/resumeDocuments');
+const { countPendingScans, canScanAnother } = require('../utils/cvAnalysisJob');
+const { performLinkedInAnalysis } = require('../utils/linkedinAnalyzers');
 
 const router = express.Router();
 
@@ -32,8 +39,8 @@ router.get('/docs', (req, res) => {
       'GET /api/v1/cv/analysis/:id': 'Get specific CV analysis',
       'GET /api/v1/linkedin/analyses': 'Get LinkedIn analysis history',
       'GET /api/v1/linkedin/analysis/:id': 'Get specific LinkedIn analysis',
-      'POST /api/v1/cv/analyze-text': 'Analyze CV text content',
-      'POST /api/v1/linkedin/analyze-content': 'Analyze LinkedIn content'
+      'POST /api/v1/cv/analyze-text': 'Analyze CV text content (optional jobDescription to score against a posting, optional roleProfile)',
+      'POST /api/v1/linkedin/analyze-content': 'Analyze LinkedIn content (optional roleProfile)'
     },
     authentication: {
       type: 'API Key',
@@ -72,7 +79,7 @@ router.get('/cv/analyses', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const analyses = await CVAnalysis.find({ userId: req.userId })
-      .select('originalFileName atsScore status createdAt processingTime')
+      .select('originalFileName atsScore roleProfile jobDescription.title analysis.jobMatch.score status createdAt processingTime')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -116,7 +123,7 @@ router.get('/cv/analysis/:id', async (req, res) => {
 // Analyze CV text content via API
 router.post('/cv/analyze-text', async (req, res) => {
   try {
-    const { text, filename = 'api-upload.txt' } = req.body;
+    const { text, filename = 'api-upload.txt', jobDescription, roleProfile } = req.body;
     
     if (!text || text.trim().length < 100) {
       return res.status(400).json({ 
@@ -124,9 +131,23 @@ router.post('/cv/analyze-text', async (req, res) => {
       });
     }
 
+    if (jobDescription !== undefined &&
+      (typeof jobDescription !== 'string' || jobDescription.trim().length < 50 || jobDescription.length > 20000)) {
+      return res.status(400).json({ 
+        error: 'Job description must be between 50 and 20000 characters' 
+      });
+    }
+
+    if (roleProfile && !Object.hasOwn(ROLE_PROFILES, roleProfile)) {
+      return res.status(400).json({ 
+        error: `Unknown role profile. Use one of: ${Object.keys(ROLE_PROFILES).join(', ')}` 
+      });
+    }
+
     const user = req.user;
     
-    if (!user.canPerformAction('cv_scan')) {
+    // Uploads still in the queue count against the limit too
+    if (!canScanAnother(user, await countPendingScans(user._id))) {
       return res.status(403).json({ 
         error: 'CV scan limit reached for your plan',
         usage: user.usage,
@@ -136,21 +157,27 @@ router.post('/cv/analyze-text', async (req, res) => {
 
     const startTime = Date.now();
     
+    // Perform ATS analysis
+    const parsedResume = parseResume(text);
+
     // Create CV analysis record
     const cvAnalysis = new CVAnalysis({
       userId: user._id,
+      ...(await nextRevision(user._id, { name: filename })),
+      source: 'api',
       originalFileName: filename,
       fileType: 'txt',
       extractedText: text,
+      parsedResume,
+      roleProfile,
+      jobDescription: jobDescription ? describeJobPosting(jobDescription) : undefined,
       atsScore: 0,
       status: 'analyzing'
     });
 
     await cvAnalysis.save();
 
-    // Perform ATS analysis (reuse logic from cv.js)
-    const { performATSAnalysis } = require('./cv');
-    const analysis = await performATSAnalysis(text);
+    const analysis = await performATSAnalysis(text, { jobDescription, roleProfile: cvAnalysis.roleProfile, resume: parsedResume });
     
     // Update CV analysis with results
     cvAnalysis.analysis = analysis;
@@ -169,6 +196,8 @@ router.post('/cv/analyze-text', async (req, res) => {
       data: {
         analysisId: cvAnalysis._id,
         atsScore: cvAnalysis.atsScore,
+        roleProfile: cvAnalysis.roleProfile,
+        jobDescription: jobDescription ? { title: cvAnalysis.jobDescription.title } : null,
         analysis: cvAnalysis.analysis,
         suggestions: cvAnalysis.suggestions,
         processingTime: cvAnalysis.processingTime
@@ -189,7 +218,7 @@ router.get('/linkedin/analyses', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const analyses = await LinkedInAnalysis.find({ userId: req.userId })
-      .select('profileUrl optimizationScore status createdAt processingTime')
+      .select('profileUrl optimizationScore roleProfile status createdAt processingTime')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -233,7 +262,7 @@ router.get('/linkedin/analysis/:id', async (req, res) => {
 // Analyze LinkedIn content via API
 router.post('/linkedin/analyze-content', async (req, res) => {
   try {
-    const { content, headline, summary } = req.body;
+    const { content, headline, summary, roleProfile } = req.body;
     
     if (!content || content.trim().length < 50) {
       return res.status(400).json({ 
@@ -241,6 +270,12 @@ router.post('/linkedin/analyze-content', async (req, res) => {
       });
     }
 
+    if (roleProfile && !Object.hasOwn(ROLE_PROFILES, roleProfile)) {
+      return res.status(400).json({ 
+        error: `Unknown role profile. Use one of: ${Object.keys(ROLE_PROFILES).join(', ')}` 
+      });
+    }
+
     const user = req.user;
     
     if (!user.canPerformAction('linkedin_scan')) {
@@ -257,6 +292,7 @@ router.post('/linkedin/analyze-content', async (req, res) => {
     const linkedinAnalysis = new LinkedInAnalysis({
       userId: user._id,
       profileUrl: 'api-content',
+      roleProfile,
       profileData: {
         headline: headline || '',
         summary: summary || content,
@@ -270,9 +306,8 @@ router.post('/linkedin/analyze-content', async (req, res) => {
 
     await linkedinAnalysis.save();
 
-    // Perform optimization analysis (reuse logic from linkedin.js)
-    const { performLinkedInAnalysis } = require('./linkedin');
-    const analysis = await performLinkedInAnalysis(linkedinAnalysis.profileData);
+    // Perform optimization analysis
+    const analysis = await performLinkedInAnalysis(linkedinAnalysis.profileData, linkedinAnalysis.roleProfile);
     
     // Update analysis with results
     linkedinAnalysis.analysis = analysis;
@@ -1,15 +1,36 @@
 const express = require('express');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
 const puppeteer = require('puppeteer');
-const { body, validationResult } = require('express-validator');
-const { auth, requirePlan } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { URL_TOKEN_TTL_SECONDS, URL_TOKEN_PURPOSES, auth, signUrlToken, urlTokenAuth, requirePlan } = require('../middleware/auth');
+const { batchUpload } = require('../middleware/batchUpload');
 const User = require('../models/User');
 const CVAnalysis = require('../models/CVAnalysis');
+const Job = require('../models/Job');
+const { getParsedResume } = require('../utils/resumeParser');
+const { buildAtsView } = require('../utils/atsPreview');
+const { ROLE_PROFILES, getRoleProfile, listRoleProfiles } = require('../utils/roleProfiles');
+const { performATSAnalysis, describeCvScoringModel } = require('../utils/cvAnalyzers');
+const { describeLinkedInScoringModel } = require('../utils/linkedinAnalyzers');
+const { computeScore, getWeights } = require('../utils/analyzerRegistry');
+const { queueCvAnalysis, countPendingScans, canScanAnother } = require('../utils/cvAnalysisJob');
+const { proposeRewrites } = require('../utils/cvRewriter');
+const { applyEdits } = require('../utils/textEdits');
+const { listTemplates, resolveExportOptions, buildExportResume, renderResumeHTML } = require('../utils/resumeTemplates');
+const { generateDocx } = require('../utils/docxExport');
+const { toJsonResume } = require('../utils/jsonResume');
+const { renderPlainText, renderMarkdown, renderLatex } = require('../utils/textExports');
+const { fileTypeOf, describeFileTypes } = require('../utils/cvFileTypes');
+const { createRevision, createOptimizedRevision } = require('../utils/cvRevisions');
+const ResumeDocument = require('../models/ResumeDocument');
+const { describeDocument, diffRevisions } = require('../utils/resumeDocuments');
+const AnalysisBatch = require('../models/AnalysisBatch');
+const { createAnalysisBatch, summarizeBatch, batchToCSV } = require('../utils/batchAnalysis');
 
 const router = express.Router();
 
+const JOB_EVENTS_POLL_MS = 1000;
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -18,26 +39,51 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || 
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    if (fileTypeOf(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and DOCX files are allowed'), false);
+      cb(new Error(`Only ${describeFileTypes()} files are allowed`), false);
     }
   }
 });
 
-// Upload and analyze CV
-router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), upload.single('cv'), async (req, res) => {
+
+// List target-role profiles for the analysis form
+router.get('/role-profiles', auth, (req, res) => {
+  // Effective weights: the analyzers' defaults with each profile's overrides applied
+  const profiles = listRoleProfiles().map(profile => ({
+    ...profile,
+    cvWeights: getWeights(describeCvScoringModel(profile.id)),
+    linkedinWeights: getWeights(describeLinkedInScoringModel(profile.id))
+  }));
+  res.json({ profiles });
+});
+
+// Upload and analyze CV (optionally against a pasted job description)
+router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), upload.single('cv'), [
+  body('jobDescription').optional({ checkFalsy: true }).isString()
+    .isLength({ min: 50, max: 20000 }).withMessage('Job description must be between 50 and 20000 characters'),
+  body('roleProfile').optional({ checkFalsy: true }).isIn(Object.keys(ROLE_PROFILES)).withMessage('Unknown role profile'),
+  body('gapThresholdMonths').optional({ checkFalsy: true }).isInt({ min: 1, max: 60 }).toInt()
+    .withMessage('Gap threshold must be between 1 and 60 months'),
+  body('documentId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid document id'),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const { jobDescription, roleProfile, gapThresholdMonths, documentId } = req.body;
+
     const user = req.user;
     
-    // Check if user can perform CV scan
-    if (!user.canPerformAction('cv_scan')) {
+    // Check if user can perform CV scan, counting the ones still in the queue
+    if (!canScanAnother(user, await countPendingScans(user._id))) {
       return res.status(403).json({ 
         error: 'CV scan limit reached for your plan',
         usage: user.usage,
@@ -45,83 +91,231 @@ router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), upload.
       });
     }
 
-    const startTime = Date.now();
-    
-    // Extract text from file
-    let extractedText = '';
-    const fileType = req.file.mimetype === 'application/pdf' ? 'pdf' : 'docx';
-    
-    try {
-      if (fileType === 'pdf') {
-        const pdfData = await pdfParse(req.file.buffer);
-        extractedText = pdfData.text;
-      } else {
-        const docxData = await mammoth.extractRawText({ buffer: req.file.buffer });
-        extractedText = docxData.value;
-      }
-    } catch (parseError) {
-      console.error('File parsing error:', parseError);
-      return res.status(400).json({ error: 'Failed to parse file. Please ensure it\'s a valid PDF or DOCX file.' });
+    // Parsing and scoring run on the job queue; the analysis stays 'analyzing' until the worker settles it
+    const { job } = await queueCvAnalysis({
+      userId: user._id,
+      fileName: req.file.originalname,
+      fileType: fileTypeOf(req.file.originalname, req.file.mimetype),
+      buffer: req.file.buffer,
+      roleProfile,
+      jobDescription,
+      gapThresholdMonths,
+      documentId
+    });
+
+    res.status(202).json({
+      ...job.toStatus(),
+      statusUrl: `/api/cv/jobs/${job._id}`,
+      eventsUrl: `/api/cv/jobs/${job._id}/events`
+    });
+
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('CV analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze CV' });
+  }
+});
+
+// Upload several CVs (or a ZIP of them) as one tracked batch; each file is checked against the plan limit
+router.post('/batch', auth, requirePlan(['one-time', 'basic', 'pro']), batchUpload('files'), [
+  body('name').optional({ checkFalsy: true }).isString().isLength({ max: 200 }).trim(),
+  body('jobDescription').optional({ checkFalsy: true }).isString()
+    .isLength({ min: 50, max: 20000 }).withMessage('Job description must be between 50 and 20000 characters'),
+  body('roleProfile').optional({ checkFalsy: true }).isIn(Object.keys(ROLE_PROFILES)).withMessage('Unknown role profile'),
+  body('gapThresholdMonths').optional({ checkFalsy: true }).isInt({ min: 1, max: 60 }).toInt()
+    .withMessage('Gap threshold must be between 1 and 60 months'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (!extractedText.trim()) {
-      return res.status(400).json({ error: 'No text content found in the file' });
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    // Create CV analysis record
-    const cvAnalysis = new CVAnalysis({
-      userId: user._id,
-      originalFileName: req.file.originalname,
-      fileType: fileType,
-      extractedText: extractedText,
-      atsScore: 0,
-      status: 'analyzing'
+    const { name, jobDescription, roleProfile, gapThresholdMonths } = req.body;
+    const batch = await createAnalysisBatch(req.user, req.files, { name, jobDescription, roleProfile, gapThresholdMonths });
+
+    res.status(202).json({
+      ...(await summarizeBatch(batch)),
+      statusUrl: `/api/cv/batch/${batch._id}`
     });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Batch upload error:', error);
+    res.status(500).json({ error: 'Failed to start batch analysis' });
+  }
+});
 
-    await cvAnalysis.save();
+// List the user's batches
+router.get('/batches', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
 
-if (req.user.plan === 'free') {
-   const { sendUpsellEmail } = require('../utils/email');
-   await sendUpsellEmail(req.user.email, req.user.firstName, cvAnalysis.atsScore, cvAnalysis._id);
-}
+    const batches = await AnalysisBatch.find({ userId: req.userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
 
-    // Perform ATS analysis
-    const analysis = await performATSAnalysis(extractedText);
-    
-    // Update CV analysis with results
-    cvAnalysis.analysis = analysis;
-    cvAnalysis.calculateATSScore();
-    cvAnalysis.generateSuggestions();
-    cvAnalysis.status = 'completed';
-    cvAnalysis.processingTime = Date.now() - startTime;
-    
-    await cvAnalysis.save();
+    const total = await AnalysisBatch.countDocuments({ userId: req.userId });
 
-    // Update user usage
-    user.usage.cvScans += 1;
-    await user.save();
+    res.json({
+      batches: await Promise.all(batches.map(summarizeBatch)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
 
-if (req.user && req.user.plan === 'free') {
-  cvAnalysis.suggestions = cvAnalysis.suggestions.slice(0, 2); 
-  if (cvAnalysis.analysis.keywords) {
-    cvAnalysis.analysis.keywords.missing = cvAnalysis.analysis.keywords.missing.slice(0, 3);
-    cvAnalysis.analysis.keywords.found = cvAnalysis.analysis.keywords.found.slice(0, 3);
+// Batch summary with per-file scores and failures
+router.get('/batch/:id', auth, async (req, res) => {
+  try {
+    const batch = await AnalysisBatch.findOne({ _id: req.params.id, userId: req.userId });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(await summarizeBatch(batch));
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
   }
-  cvAnalysis.locked = true;
-}
-       
+});
+
+// Export batch results as CSV (default) or JSON
+router.get('/batch/:id/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    const batch = await AnalysisBatch.findOne({ _id: req.params.id, userId: req.userId });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const summary = await summarizeBatch(batch);
+    const filename = `batch-${batch._id}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.send(JSON.stringify(summary, null, 2));
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(batchToCSV(summary));
+  } catch (error) {
+    console.error('Export batch error:', error);
+    res.status(500).json({ error: 'Failed to export batch' });
+  }
+});
+
+// Short-lived token for a URL the browser loads itself: a job's progress events or an export preview
+router.post('/url-token', auth, [
+  body('purpose').isIn(URL_TOKEN_PURPOSES).withMessage(`Purpose must be one of ${URL_TOKEN_PURPOSES.join(', ')}`),
+  body('id').isMongoId().withMessage('Invalid id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     res.json({
-      analysisId: cvAnalysis._id,
-      atsScore: cvAnalysis.atsScore,
-      analysis: cvAnalysis.analysis,
-      suggestions: cvAnalysis.suggestions,
-      processingTime: cvAnalysis.processingTime,
-      locked: cvAnalysis.locked || false
+      token: signUrlToken(req.userId, req.body.purpose, req.body.id),
+      expiresIn: URL_TOKEN_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('URL token error:', error);
+    res.status(500).json({ error: 'Failed to issue URL token' });
+  }
+});
+
+// Poll an analysis job
+router.get('/jobs/:id', auth, async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, userId: req.userId }).select('-file');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job.toStatus());
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Stream an analysis job's progress as Server-Sent Events until it completes or fails
+router.get('/jobs/:id/events', urlTokenAuth('job-events'), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, userId: req.userId }).select('_id');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+
+    let lastSent = null;
+    let closed = false;
+    // The worker may run in another process, so progress is read back from MongoDB
+    const poll = setInterval(() => sendUpdate().catch(finish), JOB_EVENTS_POLL_MS);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    function finish() {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      clearInterval(heartbeat);
+      res.end();
+    }
 
+    async function sendUpdate() {
+      const current = await Job.findById(job._id).select('-file');
+      if (closed) return;
+      if (!current) return finish();
+
+      const status = current.toStatus();
+      const snapshot = JSON.stringify(status);
+      if (snapshot !== lastSent) {
+        lastSent = snapshot;
+        const event = ['completed', 'failed'].includes(status.status) ? status.status : 'progress';
+        res.write(`event: ${event}\ndata: ${snapshot}\n\n`);
+      }
+      if (['completed', 'failed'].includes(status.status)) finish();
+    }
+
+    req.on('close', finish);
+    await sendUpdate();
   } catch (error) {
-    console.error('CV analysis error:', error);
-    res.status(500).json({ error: 'Failed to analyze CV' });
+    console.error('Job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream job progress' });
+    } else {
+      res.end();
+    }
   }
 });
 
@@ -153,6 +347,126 @@ if (req.user && req.user.plan === 'free') {
   }
 });
 
+// Accept, reject or modify one suggestion. Accepting takes every edit it proposes unless
+// edits lists some as rejected or with a user-written replacement.
+router.patch('/analysis/:id/suggestions/:suggestionId', auth, requirePlan(['basic', 'pro']), [
+  body('status').isIn(['proposed', 'accepted', 'rejected']).withMessage('Status must be accepted, rejected or proposed'),
+  body('edits').optional().isArray(),
+  body('edits.*.editId').isString(),
+  body('edits.*.status').optional().isIn(['accepted', 'rejected']),
+  body('edits.*.replacement').optional().isString().isLength({ max: 2000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const suggestion = analysis.suggestions.find(item => item.suggestionId === req.params.suggestionId);
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const overrides = req.body.edits || [];
+    for (const override of overrides) {
+      const edit = suggestion.edits.find(item => item.editId === override.editId);
+      if (!edit) {
+        return res.status(404).json({ error: 'Edit not found', editId: override.editId });
+      }
+      if (override.replacement !== undefined && edit.segments.length > 0) {
+        return res.status(400).json({ error: 'Reordering edits can be accepted or rejected but not rewritten', editId: edit.editId });
+      }
+    }
+
+    const { status } = req.body;
+    suggestion.status = status;
+    suggestion.edits.forEach(edit => {
+      const override = overrides.find(item => item.editId === edit.editId) || {};
+      if (override.replacement !== undefined) {
+        edit.replacement = override.replacement;
+        edit.modified = true;
+      }
+      edit.status = status === 'accepted' ? (override.status || 'accepted') : status;
+    });
+    await analysis.save();
+
+    res.json({ suggestion });
+  } catch (error) {
+    console.error('Update suggestion error:', error);
+    res.status(500).json({ error: 'Failed to update suggestion' });
+  }
+});
+
+// Apply the accepted suggestions as a new revision of the CV, re-scored after each suggestion
+router.post('/analysis/:id/revisions', auth, requirePlan(['basic', 'pro']), async (req, res) => {
+  try {
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({ error: 'Analysis has not completed', status: analysis.status });
+    }
+
+    const { revision, ...result } = await createRevision(analysis);
+
+    res.status(201).json({
+      revisionId: revision._id,
+      documentId: revision.documentId,
+      revision: revision.revision,
+      ...result
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Create revision error:', error);
+    res.status(500).json({ error: 'Failed to create revision' });
+  }
+});
+
+// Preview of what a typical ATS would fill into its application form from this CV
+router.get('/analysis/:id/ats-view', auth, async (req, res) => {
+  try {
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({ error: 'Analysis has not completed', status: analysis.status });
+    }
+
+    const formatting = analysis.analysis && analysis.analysis.formatting;
+    res.json({
+      analysisId: analysis._id,
+      originalFileName: analysis.originalFileName,
+      ...buildAtsView(getParsedResume(analysis), formatting && formatting.layout)
+    });
+  } catch (error) {
+    console.error('ATS view error:', error);
+    res.status(500).json({ error: 'Failed to build ATS view' });
+  }
+});
+
 // Get user's CV analysis history
 router.get('/history', auth, async (req, res) => {
   try {
@@ -160,8 +474,27 @@ router.get('/history', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    // groupBy=document pages through resume documents, each with its revisions and score trend
+    if (req.query.groupBy === 'document') {
+      const documents = await ResumeDocument.find({ userId: req.userId })
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await ResumeDocument.countDocuments({ userId: req.userId });
+
+      return res.json({
+        documents: await Promise.all(documents.map(describeDocument)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    }
+
     const analyses = await CVAnalysis.find({ userId: req.userId })
-      .select('originalFileName atsScore status createdAt processingTime')
+      .select('originalFileName atsScore roleProfile jobDescription.title analysis.jobMatch.score scoringModel.version rescores status documentId revision source createdAt processingTime')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -183,7 +516,104 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
-// Generate optimized CV content
+// Resume documents with their latest revision and score trend
+router.get('/documents', auth, async (req, res) => {
+  try {
+    const documents = await ResumeDocument.find({ userId: req.userId }).sort({ updatedAt: -1 });
+
+    res.json({ documents: await Promise.all(documents.map(describeDocument)) });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+const validDocumentId = param('id').isMongoId().withMessage('Invalid document id');
+
+// One document with every revision
+router.get('/documents/:id', auth, [validDocumentId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await ResumeDocument.findOne({ _id: req.params.id, userId: req.userId });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(await describeDocument(document));
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// Rename a document
+router.patch('/documents/:id', auth, [
+  validDocumentId,
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await ResumeDocument.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { name: req.body.name },
+      { new: true }
+    );
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(await describeDocument(document));
+  } catch (error) {
+    console.error('Update document error:', error);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+// Text and section diff between two revisions (defaults: the latest against the one before it)
+router.get('/documents/:id/diff', auth, [
+  validDocumentId,
+  query('from').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt().withMessage('Revision numbers start at 1'),
+  query('to').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt().withMessage('Revision numbers start at 1'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await ResumeDocument.findOne({ _id: req.params.id, userId: req.userId });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const to = req.query.to || document.revisionCount;
+    const from = req.query.from || to - 1;
+    if (to > document.revisionCount || from > document.revisionCount) {
+      return res.status(400).json({ error: `Revision numbers go up to ${document.revisionCount}` });
+    }
+    if (from < 1 || from === to) {
+      return res.status(400).json({ error: 'Choose two different revisions to compare' });
+    }
+
+    res.json(await diffRevisions(document, from, to));
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// Propose rule-based, job-tailored edits; nothing changes until edits are accepted below
 router.post('/optimize/:id', auth, requirePlan(['basic', 'pro']), async (req, res) => {
   try {
     const analysis = await CVAnalysis.findOne({
@@ -195,31 +625,138 @@ router.post('/optimize/:id', auth, requirePlan(['basic', 'pro']), async (req, re
       return res.status(404).json({ error: 'Analysis not found' });
     }
 
-    if (analysis.optimizedVersion && analysis.optimizedVersion.text) {
-      return res.json({ optimizedContent: analysis.optimizedVersion.text });
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({ error: 'Analysis has not completed', status: analysis.status });
     }
 
-    // Generate optimized content based on suggestions
-    const optimizedContent = await generateOptimizedContent(analysis);
-    
+    // Keep earlier decisions unless a fresh set of proposals is asked for
+    const existing = analysis.optimizedVersion && analysis.optimizedVersion.edits;
+    if (existing && existing.length > 0 && req.query.regenerate !== 'true') {
+      return res.json(describeOptimization(analysis));
+    }
+
+    const { edits, unsupportedSkills } = proposeRewrites(analysis.extractedText, getParsedResume(analysis), {
+      jobDescription: analysis.jobDescription && analysis.jobDescription.text,
+      roleProfile: analysis.roleProfile
+    });
+
     analysis.optimizedVersion = {
-      text: optimizedContent,
-      generatedAt: new Date()
+      text: analysis.extractedText,
+      generatedAt: new Date(),
+      edits,
+      unsupportedSkills
     };
-    
+
     await analysis.save();
 
-    res.json({ optimizedContent });
+    res.json(describeOptimization(analysis));
   } catch (error) {
     console.error('Optimize CV error:', error);
     res.status(500).json({ error: 'Failed to optimize CV' });
   }
 });
 
-// Export CV as PDF
+// Accept or reject proposed edits; the optimized text is rebuilt from every accepted edit
+router.patch('/optimize/:id/edits', auth, requirePlan(['basic', 'pro']), [
+  body('decisions').isArray({ min: 1 }).withMessage('Decisions must be a non-empty list'),
+  body('decisions.*.editId').isString(),
+  body('decisions.*.status').isIn(['proposed', 'accepted', 'rejected']).withMessage('Status must be accepted, rejected or proposed'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const edits = analysis.optimizedVersion ? analysis.optimizedVersion.edits : [];
+    const unknown = req.body.decisions.filter(decision => !edits.some(edit => edit.editId === decision.editId));
+    if (!edits.length || unknown.length > 0) {
+      return res.status(404).json({ error: 'Edit not found', editIds: unknown.map(decision => decision.editId) });
+    }
+
+    req.body.decisions.forEach(({ editId, status }) => {
+      edits.find(edit => edit.editId === editId).status = status;
+    });
+
+    const { text, skipped } = applyEdits(analysis.extractedText, edits.filter(edit => edit.status === 'accepted'));
+    analysis.optimizedVersion.text = text;
+    await analysis.save();
+
+    res.json({
+      ...describeOptimization(analysis),
+      // Accepted edits that overlap another accepted edit and were left out
+      conflicts: skipped.map(edit => edit.editId)
+    });
+  } catch (error) {
+    console.error('Update CV edits error:', error);
+    res.status(500).json({ error: 'Failed to update edits' });
+  }
+});
+
+// Save the optimized text (accepted edits applied) as the next revision of the CV's document
+router.post('/optimize/:id/revision', auth, requirePlan(['basic', 'pro']), async (req, res) => {
+  try {
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const { revision, ...result } = await createOptimizedRevision(analysis);
+
+    res.status(201).json({
+      revisionId: revision._id,
+      documentId: revision.documentId,
+      revision: revision.revision,
+      ...result
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Create optimized revision error:', error);
+    res.status(500).json({ error: 'Failed to save optimized revision' });
+  }
+});
+
+// Export templates with their fonts, page sizes, margins and sections
+router.get('/export/templates', auth, (req, res) => {
+  res.json(listTemplates());
+});
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', render: (exportResume, options) => generatePDF(renderResumeHTML(exportResume, options)) },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: generateDocx },
+  // JSON Resume, plain text and Markdown ignore the template options
+  json: { contentType: 'application/json', render: async exportResume => Buffer.from(JSON.stringify(toJsonResume(exportResume), null, 2)) },
+  txt: { contentType: 'text/plain; charset=utf-8', render: async exportResume => Buffer.from(renderPlainText(exportResume)) },
+  md: { contentType: 'text/markdown; charset=utf-8', render: async exportResume => Buffer.from(renderMarkdown(exportResume)) },
+  html: { contentType: 'text/html; charset=utf-8', render: async (exportResume, options) => Buffer.from(renderResumeHTML(exportResume, options)) },
+  tex: { contentType: 'application/x-tex; charset=utf-8', render: async (exportResume, options) => Buffer.from(renderLatex(exportResume, options)) }
+};
+
+// Export CV as PDF, Word, standalone HTML or LaTeX through one of the templates, or as JSON Resume, ATS plain text or Markdown
+// Body: { format: 'pdf' | 'docx' | 'html' | 'tex' | 'json' | 'txt' | 'md', useOptimized, template, font, accentColor, sectionOrder, pageSize, margins }
 router.post('/export/:id', auth, requirePlan(['one-time', 'basic', 'pro']), async (req, res) => {
   try {
-    const { useOptimized = false } = req.body;
+    const { useOptimized = false, format = 'pdf' } = req.body;
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: `Format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const options = resolveExportOptions(req.body);
     
     const analysis = await CVAnalysis.findOne({
       _id: req.params.id,
@@ -230,21 +767,55 @@ router.post('/export/:id', auth, requirePlan(['one-time', 'basic', 'pro']), asyn
       return res.status(404).json({ error: 'Analysis not found' });
     }
 
-    let contentToExport = analysis.extractedText;
-    if (useOptimized && analysis.optimizedVersion && analysis.optimizedVersion.text) {
-      contentToExport = analysis.optimizedVersion.text;
+    const exportResume = buildExportResume(analysis, {
+      useOptimized,
+      fallbackName: `${req.user.firstName} ${req.user.lastName}`,
+      sectionOrder: options.sectionOrder
+    });
+
+    const file = await exporter.render(exportResume, options);
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${useOptimized ? 'optimized-' : ''}cv-${analysis._id}.${format}"`);
+    res.send(file);
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
     }
+    console.error('Export CV error:', error);
+    res.status(500).json({ error: 'Failed to export CV' });
+  }
+});
+
+// Live HTML preview of an export; the same options as the PDF export, in the query string
+// (sectionOrder comma separated). Accepts an export-preview URL token so it can load in an iframe.
+router.get('/export/:id/preview', urlTokenAuth('export-preview'), requirePlan(['one-time', 'basic', 'pro']), async (req, res) => {
+  try {
+    const options = resolveExportOptions(req.query);
+
+    const analysis = await CVAnalysis.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    });
 
-    // Generate PDF using Puppeteer
-    const pdfBuffer = await generatePDF(contentToExport, req.user);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="optimized-cv-${analysis._id}.pdf"`);
-    res.send(pdfBuffer);
+    const exportResume = buildExportResume(analysis, {
+      useOptimized: req.query.useOptimized === 'true',
+      fallbackName: `${req.user.firstName} ${req.user.lastName}`,
+      sectionOrder: options.sectionOrder
+    });
 
+    res.type('html').send(renderResumeHTML(exportResume, options));
   } catch (error) {
-    console.error('Export PDF error:', error);
-    res.status(500).json({ error: 'Failed to export PDF' });
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Export preview error:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
   }
 });
 
@@ -266,13 +837,13 @@ router.get('/compare/:id', auth, requirePlan(['pro']), async (req, res) => {
 
     // Calculate comparison metrics
     const beforeScore = analysis.atsScore;
-    const afterAnalysis = await performATSAnalysis(analysis.optimizedVersion.text);
-    const afterScore = Math.round(
-      afterAnalysis.keywords.score * 0.35 +
-      afterAnalysis.formatting.score * 0.25 +
-      afterAnalysis.content.score * 0.25 +
-      afterAnalysis.technical.score * 0.15
-    );
+    const jobDescription = analysis.jobDescription && analysis.jobDescription.text;
+    const afterAnalysis = await performATSAnalysis(analysis.optimizedVersion.text, {
+      jobDescription,
+      roleProfile: analysis.roleProfile,
+      gapThresholdMonths: analysis.analysis.timeline && analysis.analysis.timeline.gapThresholdMonths
+    });
+    const afterScore = computeScore(describeCvScoringModel(analysis.roleProfile), afterAnalysis);
 
     const improvements = [];
     if (afterAnalysis.keywords.score > analysis.analysis.keywords.score) {
@@ -285,10 +856,19 @@ router.get('/compare/:id', auth, requirePlan(['pro']), async (req, res) => {
       improvements.push('Better technical skills presentation');
     }
 
+    const beforeMatchScore = jobDescription ? analysis.analysis.jobMatch.score : null;
+    const afterMatchScore = jobDescription ? afterAnalysis.jobMatch.score : null;
+    if (jobDescription && afterMatchScore > beforeMatchScore) {
+      improvements.push('Closer match to the job description');
+    }
+
     const comparisonData = {
       beforeScore,
       afterScore,
       improvement: afterScore - beforeScore,
+      jobDescription: jobDescription ? { title: analysis.jobDescription.title } : null,
+      beforeMatchScore,
+      afterMatchScore,
       improvements,
       beforeAnalysis: analysis.analysis,
       afterAnalysis
@@ -298,6 +878,8 @@ router.get('/compare/:id', auth, requirePlan(['pro']), async (req, res) => {
     analysis.comparisonData = {
       beforeScore,
       afterScore,
+      beforeMatchScore,
+      afterMatchScore,
       improvements
     };
     await analysis.save();
@@ -309,166 +891,27 @@ router.get('/compare/:id', auth, requirePlan(['pro']), async (req, res) => {
   }
 });
 
-// ATS Analysis Logic
-async function performATSAnalysis(text) {
-  const analysis = {
-    keywords: await analyzeKeywords(text),
-    formatting: analyzeFormatting(text),
-    content: analyzeContent(text),
-    technical: analyzeTechnicalSkills(text)
-  };
-
-  return analysis;
-}
-
-async function analyzeKeywords(text) {
-  const commonTechKeywords = [
-    'javascript', 'python', 'java', 'react', 'node.js', 'angular', 'vue',
-    'typescript', 'html', 'css', 'sql', 'mongodb', 'postgresql', 'mysql',
-    'aws', 'docker', 'kubernetes', 'git', 'agile', 'scrum', 'rest', 'api',
-    'microservices', 'cloud', 'devops', 'ci/cd', 'testing', 'unit testing',
-    'integration testing', 'tdd', 'bdd', 'redux', 'express', 'spring',
-    'django', 'flask', 'laravel', 'php', 'c++', 'c#', '.net', 'ruby',
-    'rails', 'go', 'rust', 'scala', 'kotlin', 'swift', 'ios', 'android',
-    'mobile', 'responsive', 'bootstrap', 'tailwind', 'sass', 'less',
-    'webpack', 'babel', 'npm', 'yarn', 'jenkins', 'github', 'gitlab',
-    'jira', 'confluence', 'slack', 'team collaboration', 'leadership',
-    'problem solving', 'debugging', 'optimization', 'performance',
-    'security', 'authentication', 'authorization', 'oauth', 'jwt'
-  ];
-
-  const textLower = text.toLowerCase();
-  const found = commonTechKeywords.filter(keyword => 
-    textLower.includes(keyword.toLowerCase())
-  );
-  
-  const missing = commonTechKeywords.filter(keyword => 
-    !textLower.includes(keyword.toLowerCase())
-  ).slice(0, 10); // Top 10 missing keywords
-
-  const score = Math.min(100, (found.length / 20) * 100); // Score based on found keywords
-
-  return { found, missing, score };
-}
-
-function analyzeFormatting(text) {
-  const hasContactInfo = /email|phone|linkedin|github/i.test(text);
-  const hasSkillsSection = /skills|technologies|technical/i.test(text);
-  const hasExperienceSection = /experience|work|employment|position/i.test(text);
-  const hasProperSections = hasContactInfo && hasSkillsSection && hasExperienceSection;
-
-  let score = 0;
-  if (hasContactInfo) score += 25;
-  if (hasSkillsSection) score += 25;
-  if (hasExperienceSection) score += 25;
-  if (hasProperSections) score += 25;
-
-  return {
-    hasProperSections,
-    hasContactInfo,
-    hasSkillsSection,
-    hasExperienceSection,
-    score
-  };
-}
-
-function analyzeContent(text) {
-  const hasQuantifiableAchievements = /\d+%|\d+\+|increased|improved|reduced|achieved/i.test(text);
-  const hasRelevantExperience = /developer|engineer|programmer|software|technical/i.test(text);
-  const hasEducationSection = /education|degree|university|college|bachelor|master/i.test(text);
-  const wordCount = text.split(/\s+/).length;
-
-  let score = 0;
-  if (hasQuantifiableAchievements) score += 30;
-  if (hasRelevantExperience) score += 30;
-  if (hasEducationSection) score += 20;
-  if (wordCount >= 300 && wordCount <= 800) score += 20;
-
-  return {
-    hasQuantifiableAchievements,
-    hasRelevantExperience,
-    hasEducationSection,
-    wordCount,
-    score
-  };
-}
-
-function analyzeTechnicalSkills(text) {
-  const programmingLanguages = ['javascript', 'python', 'java', 'typescript', 'c++', 'c#', 'php', 'ruby', 'go']
-    .filter(lang => text.toLowerCase().includes(lang));
-  
-  const frameworks = ['react', 'angular', 'vue', 'node.js', 'express', 'django', 'flask', 'spring', 'laravel']
-    .filter(fw => text.toLowerCase().includes(fw));
-  
-  const tools = ['git', 'docker', 'kubernetes', 'aws', 'jenkins', 'jira', 'webpack']
-    .filter(tool => text.toLowerCase().includes(tool));
-  
-  const databases = ['mongodb', 'postgresql', 'mysql', 'redis', 'elasticsearch']
-    .filter(db => text.toLowerCase().includes(db));
-
-  const totalSkills = programmingLanguages.length + frameworks.length + tools.length + databases.length;
-  const score = Math.min(100, (totalSkills / 10) * 100);
-
+function describeOptimization(analysis) {
+  const { text, generatedAt, edits, unsupportedSkills } = analysis.optimizedVersion;
   return {
-    programmingLanguages,
-    frameworks,
-    tools,
-    databases,
-    score
+    optimizedContent: text,
+    generatedAt,
+    edits,
+    unsupportedSkills,
+    accepted: edits.filter(edit => edit.status === 'accepted').length
   };
 }
 
-async function generateOptimizedContent(analysis) {
-  // This is a simplified optimization - in production, you'd use AI/ML
-  let optimized = analysis.extractedText;
-  
-  // Add missing keywords strategically
-  const missingKeywords = analysis.analysis.keywords.missing.slice(0, 5);
-  if (missingKeywords.length > 0) {
-    optimized += `\n\nAdditional Technical Skills: ${missingKeywords.join(', ')}`;
-  }
-  
-  // Improve formatting suggestions
-  if (!analysis.analysis.formatting.hasSkillsSection) {
-    optimized += '\n\nTECHNICAL SKILLS\n' + analysis.analysis.technical.programmingLanguages.join(', ');
-  }
-  
-  return optimized;
-}
-
-async function generatePDF(content, user) {
+// Page size and margins come from the template's @page rule
+async function generatePDF(html) {
   const browser = await puppeteer.launch({ headless: 'new' });
-  const page = await browser.newPage();
-  
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 40px; }
-        h1, h2 { color: #333; }
-        .header { text-align: center; margin-bottom: 30px; }
-        .content { white-space: pre-wrap; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>Optimized Resume</h1>
-        <p>Generated by ATS CV Optimizer for ${user.firstName} ${user.lastName}</p>
-      </div>
-      <div class="content">${content}</div>
-    </body>
-    </html>
-  `;
-  
-  await page.setContent(html);
-  const pdfBuffer = await page.pdf({ 
-    format: 'A4',
-    margin: { top: '20px', bottom: '20px', left: '20px', right: '20px' }
-  });
-  
-  await browser.close();
-  return pdfBuffer;
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    return await page.pdf({ preferCSSPageSize: true, printBackground: true });
+  } finally {
+    await browser.close();
+  }
 }
 
 module.exports = router;
@@ -5,12 +5,17 @@ const { body, validationResult } = require('express-validator');
 const { auth, requirePlan } = require('../middleware/auth');
 const User = require('../models/User');
 const LinkedInAnalysis = require('../models/LinkedInAnalysis');
+const { normalizeSkill, getRelatedSkills } = require('../utils/skillTaxonomy');
+const { ROLE_PROFILES, getRoleProfile } = require('../utils/roleProfiles');
+const { performLinkedInAnalysis, describeLinkedInScoringModel } = require('../utils/linkedinAnalyzers');
+const { computeScore } = require('../utils/analyzerRegistry');
 
 const router = express.Router();
 
 // Analyze LinkedIn profile
 router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), [
   body('profileUrl').isURL().withMessage('Valid LinkedIn URL required'),
+  body('roleProfile').optional({ checkFalsy: true }).isIn(Object.keys(ROLE_PROFILES)).withMessage('Unknown role profile'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -18,7 +23,7 @@ router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { profileUrl } = req.body;
+    const { profileUrl, roleProfile } = req.body;
     const user = req.user;
     
     // Check if user can perform LinkedIn scan
@@ -36,6 +41,7 @@ router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), [
     const linkedinAnalysis = new LinkedInAnalysis({
       userId: user._id,
       profileUrl: profileUrl,
+      roleProfile: getRoleProfile(roleProfile).id,
       optimizationScore: 0,
       status: 'analyzing'
     });
@@ -47,7 +53,7 @@ router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), [
       const profileData = await extractLinkedInData(profileUrl);
       
       // Perform optimization analysis
-      const analysis = await performLinkedInAnalysis(profileData);
+      const analysis = await performLinkedInAnalysis(profileData, linkedinAnalysis.roleProfile);
       
       // Update analysis with results
       linkedinAnalysis.profileData = profileData;
@@ -91,6 +97,7 @@ router.post('/analyze', auth, requirePlan(['one-time', 'basic', 'pro']), [
 // Analyze LinkedIn content directly (paste content)
 router.post('/analyze-content', auth, requirePlan(['one-time', 'basic', 'pro']), [
   body('content').isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
+  body('roleProfile').optional({ checkFalsy: true }).isIn(Object.keys(ROLE_PROFILES)).withMessage('Unknown role profile'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,7 +105,7 @@ router.post('/analyze-content', auth, requirePlan(['one-time', 'basic', 'pro']),
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { content, headline, summary } = req.body;
+    const { content, headline, summary, roleProfile } = req.body;
     const user = req.user;
     
     if (!user.canPerformAction('linkedin_scan')) {
@@ -115,6 +122,7 @@ router.post('/analyze-content', auth, requirePlan(['one-time', 'basic', 'pro']),
     const linkedinAnalysis = new LinkedInAnalysis({
       userId: user._id,
       profileUrl: 'manual-content',
+      roleProfile: getRoleProfile(roleProfile).id,
       profileData: {
         headline: headline || '',
         summary: summary || content,
@@ -129,7 +137,7 @@ router.post('/analyze-content', auth, requirePlan(['one-time', 'basic', 'pro']),
     await linkedinAnalysis.save();
 
     // Perform optimization analysis
-    const analysis = await performLinkedInAnalysis(linkedinAnalysis.profileData);
+    const analysis = await performLinkedInAnalysis(linkedinAnalysis.profileData, linkedinAnalysis.roleProfile);
     
     // Update analysis with results
     linkedinAnalysis.analysis = analysis;
@@ -185,7 +193,7 @@ router.get('/history', auth, async (req, res) => {
     const skip = (page - 1) * limit;
 
     const analyses = await LinkedInAnalysis.find({ userId: req.userId })
-      .select('profileUrl optimizationScore status createdAt processingTime')
+      .select('profileUrl optimizationScore roleProfile scoringModel.version rescores status createdAt processingTime')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -266,14 +274,8 @@ router.get('/compare/:id', auth, requirePlan(['pro']), async (req, res) => {
       summary: analysis.optimizedContent.summary
     };
     
-    const afterAnalysis = await performLinkedInAnalysis(optimizedProfileData);
-    const afterScore = Math.round(
-      afterAnalysis.headline.score * 0.25 +
-      afterAnalysis.summary.score * 0.25 +
-      afterAnalysis.experience.score * 0.25 +
-      afterAnalysis.skills.score * 0.15 +
-      afterAnalysis.engagement.score * 0.10
-    );
+    const afterAnalysis = await performLinkedInAnalysis(optimizedProfileData, analysis.roleProfile);
+    const afterScore = computeScore(describeLinkedInScoringModel(analysis.roleProfile), afterAnalysis);
 
     const improvements = [];
     if (afterAnalysis.headline.score > analysis.analysis.headline.score) {
@@ -345,97 +347,6 @@ async function extractLinkedInData(profileUrl) {
   }
 }
 
-async function performLinkedInAnalysis(profileData) {
-  const analysis = {
-    headline: analyzeHeadline(profileData.headline || ''),
-    summary: analyzeSummary(profileData.summary || ''),
-    experience: analyzeExperience(profileData.experience || []),
-    skills: analyzeSkills(profileData.skills || []),
-    engagement: analyzeEngagement(profileData)
-  };
-
-  return analysis;
-}
-
-function analyzeHeadline(headline) {
-  const hasKeywords = /developer|engineer|programmer|software|technical|react|javascript|python|java/i.test(headline);
-  const isCompelling = headline.length > 20 && /\||at|specializing|expert/i.test(headline);
-  const length = headline.length;
-  
-  let score = 0;
-  if (hasKeywords) score += 40;
-  if (isCompelling) score += 30;
-  if (length >= 50 && length <= 120) score += 30;
-
-  return { hasKeywords, isCompelling, length, score };
-}
-
-function analyzeSummary(summary) {
-  const hasCallToAction = /contact|connect|reach out|let's talk/i.test(summary);
-  const hasKeywords = /developer|engineer|experience|skilled|expert|passionate/i.test(summary);
-  const hasAchievements = /\d+%|\d+ years|increased|improved|built|developed/i.test(summary);
-  const length = summary.length;
-  
-  let score = 0;
-  if (hasCallToAction) score += 20;
-  if (hasKeywords) score += 30;
-  if (hasAchievements) score += 30;
-  if (length >= 200 && length <= 2000) score += 20;
-
-  return { hasCallToAction, hasKeywords, hasAchievements, length, score };
-}
-
-function analyzeExperience(experience) {
-  const hasQuantifiableResults = experience.some(exp => 
-    /\d+%|\d+\+|increased|improved|reduced|built \d+/i.test(exp.description || '')
-  );
-  const hasRelevantKeywords = experience.some(exp => 
-    /developer|engineer|software|technical|programming/i.test(exp.title || '')
-  );
-  const isWellStructured = experience.length > 0 && experience.every(exp => 
-    exp.title && exp.company && exp.duration
-  );
-  const count = experience.length;
-  
-  let score = 0;
-  if (hasQuantifiableResults) score += 30;
-  if (hasRelevantKeywords) score += 30;
-  if (isWellStructured) score += 25;
-  if (count >= 2) score += 15;
-
-  return { hasQuantifiableResults, hasRelevantKeywords, isWellStructured, count, score };
-}
-
-function analyzeSkills(skills) {
-  const techSkills = ['javascript', 'python', 'java', 'react', 'node.js', 'angular', 'vue', 'typescript'];
-  const hasRelevantSkills = skills.some(skill => 
-    techSkills.some(tech => skill.toLowerCase().includes(tech))
-  );
-  const hasTechnicalSkills = skills.length >= 5;
-  const count = skills.length;
-  
-  let score = 0;
-  if (hasRelevantSkills) score += 40;
-  if (hasTechnicalSkills) score += 30;
-  if (count >= 10) score += 30;
-
-  return { hasRelevantSkills, hasTechnicalSkills, count, score };
-}
-
-function analyzeEngagement(profileData) {
-  const hasRecentActivity = true; // Mock - would check actual activity
-  const hasRecommendations = true; // Mock - would check recommendations
-  const connectionCount = profileData.connections || 0;
-  
-  let score = 0;
-  if (hasRecentActivity) score += 30;
-  if (hasRecommendations) score += 30;
-  if (connectionCount >= 500) score += 40;
-  else if (connectionCount >= 100) score += 20;
-
-  return { hasRecentActivity, hasRecommendations, connectionCount, score };
-}
-
 async function generateOptimizedLinkedInContent(analysis) {
   try {
     // Validate input
@@ -444,27 +355,30 @@ async function generateOptimizedLinkedInContent(analysis) {
     }
 
     const originalData = analysis.profileData;
+    const profile = getRoleProfile(analysis.roleProfile);
     
     // Generate optimized headline with null checks
     let optimizedHeadline = originalData.headline || '';
     if (analysis.analysis.headline && analysis.analysis.headline.score < 70) {
-      const skills = (originalData.skills && Array.isArray(originalData.skills)) 
+      const skills = (originalData.skills && Array.isArray(originalData.skills) && originalData.skills.length > 0) 
         ? originalData.skills.slice(0, 3).join(', ') 
-        : 'JavaScript, React, Node.js';
-      optimizedHeadline = `Full-Stack Developer | ${skills} | Building Scalable Web Applications`;
+        : (profile.expectedSkills || ['JavaScript', 'React', 'Node.js']).slice(0, 3).join(', ');
+      optimizedHeadline = profile.expectedSkills
+        ? `${profile.headline} | ${skills}`
+        : `Full-Stack Developer | ${skills} | Building Scalable Web Applications`;
     }
     
     // Generate optimized summary with null checks
     let optimizedSummary = originalData.summary || '';
     if (analysis.analysis.summary && analysis.analysis.summary.score < 70) {
-      const experienceYears = (originalData.experience && Array.isArray(originalData.experience)) 
-        ? originalData.experience.length 
-        : 2;
+      const computedYears = analysis.analysis.experience && analysis.analysis.experience.totalYears;
+      const experienceYears = computedYears >= 1 ? Math.floor(computedYears) : 2;
       const skillsList = (originalData.skills && Array.isArray(originalData.skills)) 
         ? originalData.skills.slice(0, 5).join(', ') 
         : 'JavaScript, React, Node.js, Python, SQL';
         
-      optimizedSummary = `Passionate software developer with ${experienceYears}+ years of experience in web development. 
+      const focus = profile.expectedSkills ? profile.name.toLowerCase() : 'web development';
+      optimizedSummary = `Passionate software developer with ${experienceYears}+ years of experience in ${focus}. 
 
 Specialized in: ${skillsList}
 
@@ -478,12 +392,16 @@ Let's connect to discuss opportunities in software development!`;
     
     // Generate skills to add with null checks
     const currentSkills = (originalData.skills && Array.isArray(originalData.skills)) 
-      ? originalData.skills 
+      ? originalData.skills.map(skill => normalizeSkill(skill) || skill)
       : [];
+    // Suggest skills adjacent to what the profile already lists, then general ones
     const skillsToAdd = [
-      'Problem Solving', 'Team Collaboration', 'Agile Development', 
-      'Code Review', 'Technical Documentation', 'API Development'
-    ].filter(skill => !currentSkills.includes(skill)).slice(0, 5);
+      ...getRelatedSkills(currentSkills),
+      'Problem Solving', 'Team Collaboration', 'Agile',
+      'Code Review', 'Technical Documentation', 'REST APIs'
+    ].filter(skill => !currentSkills.includes(skill))
+      .filter((skill, index, all) => all.indexOf(skill) === index)
+      .slice(0, 5);
 
     return {
       headline: optimizedHeadline,
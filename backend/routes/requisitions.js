@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requirePlan } = require('../middleware/auth');
+const { batchUpload } = require('../middleware/batchUpload');
+const Requisition = require('../models/Requisition');
+const CVAnalysis = require('../models/CVAnalysis');
+const { ROLE_PROFILES, getRoleProfile } = require('../utils/roleProfiles');
+const { describeJobPosting } = require('../utils/jobMatcher');
+const { MAX_BATCH_FILES, createAnalysisBatch, summarizeBatch } = require('../utils/batchAnalysis');
+const { rankRequisition, rankingToCSV } = require('../utils/requisitionRanking');
+
+const router = express.Router();
+
+router.use(auth, requirePlan(['basic', 'pro']));
+
+async function findRequisition(req) {
+  return Requisition.findOne({ _id: req.params.id, userId: req.userId });
+}
+
+// Create a requisition from a job description
+router.post('/', [
+  body('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Title is required'),
+  body('jobDescription').isString()
+    .isLength({ min: 50, max: 20000 }).withMessage('Job description must be between 50 and 20000 characters'),
+  body('mustHaves').optional().isArray({ max: 30 }).withMessage('Must-haves must be a list of at most 30 items'),
+  body('mustHaves.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('roleProfile').optional({ checkFalsy: true }).isIn(Object.keys(ROLE_PROFILES)).withMessage('Unknown role profile'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, jobDescription, mustHaves, roleProfile } = req.body;
+    const requisition = await Requisition.create({
+      userId: req.userId,
+      title,
+      jobDescription: describeJobPosting(jobDescription),
+      mustHaves: mustHaves || [],
+      roleProfile: getRoleProfile(roleProfile).id
+    });
+
+    res.status(201).json({ requisition });
+  } catch (error) {
+    console.error('Create requisition error:', error);
+    res.status(500).json({ error: 'Failed to create requisition' });
+  }
+});
+
+// List requisitions
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const requisitions = await Requisition.find({ userId: req.userId })
+      .select('title status jobDescription.title mustHaves candidates createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Requisition.countDocuments({ userId: req.userId });
+
+    res.json({
+      requisitions: requisitions.map(requisition => ({
+        _id: requisition._id,
+        title: requisition.title,
+        status: requisition.status,
+        jobTitle: requisition.jobDescription.title,
+        mustHaves: requisition.mustHaves,
+        candidateCount: requisition.candidates.length,
+        createdAt: requisition.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get requisitions error:', error);
+    res.status(500).json({ error: 'Failed to fetch requisitions' });
+  }
+});
+
+// Requisition with its ranked shortlist
+router.get('/:id', async (req, res) => {
+  try {
+    const requisition = await findRequisition(req);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    res.json({ requisition, ranking: await rankRequisition(requisition) });
+  } catch (error) {
+    console.error('Get requisition error:', error);
+    res.status(500).json({ error: 'Failed to fetch requisition' });
+  }
+});
+
+// Edit title, must-haves, job description or status; the ranking is recomputed on the next read
+router.patch('/:id', [
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('jobDescription').optional().isString()
+    .isLength({ min: 50, max: 20000 }).withMessage('Job description must be between 50 and 20000 characters'),
+  body('mustHaves').optional().isArray({ max: 30 }).withMessage('Must-haves must be a list of at most 30 items'),
+  body('mustHaves.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('status').optional().isIn(['open', 'closed']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requisition = await findRequisition(req);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    const { title, jobDescription, mustHaves, status } = req.body;
+    if (title !== undefined) requisition.title = title;
+    if (jobDescription !== undefined) requisition.jobDescription = describeJobPosting(jobDescription);
+    if (mustHaves !== undefined) requisition.mustHaves = mustHaves;
+    if (status !== undefined) requisition.status = status;
+    await requisition.save();
+
+    res.json({ requisition });
+  } catch (error) {
+    console.error('Update requisition error:', error);
+    res.status(500).json({ error: 'Failed to update requisition' });
+  }
+});
+
+// Delete a requisition; the candidates' analyses stay in their owner's history
+router.delete('/:id', async (req, res) => {
+  try {
+    const requisition = await Requisition.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    res.json({ message: 'Requisition deleted' });
+  } catch (error) {
+    console.error('Delete requisition error:', error);
+    res.status(500).json({ error: 'Failed to delete requisition' });
+  }
+});
+
+// Attach candidates: upload CVs (analyzed against this job description, one plan scan per file)
+// and/or pass analysisIds of CVs already analyzed. Uploads work like a batch upload: any CV file type
+// (see cvFileTypes.js) or ZIP files
+router.post('/:id/candidates', batchUpload('files'), [
+  // Multipart forms send a single id as a plain string
+  body('analysisIds').optional().customSanitizer(value => [].concat(value)).isArray({ max: MAX_BATCH_FILES }),
+  body('analysisIds.*').isMongoId().withMessage('Invalid analysis id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requisition = await findRequisition(req);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    if (requisition.status === 'closed') {
+      return res.status(409).json({ error: 'Requisition is closed' });
+    }
+
+    const files = req.files || [];
+    const analysisIds = req.body.analysisIds || [];
+    if (!files.length && !analysisIds.length) {
+      return res.status(400).json({ error: 'Upload CV files or pass analysisIds' });
+    }
+
+    const attached = new Set(requisition.candidates.map(candidate => String(candidate.analysisId)));
+    const attach = id => {
+      if (attached.has(String(id))) return;
+      attached.add(String(id));
+      requisition.candidates.push({ analysisId: id });
+    };
+
+    const existing = await CVAnalysis.find({ _id: { $in: analysisIds }, userId: req.userId }).select('_id');
+    if (existing.length !== new Set(analysisIds).size) {
+      return res.status(404).json({ error: 'One or more analyses not found' });
+    }
+    existing.forEach(analysis => attach(analysis._id));
+
+    let batch = null;
+    if (files.length) {
+      batch = await createAnalysisBatch(req.user, files, {
+        name: requisition.title,
+        roleProfile: requisition.roleProfile,
+        jobDescription: requisition.jobDescription.text
+      });
+      batch.files.filter(file => file.analysisId).forEach(file => attach(file.analysisId));
+    }
+
+    await requisition.save();
+
+    res.status(files.length ? 202 : 200).json({
+      candidateCount: requisition.candidates.length,
+      batch: batch ? await summarizeBatch(batch) : null
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Add candidates error:', error);
+    res.status(500).json({ error: 'Failed to add candidates' });
+  }
+});
+
+// Detach a candidate
+router.delete('/:id/candidates/:analysisId', async (req, res) => {
+  try {
+    const requisition = await findRequisition(req);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    const before = requisition.candidates.length;
+    requisition.candidates = requisition.candidates
+      .filter(candidate => String(candidate.analysisId) !== req.params.analysisId);
+    if (requisition.candidates.length === before) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    await requisition.save();
+
+    res.json({ candidateCount: requisition.candidates.length });
+  } catch (error) {
+    console.error('Remove candidate error:', error);
+    res.status(500).json({ error: 'Failed to remove candidate' });
+  }
+});
+
+// Export the ranked shortlist (CSV)
+router.get('/:id/export', async (req, res) => {
+  try {
+    const requisition = await findRequisition(req);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    const csv = rankingToCSV(await rankRequisition(requisition));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="requisition-${requisition._id}-ranking.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export requisition error:', error);
+    res.status(500).json({ error: 'Failed to export ranking' });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,11 @@ const linkedinRoutes = require('./routes/linkedin');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const apiRoutes = require('./routes/api');
+const requisitionRoutes = require('./routes/requisitions');
+const { resumeRescoreJobs } = require('./utils/rescoreJobs');
+const { startJobWorker } = require('./utils/jobQueue');
+const { retireDefaultAliases } = require('./utils/skillTaxonomy');
+const { assignLegacyAnalyses } = require('./utils/resumeDocuments');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,7 +44,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ats-cv-op
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+  const retired = await retireDefaultAliases();
+  if (retired > 0) console.log(`Removed retired aliases from ${retired} skill(s)`);
+  const filed = await assignLegacyAnalyses();
+  if (filed > 0) console.log(`Filed ${filed} earlier analyses into resume documents`);
+  startJobWorker();
+  const resumed = await resumeRescoreJobs();
+  if (resumed > 0) console.log(`Resumed ${resumed} re-score job(s)`);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -48,6 +62,7 @@ app.use('/api/cv', cvRoutes);
 app.use('/api/linkedin', linkedinRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/requisitions', requisitionRoutes);
 app.use('/api/v1', apiRoutes);
 
 // Health check endpoint
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  registerAnalyzer,
+  defineScoringModel,
+  describeScoringModel,
+  getWeights,
+  runPipeline,
+  computeScore
+} = require('../utils/analyzerRegistry');
+
+const analyzer = (id, fields) => ({ id, version: 1, inputs: ['text'], weight: 0, output: { score: Number }, ...fields });
+
+test('runs analyzers in model order, feeding earlier results forward and skipping missing inputs', async () => {
+  registerAnalyzer('test-pipeline', analyzer('length', { weight: 0.5, run: ({ text }) => ({ score: Math.min(100, text.length) }) }));
+  registerAnalyzer('test-pipeline', analyzer('double', {
+    version: 2,
+    inputs: ['length'],
+    weight: 0.5,
+    run: ({ length }) => ({ score: length.score / 2 })
+  }));
+  registerAnalyzer('test-pipeline', analyzer('posting', {
+    inputs: ['text', 'jobDescription'],
+    optionalInputs: ['threshold'],
+    run: ({ threshold }) => ({ score: threshold || 0 })
+  }));
+  defineScoringModel('test-pipeline', { version: 4, analyzers: ['length', 'double', 'posting'] });
+
+  const results = await runPipeline('test-pipeline', { text: 'x'.repeat(80) });
+  assert.deepEqual(results, { length: { score: 80 }, double: { score: 40 } });
+  assert.deepEqual(await runPipeline('test-pipeline', { text: 'x', jobDescription: 'y', threshold: 7 }),
+    { length: { score: 1 }, double: { score: 0.5 }, posting: { score: 7 } });
+
+  const model = describeScoringModel('test-pipeline', { double: 0.25, posting: 1 });
+  assert.deepEqual(model, {
+    version: 4,
+    analyzers: [
+      { id: 'length', version: 1, weight: 0.5 },
+      { id: 'double', version: 2, weight: 0.25 },
+      // Informational analyzers keep their zero weight
+      { id: 'posting', version: 1, weight: 0 }
+    ]
+  });
+  assert.deepEqual(getWeights(model), { length: 0.5, double: 0.25 });
+  assert.equal(computeScore(model, results), 50);
+});
+
+test('refuses incomplete analyzers, duplicates and models that use results before they exist', () => {
+  assert.throws(() => registerAnalyzer('test-invalid', { id: 'broken', version: 1 }), /must declare/);
+  registerAnalyzer('test-invalid', analyzer('first', { run: () => ({ score: 0 }) }));
+  assert.throws(() => registerAnalyzer('test-invalid', analyzer('first', { run: () => ({ score: 0 }) })), /already registered/);
+  registerAnalyzer('test-invalid', analyzer('second', { inputs: ['first'], run: () => ({ score: 0 }) }));
+
+  assert.throws(() => defineScoringModel('test-invalid', { version: 1, analyzers: ['second', 'first'] }), /needs first, which must run before it/);
+  assert.throws(() => defineScoringModel('test-invalid', { version: 1, analyzers: ['third'] }), /unknown analyzer third/);
+  assert.throws(() => describeScoringModel('test-invalid'), /No scoring model/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResume } = require('../utils/resumeParser');
+const { buildAtsView } = require('../utils/atsPreview');
+
+test('fills the application form from the parsed CV and explains what is missing', () => {
+  const cv = [
+    'Jane Doe',
+    'Berlin, Germany',
+    '',
+    'Experience',
+    'Senior Engineer, Acme Corp',
+    'Jan 2020 - Present',
+    '- Led billing',
+    '',
+    'Skills',
+    'Python, Docker'
+  ].join('\n');
+  const view = buildAtsView(parseResume(cv), { headerFooterText: ['jane@example.com | +1 555 123 4567'], risks: [] });
+  const fields = Object.fromEntries(view.fields.map(item => [item.key, [item.status, item.value]]));
+
+  assert.deepEqual(fields, {
+    name: ['filled', 'Jane Doe'],
+    email: ['missing', ''],
+    phone: ['missing', ''],
+    location: ['filled', 'Berlin, Germany'],
+    currentTitle: ['filled', 'Senior Engineer'],
+    currentEmployer: ['filled', 'Acme Corp'],
+    linkedin: ['missing', '']
+  });
+  assert.match(view.fields[1].message, /email is in the page header\/footer/);
+  assert.deepEqual(view.skills.values, ['Python', 'Docker']);
+  assert.equal(view.warnings.length, 1);
+  assert.match(view.warnings[0], /No education was extracted/);
+  // A missing LinkedIn URL is reported but does not count against completeness
+  assert.deepEqual(view.summary, { filled: 6, suspect: 0, missing: 3, completeness: 67 });
+});
+
+test('marks fields the parser probably got wrong as suspect', () => {
+  const view = buildAtsView({
+    contact: { name: 'Senior Software Engineer', email: 'jane@example.com', phone: '2018 - 2021' },
+    experience: [{ title: 'Engineer', company: 'Acme', startDate: 'Spring 2019', current: false }],
+    education: [{ institution: 'State University', degree: 'BSc', endDate: '2016' }],
+    skills: ['Python', 'I love building products that customers enjoy']
+  });
+
+  assert.equal(view.fields[0].status, 'suspect');
+  assert.match(view.fields[0].message, /looks like a job title/);
+  assert.equal(view.fields[2].message, '"2018 - 2021" is a date range, not a phone number');
+  assert.deepEqual(view.employers[0].issues, [
+    'Start date "Spring 2019" could not be read as a date',
+    'End date missing; add one or write "Present"'
+  ]);
+  assert.equal(view.schools[0].status, 'filled');
+  assert.deepEqual(view.skills.issues, ['1 skill entry reads like a sentence; list skills as short keywords']);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+const JSZip = require('jszip');
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const AnalysisBatch = require('../models/AnalysisBatch');
+const ResumeDocument = require('../models/ResumeDocument');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { collectFiles, createAnalysisBatch, summarizeBatch, batchToCSV } = require('../utils/batchAnalysis');
+const { batchUpload } = require('../middleware/batchUpload');
+
+const MEGABYTE = 1024 * 1024;
+
+async function zipUpload(name, entries) {
+  const zip = new JSZip();
+  entries.forEach(([fileName, content]) => zip.file(fileName, content));
+  return {
+    originalname: name,
+    mimetype: 'application/zip',
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  };
+}
+
+function textFiles(count, prefix = 'cv') {
+  return Array.from({ length: count }, (_, index) => [`${prefix}-${index}.txt`, `Candidate ${index}`]);
+}
+
+test('unpacks CVs from ZIP archives next to plain uploads', async () => {
+  const files = await collectFiles([
+    { originalname: 'jane.txt', mimetype: 'text/plain', buffer: Buffer.from('Jane Doe') },
+    await zipUpload('cvs.zip', [['cvs/a.md', '# A'], ['__MACOSX/cvs/._a.md', 'x'], ['photo.png', 'x']]),
+    { originalname: 'notes.exe', mimetype: 'application/octet-stream', buffer: Buffer.from('x') }
+  ]);
+  assert.deepEqual(files.map(file => [file.fileName, file.error ? 'error' : file.buffer.toString()]), [
+    ['jane.txt', 'Jane Doe'],
+    ['a.md', '# A'],
+    ['photo.png', 'error'],
+    ['notes.exe', 'error']
+  ]);
+});
+
+test('stops an entry as soon as it inflates past 10MB', async () => {
+  const files = await collectFiles([await zipUpload('bomb.zip', [['big.txt', Buffer.alloc(11 * MEGABYTE)], ['ok.txt', 'fine']])]);
+  assert.deepEqual(files.map(file => file.error || file.buffer.toString()), ['File is larger than 10MB', 'fine']);
+});
+
+test('rejects archives with too many entries before unpacking them', async () => {
+  const files = await collectFiles([await zipUpload('many.zip', textFiles(201))]);
+  assert.deepEqual(files, [{ fileName: 'many.zip', error: 'ZIP archive has more than 200 entries' }]);
+});
+
+test('counts files across the whole upload and stops past the batch limit', async () => {
+  const uploads = [await zipUpload('first.zip', textFiles(30, 'a')), await zipUpload('second.zip', textFiles(30, 'b'))];
+  await assert.rejects(collectFiles(uploads), { status: 400, message: 'A batch can contain at most 50 files' });
+});
+
+test('limits the bytes unpacked from all archives in one upload together', async () => {
+  const chunk = Buffer.alloc(9 * MEGABYTE);
+  const uploads = [
+    await zipUpload('first.zip', Array.from({ length: 6 }, (_, index) => [`a-${index}.txt`, chunk])),
+    await zipUpload('second.zip', Array.from({ length: 6 }, (_, index) => [`b-${index}.txt`, chunk]))
+  ];
+  await assert.rejects(collectFiles(uploads), { status: 400, message: /unpack to at most 100MB/ });
+});
+
+test('refuses batch uploads over the request size limit or without a length', async () => {
+  const app = express();
+  app.post('/upload', batchUpload('files'), (req, res) => res.json({ files: req.files.length }));
+  const server = app.listen(0);
+  const { port } = server.address();
+  const send = headers => new Promise((resolve, reject) => {
+    const request = http.request({ port, path: '/upload', method: 'POST', headers, agent: false }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end();
+  });
+
+  try {
+    assert.equal(await send({ 'Content-Type': 'multipart/form-data; boundary=x', 'Content-Length': String(51 * MEGABYTE) }), 413);
+    assert.equal(await send({ 'Content-Type': 'multipart/form-data; boundary=x', 'Transfer-Encoding': 'chunked' }), 411);
+
+    const form = new FormData();
+    form.append('files', new Blob(['Jane Doe']), 'jane.txt');
+    const response = await fetch(`http://127.0.0.1:${port}/upload`, { method: 'POST', body: form });
+    assert.deepEqual(await response.json(), { files: 1 });
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('queues nothing when the batch cannot be saved', async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(AnalysisBatch.prototype, 'save', async () => {
+    throw new Error('write failed');
+  });
+  mock.method(CVAnalysis, 'countDocuments', async () => 0);
+  const create = mock.method(CVAnalysis, 'create', async () => {
+    throw new Error('no analysis should be created');
+  });
+  const user = new User({ _id: new mongoose.Types.ObjectId(), plan: 'pro' });
+
+  await assert.rejects(
+    createAnalysisBatch(user, [{ originalname: 'jane.txt', mimetype: 'text/plain', buffer: Buffer.from('Jane Doe') }], {}),
+    { message: 'write failed' }
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('keeps batch candidates out of the user\'s resume documents', async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(AnalysisBatch.prototype, 'save', async function () {
+    return this;
+  });
+  mock.method(CVAnalysis, 'countDocuments', async () => 0);
+  const create = mock.method(CVAnalysis, 'create', async fields => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  mock.method(Job, 'create', async fields => fields);
+  mock.method(Job, 'findOneAndUpdate', async () => null);
+  const createDocument = mock.method(ResumeDocument, 'create', async () => {
+    throw new Error('no document should be created');
+  });
+  const user = new User({ _id: new mongoose.Types.ObjectId(), plan: 'pro' });
+
+  const batch = await createAnalysisBatch(user, [
+    { originalname: 'jane.txt', mimetype: 'text/plain', buffer: Buffer.from('Jane Doe') },
+    { originalname: 'john.txt', mimetype: 'text/plain', buffer: Buffer.from('John Doe') }
+  ], {});
+  // Let the queue's drain (scheduled on enqueue) find no job before the mocks go
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(batch.files.length, 2);
+  assert.equal(create.mock.callCount(), 2);
+  create.mock.calls.forEach(call => {
+    assert.equal(String(call.arguments[0].batchId), String(batch._id));
+    assert.equal(call.arguments[0].documentId, undefined);
+  });
+  assert.equal(createDocument.mock.callCount(), 0);
+});
+
+test('summarizes each file\'s result and exports them without spreadsheet formulas', async (t) => {
+  t.after(() => mock.restoreAll());
+  const [done, running, failed, deleted] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+  mock.method(CVAnalysis, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        { _id: done, status: 'completed', atsScore: 72, analysis: { jobMatch: { score: 64 } } },
+        { _id: running, status: 'analyzing', atsScore: 0 },
+        { _id: failed, status: 'failed', atsScore: 0, failureReason: 'Could not read the PDF, "scan.pdf"' }
+      ]
+    })
+  }));
+  const batch = new AnalysisBatch({
+    userId: new mongoose.Types.ObjectId(),
+    name: 'Backend hires',
+    files: [
+      { fileName: '=HYPERLINK("http://evil")', fileType: 'txt', analysisId: done },
+      { fileName: 'john.pdf', fileType: 'pdf', analysisId: running },
+      { fileName: 'scan.pdf', fileType: 'pdf', analysisId: failed },
+      { fileName: 'old.txt', fileType: 'txt', analysisId: deleted },
+      { fileName: 'photo.png', status: 'skipped', error: 'Unsupported file type' }
+    ]
+  });
+
+  const summary = await summarizeBatch(batch);
+
+  assert.equal(summary.status, 'processing');
+  assert.deepEqual(summary.counts, { total: 5, analyzing: 1, completed: 1, failed: 2, skipped: 1 });
+  assert.equal(summary.averageScore, 72);
+  assert.deepEqual(summary.files.map(file => [file.status, file.atsScore, file.jobMatchScore, file.error]), [
+    ['completed', 72, 64, null],
+    ['analyzing', null, null, null],
+    ['failed', null, null, 'Could not read the PDF, "scan.pdf"'],
+    ['failed', null, null, 'Analysis was deleted'],
+    ['skipped', null, null, 'Unsupported file type']
+  ]);
+
+  const lines = batchToCSV(summary).split('\n');
+  assert.equal(lines[0], 'File Name,Status,ATS Score,Job Match Score,Error,Analysis ID');
+  assert.equal(lines[1], `"'=HYPERLINK(""http://evil"")",completed,72,64,,${done}`);
+  assert.equal(lines[3], `scan.pdf,failed,,,"Could not read the PDF, ""scan.pdf""",${failed}`);
+  assert.equal(lines[5], 'photo.png,skipped,,,Unsupported file type,');
+});
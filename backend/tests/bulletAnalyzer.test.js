@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeBullets } = require('../utils/bulletAnalyzer');
+
+const BULLETS = [
+  'Reduced checkout latency by 40% by caching pricing lookups in Redis',
+  'Responsible for the deployment pipeline and release process for all services',
+  'The billing service was migrated to Kubernetes by the platform team last year',
+  'Reduced costs',
+  'Containerised the reporting stack so analysts could self-serve dashboards in minutes'
+];
+
+test('scores each bullet on its verb, metric, voice, length and repetition', () => {
+  const result = analyzeBullets({ experience: [{ title: 'Engineer', company: 'Acme', bullets: BULLETS }] });
+
+  assert.deepEqual(result.items.map(item => ({
+    verb: item.verb,
+    action: item.startsWithActionVerb,
+    weak: item.weakOpener,
+    metric: item.hasMetric,
+    passive: item.isPassive,
+    length: item.lengthIssue,
+    repeated: item.repeatedVerb,
+    score: item.score
+  })), [
+    { verb: 'reduced', action: true, weak: false, metric: true, passive: false, length: null, repeated: true, score: 90 },
+    { verb: 'responsible', action: false, weak: true, metric: false, passive: false, length: null, repeated: false, score: 35 },
+    { verb: 'the', action: false, weak: false, metric: false, passive: true, length: null, repeated: false, score: 35 },
+    { verb: 'reduced', action: true, weak: false, metric: false, passive: false, length: 'short', repeated: true, score: 50 },
+    // Past-tense verbs outside the list still count as actions
+    { verb: 'containerised', action: true, weak: false, metric: false, passive: false, length: null, repeated: false, score: 70 }
+  ]);
+  assert.equal(result.items[0].role, 'Engineer at Acme');
+  assert.match(result.items[1].hints[0], /Replace "Responsible for"/);
+});
+
+test('summarizes the bullets of every role', () => {
+  const result = analyzeBullets({ experience: [{ title: 'Engineer', company: 'Acme', bullets: BULLETS }, { title: 'Intern', bullets: [] }] });
+
+  assert.equal(result.count, 5);
+  assert.equal(result.actionVerbRatio, 0.6);
+  assert.equal(result.metricRatio, 0.2);
+  assert.equal(result.passiveCount, 1);
+  assert.equal(result.weakOpenerCount, 1);
+  assert.deepEqual(result.repeatedVerbs, [{ verb: 'reduced', count: 2 }]);
+  assert.equal(result.score, 56);
+  assert.equal(analyzeBullets({ experience: [] }).score, 0);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateContact, normalizePhone } = require('../utils/contactValidator');
+
+test('normalizes a valid contact card and rejects malformed profile links', () => {
+  const { card, checks, isReachable } = validateContact({
+    contact: {
+      name: 'Jane Doe',
+      email: 'Jane.Doe@Example.com',
+      phone: '+44 (0)7700 900-123',
+      location: 'London, UK',
+      linkedin: 'www.linkedin.com/in/janedoe/',
+      github: 'github.com/jane doe'
+    }
+  }, '');
+
+  assert.deepEqual(card, {
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    phone: '+447700900123',
+    location: 'London, UK',
+    linkedin: 'https://linkedin.com/in/janedoe',
+    github: '',
+    website: ''
+  });
+  assert.deepEqual(checks.map(item => [item.field, item.status]), [
+    ['email', 'valid'], ['phone', 'valid'], ['location', 'valid'], ['linkedin', 'valid'], ['github', 'invalid']
+  ]);
+  assert.equal(isReachable, true);
+});
+
+test('warns about phone numbers without a country code and invalid emails', () => {
+  const { card, checks } = validateContact({ contact: { email: 'jane..doe@example', phone: '555 1234' } }, '');
+
+  assert.deepEqual(checks.map(item => [item.field, item.status]), [['email', 'invalid'], ['phone', 'warning'], ['location', 'missing']]);
+  assert.equal(card.email, '');
+  assert.equal(card.phone, '5551234');
+  assert.deepEqual(normalizePhone('0049 30 1234567'), { normalized: '+49301234567', hasCountryCode: true, digits: 11 });
+});
+
+test('finds personal data and masks it in the excerpt', () => {
+  const text = 'Jane Doe\nDate of birth: 01/02/1990\nMarried, 2 children\nSSN 123-45-6789\n12 Baker Street, London';
+  const { pii } = validateContact({ contact: {} }, text, { source: 'pdf', risks: [{ type: 'images', page: 1 }] });
+
+  assert.deepEqual(pii.map(item => [item.type, item.severity]), [
+    ['date-of-birth', 'medium'],
+    ['marital-status', 'medium'],
+    ['national-id', 'high'],
+    ['street-address', 'low'],
+    ['photo', 'medium']
+  ]);
+  pii.forEach(item => assert.doesNotMatch(item.excerpt, /\d/));
+});
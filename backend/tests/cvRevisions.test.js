@@ -0,0 +1,87 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const ResumeDocument = require('../models/ResumeDocument');
+const { parseResume } = require('../utils/resumeParser');
+const { performATSAnalysis } = require('../utils/cvAnalyzers');
+const { createRevision } = require('../utils/cvRevisions');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com | +44 20 7946 0958 | London, UK',
+  '',
+  'EXPERIENCE',
+  'Software Engineer | Acme Corp',
+  'Jan 2020 - Present',
+  '- Responsible for building the payments API',
+  '- Worked on the search service',
+  '',
+  'SKILLS',
+  'JavaScript, SQL'
+].join('\n');
+
+async function analyzedCv() {
+  const parsedResume = parseResume(CV);
+  const analysis = new CVAnalysis({
+    userId: new mongoose.Types.ObjectId(),
+    originalFileName: 'cv.txt',
+    fileType: 'txt',
+    extractedText: CV,
+    parsedResume,
+    status: 'completed',
+    documentId: new mongoose.Types.ObjectId(),
+    revision: 1
+  });
+  analysis.analysis = await performATSAnalysis(CV, { resume: parsedResume });
+  analysis.calculateATSScore();
+  analysis.generateSuggestions();
+  return analysis;
+}
+
+test('attaches opener edits to the action verb suggestion, all proposed', async () => {
+  const analysis = await analyzedCv();
+  const openers = analysis.suggestions.find(item => item.suggestionId === 'content.start-bullets-with-action-verbs');
+
+  assert.deepEqual(openers.edits.map(edit => [edit.original, edit.replacement]), [
+    ['Responsible for building', 'Built'],
+    ['Worked on', 'Contributed to']
+  ]);
+  openers.edits.forEach(edit => assert.equal(CV.slice(edit.start, edit.end), edit.original));
+  assert.ok(analysis.suggestions.every(item => item.status === 'proposed'));
+});
+
+test('builds the next revision from accepted edits and reports each suggestion\'s score change', async (t) => {
+  t.after(() => mock.restoreAll());
+  const parent = await analyzedCv();
+  const saved = mock.method(CVAnalysis.prototype, 'save', async function () {
+    return this;
+  });
+  mock.method(ResumeDocument, 'findOneAndUpdate', async ({ _id }) => ({ _id, revisionCount: 2 }));
+
+  const openers = parent.suggestions.find(item => item.suggestionId === 'content.start-bullets-with-action-verbs');
+  openers.status = 'accepted';
+  openers.edits[0].status = 'accepted';
+  openers.edits[1].status = 'rejected';
+
+  const result = await createRevision(parent);
+
+  assert.match(result.revision.extractedText, /^- Built the payments API$/m);
+  assert.match(result.revision.extractedText, /^- Worked on the search service$/m);
+  assert.equal(String(result.revision.documentId), String(parent.documentId));
+  assert.equal(result.revision.revision, 2);
+  assert.equal(String(result.revision.parentId), String(parent._id));
+  assert.equal(result.revision.source, 'suggestions');
+  assert.deepEqual(result.changes.map(change => [change.suggestionId, change.edits]),
+    [['content.start-bullets-with-action-verbs', 1]]);
+  assert.equal(result.scoreDelta, result.changes[0].scoreDelta);
+  assert.equal(result.score, result.revision.atsScore);
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(saved.mock.callCount(), 1);
+});
+
+test('refuses to build a revision before any edit is accepted', async () => {
+  const parent = await analyzedCv();
+  await assert.rejects(createRevision(parent), { status: 409, message: /Accept at least one suggestion/ });
+});
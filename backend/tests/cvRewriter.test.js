@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResume } = require('../utils/resumeParser');
+const { proposeRewrites } = require('../utils/cvRewriter');
+const { applyEdits } = require('../utils/textEdits');
+
+// Opener edits for a CV with one experience entry holding the given bullets, keyed by bullet
+function openerRewrites(bullets) {
+  const text = [
+    'Jane Doe',
+    'jane@example.com',
+    '',
+    'EXPERIENCE',
+    'Software Engineer | Acme Corp',
+    'Jan 2020 - Present',
+    ...bullets.map(bullet => `- ${bullet}`)
+  ].join('\n');
+  const edits = proposeRewrites(text, parseResume(text)).edits.filter(edit => edit.kind === 'bullet-opener');
+  // Bullets start on line 6; opener edits are keyed by line
+  return Object.fromEntries(bullets.map((bullet, index) => [bullet, edits.find(edit => edit.editId === `opener-${6 + index}`)]));
+}
+
+test('rewrites "helped" followed by a known verb as a contribution', () => {
+  const edits = openerRewrites([
+    'Helped build the payments API',
+    'Helped to debug flaky integration tests',
+    'Helped ship the billing service'
+  ]);
+  assert.equal(edits['Helped build the payments API'].replacement, 'Contributed to building');
+  assert.equal(edits['Helped to debug flaky integration tests'].replacement, 'Contributed to debugging');
+  assert.equal(edits['Helped ship the billing service'].replacement, 'Contributed to shipping');
+});
+
+test('replaces only "Helped" when the next word may be an object', () => {
+  const edits = openerRewrites([
+    'Helped customers migrate their data',
+    'Helped the team ship the billing service',
+    'Helped senior engineers with code reviews'
+  ]);
+  for (const edit of Object.values(edits)) {
+    assert.equal(edit.original, 'Helped');
+    assert.equal(edit.replacement, 'Supported');
+  }
+});
+
+test('does not overclaim for "worked on"', () => {
+  const edit = openerRewrites(['Worked on the search service'])['Worked on the search service'];
+  assert.equal(edit.replacement, 'Contributed to');
+  assert.deepEqual(edit.alternatives, []);
+});
+
+test('rewrites "tasked with" with or without a leading "was"', () => {
+  const edits = openerRewrites([
+    'Was tasked with migrating the CI pipeline',
+    'Tasked with scoping the reporting feature'
+  ]);
+  assert.equal(edits['Was tasked with migrating the CI pipeline'].original, 'Was tasked with migrating');
+  assert.equal(edits['Was tasked with migrating the CI pipeline'].replacement, 'Migrated');
+  assert.equal(edits['Tasked with scoping the reporting feature'].replacement, 'Scoped');
+});
+
+test('conjugates only known verbs after "responsible for" and "tasked with"', () => {
+  const edits = openerRewrites([
+    'Responsible for everything on the release train',
+    'Responsible for logging infrastructure',
+    'Responsible for building the data platform',
+    'Responsible for meeting quarterly SLAs',
+    'Tasked with taking over the on-call rota',
+    'Tasked with sending weekly status reports',
+    'Tasked with understanding legacy billing code',
+    'Tasked with the warehouse migration'
+  ]);
+  const replacements = Object.fromEntries(Object.entries(edits).map(([bullet, edit]) => [bullet, [edit.original, edit.replacement]]));
+  assert.deepEqual(replacements, {
+    'Responsible for everything on the release train': ['Responsible for', 'Owned'],
+    'Responsible for logging infrastructure': ['Responsible for', 'Owned'],
+    'Responsible for building the data platform': ['Responsible for building', 'Built'],
+    'Responsible for meeting quarterly SLAs': ['Responsible for meeting', 'Met'],
+    'Tasked with taking over the on-call rota': ['Tasked with taking', 'Took'],
+    'Tasked with sending weekly status reports': ['Tasked with sending', 'Sent'],
+    'Tasked with understanding legacy billing code': ['Tasked with understanding', 'Understood'],
+    'Tasked with the warehouse migration': ['Tasked with', 'Owned']
+  });
+});
+
+test('leaves bullets that already open with an action verb alone', () => {
+  const edits = openerRewrites(['Built the payments API serving 2M requests a day']);
+  assert.equal(edits['Built the payments API serving 2M requests a day'], undefined);
+});
+
+test('applies edits inside reordered spans once and skips edits that overlap', () => {
+  const text = 'one\ntwo\nthree';
+  const { text: edited, skipped } = applyEdits(text, [
+    { editId: 'reorder', start: 0, end: 13, segments: [{ start: 8, end: 13 }, { start: 0, end: 3 }, { start: 4, end: 7 }] },
+    { editId: 'capitalize', start: 8, end: 9, replacement: 'T' },
+    { editId: 'append', start: 13, end: 13, replacement: '\nfour' },
+    { editId: 'first', start: 0, end: 3, replacement: 'ONE' },
+    { editId: 'overlap', start: 2, end: 5, replacement: 'x' }
+  ]);
+
+  // The insertion at the end of "three" moves with it
+  assert.equal(edited, 'Three\nfour\nONE\ntwo');
+  assert.deepEqual(skipped.map(edit => edit.editId), ['overlap']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { generateDocx } = require('../utils/docxExport');
+const { inspectDocx } = require('../utils/docxInspector');
+const { resolveExportOptions, buildExportResume } = require('../utils/resumeTemplates');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com | +44 20 7946 0958 | London, UK',
+  '',
+  'Experience',
+  'Senior Engineer, R&D <Payments>',
+  'Jan 2020 - Present',
+  '- Reduced checkout latency by 40%\u0007',
+  '- Led the billing migration',
+  '',
+  'Skills',
+  'Python, PostgreSQL'
+].join('\n');
+
+async function exportCv(choices) {
+  const options = resolveExportOptions(choices);
+  const buffer = await generateDocx(buildExportResume({ extractedText: CV }, { sectionOrder: options.sectionOrder }), options);
+  return { buffer, zip: await JSZip.loadAsync(buffer) };
+}
+
+test('writes a Word file our own ATS check passes, with styled headings and no layout risks', async () => {
+  const { buffer } = await exportCv({ template: 'modern' });
+  const { text, layout } = await inspectDocx(buffer);
+
+  assert.match(text, /Jane Doe/);
+  assert.match(text, /Senior Engineer\s+Jan 2020 – Present/);
+  assert.match(text, /R&D <Payments>/);
+  assert.match(text, /Reduced checkout latency by 40%\s+Led the billing migration/);
+  assert.equal(layout.columns, 1);
+  assert.equal(layout.tables, 0);
+  assert.equal(layout.headerFooterText.length, 0);
+  assert.deepEqual(layout.risks, []);
+  assert.ok(layout.headingStyles.styled >= 2);
+});
+
+test('carries the template\'s font, colour, page size and margins into the package', async () => {
+  const { zip } = await exportCv({ template: 'classic', accentColor: '#0f766e', pageSize: 'Letter', margins: 'narrow' });
+  const documentXml = await zip.file('word/document.xml').async('string');
+  const stylesXml = await zip.file('word/styles.xml').async('string');
+
+  assert.match(documentXml, /<w:pgSz w:w="12240" w:h="15840"\/>/);
+  assert.match(documentXml, /<w:pgMar w:top="680"/);
+  assert.match(documentXml, /<w:pStyle w:val="ListBullet"\/><w:numPr>/);
+  // Control characters are dropped, not written into the XML
+  assert.doesNotMatch(documentXml, /\u0007/);
+  assert.match(stylesXml, /w:ascii="Georgia"/);
+  assert.match(stylesXml, /<w:color w:val="0F766E"\/>/);
+  assert.match(stylesXml, /<w:caps\/>/);
+  assert.match(stylesXml, /<w:jc w:val="center"\/>/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { inspectDocx } = require('../utils/docxInspector');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const paragraph = (text, { style, bold } = {}) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t>${text}</w:t></w:r></w:p>`;
+
+// Minimal Word package: body XML plus optional header and comments parts
+async function buildDocx(body, { header, comments } = {}) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>${body}</w:body></w:document>`);
+  if (header) zip.file('word/header1.xml', `<?xml version="1.0" encoding="UTF-8"?><w:hdr ${W}>${paragraph(header)}</w:hdr>`);
+  if (comments) {
+    zip.file('word/comments.xml', `<?xml version="1.0" encoding="UTF-8"?><w:comments ${W}>${
+      comments.map((text, index) => `<w:comment w:id="${index}">${paragraph(text)}</w:comment>`).join('')}</w:comments>`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('passes a document with styled headings and plain paragraphs', async () => {
+  const { text, layout } = await inspectDocx(await buildDocx([
+    paragraph('Jane Doe', { style: 'Title' }),
+    paragraph('Experience', { style: 'Heading1' }),
+    paragraph('Engineer at Acme, 2019 - Present')
+  ].join('')));
+
+  assert.match(text, /Jane Doe\s+Experience\s+Engineer at Acme/);
+  assert.deepEqual(layout.headingStyles, { styled: 2, manual: 0 });
+  assert.deepEqual(layout.risks, []);
+  assert.equal(layout.penalty, 0);
+});
+
+test('flags tables, columns, header contact details, hand-made headings and review leftovers', async () => {
+  const cell = text => `<w:tc>${paragraph(text)}</w:tc>`;
+  const { layout } = await inspectDocx(await buildDocx([
+    paragraph('EXPERIENCE'),
+    `<w:tbl><w:tr>${cell('Acme')}${cell('Engineer at Acme building billing services')}</w:tr></w:tbl>`,
+    paragraph('Skills', { bold: true }),
+    `<w:p><w:ins w:id="1"><w:r><w:t>Kubernetes</w:t></w:r></w:ins></w:p>`,
+    '<w:sectPr><w:cols w:num="2"/></w:sectPr>'
+  ].join(''), { header: 'jane@example.com', comments: ['Add dates?'] }));
+
+  assert.equal(layout.columns, 2);
+  assert.equal(layout.tables, 1);
+  assert.deepEqual(layout.headerFooterText, ['jane@example.com']);
+  assert.deepEqual(layout.headingStyles, { styled: 0, manual: 2 });
+  assert.deepEqual(layout.risks.map(risk => [risk.type, risk.severity]), [
+    ['multi-column', 'high'],
+    ['table', 'high'],
+    ['header-footer', 'high'],
+    ['manual-headings', 'medium'],
+    ['tracked-changes', 'medium'],
+    ['comments', 'medium']
+  ]);
+  assert.equal(layout.penalty, 40);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildTimeline,
+  inferSeniority,
+  getSeniorityBand,
+  getSectionExpectations,
+  checkTimelineConsistency
+} = require('../utils/experienceTimeline');
+const { getRoleProfile } = require('../utils/roleProfiles');
+
+const NOW = new Date(2024, 5, 15);
+
+test('counts professional years once across overlapping roles and without internships', () => {
+  const timeline = buildTimeline([
+    { title: 'Software Engineer', company: 'Acme', startDate: 'Jan 2020', current: true, text: 'Built Python services on PostgreSQL' },
+    { title: 'Developer', company: 'Globex', startDate: 'Jan 2017', endDate: 'Jun 2020', text: 'Python and Docker' },
+    { title: 'Software Engineering Intern', company: 'Initech', startDate: 'Jun 2016', endDate: 'Aug 2016', text: 'Java' }
+  ], { now: NOW });
+
+  assert.equal(timeline.totalMonths, 90);
+  assert.equal(timeline.totalYears, 7.5);
+  assert.equal(timeline.seniority, 'senior');
+  assert.deepEqual(timeline.entries.map(entry => [entry.start, entry.end, entry.internship]), [
+    ['2020-01', '2024-06', false],
+    ['2017-01', '2020-06', false],
+    ['2016-06', '2016-08', true]
+  ]);
+  assert.deepEqual(timeline.skillYears, [
+    { skill: 'Python', years: 7.5 },
+    { skill: 'PostgreSQL', years: 4.5 },
+    { skill: 'Docker', years: 3.5 }
+  ]);
+});
+
+test('lets the latest title lift the band by one step at most', () => {
+  assert.equal(inferSeniority(3, 'Senior Engineer').id, 'senior');
+  assert.equal(inferSeniority(1, 'Principal Engineer').id, 'mid');
+  assert.equal(inferSeniority(12, 'Intern').id, 'staff');
+});
+
+test('shifts section expectations with seniority', () => {
+  assert.deepEqual(getSectionExpectations(getRoleProfile('backend'), getSeniorityBand('entry')), {
+    required: ['experience', 'skills', 'education'],
+    recommended: ['projects']
+  });
+  // Senior engineers are not marked down for leaving education out
+  assert.deepEqual(getSectionExpectations(getRoleProfile('embedded'), getSeniorityBand('senior')), {
+    required: ['experience', 'skills'],
+    recommended: ['projects', 'education']
+  });
+});
+
+test('flags gaps past the threshold but not side work or study', () => {
+  const resume = {
+    experience: [
+      { title: 'Engineer', company: 'Acme', startDate: 'Jan 2021', current: true },
+      { title: 'Freelance Developer', company: 'Self', startDate: 'Mar 2021', endDate: 'Dec 2021' },
+      { title: 'Developer', company: 'Globex', startDate: 'Jan 2018', endDate: 'Jun 2019' }
+    ],
+    education: [{ degree: 'BSc', institution: 'State', startDate: 'Sep 2013', endDate: 'Jun 2017' }]
+  };
+
+  assert.deepEqual(checkTimelineConsistency(resume, { now: NOW }).issues, [{
+    type: 'gap',
+    severity: 'high',
+    message: '18-month gap between 2019-06 and 2021-01',
+    start: '2019-07',
+    end: '2020-12',
+    months: 18
+  }]);
+  assert.deepEqual(checkTimelineConsistency(resume, { now: NOW, gapThresholdMonths: 24 }).issues, []);
+});
+
+test('flags future dates, open ranges, overlapping full-time roles and mixed formats', () => {
+  const result = checkTimelineConsistency({
+    experience: [
+      { title: 'Engineer', company: 'Acme', startDate: '03/2022', current: true },
+      { title: 'Developer', company: 'Globex', startDate: 'Jan 2018', endDate: 'Jun 2021' },
+      { title: 'Consultant', company: 'Hooli', startDate: 'Jan 2021', endDate: 'Dec 2021' },
+      { title: 'Engineer', company: 'Future', startDate: 'Jan 2026', endDate: 'Feb 2026' },
+      { title: 'Analyst', company: 'Umbrella', startDate: '2015' }
+    ],
+    education: [{ degree: 'BSc', institution: 'State', startDate: '2013', endDate: '2017' }]
+  }, { now: NOW });
+
+  assert.deepEqual(result.issues.map(issue => issue.type),
+    ['future-date', 'future-date', 'missing-end-date', 'overlap', 'inconsistent-format']);
+  assert.equal(result.issues[3].message, 'Developer at Globex and Consultant at Hooli overlap by 6 months');
+  assert.deepEqual(result.dateFormats, ['numeric', 'month-name', 'year']);
+  assert.equal(result.score, 35);
+});
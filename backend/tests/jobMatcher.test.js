@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJobRequirements, matchJobRequirements } = require('../utils/jobMatcher');
+
+const POSTING = `Senior Backend Engineer
+
+Requirements:
+- 5+ years of professional software development
+- Strong Python and PostgreSQL
+- Docker or Kubernetes
+
+Nice to have:
+- Terraform
+
+Responsibilities:
+- Design REST APIs for our payments platform`;
+
+test('reads required and preferred skills, years and seniority from a posting', () => {
+  const posting = extractJobRequirements(POSTING);
+  assert.equal(posting.title, 'Senior Backend Engineer');
+  assert.deepEqual(posting.seniority, ['senior']);
+  assert.equal(posting.minYearsExperience, 5);
+  assert.deepEqual(posting.requiredSkills, ['Python', 'PostgreSQL', 'Docker', 'Kubernetes', 'REST APIs']);
+  assert.deepEqual(posting.preferredSkills, ['Terraform']);
+  assert.deepEqual(posting.requirements.map(requirement => requirement.type),
+    ['seniority', 'skill', 'skill', 'skill', 'responsibility']);
+});
+
+test('scores each requirement with the CV line that meets it', () => {
+  const cv = [
+    'Jane Doe',
+    'Backend engineer with 6 years of experience.',
+    '- Built Python services on PostgreSQL and Docker',
+    '- Designed REST APIs for the payments platform'
+  ].join('\n');
+  const match = matchJobRequirements(cv, extractJobRequirements(POSTING));
+
+  // "Docker or Kubernetes" is met by either; only the preferred Terraform is missing
+  assert.deepEqual(match.requirements.map(requirement => requirement.matched), [true, true, true, false, true]);
+  assert.equal(match.requirements[2].evidence, '- Built Python services on PostgreSQL and Docker');
+  assert.deepEqual(match.requiredSkillsMissing, ['Kubernetes']);
+  assert.deepEqual(match.preferredSkillsMissing, ['Terraform']);
+  assert.equal(match.score, 91);
+  assert.equal(match.rules.length, 5);
+});
+
+test('accepts years from the dated timeline when the CV does not state them', () => {
+  const requirements = extractJobRequirements('Requirements:\n- 5+ years of professional software development');
+  const cv = 'Software engineer building payment systems';
+  assert.equal(matchJobRequirements(cv, requirements).requirements[0].matched, false);
+  assert.equal(matchJobRequirements(cv, requirements, { yearsOfExperience: 7 }).requirements[0].matched, true);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { registerJobHandler, permanentError, enqueueJob, processJobs } = require('../utils/jobQueue');
+
+const failures = [];
+registerJobHandler('test-ok', async (job, reportProgress) => {
+  await reportProgress('parsing', 40);
+});
+registerJobHandler('test-flaky', async () => {
+  throw new Error('Parser timed out');
+}, async (job, error) => failures.push([job.type, error.message]));
+registerJobHandler('test-broken', async () => {
+  throw permanentError('Unreadable file');
+}, async (job, error) => failures.push([job.type, error.message]));
+
+// Claimed jobs as findOneAndUpdate hands them out, after attempts was incremented
+function claimed(type, attempts) {
+  return new Job({ type, userId: new mongoose.Types.ObjectId(), status: 'running', attempts });
+}
+
+function mockStore(t, jobs) {
+  const updates = [];
+  const queue = [...jobs];
+  mock.method(Job, 'findOneAndUpdate', async () => queue.shift() || null);
+  mock.method(Job, 'updateOne', async (filter, update) => {
+    updates.push([String(filter._id), update]);
+    return { modifiedCount: 1 };
+  });
+  mock.method(console, 'error', () => {});
+  t.after(() => mock.restoreAll());
+  return updates;
+}
+
+test('runs claimed jobs until none are due, recording progress and completion', async t => {
+  const job = claimed('test-ok', 1);
+  const updates = mockStore(t, [job]);
+
+  await processJobs();
+
+  assert.equal(Job.findOneAndUpdate.mock.callCount(), 2);
+  assert.deepEqual(updates.map(([id]) => id), [String(job._id), String(job._id)]);
+  assert.equal(updates[0][1].stage, 'parsing');
+  assert.equal(updates[0][1].progress, 40);
+  assert.equal(updates[1][1].status, 'completed');
+  assert.deepEqual(updates[1][1].$unset, { file: 1, lockedAt: 1, lockedBy: 1 });
+});
+
+test('requeues failed attempts with growing backoff, then fails and calls the failure hook', async t => {
+  failures.length = 0;
+  const updates = mockStore(t, [claimed('test-flaky', 2), claimed('test-flaky', 3)]);
+  const before = Date.now();
+
+  await processJobs();
+
+  const [retry, final] = updates.map(([, update]) => update);
+  assert.equal(retry.status, 'queued');
+  assert.equal(retry.lastError, 'Parser timed out');
+  // Second attempt waits 5s * 2^2
+  assert.ok(retry.runAt.getTime() >= before + 20000 && retry.runAt.getTime() <= Date.now() + 20000);
+  assert.equal(final.status, 'failed');
+  assert.equal(final.failureReason, 'Parser timed out');
+  assert.deepEqual(failures, [['test-flaky', 'Parser timed out']]);
+});
+
+test('does not retry permanent errors', async t => {
+  failures.length = 0;
+  const updates = mockStore(t, [claimed('test-broken', 1)]);
+
+  await processJobs();
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0][1].status, 'failed');
+  assert.deepEqual(failures, [['test-broken', 'Unreadable file']]);
+});
+
+test('only enqueues job types that have a handler and starts processing right away', async t => {
+  const updates = mockStore(t, []);
+  mock.method(Job, 'create', async fields => new Job(fields));
+
+  await assert.rejects(enqueueJob('test-unknown', {}), /No handler registered for test-unknown jobs/);
+  const job = await enqueueJob('test-ok', { userId: new mongoose.Types.ObjectId() });
+  assert.equal(job.status, 'queued');
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(Job.findOneAndUpdate.mock.callCount(), 1);
+  assert.equal(updates.length, 0);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonResume, jsonResumeToText, toJsonResume } = require('../utils/jsonResume');
+const { buildExportResume } = require('../utils/resumeTemplates');
+
+function exportJsonResume(text) {
+  return toJsonResume(buildExportResume({ extractedText: text }));
+}
+
+function cvWithEducation(line) {
+  return [
+    'Jane Doe',
+    'jane@example.com | London, UK',
+    '',
+    'EDUCATION',
+    line,
+    'Sep 2015 - Jun 2019'
+  ].join('\n');
+}
+
+test('splits the degree from its field whatever joins them', () => {
+  const cases = {
+    'BSc in Computer Science | University of Leeds': 'BSc',
+    'BSc Computer Science | University of Leeds': 'BSc',
+    'Bachelor of Science in Computer Science | University of Leeds': 'Bachelor of Science',
+    'Master of Engineering in Software Engineering | University of Leeds': 'Master of Engineering'
+  };
+  for (const [line, studyType] of Object.entries(cases)) {
+    const [education] = exportJsonResume(cvWithEducation(line)).education;
+    assert.equal(education.studyType, studyType, line);
+    assert.equal(education.area, /Software/.test(line) ? 'Software Engineering' : 'Computer Science', line);
+  }
+});
+
+test('education survives a JSON Resume round trip', () => {
+  for (const line of ['BSc Computer Science | University of Leeds', 'Bachelor of Science in Computer Science | University of Leeds']) {
+    const exported = exportJsonResume(cvWithEducation(line));
+    const imported = parseJsonResume(Buffer.from(JSON.stringify(exported)));
+    const reexported = exportJsonResume(jsonResumeToText(imported));
+    assert.deepEqual(reexported.education, exported.education, line);
+  }
+});
+
+test('imports a JSON Resume as CV text the parser reads back', () => {
+  const resume = parseJsonResume(Buffer.from(`﻿${JSON.stringify({
+    basics: {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      location: { city: 'London', countryCode: 'GB' },
+      profiles: [{ network: 'GitHub', url: 'https://github.com/janedoe' }]
+    },
+    work: [{
+      name: 'Acme Corp',
+      position: 'Senior Engineer',
+      startDate: '2020-01',
+      highlights: ['Reduced checkout latency by 40%']
+    }],
+    skills: [{ name: 'Backend', keywords: ['Python', 'PostgreSQL'] }],
+    languages: [{ language: 'German', fluency: 'B2' }]
+  })}`));
+
+  const text = jsonResumeToText(resume);
+  assert.match(text, /^Jane Doe\n+jane@example\.com\nLondon, GB\nhttps:\/\/github\.com\/janedoe\n/);
+  assert.match(text, /\nExperience\nSenior Engineer \| Acme Corp\nJan 2020 - Present\n- Reduced checkout latency by 40%\n/);
+  assert.match(text, /\nSkills\nBackend: Python, PostgreSQL\n/);
+  assert.match(text, /\nLanguages\n- German \(B2\)\n$/);
+
+  const exported = exportJsonResume(text);
+  assert.deepEqual(exported.work, [{ name: 'Acme Corp', position: 'Senior Engineer', startDate: '2020-01', highlights: ['Reduced checkout latency by 40%'] }]);
+  assert.equal(exported.basics.email, 'jane@example.com');
+  assert.deepEqual(exported.basics.profiles, [{ network: 'GitHub', username: 'janedoe', url: 'https://github.com/janedoe' }]);
+});
+
+test('rejects uploads that are not JSON Resumes', () => {
+  assert.throws(() => parseJsonResume(Buffer.from('{ name: Jane }')), { status: 400, message: 'resume.json is not valid JSON' });
+  assert.throws(() => parseJsonResume(Buffer.from('{"name":"Jane"}')), { status: 400, message: /not a JSON Resume/ });
+  assert.throws(() => parseJsonResume(Buffer.from('[]')), { status: 400 });
+});
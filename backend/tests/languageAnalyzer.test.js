@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeLanguage } = require('../utils/languageAnalyzer');
+const { attachSuggestionEdits } = require('../utils/suggestionEdits');
+const { parseResume } = require('../utils/resumeParser');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com',
+  '',
+  'EXPERIENCE',
+  'Platform Engineer | Acme Corp',
+  'Jan 2020 - Present',
+  '- Reconciled the general ledger nightly and cut network jitter for the dental clinic app',
+  '- Improved managment reporting and recieved an award for the courier integration',
+  '- Shipped the the release on time'
+].join('\n');
+
+function languageOf(text) {
+  return analyzeLanguage(text, parseResume(text));
+}
+
+test('known misspellings and repeated words are fixable issues', () => {
+  const { issues } = languageOf(CV);
+  const spelling = issues.filter(issue => issue.type === 'spelling').map(issue => [issue.text, issue.suggestions[0]]);
+  assert.deepEqual(spelling, [['managment', 'management'], ['recieved', 'received']]);
+  assert.ok(issues.some(issue => issue.type === 'repeated-word' && issue.text === 'the the'));
+});
+
+test('words missing from the dictionary are only hints', () => {
+  const { issues, counts } = languageOf(CV);
+  const hints = issues.filter(issue => issue.type === 'possible-typo');
+  assert.ok(hints.some(issue => issue.text === 'ledger'));
+  hints.forEach(issue => assert.equal(issue.severity, 'low'));
+  assert.equal(counts.possibleTypos, hints.length);
+  assert.ok(!issues.some(issue => issue.type === 'spelling' && ['ledger', 'jitter', 'dental', 'courier'].includes(issue.text)));
+});
+
+test('only misspellings from the known list become spelling edits', () => {
+  const issues = languageOf(CV).issues;
+  const suggestions = attachSuggestionEdits(
+    [{ category: 'language', priority: 'high', title: 'Fix Spelling Mistakes', description: '', impact: 4 }],
+    { extractedText: CV, analysis: { language: { issues } } },
+    parseResume(CV)
+  );
+  const originals = suggestions[0].edits.map(edit => edit.original);
+  assert.deepEqual(originals.sort(), ['managment', 'recieved', 'the the']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inspectPdf } = require('../utils/pdfInspector');
+
+// One-page US Letter PDF in Helvetica; lines are [x, y, text] in points from the bottom left
+function buildPdf(lines) {
+  const stream = lines.map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf);
+}
+
+const rows = (count, build) => Array.from({ length: count }, (_, index) => build(index, 700 - index * 14));
+
+test('passes a plain single-column PDF with standard fonts', async () => {
+  const { text, layout } = await inspectPdf(buildPdf([
+    [72, 700, 'Jane Doe'],
+    [72, 686, 'Experience'],
+    [72, 672, 'Engineer at Acme, 2019 - Present'],
+    [72, 658, 'Built billing services in Node.js']
+  ]));
+
+  assert.match(text, /Jane Doe\nExperience\nEngineer at Acme/);
+  assert.deepEqual([layout.columns, layout.tables, layout.fonts, layout.risks, layout.penalty], [1, 0, ['Helvetica'], [], 0]);
+});
+
+test('flags side-by-side columns and contact details in the page header', async () => {
+  const { layout } = await inspectPdf(buildPdf([
+    [72, 770, 'jane@example.com | +1 555 123 4567'],
+    ...rows(8, (index, y) => [40, y, `Skill ${index}`]),
+    ...rows(8, (index, y) => [300, y - 7, `Built service number ${index} for billing`])
+  ]));
+
+  assert.equal(layout.columns, 2);
+  assert.deepEqual(layout.headerFooterText, ['jane@example.com | +1 555 123 4567']);
+  assert.deepEqual(layout.risks.map(risk => [risk.type, risk.severity]), [['multi-column', 'high'], ['header-footer', 'high']]);
+  assert.equal(layout.penalty, 30);
+});
+
+test('flags rows of aligned cells as a table rather than columns', async () => {
+  const { layout } = await inspectPdf(buildPdf(
+    rows(4, (index, y) => [[72, y, `Company ${index}`], [250, y, `Role ${index}`], [450, y, `${2016 + index}`]]).flat()
+  ));
+
+  assert.equal(layout.columns, 1);
+  assert.equal(layout.tables, 1);
+  assert.deepEqual(layout.risks.map(risk => risk.type), ['table']);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const { describeJobPosting } = require('../utils/jobMatcher');
+const { rankRequisition, rankingToCSV } = require('../utils/requisitionRanking');
+
+const JOB_DESCRIPTION = `Senior Backend Engineer
+We are looking for a backend engineer with 5+ years of experience.
+Requirements:
+- Strong experience with Python and PostgreSQL
+- Experience running services on Kubernetes
+Nice to have:
+- Terraform`;
+
+function cv(name, contact, roles, skills) {
+  return [
+    name,
+    contact,
+    '',
+    'Experience',
+    ...roles.flatMap(([title, dates, bullet]) => [title, dates, `- ${bullet}`, '']),
+    'Skills',
+    skills
+  ].join('\n');
+}
+
+function completed(fileName, atsScore, extractedText) {
+  return { _id: new mongoose.Types.ObjectId(), originalFileName: fileName, status: 'completed', atsScore, extractedText };
+}
+
+const ANN = completed('ann.pdf', 80, cv('Ann Lee', 'ann@example.com',
+  [['Senior Engineer, Globex', 'Jan 2016 - Present', 'Ran Python services on k8s with PostgreSQL, on-call weekly']],
+  'Python, PostgreSQL, Terraform'));
+const BOB = completed('bob.pdf', 70, cv('Bob Stone', 'bob@example.com',
+  [['Backend Engineer, Acme', 'Jan 2017 - Present', 'Built Python services on PostgreSQL']],
+  'Python, PostgreSQL'));
+const CAL = completed('cal.pdf', 60, cv('Cal Diaz', '', [
+  ['Engineer, Initech', 'Jan 2023 - Jun 2023', 'Python on Kubernetes'],
+  ['Engineer, Hooli', 'Jan 2022 - Aug 2022', 'PostgreSQL'],
+  ['Engineer, Umbrella', 'Jan 2021 - Jul 2021', 'Python']
+], 'Python, PostgreSQL, Kubernetes'));
+const DEE = { _id: new mongoose.Types.ObjectId(), originalFileName: 'dee.pdf', status: 'failed', failureReason: 'Unreadable file' };
+
+function requisition(t, analyses, mustHaves = []) {
+  mock.method(CVAnalysis, 'find', () => ({ select: async () => analyses }));
+  t.after(() => mock.restoreAll());
+  return {
+    jobDescription: describeJobPosting(JOB_DESCRIPTION),
+    mustHaves,
+    candidates: analyses.map(analysis => ({ analysisId: analysis._id }))
+  };
+}
+
+test('ranks candidates with every must-have first and lists unfinished CVs apart', async t => {
+  const ranking = await rankRequisition(requisition(t, [BOB, ANN, CAL, DEE]));
+
+  // Without explicit must-haves the posting's required skills are used
+  assert.deepEqual(ranking.mustHaves, ['Python', 'PostgreSQL', 'Kubernetes']);
+  assert.deepEqual(ranking.shortlist.map(candidate => [candidate.rank, candidate.candidateName]),
+    [[1, 'Ann Lee'], [2, 'Cal Diaz'], [3, 'Bob Stone']]);
+  assert.deepEqual(ranking.shortlist[2].mustHaves, { matched: ['Python', 'PostgreSQL'], missing: ['Kubernetes'], coverage: 67 });
+  // Bob matches as well as Cal but lacks a must-have
+  assert.ok(ranking.shortlist[2].matchScore >= ranking.shortlist[1].matchScore);
+  assert.deepEqual(ranking.pending, [{ analysisId: DEE._id, fileName: 'dee.pdf', status: 'failed', error: 'Unreadable file' }]);
+});
+
+test('flags missing must-haves, thin experience, job hopping and missing contact details', async t => {
+  const ranking = await rankRequisition(requisition(t, [ANN, BOB, CAL]));
+  const flags = Object.fromEntries(ranking.shortlist.map(candidate => [candidate.candidateName, candidate.redFlags.map(flag => flag.type)]));
+
+  assert.deepEqual(flags['Ann Lee'], []);
+  assert.deepEqual(flags['Bob Stone'], ['missing-must-have']);
+  ['under-experienced', 'short-tenures', 'no-contact'].forEach(type => assert.ok(flags['Cal Diaz'].includes(type), type));
+  assert.equal(ranking.shortlist[1].redFlags.find(flag => flag.type === 'short-tenures').message, '3 of the last 3 roles lasted under a year');
+});
+
+test('matches skill must-haves through aliases and other must-haves as phrases', async t => {
+  const ranking = await rankRequisition(requisition(t, [ANN, BOB], ['Kubernetes', 'on-call']));
+
+  assert.deepEqual(ranking.shortlist.map(candidate => [candidate.candidateName, candidate.mustHaves.missing]),
+    [['Ann Lee', []], ['Bob Stone', ['Kubernetes', 'on-call']]]);
+
+  const lines = rankingToCSV(ranking).split('\n');
+  assert.equal(lines[0], 'Rank,Candidate,File Name,Match Score,Must-Have Coverage,Missing Must-Haves,Relevant Years,Total Years,ATS Score,Red Flags,Analysis ID');
+  assert.match(lines[2], /^2,Bob Stone,bob\.pdf,\d+,0%,Kubernetes; on-call,[\d.]+,[\d.]+,70,"Missing must-haves: Kubernetes, on-call",/);
+});
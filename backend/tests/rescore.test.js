@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const { parseResume } = require('../utils/resumeParser');
+const { performATSAnalysis } = require('../utils/cvAnalyzers');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com | +44 20 7946 0958 | London, UK',
+  '',
+  'EXPERIENCE',
+  'Software Engineer | Acme Corp',
+  'Jan 2020 - Present',
+  '- Responsible for building the payments API',
+  '- Worked on the search service',
+  '- Helped to debug flaky integration tests',
+  '',
+  'SKILLS',
+  'JavaScript, SQL'
+].join('\n');
+
+async function analyzedCv() {
+  const parsedResume = parseResume(CV);
+  const analysis = new CVAnalysis({
+    userId: new mongoose.Types.ObjectId(),
+    originalFileName: 'cv.txt',
+    fileType: 'txt',
+    extractedText: CV,
+    parsedResume,
+    status: 'completed'
+  });
+  analysis.analysis = await performATSAnalysis(CV, { resume: parsedResume });
+  analysis.calculateATSScore();
+  analysis.generateSuggestions();
+  return analysis;
+}
+
+test('re-scoring keeps accepted and rejected suggestions and edits', async () => {
+  const analysis = await analyzedCv();
+  const openers = analysis.suggestions.find(item => item.suggestionId === 'content.start-bullets-with-action-verbs');
+  assert.ok(openers && openers.edits.length >= 2, 'expected opener edits to decide on');
+
+  openers.status = 'accepted';
+  openers.edits[0].status = 'accepted';
+  openers.edits[0].replacement = 'Designed and built';
+  openers.edits[0].modified = true;
+  openers.edits[1].status = 'rejected';
+  const rejected = analysis.suggestions.find(item => item !== openers);
+  if (rejected) rejected.status = 'rejected';
+
+  await analysis.rescore(new mongoose.Types.ObjectId());
+
+  const after = analysis.suggestions.find(item => item.suggestionId === 'content.start-bullets-with-action-verbs');
+  assert.equal(after.status, 'accepted');
+  assert.equal(after.edits[0].status, 'accepted');
+  assert.equal(after.edits[0].replacement, 'Designed and built');
+  assert.equal(after.edits[0].modified, true);
+  assert.equal(after.edits[1].status, 'rejected');
+  if (rejected) {
+    assert.equal(analysis.suggestions.find(item => item.suggestionId === rejected.suggestionId).status, 'rejected');
+  }
+  assert.equal(analysis.rescores.length, 1);
+});
+
+test('undecided suggestions are regenerated as proposed', async () => {
+  const analysis = await analyzedCv();
+  await analysis.rescore(new mongoose.Types.ObjectId());
+  assert.ok(analysis.suggestions.length > 0);
+  assert.ok(analysis.suggestions.every(item => item.status === 'proposed'));
+});
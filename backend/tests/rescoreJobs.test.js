@@ -0,0 +1,106 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RescoreJob = require('../models/RescoreJob');
+const CVAnalysis = require('../models/CVAnalysis');
+const { getScoringModel } = require('../utils/analyzerRegistry');
+const { runInBackground } = require('../utils/rescoreJobs');
+require('../utils/cvAnalyzers');
+require('../utils/linkedinAnalyzers');
+
+// Outdated analyses in _id order; every third changes score and the fifth cannot be re-scored
+function outdatedAnalyses(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    atsScore: 50,
+    async rescore() {
+      if (index === 4) throw new Error('Extracted text is missing');
+      if (index % 3 === 0) this.atsScore = 60;
+    },
+    async save() {}
+  }));
+}
+
+function mockStore(t, job, analyses, statuses = []) {
+  const queries = [];
+  mock.method(RescoreJob.prototype, 'save', async function() { return this; });
+  mock.method(RescoreJob, 'findById', () => ({
+    then: (resolve, reject) => Promise.resolve(job).then(resolve, reject),
+    select: () => ({ lean: async () => ({ status: statuses.length ? statuses.shift() : job.status }) })
+  }));
+  mock.method(CVAnalysis, 'find', query => {
+    queries.push(query);
+    const after = query._id ? analyses.findIndex(item => item._id.equals(query._id.$gt)) + 1 : 0;
+    return { sort: () => ({ limit: async size => analyses.slice(after, after + size) }) };
+  });
+  t.after(() => mock.restoreAll());
+  return queries;
+}
+
+function newJob() {
+  return new RescoreJob({
+    startedBy: new mongoose.Types.ObjectId(),
+    targets: [
+      { name: 'cv', modelVersion: getScoringModel('cv').version, total: 25 },
+      { name: 'linkedin', modelVersion: getScoringModel('linkedin').version, total: 0, done: true }
+    ]
+  });
+}
+
+// Lets the background job run until it stops waiting on the mocked store
+async function settle() {
+  for (let i = 0; i < 200; i += 1) await new Promise(resolve => setImmediate(resolve));
+}
+
+test('re-scores outdated analyses in batches, resuming each batch after the last _id', async t => {
+  const job = newJob();
+  const analyses = outdatedAnalyses(25);
+  const queries = mockStore(t, job, analyses);
+
+  runInBackground(job._id);
+  await settle();
+
+  const [cv] = job.targets;
+  assert.equal(job.status, 'completed');
+  assert.ok(job.finishedAt);
+  assert.deepEqual({ processed: cv.processed, changed: cv.changed, failed: cv.failed, done: cv.done },
+    { processed: 25, changed: 9, failed: 1, done: true });
+  assert.ok(cv.cursor.equals(analyses[24]._id));
+  assert.deepEqual(job.failures.map(item => [item.target, String(item.analysisId), item.error]),
+    [['cv', String(analyses[4]._id), 'Extracted text is missing']]);
+
+  assert.equal(queries.length, 2);
+  assert.deepEqual(queries[0], { status: 'completed', 'scoringModel.version': { $ne: cv.modelVersion } });
+  assert.ok(queries[1]._id.$gt.equals(analyses[19]._id));
+});
+
+test('stops between batches when the job is paused and keeps its checkpoint', async t => {
+  const job = newJob();
+  const analyses = outdatedAnalyses(25);
+  // Running for the first batch, paused before the second
+  const queries = mockStore(t, job, analyses, ['running', 'paused']);
+
+  runInBackground(job._id);
+  await settle();
+
+  const [cv] = job.targets;
+  assert.equal(job.status, 'running');
+  assert.equal(queries.length, 1);
+  assert.equal(cv.processed, 20);
+  assert.equal(cv.done, false);
+  assert.ok(cv.cursor.equals(analyses[19]._id));
+});
+
+test('refuses to continue a job started under an older scoring model', async t => {
+  const job = newJob();
+  job.targets[0].modelVersion = getScoringModel('cv').version - 1;
+  const queries = mockStore(t, job, outdatedAnalyses(3));
+
+  runInBackground(job._id);
+  await settle();
+
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /cv scoring model changed/);
+  assert.equal(queries.length, 0);
+});
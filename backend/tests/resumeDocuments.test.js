@@ -0,0 +1,140 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const ResumeDocument = require('../models/ResumeDocument');
+const { assignLegacyAnalyses, describeDocument, diffRevisions } = require('../utils/resumeDocuments');
+const { diffLines } = require('../utils/textDiff');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the queries assignLegacyAnalyses makes
+function mockStore(analyses) {
+  const documents = new Map();
+  const query = rows => ({
+    select: () => query(rows),
+    sort: () => query(rows),
+    cursor: () => rows.map(row => ({ ...row }))[Symbol.iterator]()
+  });
+
+  mock.method(CVAnalysis, 'find', () => query(analyses.filter(analysis => !analysis.documentId && !analysis.batchId)));
+  mock.method(CVAnalysis, 'findById', id => ({
+    select: async () => analyses.find(analysis => String(analysis._id) === String(id)) || null
+  }));
+  mock.method(CVAnalysis, 'updateOne', async ({ _id }, placement) => {
+    const analysis = analyses.find(row => String(row._id) === String(_id));
+    if (analysis.documentId) return { modifiedCount: 0 };
+    Object.assign(analysis, placement);
+    return { modifiedCount: 1 };
+  });
+  mock.method(ResumeDocument, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.legacyAnalysisId) {
+      const key = String(filter.legacyAnalysisId);
+      if (!documents.has(key)) documents.set(key, { _id: objectId(), ...update.$setOnInsert });
+      return documents.get(key);
+    }
+    const document = [...documents.values()].find(row => String(row._id) === String(filter._id));
+    document.revisionCount += update.$inc.revisionCount;
+    return document;
+  });
+  mock.method(ResumeDocument, 'create', async () => {
+    throw new Error('legacy documents are upserted');
+  });
+  return documents;
+}
+
+test('files earlier analyses into documents once, however often it runs', async (t) => {
+  t.after(() => mock.restoreAll());
+  const userId = objectId();
+  const original = { _id: objectId(), userId, originalFileName: 'cv.pdf' };
+  const edited = { _id: objectId(), userId, originalFileName: 'cv.pdf', parentId: original._id };
+  const other = { _id: objectId(), userId, originalFileName: 'other.docx' };
+  const candidate = { _id: objectId(), userId, originalFileName: 'jane.pdf', batchId: objectId() };
+  const documents = mockStore([original, edited, other, candidate]);
+
+  assert.equal(await assignLegacyAnalyses(), 3);
+  assert.equal(await assignLegacyAnalyses(), 0);
+
+  assert.equal(documents.size, 2);
+  assert.equal(String(edited.documentId), String(original.documentId));
+  assert.deepEqual([original.revision, edited.revision, other.revision], [1, 2, 1]);
+  assert.notEqual(String(other.documentId), String(original.documentId));
+  assert.equal(candidate.documentId, undefined);
+});
+
+const DRAFT = [
+  'Jane Doe',
+  'jane@example.com',
+  '',
+  'Experience',
+  'Engineer, Acme',
+  'Jan 2020 - Present',
+  '- Worked on the search service',
+  '',
+  'Skills',
+  'Python'
+].join('\n');
+
+const REVISED = DRAFT
+  .replace('- Worked on the search service', '- Rebuilt the search service, cutting latency by 40%')
+  .replace('Python', 'Python, PostgreSQL')
+  .concat('\n\nEducation\nBSc Computer Science, State University');
+
+test('diffs lines into equal, added and removed runs, ignoring trailing whitespace', () => {
+  const diff = diffLines('a\nb  \nc\nd', 'a\nb\nx\nd\ne');
+
+  assert.deepEqual(diff.runs, [
+    { type: 'equal', lines: ['a', 'b'] },
+    { type: 'removed', lines: ['c'] },
+    { type: 'added', lines: ['x'] },
+    { type: 'equal', lines: ['d'] },
+    { type: 'added', lines: ['e'] }
+  ]);
+  assert.equal(diff.added, 2);
+  assert.equal(diff.removed, 1);
+});
+
+test('lists a document\'s revisions with the score change between completed ones', async (t) => {
+  t.after(() => mock.restoreAll());
+  const documentId = objectId();
+  const revisions = [
+    { _id: objectId(), revision: 1, source: 'upload', status: 'completed', atsScore: 58, scoringModel: { version: 3 } },
+    { _id: objectId(), revision: 2, source: 'suggestions', status: 'completed', atsScore: 66, analysis: { jobMatch: { score: 71 } } },
+    { _id: objectId(), revision: 3, source: 'upload', status: 'failed', atsScore: 0 },
+    { _id: objectId(), revision: 4, source: 'upload', status: 'completed', atsScore: 63 }
+  ];
+  mock.method(CVAnalysis, 'find', () => ({ select: () => ({ sort: () => ({ lean: async () => revisions }) }) }));
+
+  const document = await describeDocument({ _id: documentId, name: 'cv.pdf' });
+
+  assert.equal(document.revisionCount, 4);
+  assert.equal(document.latest.revision, 4);
+  assert.deepEqual(document.revisions.map(item => [item.atsScore, item.jobMatchScore, item.modelVersion]),
+    [[58, null, 3], [66, 71, null], [null, null, null], [63, null, null]]);
+  assert.deepEqual(document.trend.map(point => [point.revision, point.change]), [[1, null], [2, 8], [4, -3]]);
+});
+
+test('compares two revisions line by line and section by section', async (t) => {
+  t.after(() => mock.restoreAll());
+  const stored = {
+    1: { _id: objectId(), revision: 1, status: 'completed', atsScore: 58, extractedText: DRAFT },
+    2: { _id: objectId(), revision: 2, status: 'completed', atsScore: 66, extractedText: REVISED },
+    3: { _id: objectId(), revision: 3, status: 'analyzing', atsScore: 0, extractedText: DRAFT }
+  };
+  mock.method(CVAnalysis, 'findOne', ({ revision }) => ({ select: async () => stored[revision] || null }));
+  const document = { _id: objectId() };
+
+  const diff = await diffRevisions(document, 1, 2);
+
+  assert.equal(diff.scoreDelta, 8);
+  assert.deepEqual([diff.added, diff.removed], [5, 2]);
+  assert.deepEqual(diff.sections.map(section => [section.section, section.status, section.added, section.removed]), [
+    ['header', 'unchanged', 0, 0],
+    ['experience', 'changed', 1, 1],
+    ['skills', 'changed', 1, 1],
+    ['education', 'added', 1, 0]
+  ]);
+  await assert.rejects(diffRevisions(document, 1, 3), { status: 409 });
+  await assert.rejects(diffRevisions(document, 1, 9), { status: 404, message: 'Revision not found' });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResume, parseDate, findDateRange, detectSectionHeading } = require('../utils/resumeParser');
+
+const CV = `Jane Doe
+jane@example.com | +1 555 123 4567 | linkedin.com/in/janedoe
+
+Experience
+Senior Engineer, Acme Corp
+Jan 2020 - Present
+- Led migration of billing to Node.js services
+- Cut checkout latency by 40%
+
+Software Engineer | Globex
+Jun 2016 - Dec 2019
+- Built reporting pipelines in Python
+
+Education
+BSc Computer Science, State University
+2012 - 2016
+
+Skills
+JavaScript, Python, Docker
+
+Certifications
+AWS Certified Developer (2021)`;
+
+test('segments a CV into contact details, sections and entries', () => {
+  const resume = parseResume(CV);
+
+  assert.equal(resume.contact.name, 'Jane Doe');
+  assert.equal(resume.contact.email, 'jane@example.com');
+  assert.equal(resume.contact.linkedin, 'linkedin.com/in/janedoe');
+  assert.deepEqual(resume.sections.map(section => [section.name, section.startLine, section.endLine]), [
+    ['experience', 3, 12],
+    ['education', 13, 16],
+    ['skills', 17, 19],
+    ['certifications', 20, 21]
+  ]);
+  assert.deepEqual(resume.experience.map(({ title, company, startDate, endDate, current, bullets }) =>
+    ({ title, company, startDate, endDate, current, bullets: bullets.length })), [
+    { title: 'Senior Engineer', company: 'Acme Corp', startDate: 'Jan 2020', endDate: 'Present', current: true, bullets: 2 },
+    { title: 'Software Engineer', company: 'Globex', startDate: 'Jun 2016', endDate: 'Dec 2019', current: false, bullets: 1 }
+  ]);
+  assert.equal(resume.education[0].institution, 'State University');
+  assert.equal(resume.education[0].degree, 'BSc Computer Science');
+  assert.deepEqual(resume.skills, ['JavaScript', 'Python', 'Docker']);
+  assert.deepEqual(resume.certifications, [{ name: 'AWS Certified Developer', issuer: '', date: '2021' }]);
+});
+
+test('recognises heading variants and date formats', () => {
+  assert.equal(detectSectionHeading('WORK EXPERIENCE'), 'experience');
+  assert.equal(detectSectionHeading('Professional Summary:'), 'summary');
+  assert.equal(detectSectionHeading('Led the experience team'), null);
+
+  assert.deepEqual(parseDate('Sept 2019'), { year: 2019, month: 9, format: 'month-name', raw: 'Sept 2019' });
+  assert.equal(parseDate('03/2018').format, 'numeric');
+  assert.equal(parseDate('2018-03').format, 'iso');
+  assert.equal(parseDate('Present').present, true);
+  assert.equal(parseDate('13/2018'), null);
+
+  const range = findDateRange('Acme — 03/2018 – 2020');
+  assert.deepEqual([range.startDate, range.endDate, range.current], ['03/2018', '2020', false]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveExportOptions, buildExportResume, renderResumeHTML, listTemplates } = require('../utils/resumeTemplates');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com | +44 20 7946 0958 | London, UK',
+  '',
+  'Summary',
+  'Backend engineer building payment <systems> & APIs.',
+  '',
+  'Experience',
+  'Senior Engineer, Acme Corp',
+  'Jan 2020 - Present',
+  '- Reduced checkout latency by 40%',
+  '',
+  'Education',
+  'BSc Computer Science, State University',
+  '2012 - 2016',
+  '',
+  'Languages',
+  '- English (native)',
+  '- German (B2)',
+  '',
+  'Skills',
+  'Python, PostgreSQL'
+].join('\n');
+
+test('fills export options from the template and validates the user\'s choices', () => {
+  const options = resolveExportOptions({ template: 'modern', margins: 'wide', pageSize: 'Letter', sectionOrder: 'education,skills' });
+
+  assert.equal(options.font, 'calibri');
+  assert.equal(options.accentColor, '#1d4ed8');
+  assert.equal(options.marginMm, 25);
+  assert.deepEqual(options.sectionOrder, ['education', 'skills', 'summary', 'experience', 'projects', 'certifications', 'other']);
+  assert.equal(resolveExportOptions({ margins: '10' }).marginMm, 10);
+
+  assert.throws(() => resolveExportOptions({ template: 'fancy' }), { status: 400, message: 'Unknown template: fancy' });
+  assert.throws(() => resolveExportOptions({ font: 'constructor' }), { status: 400, message: 'Unknown font: constructor' });
+  assert.throws(() => resolveExportOptions({ accentColor: 'red' }), { status: 400 });
+  assert.throws(() => resolveExportOptions({ margins: '2' }), { status: 400 });
+  assert.throws(() => resolveExportOptions({ sectionOrder: ['skills', '__proto__'] }), { status: 400, message: 'Unknown section: __proto__' });
+  assert.deepEqual(listTemplates().templates.map(template => template.id), ['classic', 'modern', 'compact', 'minimal']);
+});
+
+test('orders the sections as asked and keeps sections the parser does not structure', () => {
+  const options = resolveExportOptions({ sectionOrder: 'skills' });
+  const exportResume = buildExportResume({ extractedText: CV }, { sectionOrder: options.sectionOrder });
+
+  assert.equal(exportResume.contact.name, 'Jane Doe');
+  assert.deepEqual(exportResume.sections.map(section => section.heading), ['Skills', 'Summary', 'Experience', 'Education', 'Languages']);
+  assert.deepEqual(exportResume.sections[2].entries[0], {
+    title: 'Senior Engineer',
+    subtitle: 'Acme Corp',
+    dates: 'Jan 2020 – Present',
+    bullets: ['Reduced checkout latency by 40%']
+  });
+  assert.deepEqual(exportResume.sections[4].items, ['English (native)', 'German (B2)']);
+});
+
+test('renders a single-column HTML page with escaped text and the chosen style', () => {
+  const options = resolveExportOptions({ template: 'compact', accentColor: '#0f766e' });
+  const html = renderResumeHTML(buildExportResume({ extractedText: CV }, { sectionOrder: options.sectionOrder }), options);
+
+  assert.match(html, /<h1>Jane Doe<\/h1>/);
+  assert.match(html, /<span>jane@example\.com<\/span>/);
+  assert.match(html, /payment &lt;systems&gt; &amp; APIs\./);
+  assert.match(html, /@page \{ size: A4; margin: 18mm; \}/);
+  assert.match(html, /font-family: Arial, Helvetica, sans-serif; font-size: 9\.5pt/);
+  assert.match(html, /color: #0f766e/);
+  assert.doesNotMatch(html, /<table|<img/);
+});
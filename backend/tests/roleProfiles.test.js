@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLE_PROFILES, getRoleProfile } = require('../utils/roleProfiles');
+const { getSkill } = require('../utils/skillTaxonomy');
+const { performATSAnalysis, describeCvScoringModel } = require('../utils/cvAnalyzers');
+
+const FIRMWARE_CV = `Jane Doe
+jane@example.com | +1 555 123 4567
+
+Experience
+Firmware Engineer, Acme Devices
+Jan 2019 - Present
+- Wrote Embedded C drivers for STM32 microcontrollers running FreeRTOS
+- Cut boot time by 40% with CMake build profiling on Linux
+
+Skills
+Embedded C, C, C++, FreeRTOS, Microcontrollers, Linux, Git, Bash`;
+
+test('every profile expects taxonomy skills and weights that add up to the whole score', () => {
+  Object.values(ROLE_PROFILES).forEach(profile => {
+    (profile.expectedSkills || []).forEach(skill => assert.ok(getSkill(skill), `${profile.id}: ${skill}`));
+    [profile.cvWeights, profile.linkedinWeights].filter(Boolean).forEach(weights => {
+      const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+      assert.ok(Math.abs(total - 1) < 1e-9, `${profile.id} weights add up to ${total}`);
+    });
+  });
+
+  const weights = Object.fromEntries(describeCvScoringModel('embedded').analyzers.map(({ id, weight }) => [id, weight]));
+  assert.deepEqual(weights, { ...weights, ...ROLE_PROFILES.embedded.cvWeights });
+});
+
+test('scores keywords against the chosen track', async () => {
+  const embedded = await performATSAnalysis(FIRMWARE_CV, { roleProfile: 'embedded' });
+  const frontend = await performATSAnalysis(FIRMWARE_CV, { roleProfile: 'frontend' });
+  assert.ok(embedded.keywords.score > frontend.keywords.score + 50);
+  assert.ok(!embedded.keywords.missing.includes('FreeRTOS'));
+
+  assert.equal(getRoleProfile('constructor').id, 'general');
+  assert.equal(getRoleProfile(undefined).id, 'general');
+});
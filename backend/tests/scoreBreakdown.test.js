@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { performATSAnalysis, describeCvScoringModel } = require('../utils/cvAnalyzers');
+const { computeScore, getWeights } = require('../utils/analyzerRegistry');
+const { findSpans, locate } = require('../utils/scoreRules');
+
+const CV = `Jane Doe
+jane@example.com | +44 7700 900123 | London, UK | linkedin.com/in/janedoe
+
+Summary
+Backend engineer with 6 years of experience building payment systems.
+
+Experience
+Senior Engineer, Acme Corp
+Jan 2020 - Present
+- Reduced checkout latency by 40% by caching pricing lookups in Redis
+- Led migration of billing to Node.js microservices on Kubernetes
+
+Software Engineer, Globex
+Jun 2016 - Dec 2019
+- Built reporting pipelines in Python and PostgreSQL for 200 analysts
+
+Education
+BSc Computer Science, State University
+2012 - 2016
+
+Skills
+JavaScript, Python, Docker, AWS, Git, REST APIs`;
+
+test('explains every weighted score with rules that add up to it and quote the CV', async () => {
+  const analysis = await performATSAnalysis(CV, { roleProfile: 'backend' });
+  const model = describeCvScoringModel('backend');
+
+  Object.keys(getWeights(model)).forEach(id => {
+    const { score, rules } = analysis[id];
+    assert.ok(rules.length > 0, id);
+    assert.equal(rules.reduce((total, rule) => total + rule.pointsAwarded, 0), score, id);
+    rules.flatMap(rule => rule.spans).forEach(span => assert.equal(CV.slice(span.start, span.end), span.text, id));
+  });
+
+  const weighted = Object.entries(getWeights(model)).reduce((total, [id, weight]) => total + analysis[id].score * weight, 0);
+  assert.equal(computeScore(model, analysis), Math.round(weighted));
+});
+
+test('locates evidence by pattern or by snippet', () => {
+  assert.deepEqual(findSpans('Cut costs by 40% and 3x throughput', /\d+%|\d+x/), [
+    { start: 13, end: 16, text: '40%' },
+    { start: 21, end: 23, text: '3x' }
+  ]);
+  const start = CV.indexOf('Senior Engineer');
+  assert.deepEqual(locate(CV, 'Senior Engineer, Acme Corp'), { start, end: start + 26, text: 'Senior Engineer, Acme Corp' });
+  assert.equal(locate(CV, 'Not in the CV'), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Skill = require('../models/Skill');
+const { findSkills, normalizeSkill, retireDefaultAliases } = require('../utils/skillTaxonomy');
+
+test('finds skills written the way tech writes them', () => {
+  assert.deepEqual(
+    findSkills('Built REST services in Node and Express, iOS apps in Swift and Java services on Spring Boot'),
+    ['REST APIs', 'Node.js', 'Express', 'iOS', 'Swift', 'Java', 'Spring']
+  );
+  assert.deepEqual(findSkills('Designed RESTful APIs with Spring and wrote unit tests'), ['REST APIs', 'Spring', 'Unit Testing']);
+  assert.deepEqual(findSkills('Swift, Kotlin, Node\n- Express, React'), ['Swift', 'Kotlin', 'Node.js', 'Express', 'React']);
+  assert.deepEqual(findSkills('Node and Express services for checkout.\n- Express middleware for auth'), ['Node.js', 'Express']);
+  assert.deepEqual(findSkills('Swift and Kotlin apps. Go services behind Spring gateways.'), ['Swift', 'Kotlin', 'Go', 'Spring']);
+  assert.equal(normalizeSkill('NodeJS'), 'Node.js');
+});
+
+test('ignores everyday words that share a name with a skill', () => {
+  const text = [
+    'Needed to rest after a long release; the rest of the team took over.',
+    'Swift turnaround on customer requests; replied swiftly to every node in the org chart.',
+    'Express interest in new projects; express delivery of spare parts.',
+    'Spring 2021 internship; spring semester teaching assistant.',
+    'Exposed a public api and several apis for partners.',
+    'Responsive to customer feedback; testing new ideas; logging hours; cache of old laptops.',
+    'Node failures were escalated to the on-call lead.',
+    'Go to market strategy for the Go-to-market launch; Go live in March.'
+  ].join('\n');
+  assert.deepEqual(findSkills(text), []);
+});
+
+test('keeps ignoring lowercase and punctuated short names', () => {
+  assert.deepEqual(findSkills('we go to the office; r&d budget; c. 2019'), []);
+  assert.deepEqual(findSkills('Services in Go and C'), ['Go', 'C']);
+});
+
+test('takes retired aliases off skills seeded before they were dropped', async (t) => {
+  t.after(() => mock.restoreAll());
+  const stored = new Map([
+    ['rest apis', ['rest', 'restful', 'api design', 'apis', 'api']],
+    ['caching', ['memcached']],
+    ['responsive design', ['responsive', 'mobile-first']]
+  ]);
+  mock.method(Skill, 'updateOne', async ({ key, aliases }, update) => {
+    const current = stored.get(key);
+    if (!current || (aliases && !current.some(alias => aliases.$in.includes(alias)))) return { modifiedCount: 0 };
+    if (update.$pull) stored.set(key, current.filter(alias => !update.$pull.aliases.$in.includes(alias)));
+    if (update.$addToSet) stored.set(key, [...new Set([...current, ...update.$addToSet.aliases.$each])]);
+    return { modifiedCount: 1 };
+  });
+
+  assert.equal(await retireDefaultAliases(), 2);
+  assert.deepEqual(Object.fromEntries(stored), {
+    'rest apis': ['rest', 'restful', 'api design'],
+    caching: ['memcached'],
+    'responsive design': ['mobile-first', 'responsive web design']
+  });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveExportOptions, buildExportResume } = require('../utils/resumeTemplates');
+const { renderPlainText, renderMarkdown, renderLatex } = require('../utils/textExports');
+const { extractLatex } = require('../utils/textExtractors');
+
+const CV = [
+  'Jane Doe',
+  'jane@example.com | +44 20 7946 0958 | github.com/jane_doe',
+  '',
+  'Summary',
+  'Backend engineer – payments & APIs, 100% remote',
+  '',
+  'Experience',
+  'Senior Engineer, R&D #1',
+  'Jan 2020 - Present',
+  '- Cut costs by 40% using C# and *caching*',
+  '',
+  'Skills',
+  'Python, C++'
+].join('\n');
+
+const exportResume = () => buildExportResume({ extractedText: CV });
+
+test('writes ATS plain text with uppercase headings and ASCII punctuation', () => {
+  assert.equal(renderPlainText(exportResume()), `${[
+    'Jane Doe',
+    'jane@example.com | +44 20 7946 0958 | github.com/jane_doe',
+    '',
+    'SUMMARY',
+    'Backend engineer - payments & APIs, 100% remote',
+    '',
+    'EXPERIENCE',
+    'Senior Engineer | R&D #1',
+    'Jan 2020 - Present',
+    '- Cut costs by 40% using C# and *caching*',
+    '',
+    'SKILLS',
+    'Python, C++'
+  ].join('\n')}\n`);
+});
+
+test('escapes Markdown syntax in CV text', () => {
+  const markdown = renderMarkdown(exportResume());
+
+  assert.match(markdown, /^# Jane Doe\n\njane@example\.com \| \+44 20 7946 0958 \| github\.com\/jane\\_doe\n/);
+  assert.match(markdown, /\n### Senior Engineer \(Jan 2020 – Present\)\n\n\*R&D \\#1\*\n\n- Cut costs by 40% using C\\# and \\\*caching\\\*\n/);
+});
+
+test('fills the LaTeX template with escaped text and the chosen style, and reads back', async () => {
+  const options = resolveExportOptions({ template: 'modern', pageSize: 'Letter', margins: 'wide' });
+  const latex = renderLatex(exportResume(), options);
+
+  assert.match(latex, /\\documentclass\[11pt,letterpaper\]\{article\}/);
+  assert.match(latex, /\\usepackage\[sfdefault\]\{carlito\}/);
+  assert.match(latex, /\\usepackage\[margin=25mm\]\{geometry\}/);
+  assert.match(latex, /\\definecolor\{accent\}\{HTML\}\{1D4ED8\}/);
+  assert.match(latex, /\\href\{mailto:jane@example\.com\}\{jane@example\.com\}/);
+  assert.match(latex, /payments \\& APIs, 100\\% remote/);
+  assert.match(latex, /\\entry\{Senior Engineer\}\{Jan 2020 – Present\}\n\\textit\{R\\&D \\#1\}\\par/);
+  assert.doesNotMatch(latex, /<<[A-Z_]+>>/);
+
+  const { text } = await extractLatex(Buffer.from(latex));
+  assert.match(text, /Backend engineer – payments & APIs, 100% remote/);
+  assert.match(text, /- Cut costs by 40% using C# and \*caching\*/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { extractPlainText, extractMarkdown, extractHtml, extractRtf, extractOdt, extractLatex } = require('../utils/textExtractors');
+
+const extract = async (extractor, source) => (await extractor(Buffer.from(source))).text;
+
+test('reads Markdown as plain CV lines, one table row per line', async () => {
+  const markdown = [
+    '# Jane Doe',
+    '',
+    '[jane@example.com](mailto:jane@example.com) | [GitHub](https://github.com/jane)',
+    '',
+    '## Experience',
+    '',
+    '### Senior Engineer, **Acme**',
+    '',
+    '* Cut costs by 40%',
+    '* Built `Node.js` services',
+    '',
+    '| Skill | Years |',
+    '|---|---|',
+    '| Python | 5 |'
+  ].join('\r\n');
+
+  assert.equal(await extract(extractMarkdown, markdown), [
+    'Jane Doe',
+    'jane@example.com | GitHub https://github.com/jane',
+    '',
+    'Experience',
+    'Senior Engineer, Acme',
+    '- Cut costs by 40%',
+    '- Built Node.js services',
+    '',
+    'Skill | Years',
+    'Python | 5'
+  ].join('\n'));
+});
+
+test('reads plain text as UTF-8 with a Latin-1 fallback and tidies blank lines', async () => {
+  assert.equal(await extract(extractPlainText, '﻿Jane  Doe \r\n\r\n\r\n\r\nCafé'), 'Jane Doe\n\nCafé');
+  assert.equal((await extractPlainText(Buffer.from('Café', 'latin1'))).text, 'Café');
+});
+
+test('reads HTML body text with links, list bullets and table cells, skipping scripts and styles', async () => {
+  const html = `<html><head><title>CV</title><style>p { color: red }</style></head><body>
+    <h1>Jane Doe</h1><p><a href="mailto:jane@example.com">Email me</a></p>
+    <h2>Experience</h2><ul><li>Cut costs by 40%</li><li>Led <b>billing</b></li></ul>
+    <table><tr><td>Python</td><td>5 years</td></tr></table><script>track()</script></body></html>`;
+
+  assert.equal(await extract(extractHtml, html),
+    'Jane Doe\n\nEmail me jane@example.com\n\nExperience\n\n- Cut costs by 40%\n\n- Led billing\n\nPython | 5 years');
+});
+
+test('reads RTF body text, skipping headers and metadata and decoding escapes', async () => {
+  const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Arial;}}{\header Page 1}{\*\generator Word;}Jane Doe\par ` +
+    String.raw`\bullet  Cut costs\'96fast\par Caf\'e9 \uc1\u8212? done\par}`;
+
+  assert.equal((await extractRtf(Buffer.from(rtf, 'latin1'))).text, 'Jane Doe\n- Cut costs–fast\nCafé — done');
+  await assert.rejects(extractRtf(Buffer.from('Jane Doe')), { status: 400 });
+});
+
+test('reads ODT paragraphs and list items, dropping comments', async () => {
+  const zip = new JSZip();
+  zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+<office:body><office:text>
+<text:h>Experience</text:h>
+<text:p>Senior<text:s text:c="2"/>Engineer<text:tab/>2020</text:p>
+<text:list><text:list-item><text:p>Cut costs<office:annotation><text:p>Check this</text:p></office:annotation></text:p></text:list-item></text:list>
+</office:text></office:body></office:document-content>`);
+
+  assert.equal((await extractOdt(await zip.generateAsync({ type: 'nodebuffer' }))).text, 'Experience\n\nSenior Engineer 2020\n- Cut costs');
+  const empty = new JSZip();
+  empty.file('mimetype', 'application/vnd.oasis.opendocument.text');
+  await assert.rejects(extractOdt(await empty.generateAsync({ type: 'nodebuffer' })), { status: 400 });
+});
+
+test('reads LaTeX CVs, including contact macros and packed resume-class entries', async () => {
+  const latex = String.raw`\documentclass{moderncv}
+\name{Jane}{Doe}
+\email{jane@example.com}
+\begin{document}
+\section{Experience}
+\cventry{2020--Present}{Senior Engineer}{Acme}{London}{}{Reduced checkout latency by 40\% by caching pricing lookups in Redis}
+\begin{itemize}
+\item Led \textbf{billing} migration % internal note
+\end{itemize}
+\section{Skills}
+\cvitem{Languages}{Python, Go}
+\end{document}`;
+
+  assert.equal(await extract(extractLatex, latex), [
+    'Jane Doe',
+    'jane@example.com',
+    '',
+    'Experience',
+    '',
+    'Senior Engineer | Acme | London',
+    '2020–Present',
+    '- Reduced checkout latency by 40% by caching pricing lookups in Redis',
+    '',
+    '- Led billing migration',
+    '',
+    'Skills',
+    '',
+    'Languages: Python, Go'
+  ].join('\n'));
+  assert.equal(await extract(extractLatex, 'Trailing \\'), 'Trailing \\');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { auth, signUrlToken, urlTokenAuth } = require('../middleware/auth');
+
+// Runs a middleware and reports the status it answered with, or 'next' when it let the request through
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status: code => ({ json: () => resolve(code) })
+    };
+    middleware({ query: {}, params: {}, header: name => req.headers[name.toLowerCase()], ...req }, res, () => resolve('next'));
+  });
+}
+
+test('URL tokens open only the resource and purpose they were issued for', async (t) => {
+  t.after(() => mock.restoreAll());
+  const userId = new mongoose.Types.ObjectId();
+  mock.method(User, 'findById', () => ({ select: async () => new User({ _id: userId }) }));
+  const jobId = String(new mongoose.Types.ObjectId());
+  const token = signUrlToken(userId, 'job-events', jobId);
+
+  assert.equal(await run(urlTokenAuth('job-events'), { headers: {}, query: { token }, params: { id: jobId } }), 'next');
+  assert.equal(await run(urlTokenAuth('export-preview'), { headers: {}, query: { token }, params: { id: jobId } }), 401);
+  assert.equal(await run(urlTokenAuth('job-events'), {
+    headers: {}, query: { token }, params: { id: String(new mongoose.Types.ObjectId()) }
+  }), 401);
+
+  const expired = jwt.sign({ userId, purpose: 'job-events', resourceId: jobId, exp: Math.floor(Date.now() / 1000) - 1 },
+    process.env.JWT_SECRET || 'your-secret-key');
+  assert.equal(await run(urlTokenAuth('job-events'), { headers: {}, query: { token: expired }, params: { id: jobId } }), 401);
+});
+
+test('session tokens stay out of URLs and URL tokens out of headers', async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(console, 'error', () => {});
+  const userId = new mongoose.Types.ObjectId();
+  mock.method(User, 'findById', () => ({ select: async () => new User({ _id: userId }) }));
+  const jobId = String(new mongoose.Types.ObjectId());
+  const session = jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '7d' });
+
+  assert.equal(await run(urlTokenAuth('job-events'), { headers: {}, query: { token: session }, params: { id: jobId } }), 401);
+  assert.equal(await run(auth, { headers: { authorization: `Bearer ${signUrlToken(userId, 'job-events', jobId)}` } }), 401);
+  assert.equal(await run(urlTokenAuth('job-events'), { headers: { authorization: `Bearer ${session}` }, params: { id: jobId } }), 'next');
+});
@@ -0,0 +1,125 @@
+// Analyzer registry: CV and LinkedIn scoring run as pipelines of self-describing, versioned analyzers.
+// An analyzer declares:
+//   id       key of its result in the analysis document
+//   version  bumped whenever its rules or scoring change
+//   inputs   context values or earlier analyzer results it needs; it is skipped when one is missing
+//   optionalInputs  passed through when present
+//   weight   default share of the overall score (0 for informational analyzers); role profiles may override it
+//   output   mongoose definition of its result, composed into the analysis schema
+//   run      (inputs) => result with a 0-100 score
+// A scoring model is the ordered set of analyzers a target runs; its version must be bumped whenever an
+// analyzer version, weight or the set itself changes so stored scores stay interpretable.
+
+const targets = new Map();
+
+function getTarget(target) {
+  if (!targets.has(target)) {
+    targets.set(target, { analyzers: new Map(), model: null });
+  }
+  return targets.get(target);
+}
+
+function registerAnalyzer(target, analyzer) {
+  const { analyzers } = getTarget(target);
+  const { id, version, inputs, weight, output, run } = analyzer;
+
+  if (!id || !Number.isInteger(version) || !Array.isArray(inputs) || typeof weight !== 'number' || !output || typeof run !== 'function') {
+    throw new Error(`Analyzer ${target}.${id || '?'} must declare id, version, inputs, weight, output and run`);
+  }
+  if (analyzers.has(id)) {
+    throw new Error(`Analyzer ${target}.${id} is already registered`);
+  }
+
+  analyzers.set(id, { optionalInputs: [], ...analyzer });
+}
+
+// Analyzer results used as inputs must come from analyzers earlier in the list
+function defineScoringModel(target, { version, analyzers: ids }) {
+  const entry = getTarget(target);
+
+  ids.forEach((id, index) => {
+    const analyzer = entry.analyzers.get(id);
+    if (!analyzer) throw new Error(`Scoring model ${target} v${version} uses unknown analyzer ${id}`);
+
+    [...analyzer.inputs, ...analyzer.optionalInputs]
+      .filter(input => entry.analyzers.has(input) && !ids.slice(0, index).includes(input))
+      .forEach(input => {
+        throw new Error(`Analyzer ${target}.${id} needs ${input}, which must run before it`);
+      });
+  });
+
+  entry.model = { version, analyzers: ids.map(id => entry.analyzers.get(id)) };
+}
+
+function getScoringModel(target) {
+  const { model } = getTarget(target);
+  if (!model) throw new Error(`No scoring model defined for ${target}`);
+  return model;
+}
+
+// Stored alongside each analysis: model version plus the analyzer versions and weights it applied
+function describeScoringModel(target, weightOverrides = {}) {
+  const { version, analyzers } = getScoringModel(target);
+  return {
+    version,
+    analyzers: analyzers.map(analyzer => ({
+      id: analyzer.id,
+      version: analyzer.version,
+      weight: analyzer.weight > 0 && weightOverrides[analyzer.id] !== undefined
+        ? weightOverrides[analyzer.id]
+        : analyzer.weight
+    }))
+  };
+}
+
+// Weighted analyzers of a scoring-model description as { id: weight }
+function getWeights(scoringModel) {
+  return Object.fromEntries(scoringModel.analyzers
+    .filter(analyzer => analyzer.weight > 0)
+    .map(analyzer => [analyzer.id, analyzer.weight]));
+}
+
+// Schema for every analyzer ever registered, so documents from older models still load
+function buildOutputSchema(target) {
+  const { analyzers } = getTarget(target);
+  return Object.fromEntries([...analyzers.values()].map(analyzer => [analyzer.id, analyzer.output]));
+}
+
+async function runPipeline(target, context) {
+  const { analyzers } = getScoringModel(target);
+  const results = {};
+  const resolve = name => (results[name] !== undefined ? results[name] : context[name]);
+
+  for (const analyzer of analyzers) {
+    const missing = analyzer.inputs.filter(name => resolve(name) === undefined || resolve(name) === null);
+    if (missing.length > 0) continue;
+
+    const inputs = {};
+    [...analyzer.inputs, ...analyzer.optionalInputs].forEach(name => {
+      inputs[name] = resolve(name);
+    });
+    results[analyzer.id] = await analyzer.run(inputs);
+  }
+
+  return results;
+}
+
+// Weighted overall score using the weights recorded in a scoring-model description
+function computeScore(scoringModel, analysis) {
+  const total = scoringModel.analyzers.reduce((sum, { id, weight }) => {
+    const result = analysis && analysis[id];
+    return sum + ((result && result.score) || 0) * weight;
+  }, 0);
+  return Math.round(total);
+}
+
+module.exports = {
+  registerAnalyzer,
+  defineScoringModel,
+  getScoringModel,
+  describeScoringModel,
+  getWeights,
+  buildOutputSchema,
+  runPipeline,
+  computeScore
+};
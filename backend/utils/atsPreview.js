@@ -0,0 +1,176 @@
+// Simulated ATS extraction: how the parsed CV would populate a typical application form
+
+const { parseDate, ROLE_WORDS, INSTITUTION_WORDS, EMAIL_PATTERN } = require('./resumeParser');
+
+const MAX_SKILL_WORDS = 4;
+const YEAR_RANGE = /^(?:19|20)\d{2}\s*[-–—]\s*(?:19|20)\d{2}$/;
+
+function field(key, label, value, problem) {
+  const filled = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return {
+    key,
+    label,
+    value,
+    status: !filled ? 'missing' : (problem ? 'suspect' : 'filled'),
+    message: !filled || problem ? problem || `No ${label.toLowerCase()} could be extracted` : null
+  };
+}
+
+// Layout findings explain why a field came out empty ("the email sits in the page header")
+function headerFooterHas(layout, pattern) {
+  return Boolean(layout && (layout.headerFooterText || []).some(text => pattern.test(text)));
+}
+
+function hasRisk(layout, type) {
+  return Boolean(layout && (layout.risks || []).some(risk => risk.type === type));
+}
+
+function checkName(name) {
+  if (!name) return 'No name found in the first lines; put your full name alone on the top line';
+  if (/\d/.test(name)) return 'The name field picked up digits; keep your name on its own line';
+  if (ROLE_WORDS.test(name)) return `"${name}" looks like a job title; the parser took your headline as your name`;
+  if (name.split(/\s+/).length < 2) return 'Only one word was read as your name; use your first and last name';
+  return null;
+}
+
+function checkEmail(email, layout) {
+  if (!email) {
+    return headerFooterHas(layout, EMAIL_PATTERN)
+      ? 'Your email is in the page header/footer, which this parser skips; move it into the body'
+      : 'No email address found';
+  }
+  return null;
+}
+
+function checkPhone(phone, layout) {
+  if (!phone) {
+    return headerFooterHas(layout, /\d[\d\s().-]{7,}/)
+      ? 'Your phone number is in the page header/footer, which this parser skips; move it into the body'
+      : 'No phone number found';
+  }
+  const digits = phone.replace(/\D/g, '');
+  if (YEAR_RANGE.test(phone.trim())) return `"${phone}" is a date range, not a phone number`;
+  if (digits.length < 7 || digits.length > 15) return `"${phone}" does not look like a complete phone number; include the country code`;
+  return null;
+}
+
+function checkDate(value, label) {
+  if (!value) return `${label} missing`;
+  return parseDate(value) ? null : `${label} "${value}" could not be read as a date`;
+}
+
+function describeEmployer(entry) {
+  const issues = [];
+  if (!entry.company) issues.push('Employer name missing');
+  else if (ROLE_WORDS.test(entry.company) && !ROLE_WORDS.test(entry.title)) issues.push(`"${entry.company}" looks like a job title, so title and employer may be swapped`);
+  if (!entry.title) issues.push('Job title missing');
+  else if (entry.title.length > 60) issues.push('Job title is unusually long; extra text was merged into it');
+
+  const startIssue = checkDate(entry.startDate, 'Start date');
+  if (startIssue) issues.push(startIssue);
+  if (!entry.current) {
+    const endIssue = checkDate(entry.endDate, 'End date');
+    if (endIssue) issues.push(entry.endDate ? endIssue : 'End date missing; add one or write "Present"');
+  }
+
+  return {
+    title: entry.title || '',
+    company: entry.company || '',
+    startDate: entry.startDate || '',
+    endDate: entry.current ? 'Present' : (entry.endDate || ''),
+    status: issues.length > 0 ? 'suspect' : 'filled',
+    issues
+  };
+}
+
+function describeSchool(entry) {
+  const issues = [];
+  if (!entry.institution) issues.push('School name missing');
+  else if (!INSTITUTION_WORDS.test(entry.institution) && entry.institution === entry.degree) issues.push('The degree was read as the school name');
+  if (!entry.degree) issues.push('Degree missing');
+  if (!entry.endDate) issues.push('Graduation date missing');
+  else if (!parseDate(entry.endDate)) issues.push(`Graduation date "${entry.endDate}" could not be read as a date`);
+
+  return {
+    institution: entry.institution || '',
+    degree: entry.degree || '',
+    field: entry.field || '',
+    endDate: entry.endDate || '',
+    status: issues.length > 0 ? 'suspect' : 'filled',
+    issues
+  };
+}
+
+function describeSkills(skills, layout) {
+  const sentences = skills.filter(skill => skill.split(/\s+/).length > MAX_SKILL_WORDS);
+  const issues = [];
+  if (skills.length === 0) {
+    issues.push(hasRisk(layout, 'text-box')
+      ? 'No skills found; text boxes are skipped, so move your skills into the main body'
+      : 'No skills found; add a "Skills" section with a comma-separated list');
+  }
+  if (sentences.length > 0) {
+    issues.push(`${sentences.length} skill entr${sentences.length === 1 ? 'y reads' : 'ies read'} like a sentence; list skills as short keywords`);
+  }
+
+  return {
+    values: skills,
+    status: skills.length === 0 ? 'missing' : (issues.length > 0 ? 'suspect' : 'filled'),
+    issues
+  };
+}
+
+// The role marked current, otherwise the first listed one
+function findCurrentRole(experience) {
+  return experience.find(entry => entry.current) || experience[0] || null;
+}
+
+function buildAtsView(resume, layout) {
+  const contact = resume.contact || {};
+  const experience = resume.experience || [];
+  const currentRole = findCurrentRole(experience);
+
+  const fields = [
+    field('name', 'Full name', contact.name, checkName(contact.name)),
+    field('email', 'Email', contact.email, checkEmail(contact.email, layout)),
+    field('phone', 'Phone', contact.phone, checkPhone(contact.phone, layout)),
+    field('location', 'Location', contact.location, contact.location ? null : 'No "City, Country" location found'),
+    field('currentTitle', 'Current title', currentRole ? currentRole.title : '', currentRole && !currentRole.title ? 'Your latest role has no title the parser could read' : null),
+    field('currentEmployer', 'Current employer', currentRole ? currentRole.company : '', null),
+    field('linkedin', 'LinkedIn', contact.linkedin, contact.linkedin ? null : 'No LinkedIn URL found; most application forms have a field for it')
+  ];
+
+  const employers = experience.map(describeEmployer);
+  const schools = (resume.education || []).map(describeSchool);
+  const skills = describeSkills(resume.skills || [], layout);
+
+  const statuses = [
+    ...fields.filter(item => item.key !== 'linkedin' || item.status !== 'missing').map(item => item.status),
+    employers.length === 0 ? 'missing' : null,
+    ...employers.map(item => item.status),
+    schools.length === 0 ? 'missing' : null,
+    ...schools.map(item => item.status),
+    skills.status
+  ].filter(Boolean);
+
+  return {
+    fields,
+    employers,
+    schools,
+    skills,
+    warnings: [
+      employers.length === 0 ? 'No employment history was extracted; check that your experience section has a standard heading such as "Experience"' : null,
+      schools.length === 0 ? 'No education was extracted; check that your education section has a standard heading such as "Education"' : null
+    ].filter(Boolean),
+    summary: {
+      filled: statuses.filter(status => status === 'filled').length,
+      suspect: statuses.filter(status => status === 'suspect').length,
+      missing: statuses.filter(status => status === 'missing').length,
+      completeness: statuses.length > 0 ? Math.round((statuses.filter(status => status === 'filled').length / statuses.length) * 100) : 0
+    }
+  };
+}
+
+module.exports = {
+  buildAtsView
+};
@@ -0,0 +1,248 @@
+// Bulk CV uploads: unpack the files, queue one analysis per CV and summarize the results
+const path = require('path');
+const JSZip = require('jszip');
+const CVAnalysis = require('../models/CVAnalysis');
+const AnalysisBatch = require('../models/AnalysisBatch');
+const { queueCvAnalysis, countPendingScans, canScanAnother } = require('./cvAnalysisJob');
+const { getRoleProfile } = require('./roleProfiles');
+const { extractJobRequirements } = require('./jobMatcher');
+const { toCSV } = require('./csv');
+const { fileTypeOf, describeFileTypes } = require('./cvFileTypes');
+
+const MAX_BATCH_FILES = 50;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+// Per request: bytes uploaded, and bytes inflated from all of its ZIP archives together
+const MAX_BATCH_UPLOAD_SIZE = 50 * 1024 * 1024;
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024;
+// Per archive; leaves room for folders and __MACOSX resource forks
+const MAX_ZIP_ENTRIES = 4 * MAX_BATCH_FILES;
+
+const ZIP_MIMETYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+function isZip(file) {
+  return ZIP_MIMETYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+// Entry count from the end-of-central-directory record, read before JSZip builds an object per entry.
+// The record sits in the last 22 bytes plus an optional comment of up to 64KB; null when there is none.
+function zipEntryCount(buffer) {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) return buffer.readUInt16LE(offset + 10);
+  }
+  return null;
+}
+
+// Inflate one entry, stopping as soon as it grows past limit; the sizes in the ZIP headers are not trusted.
+// Resolves with the buffer, or null and the bytes seen so far when the limit was hit.
+function inflateEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          resolve({ buffer: null, size });
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ buffer: Buffer.concat(chunks), size }))
+      .resume();
+  });
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Stops collecting as soon as the batch is over its file limit, before anything more is unpacked
+function addFile(files, file) {
+  files.push(file);
+  if (files.length > MAX_BATCH_FILES) throw badRequest(`A batch can contain at most ${MAX_BATCH_FILES} files`);
+}
+
+// ZIP entries become files; folders and macOS resource forks are ignored.
+// budget.unpacked counts the bytes inflated so far from every archive in the request.
+async function expandZip(file, files, budget) {
+  const tooManyEntries = { fileName: file.originalname, error: `ZIP archive has more than ${MAX_ZIP_ENTRIES} entries` };
+  if (zipEntryCount(file.buffer) > MAX_ZIP_ENTRIES) return addFile(files, tooManyEntries);
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file.buffer);
+  } catch (error) {
+    return addFile(files, { fileName: file.originalname, error: 'Could not read ZIP archive' });
+  }
+  // The record's count can understate what the central directory holds
+  if (Object.keys(zip.files).length > MAX_ZIP_ENTRIES) return addFile(files, tooManyEntries);
+
+  const entries = Object.values(zip.files)
+    .filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'));
+
+  for (const entry of entries) {
+    const fileName = path.basename(entry.name);
+    if (!fileTypeOf(fileName)) {
+      addFile(files, { fileName, error: `Only ${describeFileTypes()} files are supported` });
+      continue;
+    }
+
+    let inflated;
+    try {
+      inflated = await inflateEntry(entry, Math.min(MAX_FILE_SIZE, MAX_UNPACKED_SIZE - budget.unpacked));
+    } catch (error) {
+      addFile(files, { fileName, error: 'Could not unpack file from ZIP archive' });
+      continue;
+    }
+    if (!inflated.buffer && inflated.size > MAX_FILE_SIZE) {
+      addFile(files, { fileName, error: 'File is larger than 10MB' });
+      continue;
+    }
+    if (!inflated.buffer) {
+      throw badRequest(`ZIP archives in one upload can unpack to at most ${MAX_UNPACKED_SIZE / (1024 * 1024)}MB`);
+    }
+    budget.unpacked += inflated.size;
+    addFile(files, { fileName, buffer: inflated.buffer });
+  }
+}
+
+// Throws with status 400 when the upload holds too many files or unpacks too large
+async function collectFiles(uploads) {
+  const files = [];
+  const budget = { unpacked: 0 };
+  for (const upload of uploads) {
+    if (isZip(upload)) {
+      await expandZip(upload, files, budget);
+    } else if (!fileTypeOf(upload.originalname)) {
+      addFile(files, { fileName: upload.originalname, error: `Only ${describeFileTypes()} and ZIP files are supported` });
+    } else {
+      addFile(files, { fileName: upload.originalname, buffer: upload.buffer });
+    }
+  }
+  return files;
+}
+
+async function createAnalysisBatch(user, uploads, { name, roleProfile, jobDescription, gapThresholdMonths }) {
+  const files = await collectFiles(uploads);
+
+  const batch = new AnalysisBatch({
+    userId: user._id,
+    name: name || `Batch of ${files.length} CVs`,
+    roleProfile: getRoleProfile(roleProfile).id,
+    jobTitle: jobDescription ? extractJobRequirements(jobDescription).title || undefined : undefined
+  });
+
+  // Saved before anything is queued so no analysis can exist without its batch; saved again (even when
+  // queueing fails part-way) so every queued file stays tracked
+  await batch.save();
+  let pendingScans = await countPendingScans(user._id);
+
+  try {
+    for (const file of files) {
+      const fileType = fileTypeOf(file.fileName) || undefined;
+      if (file.error) {
+        batch.files.push({ fileName: file.fileName, fileType, status: 'skipped', error: file.error });
+        continue;
+      }
+      if (!file.buffer.length) {
+        batch.files.push({ fileName: file.fileName, fileType, status: 'skipped', error: 'File is empty' });
+        continue;
+      }
+      if (!canScanAnother(user, pendingScans)) {
+        batch.files.push({ fileName: file.fileName, fileType, status: 'skipped', error: 'CV scan limit reached for your plan' });
+        continue;
+      }
+
+      const { cvAnalysis } = await queueCvAnalysis({
+        userId: user._id,
+        fileName: file.fileName,
+        fileType,
+        buffer: file.buffer,
+        roleProfile,
+        jobDescription,
+        gapThresholdMonths,
+        batchId: batch._id
+      });
+      pendingScans += 1;
+      batch.files.push({ fileName: file.fileName, fileType, analysisId: cvAnalysis._id });
+    }
+  } finally {
+    await batch.save();
+  }
+  return batch;
+}
+
+// Per-file results joined from each file's CVAnalysis
+async function summarizeBatch(batch) {
+  const analysisIds = batch.files.filter(file => file.analysisId).map(file => file.analysisId);
+  const analyses = await CVAnalysis.find({ _id: { $in: analysisIds } })
+    .select('status atsScore analysis.jobMatch.score failureReason jobId')
+    .lean();
+  const byId = new Map(analyses.map(analysis => [String(analysis._id), analysis]));
+
+  const files = batch.files.map(file => {
+    if (file.status === 'skipped') {
+      return { fileName: file.fileName, status: 'skipped', atsScore: null, jobMatchScore: null, error: file.error };
+    }
+    const analysis = byId.get(String(file.analysisId));
+    if (!analysis) {
+      return { fileName: file.fileName, analysisId: file.analysisId, status: 'failed', atsScore: null, jobMatchScore: null, error: 'Analysis was deleted' };
+    }
+    const completed = analysis.status === 'completed';
+    const jobMatch = analysis.analysis && analysis.analysis.jobMatch;
+    return {
+      fileName: file.fileName,
+      analysisId: file.analysisId,
+      jobId: analysis.jobId,
+      status: analysis.status,
+      atsScore: completed ? analysis.atsScore : null,
+      jobMatchScore: completed && jobMatch && jobMatch.score !== undefined ? jobMatch.score : null,
+      error: analysis.failureReason || null
+    };
+  });
+
+  const counts = { total: files.length, analyzing: 0, completed: 0, failed: 0, skipped: 0 };
+  files.forEach(file => { counts[file.status] += 1; });
+  const scores = files.filter(file => file.status === 'completed').map(file => file.atsScore);
+
+  return {
+    batchId: batch._id,
+    name: batch.name,
+    roleProfile: batch.roleProfile,
+    jobTitle: batch.jobTitle || null,
+    status: counts.analyzing > 0 ? 'processing' : 'completed',
+    counts,
+    averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    files,
+    createdAt: batch.createdAt
+  };
+}
+
+function batchToCSV(summary) {
+  const headers = ['File Name', 'Status', 'ATS Score', 'Job Match Score', 'Error', 'Analysis ID'];
+  const rows = summary.files.map(file => [
+    file.fileName,
+    file.status,
+    file.atsScore,
+    file.jobMatchScore,
+    file.error,
+    file.analysisId
+  ]);
+  return toCSV(headers, rows);
+}
+
+module.exports = {
+  MAX_BATCH_FILES,
+  MAX_BATCH_UPLOAD_SIZE,
+  collectFiles,
+  createAnalysisBatch,
+  summarizeBatch,
+  batchToCSV
+};
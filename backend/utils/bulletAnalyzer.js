@@ -0,0 +1,178 @@
+// Per-bullet quality checks for experience entries: action verbs, metrics, voice, length, variety
+
+const ACTION_VERBS = new Set([
+  'accelerated', 'achieved', 'architected', 'automated', 'boosted', 'built', 'championed', 'consolidated',
+  'cut', 'debugged', 'decreased', 'defined', 'delivered', 'deployed', 'designed', 'developed', 'diagnosed',
+  'directed', 'drove', 'eliminated', 'enabled', 'engineered', 'established', 'expanded', 'founded',
+  'generated', 'grew', 'hired', 'identified', 'implemented', 'improved', 'increased', 'initiated',
+  'integrated', 'introduced', 'launched', 'led', 'maintained', 'managed', 'mentored', 'migrated',
+  'modernized', 'negotiated', 'optimized', 'orchestrated', 'organized', 'overhauled', 'owned',
+  'pioneered', 'planned', 'prototyped', 'rebuilt', 'redesigned', 'reduced', 'refactored', 'released',
+  'replaced', 'resolved', 'restructured', 'revamped', 'saved', 'scaled', 'secured', 'shipped',
+  'simplified', 'spearheaded', 'standardized', 'streamlined', 'strengthened', 'tested', 'trained',
+  'transformed', 'tripled', 'doubled', 'unified', 'upgraded', 'wrote', 'coached', 'created', 'analyzed',
+  'authored', 'coordinated', 'configured', 'instrumented', 'containerized', 'published', 'translated'
+]);
+
+// Openers that describe duties instead of results
+const WEAK_OPENERS = [
+  /^responsible for\b/i,
+  /^(?:was |were )?in charge of\b/i,
+  /^worked (?:on|with|in)\b/i,
+  /^helped\b/i,
+  /^assisted\b/i,
+  /^(?:was )?involved in\b/i,
+  /^participated in\b/i,
+  /^tasked with\b/i,
+  /^duties (?:included|include)\b/i,
+  /^handled\b/i,
+  /^did\b/i,
+  /^tried\b/i,
+  /^supported\b/i,
+  /^exposure to\b/i
+];
+
+const METRIC_PATTERN = /\d+(?:\.\d+)?\s?%|\d+\+|[$€£]\s?\d|\b\d+(?:\.\d+)?\s?(?:x|k|m|bn|ms|s|seconds|minutes|users|customers|clients|requests|rps|qps|services|teams|engineers|developers|people|hours|days|weeks|months|servers|nodes|countries|markets|releases|tickets|pipelines|repos|apps)\b|\b(?:doubled|tripled|halved)\b/i;
+const PASSIVE_PATTERN = /\b(?:was|were|been|being|is|are|got)\s+(?:\w+ly\s+)?(?:\w+ed|built|done|made|written|given|taken|led|run|seen|shown|chosen|driven|held|kept|sent|set|spent|won)\b/i;
+
+const MIN_WORDS = 6;
+const MAX_WORDS = 30;
+
+// Alternatives offered when the same verb opens several bullets
+const VERB_ALTERNATIVES = {
+  developed: ['Built', 'Engineered', 'Shipped'],
+  managed: ['Led', 'Directed', 'Owned'],
+  created: ['Designed', 'Launched', 'Introduced'],
+  built: ['Engineered', 'Developed', 'Delivered'],
+  implemented: ['Delivered', 'Rolled out', 'Integrated'],
+  improved: ['Optimized', 'Accelerated', 'Strengthened'],
+  led: ['Directed', 'Spearheaded', 'Drove'],
+  designed: ['Architected', 'Defined', 'Prototyped'],
+  worked: ['Built', 'Delivered', 'Collaborated'],
+  used: ['Applied', 'Leveraged', 'Adopted'],
+  maintained: ['Operated', 'Supported', 'Hardened']
+};
+
+function firstWord(text) {
+  const match = text.match(/^[^a-z]*([a-z][a-z'-]*)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Unknown past-tense verbs ("Containerised", "Dockerized") still read as actions
+function isActionVerb(word) {
+  return ACTION_VERBS.has(word) || (/^[a-z]{3,}ed$/.test(word) && !['based', 'focused', 'related', 'skilled', 'needed'].includes(word));
+}
+
+function getVerbAlternatives(verb) {
+  return VERB_ALTERNATIVES[verb] || ['Built', 'Delivered', 'Improved'];
+}
+
+function analyzeBullet(text, verbCounts) {
+  const trimmed = text.trim();
+  const verb = firstWord(trimmed);
+  const weakOpener = WEAK_OPENERS.find(pattern => pattern.test(trimmed));
+  const startsWithActionVerb = !weakOpener && isActionVerb(verb);
+  const hasMetric = METRIC_PATTERN.test(trimmed);
+  const isPassive = PASSIVE_PATTERN.test(trimmed);
+  const wordCount = trimmed.split(/\s+/).filter(Boolean).length;
+  const lengthIssue = wordCount < MIN_WORDS ? 'short' : (wordCount > MAX_WORDS ? 'long' : null);
+  const repeatedVerb = startsWithActionVerb && (verbCounts[verb] || 0) > 1;
+  const hints = [];
+
+  let score = 0;
+  if (startsWithActionVerb) {
+    score += 35;
+  } else if (weakOpener) {
+    const opener = trimmed.match(weakOpener)[0];
+    hints.push(`Replace "${opener}" with a verb that states what you achieved, e.g. "Owned", "Built" or "Led"`);
+  } else {
+    score += 15;
+    hints.push('Start with a strong action verb such as "Built", "Reduced" or "Launched"');
+  }
+  if (hasMetric) {
+    score += 30;
+  } else {
+    hints.push('Add a measurable result: a percentage, time saved, users served, cost or scale');
+  }
+  if (!isPassive) {
+    score += 15;
+  } else {
+    hints.push('Rewrite in active voice, e.g. "Deployed the service" instead of "The service was deployed"');
+  }
+  if (!lengthIssue) {
+    score += 10;
+  } else if (lengthIssue === 'short') {
+    hints.push('Add context: what you did, how, and what changed as a result');
+  } else {
+    hints.push(`Trim to under ${MAX_WORDS} words or split into two bullets`);
+  }
+  if (!repeatedVerb) {
+    score += 10;
+  } else {
+    hints.push(`"${verb}" opens ${verbCounts[verb]} bullets; vary it with ${getVerbAlternatives(verb).map(alt => `"${alt}"`).join(', ')}`);
+  }
+
+  return {
+    text: trimmed,
+    verb,
+    startsWithActionVerb,
+    weakOpener: Boolean(weakOpener),
+    hasMetric,
+    isPassive,
+    wordCount,
+    lengthIssue,
+    repeatedVerb,
+    score,
+    hints
+  };
+}
+
+// Analyze every experience bullet; entryIndex/bulletIndex point back into parsedResume.experience
+function analyzeBullets(resume) {
+  const located = resume.experience.flatMap((entry, entryIndex) =>
+    entry.bullets.map((text, bulletIndex) => ({
+      text,
+      entryIndex,
+      bulletIndex,
+      role: [entry.title, entry.company].filter(Boolean).join(' at ')
+    }))
+  ).filter(bullet => bullet.text && bullet.text.trim());
+
+  const verbCounts = {};
+  located.forEach(bullet => {
+    const verb = firstWord(bullet.text);
+    if (verb) verbCounts[verb] = (verbCounts[verb] || 0) + 1;
+  });
+
+  const items = located.map(bullet => ({
+    entryIndex: bullet.entryIndex,
+    bulletIndex: bullet.bulletIndex,
+    role: bullet.role,
+    ...analyzeBullet(bullet.text, verbCounts)
+  }));
+
+  const count = items.length;
+  const ratio = predicate => (count > 0 ? Math.round((items.filter(predicate).length / count) * 100) / 100 : 0);
+  const repeatedVerbs = Object.keys(verbCounts)
+    .filter(verb => verbCounts[verb] > 1 && isActionVerb(verb))
+    .map(verb => ({ verb, count: verbCounts[verb] }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    items,
+    count,
+    actionVerbRatio: ratio(item => item.startsWithActionVerb),
+    metricRatio: ratio(item => item.hasMetric),
+    passiveCount: items.filter(item => item.isPassive).length,
+    weakOpenerCount: items.filter(item => item.weakOpener).length,
+    repeatedVerbs,
+    score: count > 0 ? Math.round(items.reduce((total, item) => total + item.score, 0) / count) : 0
+  };
+}
+
+module.exports = {
+  ACTION_VERBS,
+  METRIC_PATTERN,
+  analyzeBullet,
+  analyzeBullets
+};
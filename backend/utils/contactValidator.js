@@ -0,0 +1,155 @@
+// Contact card validation and detection of personal data that CVs should not carry
+
+const EMAIL_SYNTAX = /^[a-z0-9](?:[a-z0-9._%+-]*[a-z0-9_%+-])?@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+const LINKEDIN_PROFILE = /^https:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[a-z0-9À-ÿ_-]{3,100}\/?$/i;
+const GITHUB_PROFILE = /^https:\/\/github\.com\/[a-z0-9](?:[a-z0-9-]{0,38})(?:\/[\w.-]+)?\/?$/i;
+const STREET_ADDRESS = /\b\d{1,5}[a-z]?\s+(?:[A-Za-zÀ-ÿ.'-]+\s+){0,3}(?:street|st\.?|road|rd\.?|avenue|ave\.?|lane|ln\.?|drive|dr\.?|boulevard|blvd\.?|way|close|court|place|square)\b|\b[A-Za-zÀ-ÿ-]+(?:stra(?:ss|ß)e|weg|gasse|platz)\s+\d{1,4}\b/i;
+
+// Patterns for personal data most markets advise leaving off a CV; matches are masked before storage
+const PII_PATTERNS = [
+  { type: 'date-of-birth', severity: 'medium', pattern: /\b(?:date of birth|d\.?o\.?b\.?|birth ?date|born(?: on| in)?|geburtsdatum|date de naissance)\s*[:\-]?\s*[^\n]{0,30}/i, message: 'Date of birth is listed; it invites age bias and is not needed to assess you' },
+  { type: 'age', severity: 'medium', pattern: /\bage\s*[:\-]\s*\d{2}\b|\b\d{2}\s+years old\b/i, message: 'Your age is listed; remove it to avoid age bias' },
+  { type: 'marital-status', severity: 'medium', pattern: /\b(?:marital status|civil status|familienstand)\s*[:\-]?\s*\w*|\b(?:married|divorced|widowed)(?:,|\s+with)\s+\d?\s*(?:children|kids)?/i, message: 'Marital or family status is listed; it is irrelevant to the role and a source of bias' },
+  { type: 'gender', severity: 'medium', pattern: /\b(?:gender|sex)\s*[:\-]\s*\w+/i, message: 'Gender is listed; leave it off your CV' },
+  { type: 'religion', severity: 'medium', pattern: /\b(?:religion|religious affiliation)\s*[:\-]\s*\w+/i, message: 'Religion is listed; leave it off your CV' },
+  { type: 'nationality', severity: 'low', pattern: /\b(?:nationality|citizenship)\s*[:\-]\s*[A-Za-zÀ-ÿ ]{3,30}/i, message: 'Nationality is listed; state work authorization instead if it matters for the role' },
+  { type: 'national-id', severity: 'high', pattern: /\b\d{3}-\d{2}-\d{4}\b/, message: 'A US Social Security number appears in your CV; remove it, it exposes you to identity theft' },
+  { type: 'national-id', severity: 'high', pattern: /\b[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/, message: 'A UK National Insurance number appears in your CV; remove it, it exposes you to identity theft' },
+  { type: 'national-id', severity: 'high', pattern: /\b(?:passport|national id|id card|identity card|ssn|social security|national insurance|personalausweis|tax id|nif|nie|pesel|aadhaar)\s*(?:no\.?|number|#)?\s*[:\-]?\s*[A-Z0-9][A-Z0-9 -]{5,}/i, message: 'An identity or tax document number appears in your CV; remove it, it exposes you to identity theft' }
+];
+
+function mask(value) {
+  const trimmed = value.trim();
+  return trimmed.length <= 6 ? '***' : `${trimmed.slice(0, Math.min(16, trimmed.length - 4)).replace(/\d/g, '•')}…`;
+}
+
+function normalizeUrl(value) {
+  if (!value) return '';
+  const withScheme = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  try {
+    const url = new URL(withScheme.replace(/[.,;]+$/, ''));
+    url.protocol = 'https:';
+    url.hostname = url.hostname.replace(/^www\./, '');
+    return url.toString().replace(/\/$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// "+44 (0)7700 900-123" -> "+447700900123"; without a country code only the digits are kept
+function normalizePhone(value) {
+  if (!value) return { normalized: '', hasCountryCode: false, digits: 0 };
+  const trimmed = value.trim();
+  const hasCountryCode = /^(?:\+|00)/.test(trimmed);
+  const digits = trimmed.replace(/\(0\)/, '').replace(/\D/g, '').replace(/^00/, '');
+  return {
+    normalized: hasCountryCode ? `+${digits}` : digits,
+    hasCountryCode,
+    digits: digits.length
+  };
+}
+
+function check(field, status, message) {
+  return { field, status, message };
+}
+
+function validateEmail(email) {
+  if (!email) return check('email', 'missing', 'No email address found; recruiters and ATS forms need one');
+  if (!EMAIL_SYNTAX.test(email) || /\.\./.test(email)) return check('email', 'invalid', `"${email}" is not a valid email address`);
+  return check('email', 'valid', null);
+}
+
+function validatePhone(phone, parsed) {
+  if (!phone) return check('phone', 'missing', 'No phone number found');
+  if (parsed.digits < 7 || parsed.digits > 15) return check('phone', 'invalid', `"${phone}" does not have a valid number of digits`);
+  if (!parsed.hasCountryCode) return check('phone', 'warning', `Add the country code to "${phone}" (e.g. +44 or +1) so international recruiters can call you`);
+  return check('phone', 'valid', null);
+}
+
+function validateProfileUrl(field, value, normalized, pattern, example) {
+  if (!value) return null;
+  if (!normalized || !pattern.test(normalized)) {
+    return check(field, 'invalid', `"${value}" does not look like a ${example} profile URL`);
+  }
+  return check(field, 'valid', null);
+}
+
+function validateWebsite(value, normalized) {
+  if (!value) return null;
+  return normalized ? check('website', 'valid', null) : check('website', 'invalid', `"${value}" is not a valid URL`);
+}
+
+function validateLocation(location) {
+  if (!location) return check('location', 'missing', 'Add your city and country; many ATS filter candidates by location');
+  return check('location', 'valid', null);
+}
+
+function findPii(text, layout) {
+  const findings = [];
+  const seen = new Set();
+
+  PII_PATTERNS.forEach(({ type, severity, pattern, message }) => {
+    const match = text.match(pattern);
+    if (!match || seen.has(type)) return;
+    seen.add(type);
+    findings.push({ type, severity, message, excerpt: mask(match[0]) });
+  });
+
+  const address = text.match(STREET_ADDRESS);
+  if (address) {
+    findings.push({ type: 'street-address', severity: 'low', message: 'A full street address is listed; city and country are enough', excerpt: mask(address[0]) });
+  }
+
+  // Images on the first page of a CV are most often a headshot
+  const firstPageImage = layout && (layout.source === 'docx'
+    ? layout.images > 0
+    : (layout.risks || []).some(risk => risk.type === 'images' && risk.page === 1));
+  if (firstPageImage) {
+    findings.push({ type: 'photo', severity: 'medium', message: 'The first page contains an image, likely a photo; outside markets that expect one, a photo invites bias and confuses ATS parsers', excerpt: '' });
+  }
+
+  return findings;
+}
+
+function validateContact(resume, text, layout) {
+  const contact = resume.contact || {};
+  const phone = normalizePhone(contact.phone);
+  const linkedin = normalizeUrl(contact.linkedin);
+  const github = normalizeUrl(contact.github);
+  const website = normalizeUrl(contact.website);
+
+  const checks = [
+    validateEmail(contact.email),
+    validatePhone(contact.phone, phone),
+    validateLocation(contact.location),
+    validateProfileUrl('linkedin', contact.linkedin, linkedin, LINKEDIN_PROFILE, 'LinkedIn'),
+    validateProfileUrl('github', contact.github, github, GITHUB_PROFILE, 'GitHub'),
+    validateWebsite(contact.website, website)
+  ].filter(Boolean);
+  const statusOf = field => (checks.find(item => item.field === field) || {}).status;
+  const reachable = ['valid', 'warning'];
+
+  const card = {
+    name: contact.name || '',
+    email: statusOf('email') === 'valid' ? contact.email.toLowerCase() : '',
+    phone: reachable.includes(statusOf('phone')) ? phone.normalized : '',
+    location: contact.location || '',
+    linkedin: statusOf('linkedin') === 'valid' ? linkedin : '',
+    github: statusOf('github') === 'valid' ? github : '',
+    website: statusOf('website') === 'valid' ? website : ''
+  };
+  const pii = findPii(text || '', layout);
+
+  return {
+    card,
+    checks,
+    pii,
+    isReachable: Boolean(card.email || card.phone)
+  };
+}
+
+module.exports = {
+  validateContact,
+  normalizePhone,
+  normalizeUrl
+};
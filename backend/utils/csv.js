@@ -0,0 +1,16 @@
+// CSV rows for downloadable exports; cells with commas, quotes or line breaks are quoted.
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) is prefixed with '; numbers stay numbers.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+module.exports = {
+  toCSV
+};
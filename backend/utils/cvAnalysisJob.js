@@ -0,0 +1,127 @@
+// Queue handler for uploaded CVs: parse the file, score it and write the results to its CVAnalysis
+const mongoose = require('mongoose');
+const CVAnalysis = require('../models/CVAnalysis');
+const User = require('../models/User');
+const { FILE_TYPES } = require('./cvFileTypes');
+const { parseResume } = require('./resumeParser');
+const { performATSAnalysis } = require('./cvAnalyzers');
+const { describeJobPosting } = require('./jobMatcher');
+const { getRoleProfile } = require('./roleProfiles');
+const { nextRevision } = require('./resumeDocuments');
+const { registerJobHandler, enqueueJob, permanentError } = require('./jobQueue');
+
+const CV_ANALYSIS_JOB = 'cv-analysis';
+
+async function extractText(file, fileType) {
+  try {
+    return await FILE_TYPES[fileType].extract(file);
+  } catch (error) {
+    console.error('File parsing error:', error);
+    // Extractors that can say what is wrong with the file (status 400) pass their message on
+    throw permanentError(error.status === 400
+      ? error.message
+      : `Failed to parse file. Please ensure it's a valid ${FILE_TYPES[fileType].label} file.`);
+  }
+}
+
+async function runCvAnalysisJob(job, reportProgress) {
+  const startTime = Date.now();
+  const cvAnalysis = await CVAnalysis.findById(job.analysisId);
+  if (!cvAnalysis) {
+    throw permanentError('The analysis was deleted before it could run');
+  }
+  // A retry after the results were saved must not analyze or bill twice
+  if (cvAnalysis.status === 'completed') return;
+
+  await reportProgress('parsing', 10);
+  const { text, layout } = await extractText(job.file, cvAnalysis.fileType);
+  if (!text.trim()) {
+    throw permanentError('No text content found in the file');
+  }
+  const parsedResume = parseResume(text);
+  cvAnalysis.extractedText = text;
+  cvAnalysis.parsedResume = parsedResume;
+
+  await reportProgress('analyzing', 40);
+  cvAnalysis.analysis = await performATSAnalysis(text, {
+    jobDescription: cvAnalysis.jobDescription && cvAnalysis.jobDescription.text,
+    roleProfile: cvAnalysis.roleProfile,
+    gapThresholdMonths: job.payload.gapThresholdMonths,
+    layout,
+    resume: parsedResume
+  });
+  cvAnalysis.calculateATSScore();
+
+  await reportProgress('suggestions', 80);
+  cvAnalysis.generateSuggestions();
+  cvAnalysis.status = 'completed';
+  cvAnalysis.failureReason = undefined;
+  cvAnalysis.processingTime = Date.now() - startTime;
+  await cvAnalysis.save();
+
+  const user = await User.findByIdAndUpdate(job.userId, { $inc: { 'usage.cvScans': 1 } }, { new: true });
+  if (user && user.plan === 'free') {
+    const { sendUpsellEmail } = require('./email');
+    await sendUpsellEmail(user.email, user.firstName, cvAnalysis.atsScore, cvAnalysis._id);
+  }
+}
+
+async function markAnalysisFailed(job, error) {
+  await CVAnalysis.updateOne(
+    { _id: job.analysisId, status: { $ne: 'completed' } },
+    { status: 'failed', failureReason: error.message }
+  );
+}
+
+registerJobHandler(CV_ANALYSIS_JOB, runCvAnalysisJob, markAnalysisFailed);
+
+// Scans still queued or running; usage is only incremented once an analysis completes
+function countPendingScans(userId) {
+  return CVAnalysis.countDocuments({ userId, status: 'analyzing' });
+}
+
+// canPerformAction only sees completed scans, so count queued ones as already used
+function canScanAnother(user, pendingScans) {
+  const cvScans = user.usage.cvScans;
+  user.usage.cvScans = cvScans + pendingScans;
+  const allowed = user.canPerformAction('cv_scan');
+  user.usage.cvScans = cvScans;
+  return allowed;
+}
+
+// Create the pending CVAnalysis for an upload and queue the job that fills it in
+// documentId files the upload as the next revision of an existing resume; without it a new document starts.
+// Batch and requisition uploads are candidates' CVs, not the user's own, so they stay with their batch only
+async function queueCvAnalysis({ userId, fileName, fileType, buffer, roleProfile, jobDescription, gapThresholdMonths, batchId, documentId }) {
+  const jobId = new mongoose.Types.ObjectId();
+  const placement = batchId ? {} : await nextRevision(userId, { documentId, name: fileName });
+  const cvAnalysis = await CVAnalysis.create({
+    userId,
+    ...placement,
+    originalFileName: fileName,
+    fileType,
+    roleProfile: getRoleProfile(roleProfile).id,
+    jobDescription: jobDescription ? describeJobPosting(jobDescription) : undefined,
+    atsScore: 0,
+    status: 'analyzing',
+    jobId,
+    batchId
+  });
+
+  const job = await enqueueJob(CV_ANALYSIS_JOB, {
+    _id: jobId,
+    userId,
+    analysisId: cvAnalysis._id,
+    file: buffer,
+    payload: { gapThresholdMonths }
+  });
+
+  return { cvAnalysis, job };
+}
+
+module.exports = {
+  CV_ANALYSIS_JOB,
+  queueCvAnalysis,
+  countPendingScans,
+  canScanAnother
+};
@@ -0,0 +1,568 @@
+// CV scoring pipeline: the analyzers behind performATSAnalysis and the scoring model they form
+const scoreRuleSchema = require('../models/scoreRuleSchema');
+const { registerAnalyzer, defineScoringModel, describeScoringModel, runPipeline } = require('./analyzerRegistry');
+const { extractJobRequirements, matchJobRequirements } = require('./jobMatcher');
+const { parseResume } = require('./resumeParser');
+const { analyzeBullets, METRIC_PATTERN } = require('./bulletAnalyzer');
+const { validateContact } = require('./contactValidator');
+const { analyzeLanguage } = require('./languageAnalyzer');
+const { loadTaxonomy, getSkills, findSkills, findSkillMatches } = require('./skillTaxonomy');
+const { scoreRule, toSpans, findSpans, locate } = require('./scoreRules');
+const { getRoleProfile } = require('./roleProfiles');
+const {
+  buildResumeTimeline,
+  checkTimelineConsistency,
+  getSeniorityBand,
+  hasLeadershipSignals,
+  getSectionExpectations,
+  LEADERSHIP_PATTERN
+} = require('./experienceTimeline');
+
+async function analyzeKeywords(text, profile) {
+  const matches = findSkillMatches(text);
+  const found = [...new Set(matches.map(match => match.skill))];
+
+  if (profile.expectedSkills) {
+    const expectedFound = profile.expectedSkills.filter(skill => found.includes(skill));
+    const missing = profile.expectedSkills.filter(skill => !found.includes(skill)).slice(0, 10);
+    // Full marks once the CV covers ten of the role's core skills
+    const target = Math.min(10, profile.expectedSkills.length);
+    const score = Math.min(100, Math.round((expectedFound.length / target) * 100));
+    const rules = [
+      scoreRule('keywords.expected-skills', `Core ${profile.name} skills`, 100, score,
+        toSpans(text, matches.filter(match => expectedFound.includes(match.skill))),
+        `${expectedFound.length} of ${target} core skills found${missing.length ? `; missing ${missing.join(', ')}` : ''}`)
+    ];
+
+    return { found, missing, score, rules };
+  }
+  
+  const missing = getSkills()
+    .filter(skill => !found.includes(skill.name))
+    .sort((a, b) => (b.weight || 1) - (a.weight || 1))
+    .map(skill => skill.name)
+    .slice(0, 10); // Top 10 missing keywords, most in-demand first
+
+  const score = Math.min(100, (found.length / 20) * 100); // Score based on found keywords
+  const rules = [
+    scoreRule('keywords.skill-coverage', 'Recognised skills', 100, score, toSpans(text, matches),
+      `${found.length} of 20 skills found${missing.length ? `; in demand: ${missing.join(', ')}` : ''}`)
+  ];
+
+  return { found, missing, score, rules };
+}
+
+function hasSection(resume, name) {
+  return resume.sections.some(section => section.name === name);
+}
+
+function sectionSpan(text, resume, name) {
+  const section = resume.sections.find(item => item.name === name && item.heading);
+  return section ? locate(text, section.heading) : null;
+}
+
+// A section counts only when it is headed and has parsed content
+function hasFilledSection(resume, name) {
+  switch (name) {
+    case 'experience':
+      return hasSection(resume, name) && resume.experience.length > 0;
+    case 'skills':
+      return hasSection(resume, name) && resume.skills.length > 0;
+    case 'education':
+      return resume.education.length > 0;
+    case 'projects':
+      return resume.projects.length > 0;
+    case 'certifications':
+      return resume.certifications.length > 0;
+    case 'summary':
+      return Boolean(resume.summary);
+    default:
+      return hasSection(resume, name);
+  }
+}
+
+function getResumeBullets(resume) {
+  return [
+    ...resume.experience.flatMap(entry => entry.bullets),
+    ...resume.projects.flatMap(project => project.bullets)
+  ];
+}
+
+// Text of the parts of the CV where skills are claimed or demonstrated
+function getSkillEvidenceText(resume) {
+  return [
+    resume.skills.join(', '),
+    resume.summary,
+    ...resume.experience.map(entry => [entry.title, ...entry.bullets].join('\n')),
+    ...resume.projects.map(project => [project.name, project.description, project.technologies.join(', '), ...project.bullets].join('\n')),
+    ...resume.certifications.map(certification => certification.name)
+  ].join('\n');
+}
+
+// layout: file-level inspection (PDF or DOCX structure) when the original upload is available
+function analyzeFormatting(text, resume, profile, band, layout, contact) {
+  const sections = getSectionExpectations(profile, band);
+  const hasContactInfo = contact.isReachable;
+  const hasSkillsSection = hasFilledSection(resume, 'skills');
+  const hasExperienceSection = hasFilledSection(resume, 'experience');
+  const missingSections = sections.required.filter(name => !hasFilledSection(resume, name));
+  const missingRecommendedSections = sections.recommended.filter(name => !hasFilledSection(resume, name));
+  const hasProperSections = hasContactInfo && missingSections.length === 0;
+  const details = resume.contact || {};
+
+  const rules = [
+    scoreRule('formatting.contact', 'Reachable contact details', 25, hasContactInfo ? 25 : 0,
+      [locate(text, details.email), locate(text, details.phone)],
+      hasContactInfo ? '' : 'Add a valid email address or phone number'),
+    scoreRule('formatting.skills-section', 'Skills section', 25, hasSkillsSection ? 25 : 0,
+      [sectionSpan(text, resume, 'skills')],
+      hasSkillsSection ? '' : 'Add a headed Skills section listing your skills'),
+    scoreRule('formatting.experience-section', 'Experience section', 25, hasExperienceSection ? 25 : 0,
+      [sectionSpan(text, resume, 'experience')],
+      hasExperienceSection ? '' : 'Add a headed Experience section with dated roles'),
+    scoreRule('formatting.required-sections', 'Expected sections present', 25, hasProperSections ? 25 : 0,
+      sections.required.map(name => sectionSpan(text, resume, name)),
+      missingSections.length > 0 ? `Missing ${missingSections.join(', ')}` : (hasContactInfo ? '' : 'Needs reachable contact details'))
+  ];
+
+  // ATS parsing risks in the file itself cost up to 40 points
+  let score = rules.reduce((total, rule) => total + rule.pointsAwarded, 0);
+  if (layout) {
+    const deducted = Math.min(score, layout.penalty);
+    rules.push(scoreRule('formatting.layout', 'File layout parses cleanly', 0, -deducted, [],
+      layout.risks.map(risk => risk.message).join('; ')));
+    score -= deducted;
+  }
+
+  return {
+    hasProperSections,
+    hasContactInfo,
+    hasSkillsSection,
+    hasExperienceSection,
+    missingSections,
+    missingRecommendedSections,
+    layout: layout || undefined,
+    score,
+    rules
+  };
+}
+
+function analyzeContent(text, resume, profile, band, bulletQuality) {
+  const bullets = getResumeBullets(resume);
+  // One stray percentage is not enough; a third of the experience bullets should carry a metric
+  const hasQuantifiableAchievements = bulletQuality.count > 0
+    ? bulletQuality.metricRatio >= 0.3
+    : bullets.some(bullet => METRIC_PATTERN.test(bullet));
+  const relevantRoles = resume.experience.filter(entry => profile.titlePattern.test(entry.title));
+  const hasRelevantExperience = relevantRoles.length > 0;
+  const hasEducationSection = resume.education.length > 0;
+  const hasLeadership = hasLeadershipSignals([resume.summary, ...bullets]);
+  const wordCount = text.split(/\s+/).length;
+  const [minWords, maxWords] = band.wordRange;
+  const rules = [];
+
+  // Bullet quality (verbs, metrics, voice, length) is worth up to 30 points; the weakest bullets are shown first
+  if (bulletQuality.count > 0) {
+    const weakest = [...bulletQuality.items].sort((a, b) => a.score - b.score);
+    rules.push(scoreRule('content.bullet-quality', 'Strong achievement bullets', 30, Math.round(bulletQuality.score * 0.3),
+      weakest.map(item => locate(text, item.text)),
+      `Average bullet score ${bulletQuality.score}/100`));
+  } else {
+    rules.push(scoreRule('content.bullet-quality', 'Quantified achievements', 30, hasQuantifiableAchievements ? 30 : 0,
+      findSpans(text, METRIC_PATTERN),
+      'No bullet points found; write achievements as bullets with metrics'));
+  }
+  rules.push(scoreRule('content.relevant-experience', `Experience as a ${profile.name}`, 30, hasRelevantExperience ? 30 : 0,
+    relevantRoles.map(entry => locate(text, entry.title)),
+    hasRelevantExperience ? '' : 'No job title matches the target role'));
+  // Senior CVs are judged on scope and leadership more than on education
+  const educationPoints = band.expectsLeadership ? 10 : 20;
+  rules.push(scoreRule('content.education', 'Education listed', educationPoints, hasEducationSection ? educationPoints : 0,
+    [sectionSpan(text, resume, 'education')],
+    hasEducationSection ? '' : 'Add your education'));
+  if (band.expectsLeadership) {
+    rules.push(scoreRule('content.leadership', 'Leadership and ownership', 10, hasLeadership ? 10 : 0,
+      hasLeadership ? findSpans(text, LEADERSHIP_PATTERN) : [],
+      hasLeadership ? '' : 'Show people you led, mentored or hired and what you owned'));
+  }
+  const lengthFits = wordCount >= minWords && wordCount <= maxWords;
+  rules.push(scoreRule('content.length', 'Length suits seniority', 20, lengthFits ? 20 : 0, [],
+    `${wordCount} words; ${minWords}-${maxWords} expected`));
+
+  return {
+    hasQuantifiableAchievements,
+    hasRelevantExperience,
+    hasEducationSection,
+    hasLeadershipSignals: hasLeadership,
+    bulletScore: bulletQuality.score,
+    seniority: band.id,
+    wordCount,
+    expectedWordRange: band.wordRange,
+    score: rules.reduce((total, rule) => total + rule.pointsAwarded, 0),
+    rules
+  };
+}
+
+// Scored on the skills/experience/projects evidence; spans are the same skills' mentions in the full text
+function analyzeTechnicalSkills(text, resume, profile) {
+  const evidence = getSkillEvidenceText(resume);
+  const programmingLanguages = findSkills(evidence, ['language']);
+  const frameworks = findSkills(evidence, ['framework']);
+  const tools = findSkills(evidence, ['tool', 'cloud']);
+  const databases = findSkills(evidence, ['database']);
+  const matches = findSkillMatches(text);
+
+  let rule;
+  if (profile.expectedSkills) {
+    // Only the role's own stack counts towards depth, so React does not help an embedded CV
+    const relevant = findSkills(evidence).filter(skill => profile.expectedSkills.includes(skill));
+    rule = scoreRule('technical.role-stack', `Depth in the ${profile.name} stack`, 100,
+      Math.min(100, Math.round((relevant.length / 8) * 100)),
+      toSpans(text, matches.filter(match => relevant.includes(match.skill))),
+      `${relevant.length} of 8 role skills evidenced`);
+  } else {
+    const counted = [...programmingLanguages, ...frameworks, ...tools, ...databases];
+    rule = scoreRule('technical.breadth', 'Technical breadth', 100,
+      Math.min(100, (counted.length / 10) * 100),
+      toSpans(text, matches.filter(match => counted.includes(match.skill))),
+      `${counted.length} of 10 languages, frameworks, tools and databases evidenced`);
+  }
+
+  return {
+    programmingLanguages,
+    frameworks,
+    tools,
+    databases,
+    score: rule.pointsAwarded,
+    rules: [rule]
+  };
+}
+
+registerAnalyzer('cv', {
+  id: 'keywords',
+  version: 2,
+  inputs: ['text', 'profile'],
+  weight: 0.35,
+  output: {
+    found: [String],
+    missing: [String],
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ text, profile }) => analyzeKeywords(text, profile)
+});
+
+registerAnalyzer('cv', {
+  id: 'timeline',
+  version: 2,
+  inputs: ['resume'],
+  optionalInputs: ['gapThresholdMonths'],
+  weight: 0,
+  output: {
+    entries: [{
+      title: String,
+      company: String,
+      startDate: String,
+      endDate: String,
+      current: Boolean,
+      internship: Boolean,
+      start: String, // YYYY-MM
+      end: String,
+      months: Number,
+      skills: [String]
+    }],
+    totalMonths: Number,
+    totalYears: Number,
+    skillYears: [{
+      skill: String,
+      years: Number
+    }],
+    seniority: {
+      type: String,
+      enum: ['entry', 'mid', 'senior', 'staff']
+    },
+    issues: [{
+      type: {
+        type: String,
+        enum: ['gap', 'overlap', 'future-date', 'invalid-range', 'inconsistent-format', 'missing-end-date', 'undated']
+      },
+      severity: {
+        type: String,
+        enum: ['high', 'medium', 'low']
+      },
+      message: String,
+      start: String,
+      end: String,
+      months: Number,
+      entries: [String]
+    }],
+    dateFormats: [String],
+    gapThresholdMonths: Number,
+    score: Number
+  },
+  run: ({ resume, gapThresholdMonths }) => ({
+    ...buildResumeTimeline(resume),
+    ...checkTimelineConsistency(resume, { gapThresholdMonths })
+  })
+});
+
+registerAnalyzer('cv', {
+  id: 'bullets',
+  version: 1,
+  inputs: ['resume'],
+  weight: 0,
+  output: {
+    items: [{
+      entryIndex: Number, // position in parsedResume.experience
+      bulletIndex: Number,
+      role: String,
+      text: String,
+      verb: String,
+      startsWithActionVerb: Boolean,
+      weakOpener: Boolean,
+      hasMetric: Boolean,
+      isPassive: Boolean,
+      wordCount: Number,
+      lengthIssue: {
+        type: String,
+        enum: ['short', 'long', null]
+      },
+      repeatedVerb: Boolean,
+      score: Number,
+      hints: [String]
+    }],
+    count: Number,
+    actionVerbRatio: Number,
+    metricRatio: Number,
+    passiveCount: Number,
+    weakOpenerCount: Number,
+    repeatedVerbs: [{
+      verb: String,
+      count: Number
+    }],
+    score: Number
+  },
+  run: ({ resume }) => analyzeBullets(resume)
+});
+
+registerAnalyzer('cv', {
+  id: 'contact',
+  version: 1,
+  inputs: ['resume', 'text'],
+  optionalInputs: ['layout'],
+  weight: 0,
+  output: {
+    card: {
+      name: String,
+      email: String,
+      phone: String, // E.164 when a country code was given
+      location: String,
+      linkedin: String,
+      github: String,
+      website: String
+    },
+    checks: [{
+      field: String,
+      status: {
+        type: String,
+        enum: ['valid', 'warning', 'invalid', 'missing']
+      },
+      message: String
+    }],
+    pii: [{
+      type: { type: String },
+      severity: {
+        type: String,
+        enum: ['high', 'medium', 'low']
+      },
+      message: String,
+      excerpt: String // masked
+    }],
+    isReachable: Boolean
+  },
+  run: ({ resume, text, layout }) => validateContact(resume, text, layout)
+});
+
+registerAnalyzer('cv', {
+  id: 'formatting',
+  version: 1,
+  inputs: ['text', 'resume', 'profile', 'timeline', 'contact'],
+  optionalInputs: ['layout'],
+  weight: 0.25,
+  output: {
+    hasProperSections: Boolean,
+    hasContactInfo: Boolean,
+    hasSkillsSection: Boolean,
+    hasExperienceSection: Boolean,
+    missingSections: [String],
+    missingRecommendedSections: [String],
+    layout: {
+      source: {
+        type: String,
+        enum: ['pdf', 'docx']
+      },
+      pages: Number,
+      columns: Number,
+      tables: Number,
+      textBoxes: Number,
+      headerFooterText: [String],
+      headingStyles: {
+        styled: Number,
+        manual: Number
+      },
+      images: Number,
+      trackedChanges: Number,
+      comments: Number,
+      imageOnlyPages: Number,
+      fonts: [String],
+      nonStandardFonts: [String],
+      readingOrderIssues: Number,
+      risks: [{
+        type: { type: String },
+        severity: {
+          type: String,
+          enum: ['high', 'medium', 'low']
+        },
+        page: Number,
+        message: String
+      }],
+      penalty: Number
+    },
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ text, resume, profile, timeline, contact, layout }) =>
+    analyzeFormatting(text, resume, profile, getSeniorityBand(timeline.seniority), layout, contact)
+});
+
+registerAnalyzer('cv', {
+  id: 'content',
+  version: 1,
+  inputs: ['text', 'resume', 'profile', 'timeline', 'bullets'],
+  weight: 0.25,
+  output: {
+    hasQuantifiableAchievements: Boolean,
+    hasRelevantExperience: Boolean,
+    hasEducationSection: Boolean,
+    hasLeadershipSignals: Boolean,
+    bulletScore: Number,
+    seniority: String,
+    wordCount: Number,
+    expectedWordRange: [Number],
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ text, resume, profile, timeline, bullets }) =>
+    analyzeContent(text, resume, profile, getSeniorityBand(timeline.seniority), bullets)
+});
+
+registerAnalyzer('cv', {
+  id: 'technical',
+  version: 2,
+  inputs: ['text', 'resume', 'profile'],
+  weight: 0.15,
+  output: {
+    programmingLanguages: [String],
+    frameworks: [String],
+    tools: [String],
+    databases: [String],
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ text, resume, profile }) => analyzeTechnicalSkills(text, resume, profile)
+});
+
+registerAnalyzer('cv', {
+  id: 'language',
+  version: 3,
+  inputs: ['text', 'resume'],
+  weight: 0,
+  output: {
+    issues: [{
+      type: {
+        type: String,
+        enum: ['spelling', 'possible-typo', 'repeated-word', 'tense', 'readability', 'buzzword']
+      },
+      severity: {
+        type: String,
+        enum: ['high', 'medium', 'low']
+      },
+      message: String,
+      text: String,
+      start: Number, // offsets into extractedText
+      end: Number,
+      suggestions: [String]
+    }],
+    counts: {
+      spelling: Number,
+      possibleTypos: Number,
+      repeatedWords: Number,
+      tense: Number,
+      readability: Number,
+      buzzwords: Number
+    },
+    readability: {
+      sentences: Number,
+      averageSentenceLength: Number,
+      fleschReadingEase: Number,
+      gradeLevel: Number
+    },
+    score: Number
+  },
+  run: ({ text, resume }) => analyzeLanguage(text, resume)
+});
+
+registerAnalyzer('cv', {
+  id: 'jobMatch',
+  version: 2,
+  inputs: ['text', 'jobDescription', 'timeline'],
+  weight: 0,
+  output: {
+    requiredSkillsMatched: [String],
+    requiredSkillsMissing: [String],
+    preferredSkillsMatched: [String],
+    preferredSkillsMissing: [String],
+    requirements: [{
+      text: String,
+      type: { type: String },
+      importance: { type: String },
+      matched: Boolean,
+      matchedSkills: [String],
+      missingSkills: [String],
+      evidence: String
+    }],
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ text, jobDescription, timeline }) =>
+    matchJobRequirements(text, extractJobRequirements(jobDescription), { yearsOfExperience: timeline.totalYears })
+});
+
+// Bump the version whenever an analyzer version, a default weight or this list changes
+defineScoringModel('cv', {
+  version: 3,
+  analyzers: ['keywords', 'timeline', 'bullets', 'contact', 'formatting', 'content', 'technical', 'language', 'jobMatch']
+});
+
+// options: resume (pre-parsed), roleProfile, jobDescription, layout, gapThresholdMonths
+async function performATSAnalysis(text, options = {}) {
+  await loadTaxonomy();
+  return runPipeline('cv', {
+    text,
+    resume: options.resume || parseResume(text),
+    profile: getRoleProfile(options.roleProfile),
+    layout: options.layout,
+    jobDescription: options.jobDescription || undefined,
+    gapThresholdMonths: options.gapThresholdMonths
+  });
+}
+
+// Current CV scoring model with the role profile's weights applied
+function describeCvScoringModel(roleProfile) {
+  return describeScoringModel('cv', getRoleProfile(roleProfile).cvWeights);
+}
+
+module.exports = {
+  performATSAnalysis,
+  describeCvScoringModel
+};
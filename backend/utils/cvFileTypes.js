@@ -0,0 +1,83 @@
+// CV input formats: how an upload is recognised and how its text (and layout, where there is one) is extracted
+const path = require('path');
+const { inspectPdf } = require('./pdfInspector');
+const { inspectDocx } = require('./docxInspector');
+const { parseJsonResume, jsonResumeToText } = require('./jsonResume');
+const { extractPlainText, extractMarkdown, extractHtml, extractRtf, extractOdt, extractLatex } = require('./textExtractors');
+
+const FILE_TYPES = {
+  pdf: {
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+    extract: inspectPdf
+  },
+  docx: {
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extract: inspectDocx
+  },
+  // JSON Resume has no file layout to inspect; it is analyzed as the text it renders to
+  json: {
+    label: 'JSON Resume',
+    extensions: ['.json'],
+    mimetypes: ['application/json'],
+    extract: async buffer => ({ text: jsonResumeToText(parseJsonResume(buffer)) })
+  },
+  // Plain and markup formats carry no inspectable page layout either
+  txt: {
+    label: 'plain text',
+    extensions: ['.txt', '.text'],
+    mimetypes: ['text/plain'],
+    extract: extractPlainText
+  },
+  md: {
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimetypes: ['text/markdown', 'text/x-markdown'],
+    extract: extractMarkdown
+  },
+  html: {
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimetypes: ['text/html'],
+    extract: extractHtml
+  },
+  rtf: {
+    label: 'RTF',
+    extensions: ['.rtf'],
+    mimetypes: ['application/rtf', 'text/rtf'],
+    extract: extractRtf
+  },
+  odt: {
+    label: 'ODT',
+    extensions: ['.odt'],
+    mimetypes: ['application/vnd.oasis.opendocument.text'],
+    extract: extractOdt
+  },
+  tex: {
+    label: 'LaTeX',
+    extensions: ['.tex'],
+    mimetypes: ['application/x-tex', 'text/x-tex'],
+    extract: extractLatex
+  }
+};
+
+// The extension decides; browsers report JSON and text files under many mimetypes
+function fileTypeOf(fileName, mimetype) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].extensions.includes(extension)) ||
+    (!extension && Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].mimetypes.includes(mimetype))) ||
+    null;
+}
+
+function describeFileTypes() {
+  return Object.values(FILE_TYPES).map(type => type.label).join(', ');
+}
+
+module.exports = {
+  FILE_TYPES,
+  fileTypeOf,
+  describeFileTypes
+};
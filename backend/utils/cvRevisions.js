@@ -0,0 +1,133 @@
+// New CV revisions built from accepted suggestions or optimizer edits, re-scored as they are applied
+const CVAnalysis = require('../models/CVAnalysis');
+const { parseResume } = require('./resumeParser');
+const { performATSAnalysis, describeCvScoringModel } = require('./cvAnalyzers');
+const { computeScore } = require('./analyzerRegistry');
+const { applyEdits } = require('./textEdits');
+const { nextRevision } = require('./resumeDocuments');
+
+function acceptedEdits(suggestion) {
+  return suggestion.edits.filter(edit => edit.status === 'accepted');
+}
+
+// Score a text the way its parent was scored: same role, posting, gap threshold and file layout
+async function scoreText(text, parent, options) {
+  const analysis = await performATSAnalysis(text, { ...options, resume: parseResume(text) });
+  return { analysis, score: computeScore(describeCvScoringModel(parent.roleProfile), analysis) };
+}
+
+function scoringOptions(parent) {
+  const stored = parent.toObject();
+  const layout = stored.analysis.formatting && stored.analysis.formatting.layout;
+  return {
+    roleProfile: parent.roleProfile,
+    jobDescription: stored.jobDescription && stored.jobDescription.text,
+    layout: layout && layout.source ? layout : undefined,
+    gapThresholdMonths: stored.analysis.timeline && stored.analysis.timeline.gapThresholdMonths
+  };
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+// Store an edited text as the next revision of the parent's document
+async function saveRevision(parent, scored, { source, appliedSuggestions = [] }) {
+  if (!parent.documentId) {
+    Object.assign(parent, await nextRevision(parent.userId, { name: parent.originalFileName }));
+    await parent.save();
+  }
+  const { documentId, revision: revisionNumber } = await nextRevision(parent.userId, { documentId: parent.documentId });
+
+  const revision = new CVAnalysis({
+    userId: parent.userId,
+    originalFileName: parent.originalFileName,
+    fileType: parent.fileType,
+    roleProfile: parent.roleProfile,
+    jobDescription: parent.toObject().jobDescription,
+    extractedText: scored.text,
+    parsedResume: parseResume(scored.text),
+    analysis: scored.analysis,
+    atsScore: 0,
+    status: 'completed',
+    documentId,
+    revision: revisionNumber,
+    source,
+    parentId: parent._id,
+    appliedSuggestions
+  });
+  revision.calculateATSScore();
+  revision.generateSuggestions();
+  await revision.save();
+  return revision;
+}
+
+async function createRevision(parent) {
+  const options = scoringOptions(parent);
+  const accepted = parent.suggestions.filter(suggestion => suggestion.status === 'accepted' && acceptedEdits(suggestion).length > 0);
+  if (accepted.length === 0) {
+    throw conflict('Accept at least one suggestion with a proposed edit first');
+  }
+
+  // The parent is re-scored with the current model so the deltas compare like with like
+  const base = await scoreText(parent.extractedText, parent, options);
+  let previousScore = base.score;
+  let current = base;
+  const edits = [];
+  const changes = [];
+  let conflicts = [];
+
+  for (const suggestion of accepted) {
+    edits.push(...acceptedEdits(suggestion));
+    const result = applyEdits(parent.extractedText, edits);
+    conflicts = result.skipped.map(edit => edit.editId);
+    current = await scoreText(result.text, parent, options);
+    current.text = result.text;
+    changes.push({
+      suggestionId: suggestion.suggestionId,
+      title: suggestion.title,
+      edits: acceptedEdits(suggestion).length,
+      scoreDelta: current.score - previousScore
+    });
+    previousScore = current.score;
+  }
+
+  const revision = await saveRevision(parent, current, { source: 'suggestions', appliedSuggestions: changes });
+
+  return {
+    revision,
+    baseScore: base.score,
+    score: revision.atsScore,
+    scoreDelta: revision.atsScore - base.score,
+    changes,
+    conflicts
+  };
+}
+
+// Save the optimizer's text (original plus accepted rewrite edits) as a revision
+async function createOptimizedRevision(parent) {
+  const edits = (parent.optimizedVersion && parent.optimizedVersion.edits) || [];
+  if (!edits.some(edit => edit.status === 'accepted')) {
+    throw conflict('Accept at least one optimization edit first');
+  }
+
+  const options = scoringOptions(parent);
+  const base = await scoreText(parent.extractedText, parent, options);
+  const current = await scoreText(parent.optimizedVersion.text, parent, options);
+  current.text = parent.optimizedVersion.text;
+  const revision = await saveRevision(parent, current, { source: 'optimized' });
+
+  return {
+    revision,
+    baseScore: base.score,
+    score: revision.atsScore,
+    scoreDelta: revision.atsScore - base.score
+  };
+}
+
+module.exports = {
+  createRevision,
+  createOptimizedRevision
+};
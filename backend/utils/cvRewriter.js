@@ -0,0 +1,283 @@
+// Rule-based CV rewriting, section by section. Nothing is rewritten blindly: each rule proposes edits
+// over the original text (see textEdits.js) that the user accepts or rejects one at a time.
+const { METRIC_PATTERN } = require('./bulletAnalyzer');
+const { findSkills, findSkillMatches } = require('./skillTaxonomy');
+const { extractJobRequirements, significantTokens } = require('./jobMatcher');
+const { getRoleProfile } = require('./roleProfiles');
+
+// Past tense for gerunds that do not just take "-ed" ("building" -> "Built")
+const IRREGULAR_PAST = {
+  building: 'built', leading: 'led', writing: 'wrote', running: 'ran', making: 'made', driving: 'drove',
+  setting: 'set', bringing: 'brought', teaching: 'taught', growing: 'grew', keeping: 'kept', selling: 'sold',
+  buying: 'bought', choosing: 'chose', cutting: 'cut', finding: 'found', holding: 'held', overseeing: 'oversaw',
+  rewriting: 'rewrote', rebuilding: 'rebuilt', speaking: 'spoke', spending: 'spent', thinking: 'thought',
+  undertaking: 'undertook', winning: 'won', getting: 'got', giving: 'gave', doing: 'did', seeing: 'saw',
+  taking: 'took', sending: 'sent', meeting: 'met', understanding: 'understood'
+};
+
+const IRREGULAR_GERUND = {
+  run: 'running', set: 'setting', get: 'getting', plan: 'planning', ship: 'shipping', cut: 'cutting',
+  begin: 'beginning', win: 'winning', put: 'putting', stop: 'stopping', scope: 'scoping', see: 'seeing',
+  debug: 'debugging'
+};
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function pastTense(gerund) {
+  const word = gerund.toLowerCase();
+  if (IRREGULAR_PAST[word]) return IRREGULAR_PAST[word];
+  const stem = word.replace(/ing$/, '');
+  if (/[^aeiou]y$/.test(stem)) return stem.replace(/y$/, 'ied');
+  // "managing" -> "managed", "shipping" -> "shipped": the dropped "e" and doubled consonant both work out
+  return `${stem}ed`;
+}
+
+function toGerund(verb) {
+  const word = verb.toLowerCase();
+  if (IRREGULAR_GERUND[word]) return IRREGULAR_GERUND[word];
+  if (/ie$/.test(word)) return word.replace(/ie$/, 'ying');
+  if (/[^e]e$/.test(word)) return word.replace(/e$/, 'ing');
+  return `${word}ing`;
+}
+
+// Verbs the opener rules may conjugate. A word after "helped" or an -ing word after "responsible for"
+// is not always a verb ("Helped customers ...", "Responsible for everything", "... for logging
+// infrastructure"), so only these are rewritten into a verb; anything else gets a neutral opener.
+const KNOWN_VERBS = [
+  'administer', 'analyze', 'architect', 'automate', 'build', 'configure', 'coordinate', 'create', 'cut',
+  'debug', 'define', 'deliver', 'deploy', 'design', 'develop', 'document', 'drive', 'establish', 'grow',
+  'hire', 'implement', 'improve', 'increase', 'integrate', 'launch', 'lead', 'maintain', 'manage', 'meet',
+  'mentor', 'migrate', 'modernize', 'monitor', 'onboard', 'operate', 'optimize', 'organize', 'oversee',
+  'own', 'plan', 'rebuild', 'recruit', 'reduce', 'refactor', 'review', 'rewrite', 'run', 'scale', 'scope',
+  'send', 'set', 'ship', 'streamline', 'support', 'take', 'test', 'train', 'understand', 'write'
+];
+const KNOWN_GERUNDS = KNOWN_VERBS.map(toGerund);
+
+// Weak openers with a rewrite that keeps the claim honest; openers without one ("Did", "Tried",
+// "Exposure to") are left to the bullet-quality hints
+const OPENER_REWRITES = [
+  { pattern: new RegExp(`^(?:was )?responsible for (${KNOWN_GERUNDS.join('|')})\\b`, 'i'), rewrite: match => capitalize(pastTense(match[1])) },
+  { pattern: /^(?:was )?responsible for\b/i, rewrite: () => 'Owned', alternatives: ['Led', 'Ran'] },
+  { pattern: /^(?:was |were )?in charge of\b/i, rewrite: () => 'Led', alternatives: ['Owned', 'Directed'] },
+  { pattern: new RegExp(`^(?:was |were )?tasked with (${KNOWN_GERUNDS.join('|')})\\b`, 'i'), rewrite: match => capitalize(pastTense(match[1])) },
+  { pattern: /^(?:was |were )?tasked with\b/i, rewrite: () => 'Owned', alternatives: ['Led'] },
+  // "Worked on" says nothing about the part played, so the rewrite must not claim more than that
+  { pattern: /^worked on\b/i, rewrite: () => 'Contributed to' },
+  { pattern: /^worked with\b/i, rewrite: () => 'Partnered with', alternatives: ['Collaborated with'] },
+  // "Helped to X" is always followed by a verb; a bare "Helped X" only when X is a known one
+  { pattern: /^helped to (\w+)\b/i, rewrite: match => `Contributed to ${toGerund(match[1])}`, alternatives: ['Supported'] },
+  { pattern: new RegExp(`^helped (${KNOWN_VERBS.join('|')})\\b`, 'i'), rewrite: match => `Contributed to ${toGerund(match[1])}`, alternatives: ['Supported'] },
+  { pattern: /^helped\b/i, rewrite: () => 'Supported', alternatives: ['Assisted'] },
+  { pattern: /^assisted (?:in|with)\b/i, rewrite: () => 'Contributed to', alternatives: ['Supported'] },
+  { pattern: /^(?:was )?involved in\b/i, rewrite: () => 'Contributed to', alternatives: ['Delivered'] },
+  { pattern: /^participated in\b/i, rewrite: () => 'Contributed to', alternatives: ['Delivered'] },
+  { pattern: /^handled\b/i, rewrite: () => 'Managed', alternatives: ['Owned', 'Resolved'] }
+];
+
+const BULLET_MARKER = /^\s*(?:[•●▪◦·‣⁃*-]|\d+[.)])\s*/;
+
+function lineStarts(text) {
+  const starts = [0];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') starts.push(index + 1);
+  }
+  return starts;
+}
+
+// Line index, character range and text of every bullet, grouped by entry in section order
+function locateBullets(text, resume, sectionName, entries) {
+  const lines = text.split('\n');
+  const starts = lineStarts(text);
+  const sections = resume.sections.filter(section => section.name === sectionName);
+  const sectionLines = sections.flatMap(section => {
+    const indexes = [];
+    for (let line = section.startLine + 1; line <= section.endLine; line++) indexes.push(line);
+    return indexes;
+  });
+
+  let position = 0;
+  return entries.map(entry => entry.bullets.map(bullet => {
+    if (!bullet) return null;
+    const offset = sectionLines.slice(position).findIndex(line => lines[line].includes(bullet));
+    if (offset === -1) return null;
+    position += offset + 1;
+    const line = sectionLines[position - 1];
+    const content = lines[line].replace(/\r$/, '');
+    const column = content.indexOf(bullet);
+    return {
+      text: bullet,
+      line,
+      start: starts[line] + column,
+      end: starts[line] + column + bullet.length,
+      lineStart: starts[line],
+      lineEnd: starts[line] + content.length,
+      // One bullet per line, so the whole line can be moved
+      wholeLine: content.replace(BULLET_MARKER, '').trim() === bullet.trim()
+    };
+  }).filter(Boolean));
+}
+
+function rewriteOpeners(located, section) {
+  const edits = [];
+  located.flat().forEach(bullet => {
+    const rule = OPENER_REWRITES.find(candidate => candidate.pattern.test(bullet.text));
+    if (!rule) return;
+    const match = bullet.text.match(rule.pattern);
+    const replacement = rule.rewrite(match);
+    edits.push({
+      editId: `opener-${bullet.line}`,
+      kind: 'bullet-opener',
+      section,
+      start: bullet.start,
+      end: bullet.start + match[0].length,
+      original: match[0],
+      replacement,
+      alternatives: rule.alternatives || [],
+      reason: `"${match[0]}" describes a duty; "${replacement}" states what you did`
+    });
+  });
+  return edits;
+}
+
+// Skills the target role asks for that the CV demonstrates but the skills section does not list.
+// Skills with no evidence anywhere are reported, never added.
+function promoteSkills(text, resume, targetSkills) {
+  const listed = new Set(findSkills(resume.skills.join(', ')));
+  const evidenceText = [
+    resume.summary,
+    ...resume.experience.map(entry => [entry.title, ...entry.bullets].join('\n')),
+    ...resume.projects.map(project => [project.name, project.description, project.technologies.join(', '), ...project.bullets].join('\n')),
+    ...resume.certifications.map(certification => certification.name)
+  ].join('\n');
+  const evidenced = new Set(findSkills(evidenceText));
+
+  const wanted = targetSkills || [...evidenced];
+  const toAdd = wanted.filter(skill => evidenced.has(skill) && !listed.has(skill));
+  const unsupported = (targetSkills || []).filter(skill => !evidenced.has(skill) && !listed.has(skill));
+  if (toAdd.length === 0) return { edits: [], unsupported };
+
+  const matches = findSkillMatches(text);
+  const evidenceFor = skill => {
+    const match = matches.find(item => item.skill === skill);
+    if (!match) return '';
+    const lineStart = text.lastIndexOf('\n', match.start) + 1;
+    const lineEnd = text.indexOf('\n', match.end);
+    return text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim().slice(0, 200);
+  };
+
+  const lines = text.split('\n');
+  const starts = lineStarts(text);
+  const section = resume.sections.find(item => item.name === 'skills');
+  const contentLines = [];
+  if (section) {
+    for (let line = section.startLine + 1; line <= section.endLine; line++) {
+      if (lines[line].trim()) contentLines.push(line);
+    }
+  }
+
+  if (contentLines.length === 0) {
+    // No skills section to extend: offer one new section holding every evidenced skill
+    return {
+      edits: [{
+        editId: 'skills-section',
+        kind: 'add-skills-section',
+        section: 'skills',
+        start: text.length,
+        end: text.length,
+        original: '',
+        replacement: `${text.endsWith('\n') ? '' : '\n'}\nSkills\n${toAdd.join(', ')}`,
+        alternatives: [],
+        evidence: toAdd.map(evidenceFor).filter(Boolean),
+        reason: `Add a Skills section so ATS parsers pick up ${toAdd.join(', ')}, which your experience already shows`
+      }],
+      unsupported
+    };
+  }
+
+  const lastLine = contentLines[contentLines.length - 1];
+  const insertAt = starts[lastLine] + lines[lastLine].replace(/\r$/, '').replace(/[\s.]+$/, '').length;
+  return {
+    edits: toAdd.map(skill => ({
+      editId: `skill-${skill.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      kind: 'add-skill',
+      section: 'skills',
+      start: insertAt,
+      end: insertAt,
+      original: '',
+      replacement: `, ${skill}`,
+      alternatives: [],
+      evidence: [evidenceFor(skill)].filter(Boolean),
+      reason: `${skill} appears in your experience but not in your skills section`
+    })),
+    unsupported
+  };
+}
+
+function bulletRelevance(bullet, targetSkills, targetTokens) {
+  const skills = findSkills(bullet);
+  const skillHits = targetSkills ? skills.filter(skill => targetSkills.includes(skill)).length : skills.length;
+  const words = (bullet.toLowerCase().match(/[a-z][a-z0-9+#]{3,}/g) || []);
+  const tokenHits = new Set(words.filter(word => targetTokens.has(word))).size;
+  return skillHits * 3 + tokenHits + (METRIC_PATTERN.test(bullet) ? 1 : 0);
+}
+
+// Most relevant bullets first within each role; only roles whose bullets sit one per line on consecutive lines
+function reorderBullets(text, resume, located, targetSkills, targetTokens) {
+  const edits = [];
+  located.forEach((bullets, entryIndex) => {
+    if (bullets.length < 2 || bullets.length !== resume.experience[entryIndex].bullets.length) return;
+    if (bullets.some((bullet, index) => !bullet.wholeLine || (index > 0 && bullet.line !== bullets[index - 1].line + 1))) return;
+
+    const ranked = bullets
+      .map((bullet, index) => ({ bullet, index, relevance: bulletRelevance(bullet.text, targetSkills, targetTokens) }))
+      .sort((a, b) => b.relevance - a.relevance || a.index - b.index);
+    if (ranked.every((item, position) => item.index === position)) return;
+
+    const segments = ranked.map(item => ({ start: item.bullet.lineStart, end: item.bullet.lineEnd }));
+    const entry = resume.experience[entryIndex];
+    edits.push({
+      editId: `reorder-${entryIndex}`,
+      kind: 'reorder-bullets',
+      section: 'experience',
+      start: bullets[0].lineStart,
+      end: bullets[bullets.length - 1].lineEnd,
+      original: text.slice(bullets[0].lineStart, bullets[bullets.length - 1].lineEnd),
+      replacement: segments.map(segment => text.slice(segment.start, segment.end)).join('\n'),
+      segments,
+      alternatives: [],
+      reason: `Lead ${[entry.title, entry.company].filter(Boolean).join(' at ') || 'this role'} with the bullets most relevant to the target role`
+    });
+  });
+  return edits;
+}
+
+// Target skills come from the job description when there is one, else the role profile (general = any skill)
+function proposeRewrites(text, resume, { jobDescription, roleProfile } = {}) {
+  let targetSkills = getRoleProfile(roleProfile).expectedSkills;
+  let targetTokens = new Set();
+  if (jobDescription) {
+    const posting = extractJobRequirements(jobDescription);
+    const postingSkills = [...posting.requiredSkills, ...posting.preferredSkills];
+    if (postingSkills.length > 0) targetSkills = postingSkills;
+    targetTokens = new Set(significantTokens(jobDescription));
+  }
+  const experienceBullets = locateBullets(text, resume, 'experience', resume.experience);
+  const projectBullets = locateBullets(text, resume, 'projects', resume.projects);
+  const skills = promoteSkills(text, resume, targetSkills);
+
+  return {
+    edits: [
+      ...rewriteOpeners(experienceBullets, 'experience'),
+      ...rewriteOpeners(projectBullets, 'projects'),
+      ...reorderBullets(text, resume, experienceBullets, targetSkills, targetTokens),
+      ...skills.edits
+    ],
+    unsupportedSkills: skills.unsupported
+  };
+}
+
+module.exports = {
+  proposeRewrites
+};
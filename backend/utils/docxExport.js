@@ -0,0 +1,160 @@
+// Word export of the structured resume, written as plain WordprocessingML with the template's styles.
+// Real heading styles and bullet numbering; no tables, text boxes or header/footer content.
+const JSZip = require('jszip');
+const { FONTS } = require('./resumeTemplates');
+
+const PAGE_TWIPS = {
+  A4: { width: 11906, height: 16838 },
+  Letter: { width: 12240, height: 15840 }
+};
+
+const TWIPS_PER_MM = 56.693;
+
+// Paragraph spacing in twips (before section headings, before entries)
+const SPACING = {
+  compact: { section: 160, entry: 80 },
+  normal: { section: 280, entry: 140 },
+  relaxed: { section: 400, entry: 200 }
+};
+
+const BULLET_NUM_ID = 1;
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0 and make Word reject the file
+function escapeXml(value) {
+  return String(value || '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function run(text, { bold = false, italic = false } = {}) {
+  const props = `${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}`;
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function paragraph(runs, { style, properties = '' } = {}) {
+  const pPr = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${properties}`;
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+function bullet(text) {
+  return paragraph(run(text), { style: 'ListBullet', properties: `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${BULLET_NUM_ID}"/></w:numPr>` });
+}
+
+// Entry title as Heading 2 with the dates pushed to the right margin by a tab stop
+function entryParagraphs(entry, textWidth) {
+  const title = entry.dates
+    ? `${run(entry.title)}<w:r><w:tab/></w:r>${run(entry.dates)}`
+    : run(entry.title);
+  return [
+    paragraph(title, { style: 'Heading2', properties: entry.dates ? `<w:tabs><w:tab w:val="right" w:pos="${textWidth}"/></w:tabs>` : '' }),
+    entry.subtitle ? paragraph(run(entry.subtitle, { italic: true })) : '',
+    ...entry.bullets.map(bullet)
+  ];
+}
+
+function sectionParagraphs(section, textWidth) {
+  const heading = paragraph(run(section.heading), { style: 'Heading1' });
+  if (section.text) return [heading, paragraph(run(section.text))];
+  if (section.entries) return [heading, ...section.entries.flatMap(entry => entryParagraphs(entry, textWidth))];
+  return [heading, ...section.items.map(bullet)];
+}
+
+function documentXml(exportResume, options) {
+  const page = PAGE_TWIPS[options.pageSize];
+  const margin = Math.round(options.marginMm * TWIPS_PER_MM);
+  const textWidth = page.width - margin * 2;
+  const { contact, sections } = exportResume;
+  const contactLine = [contact.email, contact.phone, contact.location, contact.linkedin, contact.github, contact.website].filter(Boolean).join(' | ');
+
+  const body = [
+    paragraph(run(contact.name), { style: 'Title' }),
+    contactLine ? paragraph(run(contactLine), { style: 'Contact' }) : '',
+    ...sections.flatMap(section => sectionParagraphs(section, textWidth))
+  ].join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${body}<w:sectPr><w:pgSz w:w="${page.width}" w:h="${page.height}"/><w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+}
+
+function stylesXml(options) {
+  const font = escapeXml(FONTS[options.font].docx);
+  const color = options.accentColor.replace('#', '').toUpperCase();
+  const size = Math.round(options.fontSize * 2);
+  const spacing = SPACING[options.spacing];
+  const align = options.nameAlign === 'center' ? '<w:jc w:val="center"/>' : '';
+  const caps = options.headingCase === 'upper' ? '<w:caps/><w:spacing w:val="20"/>' : '';
+  const rule = options.headingRule ? `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${color}"/></w:pBdr>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="40" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr>${align}<w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="Contact"><w:name w:val="Contact"/><w:basedOn w:val="Normal"/><w:pPr>${align}</w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/>${rule}<w:spacing w:before="${spacing.section}" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/>${caps}<w:color w:val="${color}"/><w:sz w:val="${Math.round(size * 1.2)}"/><w:szCs w:val="${Math.round(size * 1.2)}"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="${spacing.entry}" w:after="0"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:numPr><w:numId w:val="${BULLET_NUM_ID}"/></w:numPr><w:spacing w:after="20"/></w:pPr></w:style>
+</w:styles>`;
+}
+
+const NUMBERING_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>
+<w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+function coreXml(title) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:creator>${escapeXml(title)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+}
+
+// exportResume from buildExportResume, options from resolveExportOptions
+async function generateDocx(exportResume, options) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+  zip.file('_rels/.rels', ROOT_RELS_XML);
+  zip.file('docProps/core.xml', coreXml(exportResume.contact.name ? `${exportResume.contact.name} - Resume` : 'Resume'));
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS_XML);
+  zip.file('word/document.xml', documentXml(exportResume, options));
+  zip.file('word/styles.xml', stylesXml(options));
+  zip.file('word/numbering.xml', NUMBERING_XML);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  generateDocx
+};
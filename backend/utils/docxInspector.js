@@ -0,0 +1,174 @@
+// DOCX structure inspection: tables, text boxes, headers/footers, heading styles, images and review marks
+
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const { detectSectionHeading } = require('./resumeParser');
+const { layoutPenalty, looksLikeContactInfo } = require('./layoutRisks');
+
+const HEADING_STYLE_NAME = /^(?:heading\s*\d|title|subtitle)$/i;
+const HEADING_STYLE_ID = /^(?:heading\d|title|subtitle)$/i;
+
+function loadXml(xml) {
+  return cheerio.load(xml || '', { xmlMode: true });
+}
+
+async function readPart(zip, name) {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+}
+
+// Word stores each drawing twice inside mc:AlternateContent; only count the primary copy
+function outsideFallback($, selector) {
+  return $(selector).filter((index, element) => $(element).parents('mc\\:Fallback').length === 0);
+}
+
+function textOf($, element) {
+  return $(element).find('w\\:t').map((index, node) => $(node).text()).get().join('').trim();
+}
+
+// Style ids whose display name marks them as headings ("heading 1", "Title")
+function findHeadingStyleIds(stylesXml) {
+  const ids = new Set();
+  if (!stylesXml) return ids;
+
+  const $ = loadXml(stylesXml);
+  $('w\\:style').each((index, style) => {
+    const id = $(style).attr('w:styleId') || '';
+    const name = $(style).children('w\\:name').attr('w:val') || '';
+    if (HEADING_STYLE_NAME.test(name) || HEADING_STYLE_ID.test(id)) ids.add(id);
+  });
+  return ids;
+}
+
+function isBoldRun($, run) {
+  const bold = $(run).find('w\\:rPr > w\\:b');
+  return bold.length > 0 && !['0', 'false'].includes(bold.attr('w:val'));
+}
+
+// Section-like paragraphs: styled as headings, or bold/caps text acting as one
+function classifyHeadings($, headingStyleIds) {
+  let styled = 0;
+  let manual = 0;
+
+  $('w\\:body w\\:p').each((index, paragraph) => {
+    const text = textOf($, paragraph);
+    if (!text || text.length > 50) return;
+
+    const styleId = $(paragraph).find('w\\:pPr > w\\:pStyle').attr('w:val') || '';
+    if (headingStyleIds.has(styleId) || HEADING_STYLE_ID.test(styleId)) {
+      styled += 1;
+      return;
+    }
+
+    const runs = $(paragraph).find('w\\:r').filter((runIndex, run) => textOf($, run).length > 0);
+    const allBold = runs.length > 0 && runs.toArray().every(run => isBoldRun($, run));
+    if (detectSectionHeading(text) && (allBold || text === text.toUpperCase())) manual += 1;
+  });
+
+  return { styled, manual };
+}
+
+function describeRisks(findings) {
+  const risks = [];
+
+  if (findings.columns > 1) {
+    risks.push({ type: 'multi-column', severity: 'high', message: `The document is set in ${findings.columns} columns; many ATS parsers read straight across columns and mix up sections` });
+  }
+  if (findings.textBoxes > 0) {
+    risks.push({ type: 'text-box', severity: 'high', message: `${findings.textBoxes} text box(es) hold content that many ATS parsers skip entirely` });
+  }
+  if (findings.tables > 0) {
+    risks.push({
+      type: 'table',
+      severity: findings.tableTextShare >= 0.3 ? 'high' : 'medium',
+      message: `${findings.tables} table(s) hold ${Math.round(findings.tableTextShare * 100)}% of the text; cells are often read out of order or dropped`
+    });
+  }
+  if (findings.headerFooterText.length > 0) {
+    const hasContact = findings.headerFooterText.some(looksLikeContactInfo);
+    risks.push({
+      type: 'header-footer',
+      severity: hasContact ? 'high' : 'low',
+      message: hasContact
+        ? 'Contact details sit in the page header/footer, which many ATS parsers skip'
+        : `Text in the page header/footer ("${findings.headerFooterText.join(' ').slice(0, 60)}") is skipped by many ATS parsers`
+    });
+  }
+  if (findings.headingStyles.manual > 0 && findings.headingStyles.styled === 0) {
+    risks.push({ type: 'manual-headings', severity: 'medium', message: 'Section headings are formatted by hand (bold or capitals) instead of Word heading styles, which ATS parsers use to find sections' });
+  }
+  if (findings.images > 0) {
+    risks.push({ type: 'images', severity: 'low', message: `${findings.images} image(s) or icon(s) are embedded; any text inside them is invisible to ATS software` });
+  }
+  if (findings.trackedChanges > 0) {
+    risks.push({ type: 'tracked-changes', severity: 'medium', message: `${findings.trackedChanges} unresolved tracked change(s); some parsers read deleted text as well. Accept or reject all changes before sending` });
+  }
+  if (findings.comments > 0) {
+    risks.push({ type: 'comments', severity: 'medium', message: `${findings.comments} review comment(s) are still in the file and may be read as CV content` });
+  }
+
+  return risks;
+}
+
+// Extract text as before (mammoth) and inspect the package structure alongside it
+async function inspectDocx(buffer) {
+  const [{ value: text }, zip] = await Promise.all([
+    mammoth.extractRawText({ buffer }),
+    JSZip.loadAsync(buffer)
+  ]);
+
+  const documentXml = await readPart(zip, 'word/document.xml');
+  const $ = loadXml(documentXml);
+  const headingStyleIds = findHeadingStyleIds(await readPart(zip, 'word/styles.xml'));
+
+  const headerFooterParts = Object.keys(zip.files).filter(name => /^word\/(?:header|footer)\d*\.xml$/.test(name));
+  const headerFooterText = [];
+  for (const name of headerFooterParts) {
+    const part = loadXml(await readPart(zip, name));
+    const partText = part('w\\:p').map((index, paragraph) => textOf(part, paragraph)).get().filter(Boolean).join(' ');
+    if (partText) headerFooterText.push(partText);
+  }
+
+  const commentsXml = await readPart(zip, 'word/comments.xml');
+  const bodyText = textOf($, $('w\\:body'));
+  const tables = $('w\\:body w\\:tbl').filter((index, table) => $(table).parents('w\\:tbl').length === 0);
+  const tableText = tables.map((index, table) => textOf($, table)).get().join('');
+  const columns = Math.max(1, ...$('w\\:sectPr > w\\:cols').map((index, cols) => parseInt($(cols).attr('w:num'), 10) || 1).get());
+
+  const findings = {
+    columns,
+    tables: tables.length,
+    tableTextShare: bodyText.length > 0 ? Math.min(1, tableText.length / bodyText.length) : 0,
+    textBoxes: outsideFallback($, 'w\\:txbxContent').length,
+    headerFooterText,
+    headingStyles: classifyHeadings($, headingStyleIds),
+    // Drawings also wrap shapes and text boxes; only those with picture data are images
+    images: outsideFallback($, 'w\\:drawing').filter((index, drawing) => $(drawing).find('a\\:blip').length > 0).length +
+      outsideFallback($, 'w\\:pict v\\:imagedata').length,
+    trackedChanges: $('w\\:ins, w\\:del, w\\:moveFrom, w\\:moveTo').length,
+    comments: commentsXml ? loadXml(commentsXml)('w\\:comment').length : 0
+  };
+  const risks = describeRisks(findings);
+
+  return {
+    text,
+    layout: {
+      source: 'docx',
+      columns: findings.columns,
+      tables: findings.tables,
+      textBoxes: findings.textBoxes,
+      headerFooterText: findings.headerFooterText,
+      headingStyles: findings.headingStyles,
+      images: findings.images,
+      trackedChanges: findings.trackedChanges,
+      comments: findings.comments,
+      risks,
+      penalty: layoutPenalty(risks)
+    }
+  };
+}
+
+module.exports = {
+  inspectDocx
+};
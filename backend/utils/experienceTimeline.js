@@ -0,0 +1,389 @@
+// Experience timeline: dated roles, total and per-skill years, and the seniority band they imply
+
+const { parseDate, findDateRange } = require('./resumeParser');
+const { findSkills } = require('./skillTaxonomy');
+
+// Expectations shift with seniority: new grads lean on education and projects,
+// senior engineers on scope and leadership
+const SENIORITY_BANDS = [
+  {
+    id: 'entry',
+    name: 'Entry level',
+    minYears: 0,
+    wordRange: [200, 600],
+    minRoles: 1,
+    expectsLeadership: false,
+    sections: { required: ['education'], recommended: ['projects'], relaxed: [] }
+  },
+  {
+    id: 'mid',
+    name: 'Mid level',
+    minYears: 2,
+    wordRange: [300, 800],
+    minRoles: 2,
+    expectsLeadership: false,
+    sections: { required: [], recommended: [], relaxed: [] }
+  },
+  {
+    id: 'senior',
+    name: 'Senior',
+    minYears: 5,
+    wordRange: [400, 1000],
+    minRoles: 2,
+    expectsLeadership: true,
+    sections: { required: [], recommended: [], relaxed: ['education'] }
+  },
+  {
+    id: 'staff',
+    name: 'Staff / Principal',
+    minYears: 10,
+    wordRange: [500, 1200],
+    minRoles: 2,
+    expectsLeadership: true,
+    sections: { required: [], recommended: [], relaxed: ['education'] }
+  }
+];
+
+// Gaps shorter than this are normal between jobs; TIMELINE_GAP_MONTHS overrides it
+const DEFAULT_GAP_THRESHOLD_MONTHS = parseInt(process.env.TIMELINE_GAP_MONTHS, 10) || 6;
+
+const INTERNSHIP_TITLE = /\b(intern|internship|trainee|apprentice|working student|werkstudent)\b/i;
+const PART_TIME_TITLE = /\b(part[- ]time|freelance|freelancer|contract|contractor|self[- ]employed|volunteer|advisor|board member)\b/i;
+const STAFF_TITLE = /\b(staff|principal|distinguished|head of|director|vp|vice president|cto)\b/i;
+const SENIOR_TITLE = /\b(senior|sr\.?|lead|architect|manager)\b/i;
+const LEADERSHIP_PATTERN = /\b(led|lead|leading|mentor(?:ed|ing)?|coach(?:ed|ing)?|managed|managing|architected|owned|drove|spearheaded|hired|onboarded|supervised|directed|headed)\b/i;
+
+function getSeniorityBand(id) {
+  return SENIORITY_BANDS.find(band => band.id === id) || SENIORITY_BANDS[0];
+}
+
+// Months since year 0, so ranges can be compared and merged as integers
+function toMonthIndex(date, edge, now) {
+  if (!date) return null;
+  if (date.present) return now.getFullYear() * 12 + now.getMonth();
+  // Year-only dates cover the whole year
+  const month = date.month || (edge === 'start' ? 1 : 12);
+  return date.year * 12 + (month - 1);
+}
+
+function formatMonthIndex(index) {
+  const year = Math.floor(index / 12);
+  const month = String((index % 12) + 1).padStart(2, '0');
+  return `${year}-${month}`;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end + 1) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  return merged;
+}
+
+function countMonths(intervals) {
+  return mergeIntervals(intervals).reduce((total, interval) => total + interval.end - interval.start + 1, 0);
+}
+
+function toYears(months) {
+  return Math.round((months / 12) * 10) / 10;
+}
+
+// Resolve a role's start/end strings into an inclusive month interval
+function resolveRole(role, now) {
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+  const start = parseDate(role.startDate);
+  const end = role.current ? parseDate('present') : parseDate(role.endDate);
+  const startIndex = toMonthIndex(start, 'start', now);
+  let endIndex = toMonthIndex(end, 'end', now);
+
+  if (startIndex === null) {
+    return { start: null, end: null, months: 0 };
+  }
+  if (endIndex === null) endIndex = startIndex;
+  // Future dates and the rest of a running year count only up to today
+  endIndex = Math.min(endIndex, nowIndex);
+  if (endIndex < startIndex) {
+    return { start: startIndex, end: null, months: 0 };
+  }
+
+  return { start: startIndex, end: endIndex, months: endIndex - startIndex + 1 };
+}
+
+function titleBandIndex(title) {
+  if (STAFF_TITLE.test(title)) return 3;
+  if (SENIOR_TITLE.test(title)) return 2;
+  return 0;
+}
+
+// Years decide the band; a senior title on the latest role can lift it by one step
+function inferSeniority(totalYears, latestTitle) {
+  let index = 0;
+  SENIORITY_BANDS.forEach((band, bandIndex) => {
+    if (totalYears >= band.minYears) index = bandIndex;
+  });
+
+  if (latestTitle && !INTERNSHIP_TITLE.test(latestTitle)) {
+    index = Math.max(index, Math.min(titleBandIndex(latestTitle), index + 1));
+  }
+
+  return SENIORITY_BANDS[index];
+}
+
+// roles: [{ title, company, startDate, endDate, current, text }]
+function buildTimeline(roles, options = {}) {
+  const now = options.now || new Date();
+
+  const entries = roles.map(role => {
+    const interval = resolveRole(role, now);
+    return {
+      title: role.title || '',
+      company: role.company || '',
+      startDate: role.startDate || '',
+      endDate: role.current ? 'Present' : (role.endDate || ''),
+      current: Boolean(role.current),
+      internship: INTERNSHIP_TITLE.test(role.title || ''),
+      start: interval.start === null ? null : formatMonthIndex(interval.start),
+      end: interval.end === null ? null : formatMonthIndex(interval.end),
+      months: interval.months,
+      skills: findSkills([role.title, role.text].filter(Boolean).join('\n')),
+      interval
+    };
+  });
+
+  const dated = entries.filter(entry => entry.months > 0);
+  // Internships show on the timeline but do not count towards professional years
+  const professional = dated.filter(entry => !entry.internship);
+  const totalMonths = countMonths(professional.map(entry => entry.interval));
+
+  const skillIntervals = {};
+  professional.forEach(entry => {
+    entry.skills.forEach(skill => {
+      (skillIntervals[skill] = skillIntervals[skill] || []).push(entry.interval);
+    });
+  });
+  const skillYears = Object.keys(skillIntervals)
+    .map(skill => ({ skill, years: toYears(countMonths(skillIntervals[skill])) }))
+    .sort((a, b) => b.years - a.years || a.skill.localeCompare(b.skill));
+
+  entries.sort((a, b) => (b.interval.start || 0) - (a.interval.start || 0));
+  const latest = entries.find(entry => entry.months > 0) || entries[0];
+  const totalYears = toYears(totalMonths);
+  const band = inferSeniority(totalYears, latest && latest.title);
+
+  return {
+    entries: entries.map(({ interval, ...entry }) => entry),
+    totalMonths,
+    totalYears,
+    skillYears,
+    seniority: band.id
+  };
+}
+
+function buildResumeTimeline(resume, options = {}) {
+  return buildTimeline(resume.experience.map(entry => ({
+    title: entry.title,
+    company: entry.company,
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    current: entry.current,
+    text: entry.bullets.join('\n')
+  })), options);
+}
+
+// LinkedIn positions carry a free-text duration such as "Jan 2021 - Present"
+function buildLinkedInTimeline(experience, options = {}) {
+  return buildTimeline(experience.map(exp => {
+    const range = findDateRange(exp.duration || '') || {};
+    return {
+      title: exp.title,
+      company: exp.company,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      current: range.current,
+      text: exp.description
+    };
+  }), options);
+}
+
+function describeRole(entry) {
+  return [entry.title, entry.company].filter(Boolean).join(' at ') || 'Untitled role';
+}
+
+function describeEducation(entry) {
+  return [entry.degree, entry.institution].filter(Boolean).join(', ') || 'Education entry';
+}
+
+// Gaps, overlapping full-time roles, future dates, mixed date formats and missing end dates
+function checkTimelineConsistency(resume, options = {}) {
+  const now = options.now || new Date();
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+  const gapThresholdMonths = options.gapThresholdMonths || DEFAULT_GAP_THRESHOLD_MONTHS;
+  const issues = [];
+  const formats = {};
+  const intervals = [];
+  const fullTimeRoles = [];
+
+  const inspectDate = (value, label, allowFuture) => {
+    const date = parseDate(value);
+    if (!date || date.present) return date;
+
+    (formats[date.format] = formats[date.format] || []).push(date.raw);
+    const index = toMonthIndex(date, 'start', now);
+    if (!allowFuture && index > nowIndex) {
+      issues.push({
+        type: 'future-date',
+        severity: 'high',
+        message: `${label} has a date in the future (${date.raw})`,
+        entries: [label]
+      });
+    }
+    return date;
+  };
+
+  resume.experience.forEach(entry => {
+    const label = describeRole(entry);
+    const start = inspectDate(entry.startDate, label, false);
+    const end = entry.current ? parseDate('present') : inspectDate(entry.endDate, label, false);
+
+    if (!start) {
+      issues.push({ type: 'undated', severity: 'medium', message: `${label} has no dates`, entries: [label] });
+      return;
+    }
+    if (!end) {
+      issues.push({
+        type: 'missing-end-date',
+        severity: 'medium',
+        message: `${label} starts ${start.raw} but has no end date or "Present"`,
+        entries: [label]
+      });
+      return;
+    }
+
+    const interval = {
+      start: toMonthIndex(start, 'start', now),
+      end: Math.min(toMonthIndex(end, 'end', now), nowIndex),
+      label
+    };
+    // Roles starting in the future were already flagged above
+    if (interval.start > nowIndex) return;
+    if (interval.end < interval.start) {
+      issues.push({
+        type: 'invalid-range',
+        severity: 'high',
+        message: `${label} ends before it starts (${start.raw} - ${end.raw})`,
+        entries: [label]
+      });
+      return;
+    }
+
+    intervals.push(interval);
+    if (!INTERNSHIP_TITLE.test(entry.title || '') && !PART_TIME_TITLE.test(entry.title || '')) {
+      fullTimeRoles.push(interval);
+    }
+  });
+
+  resume.education.forEach(entry => {
+    const label = describeEducation(entry);
+    const start = inspectDate(entry.startDate, label, false);
+    // Expected graduation dates may legitimately lie ahead
+    const end = inspectDate(entry.endDate, label, true);
+    // Study time covers what would otherwise look like a gap
+    if (start && end) {
+      intervals.push({
+        start: toMonthIndex(start, 'start', now),
+        end: Math.min(toMonthIndex(end, 'end', now), nowIndex),
+        label
+      });
+    }
+  });
+
+  const merged = mergeIntervals(intervals.filter(interval => interval.end >= interval.start));
+  merged.forEach((interval, index) => {
+    const next = merged[index + 1];
+    const gapEnd = next ? next.start - 1 : nowIndex;
+    const months = gapEnd - interval.end;
+    if (months > gapThresholdMonths) {
+      issues.push({
+        type: 'gap',
+        severity: months >= 12 ? 'high' : 'medium',
+        message: next
+          ? `${months}-month gap between ${formatMonthIndex(interval.end)} and ${formatMonthIndex(next.start)}`
+          : `No activity listed for the last ${months} months (since ${formatMonthIndex(interval.end)})`,
+        start: formatMonthIndex(interval.end + 1),
+        end: next ? formatMonthIndex(gapEnd) : null,
+        months
+      });
+    }
+  });
+
+  fullTimeRoles.forEach((role, index) => {
+    fullTimeRoles.slice(index + 1).forEach(other => {
+      const months = Math.min(role.end, other.end) - Math.max(role.start, other.start) + 1;
+      // A month of overlap is an ordinary handover between jobs
+      if (months > 1) {
+        issues.push({
+          type: 'overlap',
+          severity: 'medium',
+          message: `${role.label} and ${other.label} overlap by ${months} months`,
+          start: formatMonthIndex(Math.max(role.start, other.start)),
+          end: formatMonthIndex(Math.min(role.end, other.end)),
+          months,
+          entries: [role.label, other.label]
+        });
+      }
+    });
+  });
+
+  const dateFormats = Object.keys(formats);
+  if (dateFormats.length > 1) {
+    issues.push({
+      type: 'inconsistent-format',
+      severity: 'low',
+      message: `Dates mix several formats: ${dateFormats.map(format => `"${formats[format][0]}"`).join(', ')}`
+    });
+  }
+
+  const penalties = { high: 20, medium: 10, low: 5 };
+  const score = Math.max(0, 100 - issues.reduce((total, issue) => total + penalties[issue.severity], 0));
+
+  return { issues, dateFormats, gapThresholdMonths, score };
+}
+
+function hasLeadershipSignals(lines) {
+  return lines.some(line => LEADERSHIP_PATTERN.test(line || ''));
+}
+
+// Combine role-profile section expectations with the seniority band's
+function getSectionExpectations(profile, band) {
+  const required = [...new Set([...profile.sections.required, ...band.sections.required])]
+    .filter(name => !band.sections.relaxed.includes(name));
+  const recommended = [...new Set([
+    ...profile.sections.recommended,
+    ...band.sections.recommended,
+    ...band.sections.relaxed
+  ])].filter(name => !required.includes(name));
+
+  return { required, recommended };
+}
+
+module.exports = {
+  SENIORITY_BANDS,
+  DEFAULT_GAP_THRESHOLD_MONTHS,
+  LEADERSHIP_PATTERN,
+  getSeniorityBand,
+  inferSeniority,
+  buildTimeline,
+  buildResumeTimeline,
+  buildLinkedInTimeline,
+  checkTimelineConsistency,
+  hasLeadershipSignals,
+  getSectionExpectations
+};
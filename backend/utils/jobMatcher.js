@@ -0,0 +1,214 @@
+// Job description parsing and CV-to-posting matching
+const { findSkills, findSkillMatches } = require('./skillTaxonomy');
+const { scoreRule, toSpans, locate } = require('./scoreRules');
+
+const SECTION_PATTERNS = {
+  required: /^(requirements|required|qualifications|minimum qualifications|must[- ]haves?|what you(?:'ll)? (?:need|bring)|what we(?:'re)? looking for|skills( and| &) experience|who you are)\b/i,
+  preferred: /^(preferred|preferred qualifications|nice[- ]to[- ]haves?|bonus( points)?|pluses|desired|it(?:'s| would be) (?:a plus|great) if)\b/i,
+  responsibilities: /^(responsibilities|key responsibilities|what you(?:'ll)? do|the role|your role|duties|day[- ]to[- ]day|in this role)\b/i
+};
+
+const YEARS_PATTERN = /(\d+)\s*\+?\s*(?:-\s*\d+\s*)?years?/i;
+
+const PREFERRED_MARKERS = /\b(nice to have|preferred|a plus|bonus|ideally|desirable|familiarity with)\b/i;
+
+const SENIORITY_LEVELS = [
+  { level: 'intern', pattern: /\b(intern|internship)\b/i },
+  { level: 'junior', pattern: /\b(junior|entry[- ]level|graduate|new grad)\b/i },
+  { level: 'mid', pattern: /\b(mid[- ]level|intermediate)\b/i },
+  { level: 'senior', pattern: /\b(senior|sr\.?)\b/i },
+  { level: 'lead', pattern: /\b(lead|tech lead|team lead)\b/i },
+  { level: 'staff', pattern: /\b(staff|principal|architect)\b/i }
+];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'have', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'our', 'the', 'to', 'we', 'with', 'you', 'your', 'will', 'who', 'that', 'this',
+  'using', 'across', 'other', 'team', 'teams', 'work', 'working', 'strong', 'experience', 'ability',
+  'able', 'knowledge', 'understanding', 'good', 'excellent', 'plus', 'etc', 'including', 'such'
+]);
+
+function cleanLine(line) {
+  return line.replace(/^[\s\-*•●▪◦·>]+|^\d+[.)]\s+/, '').trim();
+}
+
+function significantTokens(text) {
+  return (text.toLowerCase().match(/[a-z][a-z0-9+#.]*/g) || [])
+    .map(token => token.replace(/\.$/, ''))
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+// Pull required/preferred skills, seniority signals and responsibilities out of a job posting
+function extractJobRequirements(jobDescription) {
+  const lines = jobDescription.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const requirements = [];
+  let section = null;
+
+  for (const rawLine of lines) {
+    const line = cleanLine(rawLine);
+    const heading = line.replace(/[:\s]+$/, '');
+
+    const matchedSection = Object.keys(SECTION_PATTERNS).find(key =>
+      SECTION_PATTERNS[key].test(heading) && heading.length <= 60
+    );
+    if (matchedSection) {
+      section = matchedSection;
+      continue;
+    }
+
+    if (!section || line.length < 3) continue;
+
+    const skills = findSkills(line);
+
+    if (section === 'responsibilities') {
+      requirements.push({ text: line, type: 'responsibility', importance: 'required', skills });
+      continue;
+    }
+
+    const importance = section === 'preferred' || PREFERRED_MARKERS.test(line) ? 'preferred' : 'required';
+    let type = skills.length > 0 ? 'skill' : 'qualification';
+    if (type === 'qualification' && YEARS_PATTERN.test(line)) type = 'seniority';
+
+    requirements.push({ text: line, type, importance, skills });
+  }
+
+  // Postings without recognizable headings: fall back to every skill mentioned anywhere
+  if (requirements.length === 0) {
+    findSkills(jobDescription)
+      .forEach(skill => requirements.push({ text: skill, type: 'skill', importance: 'required', skills: [skill] }));
+  }
+
+  const yearsMatch = jobDescription.match(YEARS_PATTERN);
+  const minYearsExperience = yearsMatch ? parseInt(yearsMatch[1], 10) : null;
+  if (minYearsExperience && !requirements.some(r => r.type === 'seniority')) {
+    requirements.push({ text: `${minYearsExperience}+ years of experience`, type: 'seniority', importance: 'required', skills: [] });
+  }
+
+  const seniority = SENIORITY_LEVELS.filter(({ pattern }) => pattern.test(jobDescription)).map(({ level }) => level);
+  const titleLine = lines.find(line => line.length <= 80 && /engineer|developer|programmer|architect|scientist|analyst/i.test(line));
+
+  return {
+    title: titleLine ? cleanLine(titleLine) : '',
+    seniority,
+    minYearsExperience,
+    requiredSkills: unique(requirements.filter(r => r.importance === 'required').flatMap(r => r.skills)),
+    preferredSkills: unique(requirements.filter(r => r.importance === 'preferred').flatMap(r => r.skills)),
+    responsibilities: requirements.filter(r => r.type === 'responsibility').map(r => r.text),
+    requirements
+  };
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function findEvidenceLine(cvLines, predicate) {
+  const line = cvLines.find(predicate);
+  return line ? line.slice(0, 200) : null;
+}
+
+// Score a CV against extracted posting requirements with per-requirement evidence.
+// candidate.yearsOfExperience, when known from the dated timeline, backs up stated years.
+function matchJobRequirements(text, jobRequirements, candidate = {}) {
+  const cvLines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const cvTokens = new Set(significantTokens(text));
+  const cvSkills = new Set(findSkills(text));
+  const weights = { required: 3, preferred: 1 };
+  // Candidates usually state their experience as "6+ years"
+  const statedYears = (text.match(/\d+\s*\+?\s*years?/gi) || []).map(value => parseInt(value, 10));
+
+  let earned = 0;
+  let possible = 0;
+  const scored = [];
+
+  const requirements = jobRequirements.requirements.map(requirement => {
+    let matched;
+    let credit;
+    let evidence = null;
+    let matchedSkills = [];
+    let missingSkills = [];
+
+    if (requirement.type === 'seniority') {
+      const requiredYears = parseInt(requirement.text.match(YEARS_PATTERN)[1], 10);
+      const computedYears = candidate.yearsOfExperience || 0;
+      matched = statedYears.some(years => years >= requiredYears) || computedYears >= requiredYears;
+      if (matched) {
+        evidence = findEvidenceLine(cvLines, line => YEARS_PATTERN.test(line)) ||
+          `${computedYears} years across dated roles`;
+      }
+    } else if (requirement.skills.length > 0) {
+      matchedSkills = requirement.skills.filter(skill => cvSkills.has(skill));
+      missingSkills = requirement.skills.filter(skill => !matchedSkills.includes(skill));
+      // "X or Y" style lines are satisfied by any one skill; "X and Y" earns partial credit
+      const anyOf = /\bor\b|\/|\beither\b|\bone of\b/i.test(requirement.text);
+      credit = anyOf
+        ? (matchedSkills.length > 0 ? 1 : 0)
+        : matchedSkills.length / requirement.skills.length;
+      matched = credit === 1;
+      if (matchedSkills.length > 0) {
+        evidence = findEvidenceLine(cvLines, line => findSkills(line).includes(matchedSkills[0]));
+      }
+    } else {
+      const tokens = significantTokens(requirement.text);
+      const overlap = tokens.filter(token => cvTokens.has(token));
+      matched = tokens.length > 0 && overlap.length / tokens.length >= 0.5;
+      if (matched) {
+        evidence = findEvidenceLine(cvLines, line => overlap.some(token => line.toLowerCase().includes(token)));
+      }
+    }
+
+    const weight = weights[requirement.importance] * (requirement.type === 'responsibility' ? 0.5 : 1);
+    const awarded = weight * (credit === undefined ? Number(matched) : credit);
+    possible += weight;
+    earned += awarded;
+    scored.push({ weight, awarded, matchedSkills, evidence });
+
+    return {
+      text: requirement.text,
+      type: requirement.type,
+      importance: requirement.importance,
+      matched,
+      matchedSkills,
+      missingSkills,
+      evidence
+    };
+  });
+
+  const score = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+  // Requirement weights rescaled to the 0-100 match score; skill requirements point at each skill mention
+  const skillMatches = findSkillMatches(text);
+  const toPoints = value => (possible > 0 ? Math.round((value / possible) * 1000) / 10 : 0);
+  const rules = requirements.map((requirement, index) => {
+    const { weight, awarded, matchedSkills, evidence } = scored[index];
+    const spans = matchedSkills.length > 0
+      ? toSpans(text, skillMatches.filter(match => matchedSkills.includes(match.skill)))
+      : [locate(text, evidence)];
+    return scoreRule(`jobMatch.requirement.${index + 1}`, requirement.text, toPoints(weight), toPoints(awarded), spans,
+      !requirement.matched && requirement.missingSkills.length > 0 ? `Missing ${requirement.missingSkills.join(', ')}` : '');
+  });
+  const requiredSkillsMissing = jobRequirements.requiredSkills.filter(skill => !cvSkills.has(skill));
+  const preferredSkillsMissing = jobRequirements.preferredSkills.filter(skill => !cvSkills.has(skill));
+
+  return {
+    score,
+    requiredSkillsMatched: jobRequirements.requiredSkills.filter(skill => !requiredSkillsMissing.includes(skill)),
+    requiredSkillsMissing,
+    preferredSkillsMatched: jobRequirements.preferredSkills.filter(skill => !preferredSkillsMissing.includes(skill)),
+    preferredSkillsMissing,
+    requirements,
+    rules
+  };
+}
+
+// Stored summary of the posting a CV was scored against
+function describeJobPosting(jobDescription) {
+  const { requirements, ...summary } = extractJobRequirements(jobDescription);
+  return { text: jobDescription, ...summary };
+}
+
+module.exports = {
+  extractJobRequirements,
+  describeJobPosting,
+  matchJobRequirements,
+  significantTokens
+};
@@ -0,0 +1,128 @@
+// MongoDB-backed job queue: jobs are claimed atomically, so several server processes can share it.
+// A job stuck in "running" longer than LOCK_TIMEOUT_MS (its worker died) is claimed again.
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = 2000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let timer = null;
+let busy = false;
+
+// handler(job, reportProgress) does the work; onFailure(job, error) runs once retries are exhausted
+function registerJobHandler(type, handler, onFailure) {
+  handlers.set(type, { handler, onFailure });
+}
+
+// Errors that retrying cannot fix, such as an unreadable upload
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+async function enqueueJob(type, fields) {
+  if (!handlers.has(type)) throw new Error(`No handler registered for ${type} jobs`);
+  const job = await Job.create({ type, ...fields });
+  setImmediate(processJobs);
+  return job;
+}
+
+async function claimJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { status: 'running', lockedAt: now, lockedBy: WORKER_ID, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+async function runJob(job) {
+  const { handler, onFailure } = handlers.get(job.type);
+  const reportProgress = async (stage, progress) => {
+    job.stage = stage;
+    job.progress = progress;
+    await Job.updateOne({ _id: job._id }, { stage, progress, lockedAt: new Date() });
+  };
+
+  try {
+    await handler(job, reportProgress);
+    await Job.updateOne({ _id: job._id }, {
+      status: 'completed',
+      stage: 'done',
+      progress: 100,
+      completedAt: new Date(),
+      $unset: { file: 1, lockedAt: 1, lockedBy: 1 }
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error);
+
+    if (!error.permanent && job.attempts < job.maxAttempts) {
+      // Back off 5s, 20s, 45s, ... between attempts
+      await Job.updateOne({ _id: job._id }, {
+        status: 'queued',
+        stage: 'queued',
+        lastError: error.message,
+        runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * job.attempts ** 2),
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      });
+      return;
+    }
+
+    await Job.updateOne({ _id: job._id }, {
+      status: 'failed',
+      lastError: error.message,
+      failureReason: error.message,
+      completedAt: new Date(),
+      $unset: { file: 1, lockedAt: 1, lockedBy: 1 }
+    });
+    if (onFailure) {
+      await onFailure(job, error).catch(hookError => console.error(`Job ${job._id} failure hook error:`, hookError));
+    }
+  }
+}
+
+// Drain every due job; one at a time keeps CPU-heavy parsing off the request path
+async function processJobs() {
+  if (busy) return;
+  busy = true;
+  try {
+    let job;
+    while ((job = await claimJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job queue error:', error);
+  } finally {
+    busy = false;
+  }
+}
+
+function startJobWorker() {
+  if (timer) return;
+  timer = setInterval(processJobs, POLL_INTERVAL_MS);
+  processJobs();
+}
+
+function stopJobWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  registerJobHandler,
+  permanentError,
+  enqueueJob,
+  processJobs,
+  startJobWorker,
+  stopJobWorker
+};
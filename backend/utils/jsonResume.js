@@ -0,0 +1,246 @@
+// JSON Resume (jsonresume.org, schema v1.0.0) import and export.
+// Imports become CV text in the plain layout resumeParser reads, so they go through the same analysis as uploads.
+const { parseDate } = require('./resumeParser');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const RESUME_KEYS = ['basics', 'work', 'volunteer', 'education', 'awards', 'certificates', 'publications', 'skills', 'languages', 'interests', 'references', 'projects'];
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : [];
+}
+
+function strings(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : [];
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Parse an uploaded resume.json; throws with status 400 when it is not JSON or not a JSON Resume
+function parseJsonResume(buffer) {
+  let resume;
+  try {
+    resume = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw invalid('resume.json is not valid JSON');
+  }
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume) || !RESUME_KEYS.some(key => key in resume)) {
+    throw invalid('The JSON file is not a JSON Resume (expected basics, work, education, ...)');
+  }
+  return resume;
+}
+
+// ISO 8601 ("2021-03", "2021-03-15", "2021") to the "Mar 2021" form the CV parser reads
+function fromIsoDate(value) {
+  const match = clean(value).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return clean(value);
+  const month = parseInt(match[2], 10);
+  return month >= 1 && month <= 12 ? `${MONTH_NAMES[month - 1]} ${match[1]}` : match[1];
+}
+
+function dateLine(startDate, endDate) {
+  if (!startDate && !endDate) return '';
+  if (!startDate) return fromIsoDate(endDate);
+  return `${fromIsoDate(startDate)} - ${endDate ? fromIsoDate(endDate) : 'Present'}`;
+}
+
+function bulletLines(items) {
+  return strings(items).map(item => `- ${clean(item)}`);
+}
+
+function section(heading, lines) {
+  const content = lines.filter(line => line !== '' && line !== null && line !== undefined);
+  return content.length > 0 ? ['', heading, ...content] : [];
+}
+
+function locationText(location) {
+  if (!location || typeof location !== 'object') return clean(location);
+  // "City, Region" is the form the contact parser recognises as a location
+  return [location.city, clean(location.region) || location.countryCode].map(clean).filter(Boolean).join(', ');
+}
+
+// Plain-text CV from a JSON Resume
+function jsonResumeToText(resume) {
+  const basics = resume.basics || {};
+  const profiles = list(basics.profiles).map(profile => clean(profile.url) || [profile.network, profile.username].map(clean).filter(Boolean).join(': '));
+  const contact = [basics.email, basics.phone, locationText(basics.location), ...profiles, basics.url].map(clean).filter(Boolean);
+
+  const lines = [
+    clean(basics.name),
+    clean(basics.label),
+    // One item per line: the parser only reads short lines as contact details
+    ...contact,
+    ...section('Summary', [clean(basics.summary)]),
+    ...section('Experience', list(resume.work).flatMap(work => [
+      [work.position, work.name, work.location].map(clean).filter(Boolean).join(' | '),
+      dateLine(work.startDate, work.endDate),
+      ...bulletLines([work.summary, ...strings(work.highlights)]),
+      ''
+    ])),
+    ...section('Education', list(resume.education).flatMap(education => [
+      [[education.studyType, education.area].map(clean).filter(Boolean).join(' in '), clean(education.institution)].filter(Boolean).join(' | '),
+      dateLine(education.startDate, education.endDate),
+      ...bulletLines([education.score && `Grade: ${clean(education.score)}`, ...strings(education.courses)]),
+      ''
+    ])),
+    ...section('Skills', list(resume.skills).map(skill => {
+      const keywords = strings(skill.keywords);
+      return keywords.length > 0 ? `${clean(skill.name) || 'Other'}: ${keywords.join(', ')}` : clean(skill.name);
+    })),
+    ...section('Projects', list(resume.projects).flatMap(project => {
+      const keywords = strings(project.keywords);
+      return [
+        [`${clean(project.name)}${keywords.length > 0 ? ` (${keywords.join(', ')})` : ''}`, clean(project.url)].filter(Boolean).join(' | '),
+        dateLine(project.startDate, project.endDate),
+        ...bulletLines([project.description, ...strings(project.highlights)]),
+        ''
+      ];
+    })),
+    ...section('Certifications', list(resume.certificates).map(certificate =>
+      [certificate.name, certificate.issuer, certificate.date && fromIsoDate(certificate.date)].map(clean).filter(Boolean).join(', '))),
+    ...section('Volunteer Experience', list(resume.volunteer).flatMap(volunteer => [
+      [volunteer.position, volunteer.organization].map(clean).filter(Boolean).join(' | '),
+      dateLine(volunteer.startDate, volunteer.endDate),
+      ...bulletLines([volunteer.summary, ...strings(volunteer.highlights)])
+    ])),
+    ...section('Awards', list(resume.awards).map(award =>
+      `- ${[award.title, award.awarder, award.date && fromIsoDate(award.date)].map(clean).filter(Boolean).join(', ')}`)),
+    ...section('Publications', list(resume.publications).map(publication =>
+      `- ${[publication.name, publication.publisher, publication.releaseDate && fromIsoDate(publication.releaseDate)].map(clean).filter(Boolean).join(', ')}`)),
+    ...section('Languages', list(resume.languages).map(language =>
+      `- ${clean(language.language)}${clean(language.fluency) ? ` (${clean(language.fluency)})` : ''}`)),
+    ...section('Interests', list(resume.interests).map(interest =>
+      `- ${[clean(interest.name), strings(interest.keywords).join(', ')].filter(Boolean).join(': ')}`)),
+    ...section('References', list(resume.references).map(reference =>
+      `- ${[clean(reference.reference), clean(reference.name)].filter(Boolean).join(' - ')}`))
+  ];
+
+  return lines.filter((line, index) => line !== '' || (index > 0 && lines[index - 1] !== '')).join('\n').trim() + '\n';
+}
+
+// CV dates ("Mar 2021", "03/2021", "2021") to ISO 8601 as the schema requires; unreadable dates are dropped
+function toIsoDate(value) {
+  const date = parseDate(value || '');
+  if (!date || date.present || !date.year) return undefined;
+  return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+}
+
+function toUrl(value) {
+  if (!value) return undefined;
+  return /^https?:\/\//i.test(value) ? value : `https://${value.replace(/^\/+/, '')}`;
+}
+
+function profileFor(network, url) {
+  const username = url.replace(/\/+$/, '').split('/').pop();
+  return { network, username, url: toUrl(url) };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The degree without its field, however the CV joined them: "BSc in Computer Science", "BSc Computer
+// Science", "Bachelor of Science, Computer Science" all give the studyType that import joins back with "in"
+function studyTypeOf(entry) {
+  if (!entry.field) return entry.degree;
+  const studyType = entry.degree
+    .replace(new RegExp(`(?:\\s+(?:in|of)\\s+|\\s*[,:–—-]\\s*|\\s+)${escapeRegExp(entry.field)}\\s*$`, 'i'), '')
+    .trim();
+  return studyType || entry.degree;
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+// Unstructured sections ("Languages", "Awards", ...) map onto the matching JSON Resume lists by heading
+const OTHER_SECTIONS = [
+  { pattern: /^languages?$/i, key: 'languages', item: line => {
+    const match = line.match(/^(.+?)\s*[(:–—-]\s*([^)]+)\)?$/);
+    return match ? { language: match[1].trim(), fluency: match[2].trim() } : { language: line };
+  } },
+  { pattern: /interests|hobbies/i, key: 'interests', item: line => {
+    const [name, keywords = ''] = line.split(/\s*:\s*/, 2);
+    return withoutEmpty({ name, keywords: keywords.split(/\s*,\s*/).filter(Boolean) });
+  } },
+  { pattern: /awards|honors|achievements/i, key: 'awards', item: line => withoutEmpty({ title: line, date: toIsoDate((line.match(/(?:19|20)\d{2}/) || [])[0]) }) },
+  { pattern: /publications/i, key: 'publications', item: line => ({ name: line }) },
+  { pattern: /volunteer/i, key: 'volunteer', item: line => ({ summary: line }) },
+  { pattern: /references/i, key: 'references', item: line => ({ reference: line }) }
+];
+
+// JSON Resume from an export (see buildExportResume): structured sections plus the CV's unstructured ones
+function toJsonResume(exportResume) {
+  const { resume, contact, sections } = exportResume;
+  const [city, ...region] = (contact.location || '').split(/\s*,\s*/);
+
+  const jsonResume = {
+    $schema: SCHEMA_URL,
+    basics: withoutEmpty({
+      name: contact.name,
+      email: contact.email || undefined,
+      phone: contact.phone || undefined,
+      url: toUrl(contact.website),
+      summary: resume.summary,
+      location: contact.location ? withoutEmpty({ city, region: region.join(', ') }) : undefined,
+      profiles: [
+        contact.linkedin && profileFor('LinkedIn', contact.linkedin),
+        contact.github && profileFor('GitHub', contact.github)
+      ].filter(Boolean)
+    }),
+    work: resume.experience.map(entry => withoutEmpty({
+      name: entry.company,
+      position: entry.title,
+      location: entry.location,
+      startDate: toIsoDate(entry.startDate),
+      endDate: entry.current ? undefined : toIsoDate(entry.endDate),
+      highlights: entry.bullets.filter(Boolean)
+    })),
+    education: resume.education.map(entry => withoutEmpty({
+      institution: entry.institution,
+      area: entry.field,
+      studyType: studyTypeOf(entry),
+      startDate: toIsoDate(entry.startDate),
+      endDate: toIsoDate(entry.endDate),
+      courses: entry.details.filter(Boolean)
+    })),
+    skills: resume.skills.map(skill => ({ name: skill })),
+    projects: resume.projects.map(project => withoutEmpty({
+      name: project.name,
+      description: project.description,
+      keywords: project.technologies,
+      highlights: project.bullets.filter(Boolean)
+    })),
+    certificates: resume.certifications.map(certification => withoutEmpty({
+      name: certification.name,
+      issuer: certification.issuer,
+      date: toIsoDate(certification.date)
+    }))
+  };
+
+  sections.filter(item => item.name === 'other').forEach(item => {
+    const mapping = OTHER_SECTIONS.find(candidate => candidate.pattern.test(item.heading));
+    if (!mapping) return;
+    jsonResume[mapping.key] = (jsonResume[mapping.key] || []).concat(item.items.map(mapping.item));
+  });
+
+  jsonResume.meta = { version: 'v1.0.0', lastModified: new Date().toISOString() };
+  return withoutEmpty(jsonResume);
+}
+
+module.exports = {
+  parseJsonResume,
+  jsonResumeToText,
+  toJsonResume
+};
@@ -0,0 +1,444 @@
+// Offline language checks: spelling, repeated words, bullet tense, readability and buzzwords.
+// Every issue carries start/end offsets into the extracted text.
+
+const fs = require('fs');
+const path = require('path');
+const { getSkills, findSkillMatches } = require('./skillTaxonomy');
+const { ACTION_VERBS } = require('./bulletAnalyzer');
+
+const DICTIONARY = new Set(
+  fs.readFileSync(path.join(__dirname, '../data/dictionary-en.txt'), 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Misspellings too far from the right word for the one-edit search to catch
+const COMMON_MISSPELLINGS = {
+  acheive: 'achieve', accomodate: 'accommodate', adress: 'address', begining: 'beginning', buisness: 'business',
+  calender: 'calendar', collegue: 'colleague', comittee: 'committee', commited: 'committed', concious: 'conscious',
+  definately: 'definitely', developement: 'development', enviroment: 'environment', existance: 'existence',
+  experiance: 'experience', goverment: 'government', independant: 'independent', knowlege: 'knowledge',
+  liason: 'liaison', maintainance: 'maintenance', maintenence: 'maintenance', managment: 'management',
+  neccessary: 'necessary', occassion: 'occasion', occured: 'occurred', persue: 'pursue', posession: 'possession',
+  prefered: 'preferred', recieve: 'receive', recieved: 'received', recomend: 'recommend', refered: 'referred',
+  relevent: 'relevant', reponsible: 'responsible', responsable: 'responsible', seperate: 'separate',
+  succesful: 'successful', sucessful: 'successful', successfull: 'successful', sucess: 'success', teh: 'the',
+  thier: 'their', untill: 'until', wich: 'which', adn: 'and', acomplished: 'accomplished', achived: 'achieved',
+  excellant: 'excellent', oppurtunity: 'opportunity', perfomance: 'performance',
+  profesional: 'professional', proffesional: 'professional', techincal: 'technical', tecnical: 'technical'
+};
+
+const SUFFIX_RULES = [
+  ["'s", ''], ['ies', 'y'], ['ied', 'y'], ['ier', 'y'], ['iest', 'y'], ['ily', 'y'], ['iness', 'y'],
+  ['es', ''], ['s', ''], ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e'], ['er', ''], ['er', 'e'],
+  ['est', ''], ['ly', ''], ['ally', 'al'], ['ness', ''], ['ment', ''], ['ful', ''], ['less', ''],
+  ['able', ''], ['able', 'e'], ['ability', 'able'], ['ibility', 'ible'], ['ity', ''], ['ation', 'e'],
+  ['ation', 'ate'], ['ization', 'ize'], ['isation', 'ize'], ['ise', 'ize'], ['ised', 'ize'], ['ising', 'ize'],
+  ['ize', ''], ['ized', ''], ['izing', ''], ['ion', ''], ['ion', 'e'], ['ive', 'e'], ['al', ''], ['our', 'or']
+];
+// Plain inflections; spelling suggestions may only use these so derived forms like "terminaled" are never offered
+const INFLECTION_RULES = SUFFIX_RULES.filter(([suffix]) => ["'s", 'ies', 'ied', 'es', 's', 'ed', 'ing', 'er', 'est', 'ly', 'ily'].includes(suffix));
+const PREFIXES = ['re', 'un', 'in', 'im', 'il', 'ir', 'co', 'pre', 'non', 'multi', 'sub', 'over', 'under', 'cross', 'self', 'inter', 'mis', 'de', 'dis', 'out', 'up', 'auto', 'micro', 'semi', 'super', 'anti', 'post', 'bi'];
+
+const IRREGULAR_PAST = {
+  build: 'built', lead: 'led', write: 'wrote', drive: 'drove', run: 'ran', grow: 'grew', cut: 'cut', win: 'won',
+  set: 'set', make: 'made', teach: 'taught', oversee: 'oversaw', hold: 'held', spend: 'spent', bring: 'brought',
+  keep: 'kept', undertake: 'undertook', rebuild: 'rebuilt', rewrite: 'rewrote', give: 'gave', take: 'took',
+  sell: 'sold', buy: 'bought', find: 'found', begin: 'began', think: 'thought', speak: 'spoke', send: 'sent'
+};
+const PAST_FORMS = new Set(Object.values(IRREGULAR_PAST));
+
+const BUZZWORDS = [
+  'synergy', 'synergies', 'synergistic', 'hard-working', 'hardworking', 'team player', 'go-getter', 'self-starter',
+  'results-driven', 'results-oriented', 'detail-oriented', 'think outside the box', 'outside the box',
+  'proven track record', 'dynamic', 'passionate', 'highly motivated', 'motivated', 'rockstar', 'rock star', 'ninja',
+  'guru', 'best of breed', 'best-of-breed', 'value-add', 'go-to person', 'thought leader', 'game changer',
+  'game-changer', 'world-class', 'cutting-edge', 'bleeding-edge', 'excellent communication skills', 'works well under pressure',
+  'strategic thinker', 'visionary', 'wheelhouse', 'move the needle', 'low-hanging fruit', 'paradigm shift'
+];
+const BUZZWORD_PATTERN = new RegExp(`\\b(?:${BUZZWORDS.map(word => word.replace(/[-\s]/g, '[-\\s]?')).join('|')})\\b`, 'gi');
+
+const IGNORED_SPANS = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}|(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|io|dev|net|org|co|ai|app)(?:\/\S*)?/gi;
+const WORD_PATTERN = /[A-Za-z][A-Za-z'’]*(?:-[A-Za-z][A-Za-z'’]*)*/g;
+
+const MIN_NEAR_MISS_LENGTH = 5;
+const LONG_SENTENCE_WORDS = 30;
+const HARD_SENTENCE_EASE = 10;
+
+const PENALTIES = {
+  spelling: { high: 6, cap: 40 },
+  'possible-typo': { each: 1, cap: 5 },
+  'repeated-word': { each: 3, cap: 10 },
+  tense: { each: 3, cap: 15 },
+  readability: { each: 3, cap: 15 },
+  buzzword: { each: 2, cap: 15 }
+};
+
+function stripSuffixes(word, rules = SUFFIX_RULES) {
+  const forms = [];
+  rules.forEach(([suffix, replacement]) => {
+    if (word.length < suffix.length + 2 || !word.endsWith(suffix)) return;
+    const base = word.slice(0, -suffix.length) + replacement;
+    // "-es" only follows sibilants and "o" ("boxes", "heroes"), never "arrayes"
+    if (suffix === 'es' && !/(?:[sxzo]|ch|sh)$/.test(base)) return;
+    forms.push(base);
+    // Doubled final consonant: "planned" -> "plan", "running" -> "run"
+    if (['ed', 'ing', 'er', 'est'].includes(suffix) && /([bdgklmnprt])\1$/.test(base)) forms.push(base.slice(0, -1));
+  });
+  return forms;
+}
+
+function buildVocabulary() {
+  const vocabulary = new Set(DICTIONARY);
+  ACTION_VERBS.forEach(verb => vocabulary.add(verb));
+  getSkills().forEach(skill => {
+    [skill.name, ...(skill.aliases || [])].forEach(term => {
+      term.toLowerCase().split(/[^a-z]+/).filter(Boolean).forEach(part => vocabulary.add(part));
+    });
+  });
+  return vocabulary;
+}
+
+// Strict lookups (used to vet spelling suggestions) allow plain inflections only, so "upeach" never stands in for "speech"
+function isKnownWord(word, vocabulary, strict = false) {
+  if (vocabulary.has(word)) return true;
+  if (word.includes('-')) return word.split('-').every(part => part.length < 3 || isKnownWord(part, vocabulary, strict));
+  if (strict) return stripSuffixes(word, INFLECTION_RULES).some(base => vocabulary.has(base));
+
+  const stems = [word];
+  PREFIXES.forEach(prefix => {
+    if (word.length > prefix.length + 3 && word.startsWith(prefix)) stems.push(word.slice(prefix.length));
+  });
+  return stems.some(stem => vocabulary.has(stem) || stripSuffixes(stem).some(base =>
+    vocabulary.has(base) || stripSuffixes(base).some(root => vocabulary.has(root))
+  ));
+}
+
+// Known words one edit (insert, delete, replace, swap) away from the token
+function nearMisses(word, vocabulary) {
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  const candidates = new Set();
+
+  for (let i = 0; i <= word.length; i++) {
+    const head = word.slice(0, i);
+    const tail = word.slice(i);
+    if (tail) candidates.add(head + tail.slice(1));
+    if (tail.length > 1) candidates.add(head + tail[1] + tail[0] + tail.slice(2));
+    for (const letter of letters) {
+      if (tail) candidates.add(head + letter + tail.slice(1));
+      candidates.add(head + letter + tail);
+    }
+  }
+  candidates.delete(word);
+
+  return [...candidates]
+    .filter(candidate => isKnownWord(candidate, vocabulary, true))
+    .sort((a, b) => Number(vocabulary.has(b)) - Number(vocabulary.has(a)));
+}
+
+function overlaps(ranges, start, end) {
+  return ranges.some(range => start < range.end && end > range.start);
+}
+
+// Ranges the spell checker leaves alone: contact block, emails/URLs and taxonomy skills
+function ignoredRanges(text, resume, skillMatches) {
+  const ranges = skillMatches.map(match => ({ start: match.start, end: match.end }));
+  const firstHeading = (resume.sections || [])[0];
+  if (firstHeading) {
+    const headerEnd = text.split('\n').slice(0, firstHeading.startLine).join('\n').length;
+    ranges.push({ start: 0, end: headerEnd });
+  }
+  let match;
+  IGNORED_SPANS.lastIndex = 0;
+  while ((match = IGNORED_SPANS.exec(text)) !== null) {
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return ranges;
+}
+
+function matchCase(suggestion, original) {
+  return /^[A-Z]/.test(original) ? capitalize(suggestion) : suggestion;
+}
+
+function findSpellingIssues(text, ranges, vocabulary) {
+  const issues = [];
+  const occurrences = {};
+  (text.match(WORD_PATTERN) || []).forEach(word => {
+    const key = word.toLowerCase();
+    occurrences[key] = (occurrences[key] || 0) + 1;
+  });
+  let match;
+
+  WORD_PATTERN.lastIndex = 0;
+  while ((match = WORD_PATTERN.exec(text)) !== null) {
+    const original = match[0].replace(/['’]+$/, '');
+    const start = match.index;
+    const end = start + original.length;
+    if (original.length < 3 || /['’](?!s$)/.test(original) || overlaps(ranges, start, end)) continue;
+    // Halves of words hyphenated across a line break ("imple-\nmentation")
+    if (/-\r?\n$/.test(text.slice(Math.max(0, start - 3), start)) || /^-\r?\n/.test(text.slice(end, end + 3))) continue;
+
+    // Mid-sentence capitals are names and products; only the first word of a line or bullet is checked
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const firstOnLine = /^[\s\-*•●▪◦·‣⁃>–\d.)]*$/.test(text.slice(lineStart, start));
+    if (/[A-Z]/.test(original.slice(1)) || (/^[A-Z]/.test(original) && !firstOnLine)) continue;
+
+    const word = original.toLowerCase().replace(/’/g, "'");
+    if (COMMON_MISSPELLINGS[word]) {
+      issues.push({
+        type: 'spelling',
+        severity: 'high',
+        message: `"${original}" is misspelled`,
+        text: original,
+        start,
+        end,
+        suggestions: [matchCase(COMMON_MISSPELLINGS[word], original)]
+      });
+      continue;
+    }
+    // The same slip is rarely made twice; a repeated unknown word is deliberate jargon
+    if (word.length < MIN_NEAR_MISS_LENGTH || occurrences[word] > 1 || isKnownWord(word, vocabulary)) continue;
+
+    // Unknown words with no close dictionary neighbour are usually names or jargon, not typos.
+    // The word list is small, so a near miss may well be a correct domain word ("ledger", "jitter"):
+    // it is only a hint to check, never an automatic fix.
+    const suggestions = nearMisses(word, vocabulary);
+    if (suggestions.length === 0) continue;
+
+    issues.push({
+      type: 'possible-typo',
+      severity: 'low',
+      message: `"${original}" is not in the dictionary; check its spelling`,
+      text: original,
+      start,
+      end,
+      suggestions: suggestions.slice(0, 3).map(suggestion => matchCase(suggestion, original))
+    });
+  }
+
+  return issues;
+}
+
+function findRepeatedWords(text) {
+  const issues = [];
+  const pattern = /\b([A-Za-z]+)[ \t]+\1\b/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    issues.push({
+      type: 'repeated-word',
+      severity: 'medium',
+      message: `"${match[1]}" is repeated`,
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      suggestions: [match[1]]
+    });
+  }
+  return issues;
+}
+
+function toPast(base) {
+  if (IRREGULAR_PAST[base]) return IRREGULAR_PAST[base];
+  if (base.endsWith('e')) return `${base}d`;
+  if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ied`;
+  if (/^[^aeiou]*[aeiou][bdgmnpt]$/.test(base)) return `${base}${base.slice(-1)}ed`;
+  return `${base}ed`;
+}
+
+// "Built"/"Reduced" -> past; "Build"/"Reduces"/"Reducing" -> present (with the past form to suggest)
+function classifyTense(word) {
+  if (PAST_FORMS.has(word) || (/ed$/.test(word) && word.length > 4)) return { tense: 'past' };
+
+  const bases = [word];
+  if (word.endsWith('ing')) bases.push(word.slice(0, -3), `${word.slice(0, -3)}e`, word.slice(0, -4));
+  if (word.endsWith('ies')) bases.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('es')) bases.push(word.slice(0, -2));
+  if (word.endsWith('s')) bases.push(word.slice(0, -1));
+
+  // British "-ise" verbs are looked up by their "-ize" spelling but keep their own in the suggestion
+  const base = bases.find(candidate => ACTION_VERBS.has(toPast(candidate.replace(/ise$/, 'ize'))));
+  return base ? { tense: 'present', past: toPast(base) } : { tense: null };
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Find each bullet in the raw text, walking forward so repeated bullets map to their own occurrence
+function locateBullets(text, resume) {
+  let cursor = 0;
+  return (resume.experience || []).flatMap((entry, entryIndex) => entry.bullets.map(bullet => {
+    const probe = bullet.trim().slice(0, 40);
+    let start = probe ? text.indexOf(probe, cursor) : -1;
+    if (start === -1 && probe) start = text.indexOf(probe);
+    if (start !== -1) cursor = start + probe.length;
+    return { entryIndex, current: entry.current, text: bullet.trim(), start };
+  })).filter(bullet => bullet.text && bullet.start !== -1);
+}
+
+function findTenseIssues(bullets) {
+  const issues = [];
+  const byEntry = {};
+  bullets.forEach(bullet => {
+    const firstWord = (bullet.text.match(/^[A-Za-z]+/) || [''])[0];
+    const tense = classifyTense(firstWord.toLowerCase());
+    if (!tense.tense) return;
+    (byEntry[bullet.entryIndex] = byEntry[bullet.entryIndex] || []).push({ ...bullet, ...tense, firstWord });
+  });
+
+  Object.values(byEntry).forEach(entryBullets => {
+    const current = entryBullets[0].current;
+    const presentCount = entryBullets.filter(bullet => bullet.tense === 'present').length;
+    // Current roles may use either tense, as long as they stick to one
+    const expected = current ? (presentCount * 2 > entryBullets.length ? 'present' : 'past') : 'past';
+
+    entryBullets.filter(bullet => bullet.tense !== expected).forEach(bullet => {
+      const suggestion = bullet.tense === 'present' ? capitalize(bullet.past) : null;
+      issues.push({
+        type: 'tense',
+        severity: 'low',
+        message: current
+          ? `"${bullet.firstWord}" switches tense; the other bullets in this role use the ${expected} tense`
+          : `"${bullet.firstWord}" is in the present tense, but this role has ended${suggestion ? `; use "${suggestion}"` : ''}`,
+        text: bullet.firstWord,
+        start: bullet.start,
+        end: bullet.start + bullet.firstWord.length,
+        suggestions: suggestion ? [suggestion] : []
+      });
+    });
+  });
+
+  return issues;
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '').replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = cleaned.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function readingEase(words, sentences, syllables) {
+  return 206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words);
+}
+
+// Summary sentences and experience bullets, each with its offset in the text
+function collectSentences(text, resume, bullets) {
+  const sentences = bullets.map(bullet => ({ text: bullet.text, start: bullet.start }));
+  const summary = resume.summary || '';
+  summary.split(/(?<=[.!?])\s+/).filter(Boolean).forEach(sentence => {
+    const start = text.indexOf(sentence.slice(0, 40));
+    sentences.push({ text: sentence, start });
+  });
+  return sentences;
+}
+
+function analyzeReadability(sentences) {
+  let totalWords = 0;
+  let totalSyllables = 0;
+  const issues = [];
+
+  sentences.forEach(sentence => {
+    const words = sentence.text.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+    if (words.length === 0) return;
+    const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+    totalWords += words.length;
+    totalSyllables += syllables;
+
+    const ease = readingEase(words.length, 1, syllables);
+    const tooLong = words.length > LONG_SENTENCE_WORDS;
+    const tooHard = words.length >= 15 && ease < HARD_SENTENCE_EASE;
+    if ((tooLong || tooHard) && sentence.start !== -1) {
+      issues.push({
+        type: 'readability',
+        severity: tooLong ? 'medium' : 'low',
+        message: tooLong
+          ? `This sentence has ${words.length} words; split it so it can be read at a glance`
+          : 'This sentence is dense and hard to read; use shorter words and one idea per sentence',
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.start + sentence.text.length,
+        suggestions: []
+      });
+    }
+  });
+
+  const count = sentences.length;
+  return {
+    issues,
+    stats: {
+      sentences: count,
+      averageSentenceLength: count > 0 ? Math.round((totalWords / count) * 10) / 10 : 0,
+      fleschReadingEase: totalWords > 0 ? Math.round(readingEase(totalWords, count, totalSyllables)) : null,
+      gradeLevel: totalWords > 0 ? Math.round((0.39 * (totalWords / count) + 11.8 * (totalSyllables / totalWords) - 15.59) * 10) / 10 : null
+    }
+  };
+}
+
+function findBuzzwords(text) {
+  const issues = [];
+  const counts = {};
+  let match;
+
+  BUZZWORD_PATTERN.lastIndex = 0;
+  while ((match = BUZZWORD_PATTERN.exec(text)) !== null) {
+    const phrase = match[0].toLowerCase();
+    counts[phrase] = (counts[phrase] || 0) + 1;
+    issues.push({
+      type: 'buzzword',
+      severity: counts[phrase] > 1 ? 'medium' : 'low',
+      message: counts[phrase] > 1
+        ? `"${match[0]}" is used ${counts[phrase]} times; replace it with evidence of what you did`
+        : `"${match[0]}" is a buzzword recruiters skim past; show it with a concrete result instead`,
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      suggestions: []
+    });
+  }
+  return issues;
+}
+
+function scoreLanguage(issues) {
+  const deductions = {};
+  issues.forEach(issue => {
+    const rule = PENALTIES[issue.type];
+    const points = rule.each || rule[issue.severity] || 0;
+    deductions[issue.type] = Math.min(rule.cap, (deductions[issue.type] || 0) + points);
+  });
+  return Math.max(0, 100 - Object.values(deductions).reduce((total, value) => total + value, 0));
+}
+
+function analyzeLanguage(text, resume) {
+  const source = text || '';
+  const vocabulary = buildVocabulary();
+  const bullets = locateBullets(source, resume);
+  const readability = analyzeReadability(collectSentences(source, resume, bullets));
+
+  const issues = [
+    ...findSpellingIssues(source, ignoredRanges(source, resume, findSkillMatches(source)), vocabulary),
+    ...findRepeatedWords(source),
+    ...findTenseIssues(bullets),
+    ...readability.issues,
+    ...findBuzzwords(source)
+  ].sort((a, b) => a.start - b.start);
+
+  const countOf = type => issues.filter(issue => issue.type === type).length;
+  return {
+    issues,
+    counts: {
+      spelling: countOf('spelling'),
+      possibleTypos: countOf('possible-typo'),
+      repeatedWords: countOf('repeated-word'),
+      tense: countOf('tense'),
+      readability: countOf('readability'),
+      buzzwords: countOf('buzzword')
+    },
+    readability: readability.stats,
+    score: scoreLanguage(issues)
+  };
+}
+
+module.exports = {
+  analyzeLanguage
+};
@@ -0,0 +1,20 @@
+// Shared scoring for file-level ATS parsing risks found by the PDF and DOCX inspectors
+
+const RISK_PENALTIES = { high: 15, medium: 8, low: 3 };
+const MAX_LAYOUT_PENALTY = 40;
+
+function layoutPenalty(risks) {
+  return Math.min(MAX_LAYOUT_PENALTY, risks.reduce((total, risk) => total + RISK_PENALTIES[risk.severity], 0));
+}
+
+// Contact details in a header/footer are the costliest thing to lose
+function looksLikeContactInfo(text) {
+  return /@|\+?\d[\d\s().-]{7,}|linkedin|github/i.test(text);
+}
+
+module.exports = {
+  RISK_PENALTIES,
+  MAX_LAYOUT_PENALTY,
+  layoutPenalty,
+  looksLikeContactInfo
+};
@@ -0,0 +1,247 @@
+// LinkedIn scoring pipeline: the analyzers behind performLinkedInAnalysis and the scoring model they form
+const scoreRuleSchema = require('../models/scoreRuleSchema');
+const { registerAnalyzer, defineScoringModel, describeScoringModel, runPipeline } = require('./analyzerRegistry');
+const { loadTaxonomy, findSkills, findSkillMatches } = require('./skillTaxonomy');
+const { scoreRule, toSpans, findSpans } = require('./scoreRules');
+const { getRoleProfile } = require('./roleProfiles');
+const { buildLinkedInTimeline, getSeniorityBand } = require('./experienceTimeline');
+
+const TECHNICAL_CATEGORIES = ['language', 'framework', 'tool', 'database', 'cloud', 'practice'];
+const COMPELLING_HEADLINE = /\||at|specializing|expert/i;
+const SUMMARY_CALL_TO_ACTION = /contact|connect|reach out|let's talk/i;
+const SUMMARY_KEYWORDS = /developer|engineer|experience|skilled|expert|passionate/i;
+const SUMMARY_ACHIEVEMENTS = /\d+%|\d+ years|increased|improved|built|developed/i;
+const QUANTIFIED_RESULT = /\d+%|\d+\+|increased|improved|reduced|built \d+/i;
+
+// Span covering a whole short field such as a title or a skill
+function fieldSpan(value, field) {
+  return { field, start: 0, end: value.length, text: value };
+}
+
+// Rule spans are offsets into the named profile field ("headline", "experience[2].description", "skills[4]")
+function analyzeHeadline(headline, profile) {
+  const profileSkills = findSkillMatches(headline)
+    .filter(match => TECHNICAL_CATEGORIES.includes(match.category) && isProfileSkill(match.skill, profile));
+  const hasKeywords = profile.titlePattern.test(headline) || profileSkills.length > 0;
+  const isCompelling = headline.length > 20 && COMPELLING_HEADLINE.test(headline);
+  const length = headline.length;
+  const lengthFits = length >= 50 && length <= 120;
+
+  const rules = [
+    scoreRule('headline.keywords', 'Role title or core skills', 40, hasKeywords ? 40 : 0,
+      [...findSpans(headline, profile.titlePattern, 'headline'), ...toSpans(headline, profileSkills, 'headline')],
+      hasKeywords ? '' : `Name your role or ${profile.name} skills`),
+    scoreRule('headline.compelling', 'Specific value proposition', 30, isCompelling ? 30 : 0,
+      isCompelling ? findSpans(headline, COMPELLING_HEADLINE, 'headline') : [],
+      isCompelling ? '' : 'Say what you specialise in or where you work'),
+    scoreRule('headline.length', 'Headline length', 30, lengthFits ? 30 : 0, [],
+      `${length} characters; 50-120 recommended`)
+  ];
+
+  return { hasKeywords, isCompelling, length, score: sumRules(rules), rules };
+}
+
+function analyzeSummary(summary) {
+  const hasCallToAction = SUMMARY_CALL_TO_ACTION.test(summary);
+  const hasKeywords = SUMMARY_KEYWORDS.test(summary);
+  const hasAchievements = SUMMARY_ACHIEVEMENTS.test(summary);
+  const length = summary.length;
+  const lengthFits = length >= 200 && length <= 2000;
+
+  const rules = [
+    scoreRule('summary.call-to-action', 'Call to action', 20, hasCallToAction ? 20 : 0,
+      findSpans(summary, SUMMARY_CALL_TO_ACTION, 'summary'),
+      hasCallToAction ? '' : 'Invite readers to connect or reach out'),
+    scoreRule('summary.keywords', 'Professional keywords', 30, hasKeywords ? 30 : 0,
+      findSpans(summary, SUMMARY_KEYWORDS, 'summary')),
+    scoreRule('summary.achievements', 'Achievements', 30, hasAchievements ? 30 : 0,
+      findSpans(summary, SUMMARY_ACHIEVEMENTS, 'summary'),
+      hasAchievements ? '' : 'Mention results, ideally with numbers'),
+    scoreRule('summary.length', 'Summary length', 20, lengthFits ? 20 : 0, [],
+      `${length} characters; 200-2000 recommended`)
+  ];
+
+  return { hasCallToAction, hasKeywords, hasAchievements, length, score: sumRules(rules), rules };
+}
+
+function analyzeExperience(experience, profile) {
+  const hasQuantifiableResults = experience.some(exp => QUANTIFIED_RESULT.test(exp.description || ''));
+  const hasRelevantKeywords = experience.some(exp => 
+    profile.titlePattern.test(exp.title || '')
+  );
+  const incomplete = experience.filter(exp => !(exp.title && exp.company && exp.duration));
+  const isWellStructured = experience.length > 0 && incomplete.length === 0;
+  const count = experience.length;
+  const timeline = buildLinkedInTimeline(experience);
+  // A new grad with one position is not penalised for lacking a second
+  const band = getSeniorityBand(timeline.seniority);
+
+  const rules = [
+    scoreRule('experience.quantified-results', 'Quantified results', 30, hasQuantifiableResults ? 30 : 0,
+      experience.flatMap((exp, index) => findSpans(exp.description || '', QUANTIFIED_RESULT, `experience[${index}].description`)),
+      hasQuantifiableResults ? '' : 'Add numbers to your position descriptions'),
+    scoreRule('experience.relevant-titles', `Experience as a ${profile.name}`, 30, hasRelevantKeywords ? 30 : 0,
+      experience.map((exp, index) => profile.titlePattern.test(exp.title || '') ? fieldSpan(exp.title, `experience[${index}].title`) : null),
+      hasRelevantKeywords ? '' : 'No position title matches the target role'),
+    scoreRule('experience.structure', 'Complete positions', 25, isWellStructured ? 25 : 0, [],
+      incomplete.length > 0 ? `${incomplete.length} position(s) lack a title, company or dates` : ''),
+    scoreRule('experience.count', 'Enough positions for your seniority', 15, count >= band.minRoles ? 15 : 0, [],
+      `${count} position(s); ${band.minRoles} expected`)
+  ];
+
+  return {
+    hasQuantifiableResults,
+    hasRelevantKeywords,
+    isWellStructured,
+    count,
+    totalYears: timeline.totalYears,
+    seniority: timeline.seniority,
+    score: sumRules(rules),
+    rules
+  };
+}
+
+function analyzeSkills(skills, profile) {
+  const relevant = skills.map(skill => 
+    findSkills(skill, TECHNICAL_CATEGORIES).some(name => isProfileSkill(name, profile))
+  );
+  const hasRelevantSkills = relevant.some(Boolean);
+  const hasTechnicalSkills = skills.length >= 5;
+  const count = skills.length;
+
+  const rules = [
+    scoreRule('skills.relevant', `${profile.name} skills listed`, 40, hasRelevantSkills ? 40 : 0,
+      skills.map((skill, index) => relevant[index] ? fieldSpan(skill, `skills[${index}]`) : null)),
+    scoreRule('skills.five-or-more', 'At least 5 skills', 30, hasTechnicalSkills ? 30 : 0, [], `${count} skills listed`),
+    scoreRule('skills.ten-or-more', 'At least 10 skills', 30, count >= 10 ? 30 : 0, [], `${count} skills listed`)
+  ];
+
+  return { hasRelevantSkills, hasTechnicalSkills, count, score: sumRules(rules), rules };
+}
+
+// General profiles accept any technical skill; role profiles only their own stack
+function isProfileSkill(skill, profile) {
+  return !profile.expectedSkills || profile.expectedSkills.includes(skill);
+}
+
+function analyzeEngagement(profileData) {
+  const hasRecentActivity = true; // Mock - would check actual activity
+  const hasRecommendations = true; // Mock - would check recommendations
+  const connectionCount = profileData.connections || 0;
+  let connectionPoints = 0;
+  if (connectionCount >= 500) connectionPoints = 40;
+  else if (connectionCount >= 100) connectionPoints = 20;
+
+  const rules = [
+    scoreRule('engagement.recent-activity', 'Recent activity', 30, hasRecentActivity ? 30 : 0),
+    scoreRule('engagement.recommendations', 'Recommendations', 30, hasRecommendations ? 30 : 0),
+    scoreRule('engagement.connections', 'Network size', 40, connectionPoints, [],
+      `${connectionCount} connections; 500+ earns full marks`)
+  ];
+
+  return { hasRecentActivity, hasRecommendations, connectionCount, score: sumRules(rules), rules };
+}
+
+function sumRules(rules) {
+  return rules.reduce((total, rule) => total + rule.pointsAwarded, 0);
+}
+
+registerAnalyzer('linkedin', {
+  id: 'headline',
+  version: 2,
+  inputs: ['profileData', 'profile'],
+  weight: 0.25,
+  output: {
+    hasKeywords: Boolean,
+    isCompelling: Boolean,
+    length: Number,
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ profileData, profile }) => analyzeHeadline(profileData.headline || '', profile)
+});
+
+registerAnalyzer('linkedin', {
+  id: 'summary',
+  version: 1,
+  inputs: ['profileData'],
+  weight: 0.25,
+  output: {
+    hasCallToAction: Boolean,
+    hasKeywords: Boolean,
+    hasAchievements: Boolean,
+    length: Number,
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ profileData }) => analyzeSummary(profileData.summary || '')
+});
+
+registerAnalyzer('linkedin', {
+  id: 'experience',
+  version: 1,
+  inputs: ['profileData', 'profile'],
+  weight: 0.25,
+  output: {
+    hasQuantifiableResults: Boolean,
+    hasRelevantKeywords: Boolean,
+    isWellStructured: Boolean,
+    count: Number,
+    totalYears: Number,
+    seniority: String,
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ profileData, profile }) => analyzeExperience(profileData.experience || [], profile)
+});
+
+registerAnalyzer('linkedin', {
+  id: 'skills',
+  version: 2,
+  inputs: ['profileData', 'profile'],
+  weight: 0.15,
+  output: {
+    hasRelevantSkills: Boolean,
+    hasTechnicalSkills: Boolean,
+    count: Number,
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ profileData, profile }) => analyzeSkills(profileData.skills || [], profile)
+});
+
+registerAnalyzer('linkedin', {
+  id: 'engagement',
+  version: 1,
+  inputs: ['profileData'],
+  weight: 0.10,
+  output: {
+    hasRecentActivity: Boolean,
+    hasRecommendations: Boolean,
+    connectionCount: Number,
+    score: Number,
+    rules: [scoreRuleSchema]
+  },
+  run: ({ profileData }) => analyzeEngagement(profileData)
+});
+
+// Bump the version whenever an analyzer version, a default weight or this list changes
+defineScoringModel('linkedin', {
+  version: 2,
+  analyzers: ['headline', 'summary', 'experience', 'skills', 'engagement']
+});
+
+async function performLinkedInAnalysis(profileData, roleProfile) {
+  await loadTaxonomy();
+  return runPipeline('linkedin', { profileData, profile: getRoleProfile(roleProfile) });
+}
+
+// Current LinkedIn scoring model with the role profile's weights applied
+function describeLinkedInScoringModel(roleProfile) {
+  return describeScoringModel('linkedin', getRoleProfile(roleProfile).linkedinWeights);
+}
+
+module.exports = {
+  performLinkedInAnalysis,
+  describeLinkedInScoringModel
+};
@@ -0,0 +1,327 @@
+// PDF layout inspection: finds layouts that ATS parsers tend to scramble or drop
+
+const pdfParse = require('pdf-parse');
+// The pdf.js build pdf-parse renders with by default; needed for operator ids and settings
+const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { layoutPenalty, looksLikeContactInfo } = require('./layoutRisks');
+
+const { OPS } = pdfjs;
+// Loading embedded fonts for the operator list otherwise reaches for document/FontFace and crashes Node
+pdfjs.PDFJS.disableFontFace = true;
+
+const FONT_LOOKUP_TIMEOUT = 200;
+
+// Fonts every ATS and PDF text extractor handles; matched on the normalized family prefix
+const STANDARD_FONTS = [
+  'arial', 'helvetica', 'calibri', 'cambria', 'times', 'georgia', 'garamond', 'verdana', 'tahoma',
+  'trebuchet', 'bookantiqua', 'palatino', 'lato', 'roboto', 'opensans', 'sourcesans', 'sourceserif',
+  'liberation', 'dejavu', 'noto', 'segoeui', 'aptos', 'carlito', 'caladea', 'courier', 'inter',
+  'montserrat', 'ptsans', 'ptserif', 'lmroman', 'lmsans', 'cmr', 'cmb', 'cmtt', 'cmti', 'cmsl', 'cmss', 'cmmi', 'cmsy',
+  'sfrm', 'sfbx', 'computermodern', 'latinmodern',
+  'gill', 'franklin', 'century', 'baskerville', 'didot', 'futura', 'avenir', 'myriad', 'minion', 'sourcecode'
+];
+const ICON_FONTS = /fontawesome|wingdings|webdings|symbol|zapfdingbats|dingbats|material(?:icons|symbols)|icomoon|glyphicons/;
+
+const IMAGE_OPS = [OPS.paintImageXObject, OPS.paintJpegXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject];
+
+// Top and bottom share of the page treated as running header/footer
+const MARGIN_BAND = 0.06;
+const COLUMN_GAP = 0.25;
+const MIN_COLUMN_ITEMS = 3;
+const MIN_TABLE_ROWS = 3;
+
+function normalizeFontName(fontName) {
+  // Drop the subset prefix ("ABCDEF+Calibri-Bold") and style suffixes
+  return String(fontName || '')
+    .replace(/^[A-Z]{6}\+/, '')
+    .replace(/[-,](?:bold|italic|oblique|regular|light|medium|semibold|black|mt|psmt|boldmt|italicmt).*$/i, '')
+    .replace(/(?:mt|psmt)$/i, '');
+}
+
+function isStandardFont(name) {
+  const key = name.toLowerCase().replace(/[^a-z]/g, '');
+  return STANDARD_FONTS.some(font => key.startsWith(font));
+}
+
+// pdf.js reports internal ids ("g_d0_f1", "g_font_error") for fonts it could not name
+function isInternalFontId(name) {
+  return /^g_(?:d\d+_f\d+|font_error)/.test(name);
+}
+
+// Embedded fonts are keyed by an internal id whose font object carries the real name;
+// standard fonts that are not embedded never resolve and are keyed by their own name
+function resolveFontName(pageData, fontId) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(fontId), FONT_LOOKUP_TIMEOUT);
+    pageData.commonObjs.get(fontId, font => {
+      clearTimeout(timer);
+      resolve((font && font.name) || fontId);
+    });
+  });
+}
+
+// Same line-joining as pdf-parse's default renderer so extracted text is unchanged
+function renderText(items) {
+  let lastY;
+  let text = '';
+  for (const item of items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+function toBox(item) {
+  return {
+    str: item.str,
+    x: item.transform[4],
+    y: item.transform[5],
+    width: item.width,
+    size: Math.abs(item.transform[3]) || item.height || 10,
+    font: item.fontName
+  };
+}
+
+// Group items sharing a baseline into lines, top to bottom
+function groupLines(boxes) {
+  const lines = [];
+  boxes
+    .slice()
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(box => {
+      const line = lines.find(candidate => Math.abs(candidate.y - box.y) <= 2);
+      if (line) {
+        line.items.push(box);
+      } else {
+        lines.push({ y: box.y, items: [box] });
+      }
+    });
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+// Split a line into segments separated by wide horizontal gaps
+function lineSegments(line) {
+  const segments = [];
+  line.items.forEach(item => {
+    const last = segments[segments.length - 1];
+    if (last && item.x - last.right < 20) {
+      last.right = Math.max(last.right, item.x + item.width);
+    } else {
+      segments.push({ x: item.x, right: item.x + item.width });
+    }
+  });
+  return segments;
+}
+
+// Cluster left edges; clusters are candidate column starts
+function clusterLeftEdges(boxes) {
+  const clusters = [];
+  boxes
+    .slice()
+    .sort((a, b) => a.x - b.x)
+    .forEach(box => {
+      const cluster = clusters[clusters.length - 1];
+      if (cluster && box.x - cluster.x <= 15) {
+        cluster.items.push(box);
+      } else {
+        clusters.push({ x: box.x, items: [box] });
+      }
+    });
+  return clusters.filter(cluster => cluster.items.length >= MIN_COLUMN_ITEMS);
+}
+
+// Two left-edge clusters form columns when the left one never runs into the right one,
+// they share vertical space, and they do not share baselines the way table cells do
+function countColumns(boxes, pageWidth) {
+  const clusters = clusterLeftEdges(boxes);
+  let columns = 1;
+
+  clusters.forEach((left, index) => {
+    clusters.slice(index + 1).forEach(right => {
+      if (right.x - left.x < pageWidth * COLUMN_GAP) return;
+
+      const staysLeft = left.items.filter(item => item.x + item.width <= right.x + 5).length / left.items.length >= 0.9;
+      const leftYs = left.items.map(item => item.y);
+      const rightYs = right.items.map(item => item.y);
+      const overlap = Math.min(Math.max(...leftYs), Math.max(...rightYs)) - Math.max(Math.min(...leftYs), Math.min(...rightYs));
+      const smallerSpan = Math.min(Math.max(...leftYs) - Math.min(...leftYs), Math.max(...rightYs) - Math.min(...rightYs)) || 1;
+      const sharedBaselines = right.items.filter(item => leftYs.some(y => Math.abs(y - item.y) <= 2)).length / right.items.length;
+
+      if (staysLeft && overlap / smallerSpan >= 0.3 && sharedBaselines < 0.5) {
+        columns = Math.max(columns, 2);
+      }
+    });
+  });
+
+  return columns;
+}
+
+// Runs of closely spaced lines whose cells start at the same x positions. Single-segment
+// lines are skipped so a sidebar column interleaving with a table does not break the run.
+function countTables(lines) {
+  let tables = 0;
+  let run = 0;
+  let previous = null;
+
+  lines.forEach(line => {
+    const segments = lineSegments(line);
+    if (segments.length < 2) return;
+
+    const size = Math.max(...line.items.map(item => item.size));
+    const aligned = previous && previous.y - line.y <= size * 2.2 && previous.segments.length === segments.length &&
+      segments.every((segment, index) => Math.abs(segment.x - previous.segments[index].x) <= 8);
+
+    if (aligned) {
+      run += 1;
+    } else {
+      if (run >= MIN_TABLE_ROWS) tables += 1;
+      run = 1;
+    }
+    previous = { y: line.y, segments };
+  });
+  if (run >= MIN_TABLE_ROWS) tables += 1;
+
+  return tables;
+}
+
+// Content-stream order that jumps back up the page or right-to-left along a line
+function countReadingOrderJumps(boxes) {
+  let jumps = 0;
+  for (let index = 1; index < boxes.length; index++) {
+    const previous = boxes[index - 1];
+    const current = boxes[index];
+    const lineHeight = Math.max(previous.size, current.size) * 1.5;
+    if (current.y - previous.y > lineHeight) jumps += 1;
+    else if (Math.abs(current.y - previous.y) <= 2 && current.x < previous.x - 5) jumps += 1;
+  }
+  return jumps;
+}
+
+function inspectPage(textContent, operatorList, view) {
+  const [x0, y0, x1, y1] = view;
+  const pageWidth = x1 - x0;
+  const pageHeight = y1 - y0;
+  const boxes = textContent.items.filter(item => item.str && item.str.trim()).map(toBox);
+
+  const inHeader = box => box.y > y1 - pageHeight * MARGIN_BAND;
+  const inFooter = box => box.y < y0 + pageHeight * MARGIN_BAND;
+  const marginText = boxes.filter(box => inHeader(box) || inFooter(box)).map(box => box.str.trim());
+  const body = boxes.filter(box => !inHeader(box) && !inFooter(box));
+  const lines = groupLines(body);
+  const columns = countColumns(body, pageWidth);
+
+  const images = operatorList.fnArray.filter(fn => IMAGE_OPS.includes(fn)).length;
+  const characters = boxes.reduce((total, box) => total + box.str.trim().length, 0);
+
+  // Column breaks are expected jumps; anything beyond them is scrambled order
+  const readingOrderJumps = Math.max(0, countReadingOrderJumps(body) - (columns - 1));
+
+  return {
+    columns,
+    tables: countTables(lines),
+    marginText,
+    images,
+    imageOnly: images > 0 && characters < 50,
+    readingOrderJumps,
+    lineCount: lines.length,
+    fonts: [...new Set(boxes.map(box => box.font))]
+  };
+}
+
+function describeRisks(pages, fonts) {
+  const risks = [];
+
+  pages.forEach((page, index) => {
+    const pageNumber = index + 1;
+    if (page.imageOnly) {
+      risks.push({ type: 'image-only', severity: 'high', page: pageNumber, message: `Page ${pageNumber} is an image with no text layer; ATS software will read it as blank` });
+    } else if (page.images > 0) {
+      risks.push({ type: 'images', severity: 'low', page: pageNumber, message: `Page ${pageNumber} contains ${page.images} image(s) or icon(s); any text inside them is invisible to ATS software` });
+    }
+    if (page.columns > 1) {
+      risks.push({ type: 'multi-column', severity: 'high', page: pageNumber, message: `Page ${pageNumber} uses a multi-column layout; many ATS parsers read straight across columns and mix up sections` });
+    }
+    if (page.tables > 0) {
+      risks.push({ type: 'table', severity: 'medium', page: pageNumber, message: `Page ${pageNumber} lays content out in ${page.tables} table(s); cells are often read out of order or dropped` });
+    }
+    if (page.marginText.length > 0) {
+      const hasContact = page.marginText.some(looksLikeContactInfo);
+      risks.push({
+        type: 'header-footer',
+        severity: hasContact ? 'high' : 'low',
+        page: pageNumber,
+        message: hasContact
+          ? `Contact details sit in the page header/footer of page ${pageNumber}, which many ATS parsers skip`
+          : `Page ${pageNumber} has text in the header/footer area ("${page.marginText.join(' ').slice(0, 60)}"), which many ATS parsers skip`
+      });
+    }
+    if (page.readingOrderJumps > Math.max(2, page.lineCount * 0.1)) {
+      risks.push({ type: 'reading-order', severity: 'medium', page: pageNumber, message: `The text on page ${pageNumber} is stored out of visual order, so extracted text may come out scrambled` });
+    }
+  });
+
+  if (fonts.icon.length > 0) {
+    risks.push({ type: 'icon-font', severity: 'medium', message: `Icon fonts (${fonts.icon.join(', ')}) extract as stray characters; replace icons with plain labels such as "Email:"` });
+  }
+  if (fonts.nonStandard.length > 0) {
+    risks.push({ type: 'font', severity: 'low', message: `Non-standard fonts (${fonts.nonStandard.slice(0, 3).join(', ')}) may not map to readable characters; prefer Arial, Calibri, Helvetica or similar` });
+  }
+
+  return risks;
+}
+
+// Extract text and inspect layout in one pass over the PDF
+async function inspectPdf(buffer) {
+  const pages = [];
+
+  // pdf.js misreads small pooled Buffers (non-zero byteOffset), so hand it a standalone copy
+  const data = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const operatorList = await pageData.getOperatorList();
+      const page = inspectPage(textContent, operatorList, pageData.view);
+      page.fonts = await Promise.all(page.fonts.map(fontId => resolveFontName(pageData, fontId)));
+      pages.push(page);
+      return renderText(textContent.items);
+    }
+  });
+
+  const fontNames = [...new Set(pages.flatMap(page => page.fonts).map(normalizeFontName))]
+    .filter(name => name && !isInternalFontId(name));
+  const fonts = {
+    all: fontNames,
+    icon: fontNames.filter(name => ICON_FONTS.test(name.toLowerCase().replace(/[^a-z]/g, ''))),
+    nonStandard: []
+  };
+  fonts.nonStandard = fontNames.filter(name => !fonts.icon.includes(name) && !isStandardFont(name));
+
+  const risks = describeRisks(pages, fonts);
+
+  return {
+    text: data.text,
+    numpages: data.numpages,
+    layout: {
+      source: 'pdf',
+      pages: data.numpages,
+      columns: Math.max(1, ...pages.map(page => page.columns)),
+      tables: pages.reduce((total, page) => total + page.tables, 0),
+      headerFooterText: pages.flatMap(page => page.marginText),
+      images: pages.reduce((total, page) => total + page.images, 0),
+      imageOnlyPages: pages.filter(page => page.imageOnly).length,
+      fonts: fonts.all,
+      nonStandardFonts: [...fonts.icon, ...fonts.nonStandard],
+      readingOrderIssues: pages.filter(page => page.readingOrderJumps > Math.max(2, page.lineCount * 0.1)).length,
+      risks,
+      penalty: layoutPenalty(risks)
+    }
+  };
+}
+
+module.exports = {
+  inspectPdf
+};
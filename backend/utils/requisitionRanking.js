@@ -0,0 +1,169 @@
+// Recruiter mode: rank every CV attached to a requisition against its job description
+const CVAnalysis = require('../models/CVAnalysis');
+const { getParsedResume } = require('./resumeParser');
+const { extractJobRequirements, matchJobRequirements } = require('./jobMatcher');
+const { buildResumeTimeline, checkTimelineConsistency } = require('./experienceTimeline');
+const { findSkills, normalizeSkill } = require('./skillTaxonomy');
+const { toCSV } = require('./csv');
+
+// Three or more full-time stints this short among the latest five roles reads as job hopping
+const SHORT_TENURE_MONTHS = 12;
+const SHORT_TENURE_COUNT = 3;
+
+function effectiveMustHaves(requisition) {
+  return requisition.mustHaves.length > 0 ? requisition.mustHaves : requisition.jobDescription.requiredSkills;
+}
+
+// Must-haves that name a known skill match through the taxonomy ("k8s" = Kubernetes); others as plain phrases
+function checkMustHaves(mustHaves, text, cvSkills) {
+  const lowerText = text.toLowerCase();
+  const matched = [];
+  const missing = [];
+
+  mustHaves.forEach(mustHave => {
+    const skill = normalizeSkill(mustHave);
+    const found = skill ? cvSkills.has(skill) : lowerText.includes(mustHave.toLowerCase());
+    (found ? matched : missing).push(mustHave);
+  });
+
+  return {
+    matched,
+    missing,
+    coverage: mustHaves.length > 0 ? Math.round((matched.length / mustHaves.length) * 100) : 100
+  };
+}
+
+// Years on dated roles that used any skill the requisition asks for
+function relevantYears(timeline, requisition) {
+  const wanted = new Set([
+    ...requisition.jobDescription.requiredSkills,
+    ...requisition.jobDescription.preferredSkills,
+    ...effectiveMustHaves(requisition).map(mustHave => normalizeSkill(mustHave)).filter(Boolean)
+  ]);
+  const years = timeline.skillYears.filter(entry => wanted.has(entry.skill)).map(entry => entry.years);
+  return years.length > 0 ? Math.max(...years) : 0;
+}
+
+function findRedFlags(resume, timeline, mustHaveCheck, requisition, gapThresholdMonths) {
+  const flags = [];
+
+  if (mustHaveCheck.missing.length > 0) {
+    flags.push({ type: 'missing-must-have', severity: 'high', message: `Missing must-haves: ${mustHaveCheck.missing.join(', ')}` });
+  }
+
+  const minYears = requisition.jobDescription.minYearsExperience;
+  if (minYears && timeline.totalYears < minYears) {
+    flags.push({
+      type: 'under-experienced',
+      severity: 'medium',
+      message: `${timeline.totalYears} years of dated experience; the posting asks for ${minYears}+`
+    });
+  }
+
+  checkTimelineConsistency(resume, { gapThresholdMonths }).issues
+    .filter(issue => issue.severity === 'high')
+    .forEach(issue => flags.push({ type: issue.type, severity: 'medium', message: issue.message }));
+
+  const recent = timeline.entries.filter(entry => entry.months > 0 && !entry.internship && !entry.current).slice(0, 5);
+  const shortStints = recent.filter(entry => entry.months < SHORT_TENURE_MONTHS);
+  if (shortStints.length >= SHORT_TENURE_COUNT) {
+    flags.push({
+      type: 'short-tenures',
+      severity: 'medium',
+      message: `${shortStints.length} of the last ${recent.length} roles lasted under a year`
+    });
+  }
+
+  if (!resume.contact.email && !resume.contact.phone) {
+    flags.push({ type: 'no-contact', severity: 'low', message: 'No email address or phone number found' });
+  }
+
+  return flags;
+}
+
+function rankCandidate(requisition, jobRequirements, analysis) {
+  const resume = getParsedResume(analysis);
+  const timeline = buildResumeTimeline(resume);
+  const text = analysis.extractedText;
+  const match = matchJobRequirements(text, jobRequirements, { yearsOfExperience: timeline.totalYears });
+  const mustHaveCheck = checkMustHaves(effectiveMustHaves(requisition), text, new Set(findSkills(text)));
+  const gapThresholdMonths = analysis.analysis && analysis.analysis.timeline && analysis.analysis.timeline.gapThresholdMonths;
+
+  return {
+    analysisId: analysis._id,
+    candidateName: resume.contact.name || analysis.originalFileName,
+    fileName: analysis.originalFileName,
+    status: 'ranked',
+    matchScore: match.score,
+    mustHaves: mustHaveCheck,
+    relevantYears: relevantYears(timeline, requisition),
+    totalYears: timeline.totalYears,
+    atsScore: analysis.atsScore,
+    requiredSkillsMissing: match.requiredSkillsMissing,
+    redFlags: findRedFlags(resume, timeline, mustHaveCheck, requisition, gapThresholdMonths)
+  };
+}
+
+// Candidates with every must-have come first, then by match score, coverage and relevant years.
+// CVs still analyzing or that failed are listed after the ranking.
+async function rankRequisition(requisition) {
+  const analysisIds = requisition.candidates.map(candidate => candidate.analysisId);
+  const analyses = await CVAnalysis.find({ _id: { $in: analysisIds } })
+    .select('originalFileName extractedText parsedResume atsScore status failureReason analysis.timeline.gapThresholdMonths');
+  const jobRequirements = extractJobRequirements(requisition.jobDescription.text);
+
+  const ranked = [];
+  const pending = [];
+  analyses.forEach(analysis => {
+    if (analysis.status === 'completed') {
+      ranked.push(rankCandidate(requisition, jobRequirements, analysis));
+    } else {
+      pending.push({
+        analysisId: analysis._id,
+        fileName: analysis.originalFileName,
+        status: analysis.status,
+        error: analysis.failureReason || null
+      });
+    }
+  });
+
+  ranked.sort((a, b) =>
+    (a.mustHaves.missing.length === 0 ? 0 : 1) - (b.mustHaves.missing.length === 0 ? 0 : 1) ||
+    b.matchScore - a.matchScore ||
+    b.mustHaves.coverage - a.mustHaves.coverage ||
+    b.relevantYears - a.relevantYears
+  );
+  ranked.forEach((candidate, index) => { candidate.rank = index + 1; });
+
+  return {
+    mustHaves: effectiveMustHaves(requisition),
+    shortlist: ranked,
+    pending
+  };
+}
+
+function rankingToCSV(ranking) {
+  const headers = [
+    'Rank', 'Candidate', 'File Name', 'Match Score', 'Must-Have Coverage', 'Missing Must-Haves',
+    'Relevant Years', 'Total Years', 'ATS Score', 'Red Flags', 'Analysis ID'
+  ];
+  const rows = ranking.shortlist.map(candidate => [
+    candidate.rank,
+    candidate.candidateName,
+    candidate.fileName,
+    candidate.matchScore,
+    `${candidate.mustHaves.coverage}%`,
+    candidate.mustHaves.missing.join('; '),
+    candidate.relevantYears,
+    candidate.totalYears,
+    candidate.atsScore,
+    candidate.redFlags.map(flag => flag.message).join('; '),
+    candidate.analysisId
+  ]);
+  return toCSV(headers, rows);
+}
+
+module.exports = {
+  rankRequisition,
+  rankingToCSV
+};
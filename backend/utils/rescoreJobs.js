@@ -0,0 +1,129 @@
+// Background re-scoring of stored analyses whenever a scoring model version changes.
+// Progress is checkpointed per batch (cursor = last _id processed), so a job interrupted by a restart
+// or paused by an admin continues where it stopped.
+const RescoreJob = require('../models/RescoreJob');
+const CVAnalysis = require('../models/CVAnalysis');
+const LinkedInAnalysis = require('../models/LinkedInAnalysis');
+const { getScoringModel } = require('./analyzerRegistry');
+
+const BATCH_SIZE = 20;
+
+const TARGETS = {
+  cv: { Model: CVAnalysis, scoreField: 'atsScore' },
+  linkedin: { Model: LinkedInAnalysis, scoreField: 'optimizationScore' }
+};
+
+// Job ids being worked on by this process
+const running = new Set();
+
+// Completed analyses scored with any other model version, including unversioned ones
+function outdatedQuery(modelVersion) {
+  return { status: 'completed', 'scoringModel.version': { $ne: modelVersion } };
+}
+
+async function countOutdated() {
+  const counts = {};
+  for (const [name, { Model }] of Object.entries(TARGETS)) {
+    const version = getScoringModel(name).version;
+    counts[name] = { modelVersion: version, outdated: await Model.countDocuments(outdatedQuery(version)) };
+  }
+  return counts;
+}
+
+async function createRescoreJob(userId) {
+  const counts = await countOutdated();
+  const job = await RescoreJob.create({
+    startedBy: userId,
+    targets: Object.entries(counts).map(([name, { modelVersion, outdated }]) => ({
+      name,
+      modelVersion,
+      total: outdated,
+      done: outdated === 0
+    }))
+  });
+
+  runInBackground(job._id);
+  return job;
+}
+
+function runInBackground(jobId) {
+  const key = String(jobId);
+  if (running.has(key)) return;
+  running.add(key);
+
+  runRescoreJob(jobId)
+    .catch(async error => {
+      console.error('Re-score job error:', error);
+      await RescoreJob.updateOne({ _id: jobId }, { status: 'failed', error: error.message, finishedAt: new Date() });
+    })
+    .finally(() => running.delete(key));
+}
+
+async function isStillRunning(jobId) {
+  const current = await RescoreJob.findById(jobId).select('status').lean();
+  return Boolean(current) && current.status === 'running';
+}
+
+async function runRescoreJob(jobId) {
+  const job = await RescoreJob.findById(jobId);
+  if (!job || job.status !== 'running') return;
+
+  // Re-scoring to a model this process no longer runs would stamp the wrong version
+  const stale = job.targets.find(target => !target.done && target.modelVersion !== getScoringModel(target.name).version);
+  if (stale) {
+    job.status = 'failed';
+    job.error = `The ${stale.name} scoring model changed to v${getScoringModel(stale.name).version} while this job ran; start a new job`;
+    job.finishedAt = new Date();
+    await job.save();
+    return;
+  }
+
+  for (const target of job.targets) {
+    const { Model, scoreField } = TARGETS[target.name];
+
+    while (!target.done) {
+      // Pause and cancel requests take effect between batches
+      if (!(await isStillRunning(jobId))) return;
+
+      const query = outdatedQuery(target.modelVersion);
+      if (target.cursor) query._id = { $gt: target.cursor };
+      const batch = await Model.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+
+      for (const analysis of batch) {
+        const previousScore = analysis[scoreField];
+        try {
+          await analysis.rescore(job._id);
+          await analysis.save();
+          if (analysis[scoreField] !== previousScore) target.changed += 1;
+        } catch (error) {
+          target.failed += 1;
+          job.recordFailure(target.name, analysis._id, error);
+        }
+        target.processed += 1;
+        target.cursor = analysis._id;
+      }
+
+      if (batch.length < BATCH_SIZE) target.done = true;
+      await job.save();
+    }
+  }
+
+  if (!(await isStillRunning(jobId))) return;
+  job.status = 'completed';
+  job.finishedAt = new Date();
+  await job.save();
+}
+
+// Pick up jobs that were running when the server stopped
+async function resumeRescoreJobs() {
+  const jobs = await RescoreJob.find({ status: 'running' }).select('_id');
+  jobs.forEach(job => runInBackground(job._id));
+  return jobs.length;
+}
+
+module.exports = {
+  countOutdated,
+  createRescoreJob,
+  runInBackground,
+  resumeRescoreJobs
+};
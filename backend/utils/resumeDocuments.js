@@ -0,0 +1,173 @@
+// Resume documents: successive drafts of one resume grouped as numbered revisions,
+// with a score trend per document and diffs between any two revisions
+const ResumeDocument = require('../models/ResumeDocument');
+const CVAnalysis = require('../models/CVAnalysis');
+const { getParsedResume } = require('./resumeParser');
+const { diffLines } = require('./textDiff');
+
+const REVISION_FIELDS = 'revision source status atsScore analysis.jobMatch.score scoringModel.version originalFileName parentId appliedSuggestions createdAt';
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+// Reserve the next revision number of a document, or start a new document when none is given
+async function nextRevision(userId, { documentId, name }) {
+  if (documentId) {
+    const document = await ResumeDocument.findOneAndUpdate(
+      { _id: documentId, userId },
+      { $inc: { revisionCount: 1 } },
+      { new: true }
+    );
+    if (!document) throw notFound('Document not found');
+    return { documentId: document._id, revision: document.revisionCount };
+  }
+
+  const document = await ResumeDocument.create({ userId, name, revisionCount: 1 });
+  return { documentId: document._id, revision: 1 };
+}
+
+// File analyses from before documents existed; run at startup. Each becomes a document of its own, keyed by
+// the analysis so a second run (or a second server) reuses it; derived revisions join their parent's document
+async function assignLegacyAnalyses() {
+  const legacy = CVAnalysis.find({ documentId: { $exists: false }, batchId: { $exists: false } })
+    .select('userId originalFileName parentId')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  let assigned = 0;
+  for await (const analysis of legacy) {
+    const parent = analysis.parentId && await CVAnalysis.findById(analysis.parentId).select('documentId');
+    let placement;
+    if (parent && parent.documentId) {
+      placement = await nextRevision(analysis.userId, { documentId: parent.documentId });
+    } else {
+      const document = await ResumeDocument.findOneAndUpdate(
+        { legacyAnalysisId: analysis._id },
+        { $setOnInsert: { userId: analysis.userId, name: analysis.originalFileName, revisionCount: 1 } },
+        { upsert: true, new: true }
+      );
+      placement = { documentId: document._id, revision: 1 };
+    }
+
+    const result = await CVAnalysis.updateOne({ _id: analysis._id, documentId: { $exists: false } }, placement);
+    assigned += result.modifiedCount;
+  }
+  return assigned;
+}
+
+function describeRevision(analysis) {
+  const jobMatch = analysis.analysis && analysis.analysis.jobMatch;
+  return {
+    analysisId: analysis._id,
+    revision: analysis.revision,
+    source: analysis.source,
+    status: analysis.status,
+    originalFileName: analysis.originalFileName,
+    atsScore: analysis.status === 'completed' ? analysis.atsScore : null,
+    jobMatchScore: jobMatch && typeof jobMatch.score === 'number' ? jobMatch.score : null,
+    modelVersion: analysis.scoringModel ? analysis.scoringModel.version : null,
+    parentId: analysis.parentId || null,
+    appliedSuggestions: analysis.appliedSuggestions || [],
+    createdAt: analysis.createdAt
+  };
+}
+
+// Completed revisions in order, each with its change from the one before
+function scoreTrend(revisions) {
+  let previous = null;
+  return revisions
+    .filter(revision => revision.atsScore !== null)
+    .map(revision => {
+      const point = {
+        revision: revision.revision,
+        analysisId: revision.analysisId,
+        atsScore: revision.atsScore,
+        change: previous === null ? null : revision.atsScore - previous,
+        createdAt: revision.createdAt
+      };
+      previous = revision.atsScore;
+      return point;
+    });
+}
+
+async function describeDocument(document) {
+  const analyses = await CVAnalysis.find({ documentId: document._id })
+    .select(REVISION_FIELDS)
+    .sort({ revision: 1 })
+    .lean();
+  const revisions = analyses.map(describeRevision);
+
+  return {
+    documentId: document._id,
+    name: document.name,
+    revisionCount: revisions.length,
+    latest: revisions[revisions.length - 1] || null,
+    revisions,
+    trend: scoreTrend(revisions),
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+  };
+}
+
+// Lines of each section, keyed by section name; repeated headings are merged
+function sectionLines(text, resume) {
+  const lines = text.split(/\r?\n/).map(line => line.trimEnd());
+  const sections = { header: [] };
+  const firstHeading = resume.sections.length > 0 ? resume.sections[0].startLine : lines.length;
+  sections.header = lines.slice(0, firstHeading).filter(Boolean);
+  resume.sections.forEach(section => {
+    sections[section.name] = (sections[section.name] || [])
+      .concat(lines.slice(section.startLine + 1, section.endLine + 1).filter(Boolean));
+  });
+  return sections;
+}
+
+function diffSections(before, after) {
+  const beforeSections = sectionLines(before.extractedText, getParsedResume(before));
+  const afterSections = sectionLines(after.extractedText, getParsedResume(after));
+  const names = [...new Set([...Object.keys(beforeSections), ...Object.keys(afterSections)])];
+
+  return names.map(name => {
+    const { added, removed } = diffLines(beforeSections[name] || [], afterSections[name] || []);
+    let status = added || removed ? 'changed' : 'unchanged';
+    if (!(name in beforeSections)) status = 'added';
+    else if (!(name in afterSections)) status = 'removed';
+    return { section: name, status, added, removed };
+  });
+}
+
+// from/to are revision numbers within the document
+async function diffRevisions(document, from, to) {
+  const [before, after] = await Promise.all([from, to].map(revision =>
+    CVAnalysis.findOne({ documentId: document._id, revision })
+      .select(`${REVISION_FIELDS} extractedText parsedResume`)
+  ));
+  if (!before || !after) throw notFound('Revision not found');
+  if (before.status !== 'completed' || after.status !== 'completed') {
+    const error = new Error('Both revisions must have completed analysis');
+    error.status = 409;
+    throw error;
+  }
+
+  const lines = diffLines(before.extractedText, after.extractedText);
+  return {
+    from: describeRevision(before),
+    to: describeRevision(after),
+    scoreDelta: after.atsScore - before.atsScore,
+    added: lines.added,
+    removed: lines.removed,
+    sections: diffSections(before, after),
+    lines: lines.runs
+  };
+}
+
+module.exports = {
+  nextRevision,
+  assignLegacyAnalyses,
+  describeRevision,
+  describeDocument,
+  diffRevisions
+};
@@ -0,0 +1,357 @@
+// Segments extracted CV text into a structured resume
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'about', 'about me', 'objective', 'career objective', 'career summary'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'education and training', 'education & training', 'academic background', 'academic qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'technologies', 'tech stack', 'tools and technologies', 'tools & technologies', 'skills and technologies', 'skills & technologies'],
+  projects: ['projects', 'personal projects', 'side projects', 'selected projects', 'key projects', 'open source', 'open source projects'],
+  certifications: ['certifications', 'certificates', 'licenses and certifications', 'licenses & certifications', 'courses', 'courses and certifications', 'courses & certifications'],
+  other: ['languages', 'interests', 'hobbies', 'awards', 'honors', 'honors and awards', 'achievements', 'publications', 'volunteering', 'volunteer experience', 'references']
+};
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5, jun: 6, june: 6,
+  jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9, oct: 10, october: 10,
+  nov: 11, november: 11, dec: 12, december: 12
+};
+
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_TOKEN = `(?:${MONTH_NAME}\\s*,?\\s*\\d{4}|\\d{1,2}\\s*[/.-]\\s*\\d{4}|\\d{4}\\s*[/.-]\\s*\\d{1,2}(?!\\d)|(?:19|20)\\d{2})`;
+const PRESENT_TOKEN = '(?:present|current|now|today|ongoing)';
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until|till)\\s*(${DATE_TOKEN}|${PRESENT_TOKEN})`, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`(${DATE_TOKEN})`, 'i');
+
+const BULLET_PATTERN = /^\s*(?:[-*•●▪◦·‣⁃>]|–|\d+[.)])\s+/;
+const ROLE_WORDS = /\b(engineer|developer|programmer|architect|manager|lead|intern|analyst|consultant|scientist|designer|specialist|administrator|director|head|cto|ceo|founder|sre|devops|tester|qa)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|ph\.?d|doctorate|b\.?sc|m\.?sc|b\.?s|m\.?s|b\.?a|m\.?a|b\.?eng|m\.?eng|b\.?tech|m\.?tech|mba|associate|diploma|degree)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|school|institute|academy|polytechnic|universit[äa]t|hochschule)\b/i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{6,}\d/;
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s|,]*)?/gi;
+
+function normalizeHeading(line) {
+  return line.trim().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Returns the canonical section name for a heading line, or null
+function detectSectionHeading(line) {
+  const heading = normalizeHeading(line);
+  if (!heading || heading.length > 40) return null;
+
+  return Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].includes(heading)) || null;
+}
+
+// Parse a single date token ("Jan 2021", "01/2021", "2021") into { year, month, format }
+function parseDate(value) {
+  if (!value) return null;
+  const token = value.trim().toLowerCase();
+
+  if (new RegExp(`^${PRESENT_TOKEN}$`, 'i').test(token)) {
+    return { present: true, year: null, month: null, format: 'present', raw: value.trim() };
+  }
+
+  let match = token.match(/^([a-z]+)\.?\s*,?\s*(\d{4})$/);
+  if (match && MONTHS[match[1]]) {
+    return { year: parseInt(match[2], 10), month: MONTHS[match[1]], format: 'month-name', raw: value.trim() };
+  }
+
+  match = token.match(/^(\d{1,2})\s*[/.-]\s*(\d{4})$/);
+  if (match && parseInt(match[1], 10) >= 1 && parseInt(match[1], 10) <= 12) {
+    return { year: parseInt(match[2], 10), month: parseInt(match[1], 10), format: 'numeric', raw: value.trim() };
+  }
+
+  match = token.match(/^(\d{4})\s*[/.-]\s*(\d{1,2})$/);
+  if (match && parseInt(match[2], 10) >= 1 && parseInt(match[2], 10) <= 12) {
+    return { year: parseInt(match[1], 10), month: parseInt(match[2], 10), format: 'iso', raw: value.trim() };
+  }
+
+  match = token.match(/^(\d{4})$/);
+  if (match) {
+    return { year: parseInt(match[1], 10), month: null, format: 'year', raw: value.trim() };
+  }
+
+  return null;
+}
+
+// Find a "start - end" date range inside a line
+function findDateRange(line) {
+  const match = line.match(DATE_RANGE_PATTERN);
+  if (!match) return null;
+
+  return {
+    startDate: match[1].trim(),
+    endDate: match[2].trim(),
+    current: new RegExp(`^${PRESENT_TOKEN}$`, 'i').test(match[2].trim()),
+    matchedText: match[0]
+  };
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET_PATTERN, '').trim();
+}
+
+function splitParts(line) {
+  return line
+    .split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+function splitSections(lines) {
+  const sections = [];
+  let current = { name: 'header', heading: null, startLine: 0, lines: [] };
+
+  lines.forEach((line, index) => {
+    const sectionName = detectSectionHeading(line);
+    if (sectionName) {
+      current.endLine = index - 1;
+      sections.push(current);
+      current = { name: sectionName, heading: line.trim(), startLine: index, lines: [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+
+  current.endLine = lines.length - 1;
+  sections.push(current);
+  return sections;
+}
+
+// Group section lines into entries: header lines, optional date range, bullets
+function segmentEntries(lines) {
+  const entries = [];
+  let current = null;
+  let pendingBullet = false;
+
+  const startEntry = () => {
+    current = { headerLines: [], dates: null, bullets: [] };
+    entries.push(current);
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    // pdf-parse often emits the bullet glyph on its own line
+    if (/^[•●▪◦·‣⁃*-]$/.test(line)) {
+      pendingBullet = true;
+      continue;
+    }
+
+    const isBullet = pendingBullet || BULLET_PATTERN.test(line);
+    pendingBullet = false;
+
+    if (isBullet) {
+      if (!current) startEntry();
+      current.bullets.push(stripBullet(line));
+      continue;
+    }
+
+    const dates = findDateRange(line);
+    if (dates) {
+      if (!current || current.dates || current.bullets.length > 0) startEntry();
+      current.dates = dates;
+      const remainder = line.replace(dates.matchedText, '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+      if (remainder) current.headerLines.push(remainder);
+      continue;
+    }
+
+    // Long prose under an entry header is a description, not a new entry
+    if (current && current.headerLines.length > 0 && (line.length > 90 || (current.dates && /[.!]$/.test(line)))) {
+      current.bullets.push(line);
+      continue;
+    }
+
+    if (!current || current.bullets.length > 0 || (current.dates && current.headerLines.length >= 2)) {
+      startEntry();
+    }
+    current.headerLines.push(line);
+  }
+
+  return entries;
+}
+
+function parseExperienceEntry(entry) {
+  let headerLines = entry.headerLines;
+  let startDate = entry.dates ? entry.dates.startDate : '';
+
+  // A lone date ("Jan 2021 -", "since 2021") is an open-ended start
+  if (!entry.dates) {
+    const single = headerLines.join(' ').match(SINGLE_DATE_PATTERN);
+    if (single) {
+      startDate = single[1];
+      headerLines = headerLines
+        .map(line => line.replace(single[1], '').replace(/\bsince\b/i, '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, ''))
+        .filter(Boolean);
+    }
+  }
+
+  const [firstLine = '', secondLine = ''] = headerLines;
+  let parts = splitParts(firstLine);
+
+  if (parts.length === 1 && secondLine) {
+    parts = parts.concat(splitParts(secondLine));
+  }
+
+  let [title = '', company = '', location = ''] = parts;
+  if (!ROLE_WORDS.test(title) && ROLE_WORDS.test(company)) {
+    [title, company] = [company, title];
+  }
+  if (parts.length > 3) {
+    location = parts.slice(2).join(', ');
+  }
+
+  return {
+    title,
+    company,
+    location,
+    startDate,
+    endDate: entry.dates ? entry.dates.endDate : '',
+    current: entry.dates ? entry.dates.current : false,
+    bullets: entry.bullets
+  };
+}
+
+function parseEducationEntry(entry) {
+  const parts = entry.headerLines.flatMap(splitParts);
+  const degreePart = parts.find(part => DEGREE_WORDS.test(part)) || '';
+  const institution = parts.find(part => INSTITUTION_WORDS.test(part)) || parts.find(part => part !== degreePart) || '';
+  const fieldMatch = degreePart.match(/\bin\s+(.+)$/i) || degreePart.match(/\bof\s+(.+)$/i) ||
+    degreePart.match(/^(?:b|m)\.?(?:sc|s|a|eng|tech)\.?\s+(.+)$/i);
+  let startDate = entry.dates ? entry.dates.startDate : '';
+  let endDate = entry.dates ? entry.dates.endDate : '';
+
+  if (!entry.dates) {
+    const single = entry.headerLines.join(' ').match(SINGLE_DATE_PATTERN);
+    if (single) endDate = single[1];
+  }
+
+  return {
+    institution: institution.replace(SINGLE_DATE_PATTERN, '').trim(),
+    degree: degreePart.replace(SINGLE_DATE_PATTERN, '').trim(),
+    field: fieldMatch ? fieldMatch[1].replace(SINGLE_DATE_PATTERN, '').trim() : '',
+    startDate,
+    endDate,
+    details: entry.bullets
+  };
+}
+
+function parseProjectEntry(entry) {
+  const [header = ''] = entry.headerLines;
+  const techMatch = header.match(/\(([^)]+)\)/) || entry.headerLines.join(' ').match(/(?:tech(?:nologies)?|stack|built with)\s*:\s*(.+)$/i);
+  const [name = '', ...rest] = splitParts(header.replace(/\(([^)]+)\)/, ''));
+  const bullets = entry.bullets.filter(bullet => !/^(?:tech(?:nologies)?|stack|built with)\s*:/i.test(bullet));
+
+  return {
+    name,
+    description: rest.join(' ') || entry.headerLines.slice(1).join(' '),
+    technologies: techMatch ? techMatch[1].split(/\s*[,;|/]\s*/).filter(Boolean) : [],
+    bullets
+  };
+}
+
+function parseSkills(lines) {
+  return [...new Set(lines
+    .map(line => stripBullet(line).replace(/^[^:]{2,30}:\s*/, ''))
+    .flatMap(line => line.split(/\s*[,;|•·]\s*/))
+    .map(skill => skill.trim().replace(/\.$/, ''))
+    .filter(skill => skill.length > 0 && skill.length <= 40))];
+}
+
+function parseCertifications(lines) {
+  return lines
+    .map(stripBullet)
+    .filter(Boolean)
+    .map(line => {
+      const dateMatch = line.match(SINGLE_DATE_PATTERN);
+      const withoutDate = dateMatch ? line.replace(dateMatch[0], '').replace(/[\s,(|–—-]+\)?$/, '') : line;
+      const parts = withoutDate.split(/\s*,\s*|\s+by\s+/i);
+      const [name = '', issuer = ''] = parts.length > 1 ? [parts.slice(0, -1).join(', '), parts[parts.length - 1]] : withoutDate.split(/\s+[–—-]\s+/);
+      return { name: name.trim(), issuer: issuer.trim(), date: dateMatch ? dateMatch[1] : '' };
+    });
+}
+
+function parseContact(headerLines) {
+  const contact = { name: '', email: '', phone: '', location: '', linkedin: '', github: '', website: '' };
+  const text = headerLines.join('\n');
+
+  const email = text.match(EMAIL_PATTERN);
+  if (email) contact.email = email[0];
+
+  const withoutEmails = text.replace(new RegExp(EMAIL_PATTERN.source, 'gi'), ' ');
+  const urls = withoutEmails.match(URL_PATTERN) || [];
+  urls.forEach(url => {
+    if (/linkedin\.com/i.test(url)) contact.linkedin = contact.linkedin || url;
+    else if (/github\.com/i.test(url)) contact.github = contact.github || url;
+    else if (/\//.test(url) || /^(https?:\/\/|www\.)/i.test(url)) contact.website = contact.website || url;
+  });
+
+  const phone = withoutEmails.replace(URL_PATTERN, ' ').match(PHONE_PATTERN);
+  if (phone) contact.phone = phone[0].trim();
+
+  const nameLine = headerLines.find(line =>
+    line.trim() && !/[@\d/]/.test(line) && line.trim().split(/\s+/).length <= 5 && !detectSectionHeading(line)
+  );
+  if (nameLine) contact.name = nameLine.trim();
+
+  const segments = headerLines.flatMap(line => line.split(/\s*[|•·]\s*/)).map(segment => segment.trim());
+  const location = segments.find(segment =>
+    segment !== contact.name &&
+    /^[A-Z][A-Za-zÀ-ÿ .'-]+,\s*[A-Z][A-Za-zÀ-ÿ .'-]+$/.test(segment) &&
+    !ROLE_WORDS.test(segment)
+  );
+  if (location) contact.location = location;
+
+  return contact;
+}
+
+// Parse pdf-parse/mammoth output into contact, summary, experience, education, skills, projects and certifications
+function parseResume(text) {
+  const lines = (text || '').split(/\r?\n/);
+  const sections = splitSections(lines);
+  const byName = name => sections.filter(section => section.name === name).flatMap(section => section.lines);
+
+  const header = sections[0];
+  const headerLines = header.lines.map(line => line.trim()).filter(Boolean);
+  const contactLines = headerLines.filter(line => line.length <= 90);
+
+  let summary = byName('summary').map(line => line.trim()).filter(Boolean).join(' ');
+  if (!summary) {
+    // Some CVs open with an unlabeled profile paragraph under the contact block
+    summary = headerLines.filter(line => line.length > 90).join(' ');
+  }
+
+  return {
+    contact: parseContact(contactLines),
+    summary,
+    experience: segmentEntries(byName('experience')).map(parseExperienceEntry),
+    education: segmentEntries(byName('education')).map(parseEducationEntry),
+    skills: parseSkills(byName('skills')),
+    projects: segmentEntries(byName('projects')).map(parseProjectEntry),
+    certifications: parseCertifications(byName('certifications')),
+    sections: sections
+      .filter(section => section.heading)
+      .map(({ name, heading, startLine, endLine }) => ({ name, heading, startLine, endLine }))
+  };
+}
+
+// Parsed resumes from older analyses may lack sections; re-parse the stored text
+function getParsedResume(analysis) {
+  if (analysis.parsedResume && analysis.parsedResume.sections && analysis.parsedResume.sections.length > 0) {
+    return analysis.parsedResume;
+  }
+  return parseResume(analysis.extractedText);
+}
+
+module.exports = {
+  parseResume,
+  getParsedResume,
+  parseDate,
+  findDateRange,
+  detectSectionHeading,
+  ROLE_WORDS,
+  INSTITUTION_WORDS,
+  EMAIL_PATTERN
+};
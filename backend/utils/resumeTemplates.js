@@ -0,0 +1,345 @@
+// Export templates: single-column, ATS-safe layouts rendered from the structured resume.
+// No tables, columns, images or header/footer text, so parsers read the export in document order.
+const { parseResume, getParsedResume } = require('./resumeParser');
+
+const SECTION_LABELS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  projects: 'Projects',
+  certifications: 'Certifications',
+  other: 'Additional information'
+};
+
+const DEFAULT_SECTION_ORDER = ['summary', 'experience', 'skills', 'projects', 'education', 'certifications', 'other'];
+
+// Fonts every ATS and word processor has, with a CSS stack, the Word font name and the closest pdflatex package
+const SANS_LATEX = '\\usepackage[scaled]{helvet}\n\\renewcommand{\\familydefault}{\\sfdefault}';
+const FONTS = {
+  arial: { label: 'Arial', css: 'Arial, Helvetica, sans-serif', docx: 'Arial', latex: SANS_LATEX },
+  calibri: { label: 'Calibri', css: 'Calibri, Carlito, Arial, sans-serif', docx: 'Calibri', latex: '\\usepackage[sfdefault]{carlito}' },
+  helvetica: { label: 'Helvetica', css: 'Helvetica, Arial, sans-serif', docx: 'Helvetica', latex: SANS_LATEX },
+  verdana: { label: 'Verdana', css: 'Verdana, Geneva, sans-serif', docx: 'Verdana', latex: SANS_LATEX },
+  georgia: { label: 'Georgia', css: 'Georgia, "Times New Roman", serif', docx: 'Georgia', latex: '\\usepackage{XCharter}' },
+  garamond: { label: 'Garamond', css: 'Garamond, "EB Garamond", Georgia, serif', docx: 'Garamond', latex: '\\usepackage{ebgaramond}' },
+  times: { label: 'Times New Roman', css: '"Times New Roman", Times, serif', docx: 'Times New Roman', latex: '\\usepackage{mathptmx}' }
+};
+
+const PAGE_SIZES = {
+  A4: { label: 'A4', width: '210mm', height: '297mm' },
+  Letter: { label: 'US Letter', width: '8.5in', height: '11in' }
+};
+
+// Presets in millimetres; a number between MIN_MARGIN_MM and MAX_MARGIN_MM is also accepted
+const MARGINS = { narrow: 12, normal: 18, wide: 25 };
+const MIN_MARGIN_MM = 5;
+const MAX_MARGIN_MM = 40;
+
+// Style attributes rather than raw CSS, so the PDF and Word exports can share them
+const TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    description: 'Serif type, centred name and ruled uppercase headings',
+    font: 'georgia',
+    accentColor: '#1f2937',
+    fontSize: 10.5,
+    nameAlign: 'center',
+    headingCase: 'upper',
+    headingRule: true,
+    spacing: 'normal'
+  },
+  modern: {
+    label: 'Modern',
+    description: 'Sans-serif type with coloured headings, left aligned',
+    font: 'calibri',
+    accentColor: '#1d4ed8',
+    fontSize: 10.5,
+    nameAlign: 'left',
+    headingCase: 'title',
+    headingRule: true,
+    spacing: 'normal'
+  },
+  compact: {
+    label: 'Compact',
+    description: 'Smaller type and tight spacing for long experience on fewer pages',
+    font: 'arial',
+    accentColor: '#111827',
+    fontSize: 9.5,
+    nameAlign: 'left',
+    headingCase: 'upper',
+    headingRule: true,
+    spacing: 'compact'
+  },
+  minimal: {
+    label: 'Minimal',
+    description: 'Plain headings and generous white space',
+    font: 'helvetica',
+    accentColor: '#374151',
+    fontSize: 10.5,
+    nameAlign: 'left',
+    headingCase: 'title',
+    headingRule: false,
+    spacing: 'relaxed'
+  }
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function listTemplates() {
+  return {
+    templates: Object.entries(TEMPLATES).map(([id, template]) => ({
+      id,
+      label: template.label,
+      description: template.description,
+      defaults: { font: template.font, accentColor: template.accentColor }
+    })),
+    fonts: Object.entries(FONTS).map(([id, font]) => ({ id, label: font.label })),
+    pageSizes: Object.entries(PAGE_SIZES).map(([id, size]) => ({ id, label: size.label })),
+    margins: MARGINS,
+    sections: DEFAULT_SECTION_ORDER.map(id => ({ id, label: SECTION_LABELS[id] })),
+    defaultTemplate: DEFAULT_TEMPLATE
+  };
+}
+
+function resolveMargin(value) {
+  if (value === undefined || value === null || value === '') return MARGINS.normal;
+  if (Object.hasOwn(MARGINS, value)) return MARGINS[value];
+  const millimetres = Number(value);
+  if (!Number.isFinite(millimetres) || millimetres < MIN_MARGIN_MM || millimetres > MAX_MARGIN_MM) {
+    throw invalid(`Margins must be one of ${Object.keys(MARGINS).join(', ')} or ${MIN_MARGIN_MM}-${MAX_MARGIN_MM} mm`);
+  }
+  return millimetres;
+}
+
+// Sections left out of a custom order keep their default place after the listed ones, so nothing is dropped
+function resolveSectionOrder(value) {
+  if (!value) return DEFAULT_SECTION_ORDER;
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const unknown = requested.filter(name => !Object.hasOwn(SECTION_LABELS, name));
+  if (unknown.length > 0) throw invalid(`Unknown section: ${unknown.join(', ')}`);
+  const order = [...new Set(requested)];
+  return order.concat(DEFAULT_SECTION_ORDER.filter(name => !order.includes(name)));
+}
+
+// Validates user choices (body or query string) over the template's defaults; throws with status 400.
+// Names are checked with Object.hasOwn so keys such as "constructor" do not resolve to prototype members.
+function resolveExportOptions(input = {}) {
+  const templateId = input.template || DEFAULT_TEMPLATE;
+  if (!Object.hasOwn(TEMPLATES, templateId)) throw invalid(`Unknown template: ${templateId}`);
+  const template = TEMPLATES[templateId];
+
+  const font = input.font || template.font;
+  if (!Object.hasOwn(FONTS, font)) throw invalid(`Unknown font: ${font}`);
+
+  const accentColor = input.accentColor || template.accentColor;
+  if (!/^#[0-9a-f]{6}$/i.test(accentColor)) throw invalid('Accent color must be a hex color such as #1d4ed8');
+
+  const pageSize = input.pageSize || 'A4';
+  if (!Object.hasOwn(PAGE_SIZES, pageSize)) throw invalid(`Page size must be one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+
+  return {
+    ...template,
+    template: templateId,
+    font,
+    accentColor,
+    pageSize,
+    marginMm: resolveMargin(input.margins),
+    sectionOrder: resolveSectionOrder(input.sectionOrder)
+  };
+}
+
+function stripBullet(line) {
+  return line.replace(/^\s*(?:[-*•●▪◦·‣⁃>]|–|\d+[.)])\s+/, '').trim();
+}
+
+function dateRange(startDate, endDate, current) {
+  const end = current ? 'Present' : endDate;
+  return [startDate, end].filter(Boolean).join(' – ');
+}
+
+// Sections in export order, each with its heading and content; sections the CV lacks are left out.
+// Sections the parser does not structure (languages, awards, ...) keep the CV's own heading and lines.
+function buildExportSections(text, resume, sectionOrder = DEFAULT_SECTION_ORDER) {
+  const lines = (text || '').split(/\r?\n/);
+  const otherSections = resume.sections
+    .filter(section => section.name === 'other')
+    .map(section => ({
+      name: 'other',
+      heading: section.heading.replace(/:\s*$/, ''),
+      items: lines.slice(section.startLine + 1, section.endLine + 1).map(stripBullet).filter(Boolean)
+    }))
+    .filter(section => section.items.length > 0);
+
+  const build = {
+    summary: () => resume.summary && [{ name: 'summary', heading: SECTION_LABELS.summary, text: resume.summary }],
+    experience: () => resume.experience.length > 0 && [{
+      name: 'experience',
+      heading: SECTION_LABELS.experience,
+      entries: resume.experience.map(entry => ({
+        title: entry.title,
+        subtitle: [entry.company, entry.location].filter(Boolean).join(', '),
+        dates: dateRange(entry.startDate, entry.endDate, entry.current),
+        bullets: entry.bullets.filter(Boolean)
+      }))
+    }],
+    education: () => resume.education.length > 0 && [{
+      name: 'education',
+      heading: SECTION_LABELS.education,
+      entries: resume.education.map(entry => ({
+        title: entry.degree || entry.institution,
+        subtitle: entry.degree ? entry.institution : '',
+        dates: dateRange(entry.startDate, entry.endDate, false),
+        bullets: entry.details.filter(Boolean)
+      }))
+    }],
+    skills: () => resume.skills.length > 0 && [{ name: 'skills', heading: SECTION_LABELS.skills, text: resume.skills.join(', ') }],
+    projects: () => resume.projects.length > 0 && [{
+      name: 'projects',
+      heading: SECTION_LABELS.projects,
+      entries: resume.projects.map(project => ({
+        title: project.name,
+        subtitle: [project.description, project.technologies.join(', ')].filter(Boolean).join(' | '),
+        dates: '',
+        bullets: project.bullets.filter(Boolean)
+      }))
+    }],
+    certifications: () => resume.certifications.length > 0 && [{
+      name: 'certifications',
+      heading: SECTION_LABELS.certifications,
+      items: resume.certifications.map(certification =>
+        [certification.name, certification.issuer, certification.date].filter(Boolean).join(', '))
+    }],
+    other: () => otherSections
+  };
+
+  return sectionOrder.flatMap(name => build[name]() || []);
+}
+
+// Everything an export needs: contact block plus ordered sections, from the original or optimized text
+function buildExportResume(analysis, { useOptimized = false, fallbackName = '', sectionOrder } = {}) {
+  const optimized = useOptimized && analysis.optimizedVersion && analysis.optimizedVersion.text;
+  const text = optimized || analysis.extractedText;
+  const resume = optimized ? parseResume(text) : getParsedResume(analysis);
+
+  return {
+    text,
+    resume,
+    contact: { ...resume.contact, name: resume.contact.name || fallbackName },
+    sections: buildExportSections(text, resume, sectionOrder)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function contactItems(contact) {
+  return [contact.email, contact.phone, contact.location, contact.linkedin, contact.github, contact.website].filter(Boolean);
+}
+
+const SPACING = {
+  compact: { section: 8, entry: 5, line: 1.25 },
+  normal: { section: 14, entry: 8, line: 1.4 },
+  relaxed: { section: 20, entry: 11, line: 1.55 }
+};
+
+function templateCss(options) {
+  const spacing = SPACING[options.spacing];
+  const page = PAGE_SIZES[options.pageSize];
+  return `
+    @page { size: ${options.pageSize}; margin: ${options.marginMm}mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${FONTS[options.font].css}; font-size: ${options.fontSize}pt; line-height: ${spacing.line}; color: #111827; }
+    @media screen {
+      body { background: #e5e7eb; }
+      .page { width: ${page.width}; min-height: ${page.height}; margin: 24px auto; padding: ${options.marginMm}mm; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
+    }
+    h1 { margin: 0; font-size: ${(options.fontSize * 2).toFixed(1)}pt; line-height: 1.15; text-align: ${options.nameAlign}; color: ${options.accentColor}; }
+    .contact { margin: 4px 0 0; text-align: ${options.nameAlign}; }
+    .contact span + span::before { content: " | "; }
+    section { margin-top: ${spacing.section}px; }
+    h2 {
+      margin: 0 0 ${Math.round(spacing.entry * 0.75)}px; font-size: ${(options.fontSize * 1.2).toFixed(1)}pt; color: ${options.accentColor};
+      ${options.headingCase === 'upper' ? 'text-transform: uppercase; letter-spacing: 0.05em;' : ''}
+      ${options.headingRule ? `padding-bottom: 2px; border-bottom: 1px solid ${options.accentColor};` : ''}
+    }
+    .entry { margin-top: ${spacing.entry}px; break-inside: avoid; }
+    .entry:first-of-type { margin-top: 0; }
+    .entry-head { display: flex; justify-content: space-between; gap: 12px; }
+    .entry-title { font-weight: bold; }
+    .entry-dates { white-space: nowrap; }
+    .entry-subtitle { font-style: italic; }
+    p { margin: 0; }
+    ul { margin: 2px 0 0; padding-left: 18px; }
+    li { margin: 1px 0; }
+  `;
+}
+
+function renderEntry(entry) {
+  return `
+        <div class="entry">
+          <div class="entry-head"><span class="entry-title">${escapeHtml(entry.title)}</span>${entry.dates ? `<span class="entry-dates">${escapeHtml(entry.dates)}</span>` : ''}</div>
+          ${entry.subtitle ? `<div class="entry-subtitle">${escapeHtml(entry.subtitle)}</div>` : ''}
+          ${entry.bullets.length > 0 ? `<ul>${entry.bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>` : ''}
+        </div>`;
+}
+
+function renderSection(section) {
+  let body = '';
+  if (section.text) body = `<p>${escapeHtml(section.text)}</p>`;
+  if (section.entries) body = section.entries.map(renderEntry).join('');
+  if (section.items) body = `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  return `
+      <section>
+        <h2>${escapeHtml(section.heading)}</h2>
+        ${body}
+      </section>`;
+}
+
+// Standalone HTML page; print CSS sets page size and margins, screen CSS shows the page for previews
+function renderResumeHTML(exportResume, options) {
+  const { contact, sections } = exportResume;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(contact.name || 'Resume')}</title>
+  <style>${templateCss(options)}</style>
+</head>
+<body>
+  <div class="page">
+    <header>
+      <h1>${escapeHtml(contact.name)}</h1>
+      <p class="contact">${contactItems(contact).map(item => `<span>${escapeHtml(item)}</span>`).join('')}</p>
+    </header>
+    ${sections.map(renderSection).join('')}
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  TEMPLATES,
+  FONTS,
+  PAGE_SIZES,
+  SECTION_LABELS,
+  listTemplates,
+  resolveExportOptions,
+  buildExportResume,
+  buildExportSections,
+  renderResumeHTML,
+  escapeHtml
+};
@@ -0,0 +1,138 @@
+// Target-role profiles: expected skills, section expectations and scoring weights per engineering track.
+// cvWeights/linkedinWeights override the analyzers' default weights (utils/cvAnalyzers.js, utils/linkedinAnalyzers.js).
+
+const ROLE_PROFILES = {
+  general: {
+    id: 'general',
+    name: 'General Software Engineer',
+    headline: 'Software Engineer',
+    titlePattern: /developer|engineer|programmer|software|technical/i,
+    expectedSkills: null, // every skill in the taxonomy counts
+    sections: { required: ['experience', 'skills'], recommended: ['education'] }
+  },
+  backend: {
+    id: 'backend',
+    name: 'Backend Engineer',
+    headline: 'Backend Engineer',
+    titlePattern: /back[- ]?end|server|api|platform|software engineer|developer|programmer/i,
+    expectedSkills: [
+      'Java', 'Python', 'Go', 'Node.js', 'SQL', 'PostgreSQL', 'Redis', 'REST APIs', 'Microservices',
+      'Docker', 'Kubernetes', 'AWS', 'Kafka', 'System Design', 'Unit Testing', 'CI/CD', 'Git'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['education'] },
+    cvWeights: { keywords: 0.35, formatting: 0.2, content: 0.25, technical: 0.2 }
+  },
+  frontend: {
+    id: 'frontend',
+    name: 'Frontend Engineer',
+    headline: 'Frontend Engineer',
+    titlePattern: /front[- ]?end|ui|web|javascript|react|software engineer|developer/i,
+    expectedSkills: [
+      'JavaScript', 'TypeScript', 'React', 'Next.js', 'Vue', 'Angular', 'HTML', 'CSS', 'Redux',
+      'Tailwind CSS', 'Jest', 'Cypress', 'Webpack', 'Responsive Design', 'Accessibility',
+      'Performance Optimization', 'REST APIs', 'GraphQL', 'Git'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['projects', 'education'] },
+    cvWeights: { keywords: 0.3, formatting: 0.25, content: 0.25, technical: 0.2 },
+    linkedinWeights: { headline: 0.25, summary: 0.25, experience: 0.2, skills: 0.2, engagement: 0.10 }
+  },
+  devops: {
+    id: 'devops',
+    name: 'DevOps / SRE',
+    headline: 'DevOps Engineer',
+    titlePattern: /devops|sre|site reliability|platform|infrastructure|cloud|systems|operations/i,
+    expectedSkills: [
+      'Linux', 'Bash', 'Python', 'Go', 'Docker', 'Kubernetes', 'Terraform', 'Ansible', 'AWS', 'Azure',
+      'Google Cloud', 'CI/CD', 'Jenkins', 'GitHub', 'Prometheus', 'Monitoring', 'DevOps', 'Git'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['certifications'] },
+    cvWeights: { keywords: 0.35, formatting: 0.2, content: 0.2, technical: 0.25 },
+    linkedinWeights: { headline: 0.25, summary: 0.2, experience: 0.25, skills: 0.2, engagement: 0.10 }
+  },
+  data: {
+    id: 'data',
+    name: 'Data Engineer',
+    headline: 'Data Engineer',
+    titlePattern: /data|analytics|etl|warehouse|bi\b/i,
+    expectedSkills: [
+      'Python', 'SQL', 'Scala', 'Apache Spark', 'Airflow', 'Kafka', 'dbt', 'Snowflake', 'BigQuery',
+      'PostgreSQL', 'Hadoop', 'Data Pipelines', 'Pandas', 'AWS', 'Docker', 'Git'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['education'] },
+    cvWeights: { keywords: 0.35, formatting: 0.2, content: 0.25, technical: 0.2 }
+  },
+  ml: {
+    id: 'ml',
+    name: 'Machine Learning Engineer',
+    headline: 'Machine Learning Engineer',
+    titlePattern: /machine learning|\bml\b|\bai\b|data scientist|research|applied scientist|deep learning/i,
+    expectedSkills: [
+      'Python', 'PyTorch', 'TensorFlow', 'scikit-learn', 'Pandas', 'NumPy', 'SQL', 'Machine Learning',
+      'Deep Learning', 'MLflow', 'Apache Spark', 'Docker', 'Kubernetes', 'AWS', 'Git'
+    ],
+    sections: { required: ['experience', 'skills', 'education'], recommended: ['projects'] },
+    cvWeights: { keywords: 0.3, formatting: 0.2, content: 0.3, technical: 0.2 }
+  },
+  mobile: {
+    id: 'mobile',
+    name: 'Mobile Engineer',
+    headline: 'Mobile Engineer',
+    titlePattern: /mobile|ios|android|app developer|flutter|react native/i,
+    expectedSkills: [
+      'Swift', 'Kotlin', 'iOS', 'Android', 'React Native', 'Flutter', 'Dart', 'Objective-C', 'Xcode',
+      'REST APIs', 'GraphQL', 'Firebase', 'Unit Testing', 'CI/CD', 'Git'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['projects'] },
+    cvWeights: { keywords: 0.35, formatting: 0.2, content: 0.25, technical: 0.2 },
+    linkedinWeights: { headline: 0.25, summary: 0.25, experience: 0.2, skills: 0.2, engagement: 0.10 }
+  },
+  embedded: {
+    id: 'embedded',
+    name: 'Embedded Engineer',
+    headline: 'Embedded Software Engineer',
+    titlePattern: /embedded|firmware|hardware|iot|systems|electronics/i,
+    expectedSkills: [
+      'C', 'C++', 'Embedded C', 'FreeRTOS', 'Microcontrollers', 'Linux', 'Python', 'CMake', 'Bash',
+      'Git', 'Debugging', 'Unit Testing'
+    ],
+    sections: { required: ['experience', 'skills', 'education'], recommended: ['projects'] },
+    cvWeights: { keywords: 0.3, formatting: 0.25, content: 0.25, technical: 0.2 }
+  },
+  qa: {
+    id: 'qa',
+    name: 'QA / Test Automation Engineer',
+    headline: 'QA Automation Engineer',
+    titlePattern: /\bqa\b|quality|test|sdet|automation/i,
+    expectedSkills: [
+      'Test Automation', 'Selenium', 'Cypress', 'Playwright', 'JUnit', 'pytest', 'Jest', 'Postman',
+      'JMeter', 'Performance Testing', 'Integration Testing', 'End-to-End Testing', 'CI/CD', 'Python',
+      'Java', 'JavaScript', 'SQL', 'Jira', 'Agile'
+    ],
+    sections: { required: ['experience', 'skills'], recommended: ['certifications'] },
+    cvWeights: { keywords: 0.35, formatting: 0.2, content: 0.25, technical: 0.2 }
+  }
+};
+
+const DEFAULT_ROLE_PROFILE = 'general';
+
+// Unknown ids (including inherited keys such as "constructor") fall back to the default profile
+function getRoleProfile(id) {
+  return Object.hasOwn(ROLE_PROFILES, id) ? ROLE_PROFILES[id] : ROLE_PROFILES[DEFAULT_ROLE_PROFILE];
+}
+
+// Public listing for profile pickers
+function listRoleProfiles() {
+  return Object.values(ROLE_PROFILES).map(profile => ({
+    id: profile.id,
+    name: profile.name,
+    expectedSkills: profile.expectedSkills || [],
+    sections: profile.sections
+  }));
+}
+
+module.exports = {
+  ROLE_PROFILES,
+  DEFAULT_ROLE_PROFILE,
+  getRoleProfile,
+  listRoleProfiles
+};
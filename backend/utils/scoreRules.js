@@ -0,0 +1,79 @@
+// Structured score explanations: each scoring rule reports its points and the text spans behind them
+
+const MAX_SPANS = 10;
+const MAX_SPAN_TEXT = 200;
+
+function span(text, start, end, field) {
+  const result = { start, end, text: text.slice(start, Math.min(end, start + MAX_SPAN_TEXT)) };
+  if (field) result.field = field;
+  return result;
+}
+
+// pointsPossible is 0 for pure penalties, which pass while nothing is deducted
+function scoreRule(ruleId, label, pointsPossible, pointsAwarded, spans = [], detail = '') {
+  return {
+    ruleId,
+    label,
+    pointsAwarded,
+    pointsPossible,
+    passed: pointsAwarded >= pointsPossible,
+    detail,
+    spans: spans.filter(Boolean).slice(0, MAX_SPANS)
+  };
+}
+
+// Spans from precomputed offsets such as skill matches
+function toSpans(text, ranges, field) {
+  return ranges.slice(0, MAX_SPANS).map(range => span(text, range.start, range.end, field));
+}
+
+// Spans of every match of a pattern; field names the source when it is not the CV text
+function findSpans(text, pattern, field) {
+  const spans = [];
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  let match;
+
+  while ((match = global.exec(text || '')) !== null && spans.length < MAX_SPANS) {
+    if (match[0].length === 0) {
+      global.lastIndex += 1;
+      continue;
+    }
+    spans.push(span(text, match.index, match.index + match[0].length, field));
+  }
+  return spans;
+}
+
+// Span of a parsed snippet (title, bullet, heading) in the raw text; long snippets fall back to their opening
+function locate(text, snippet, field) {
+  const value = (snippet || '').trim();
+  if (!value || !text) return null;
+
+  let start = text.indexOf(value);
+  if (start !== -1) return span(text, start, start + value.length, field);
+
+  const opening = value.slice(0, 40);
+  start = text.indexOf(opening);
+  return start !== -1 ? span(text, start, start + opening.length, field) : null;
+}
+
+// Spans of whole lines that satisfy a predicate
+function lineSpans(text, predicate, field) {
+  const spans = [];
+  let offset = 0;
+
+  (text || '').split('\n').forEach(line => {
+    if (spans.length < MAX_SPANS && line.trim() && predicate(line)) {
+      spans.push(span(text, offset, offset + line.length, field));
+    }
+    offset += line.length + 1;
+  });
+  return spans;
+}
+
+module.exports = {
+  scoreRule,
+  toSpans,
+  findSpans,
+  locate,
+  lineSpans
+};
@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Skill = require('../models/Skill');
+
+// Built-in taxonomy, used until an admin edits the skills collection
+const DEFAULT_SKILLS = [
+  // Languages
+  { name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6'], related: ['TypeScript', 'Node.js', 'React'], weight: 3 },
+  { name: 'TypeScript', category: 'language', aliases: ['ts'], related: ['JavaScript', 'Angular'], weight: 3 },
+  { name: 'Python', category: 'language', aliases: ['python3'], related: ['Django', 'Flask', 'FastAPI', 'Pandas'], weight: 3 },
+  { name: 'Java', category: 'language', aliases: ['java 8', 'java 11', 'java 17', 'jvm'], related: ['Spring', 'Kotlin', 'Maven'], weight: 3 },
+  { name: 'Go', category: 'language', aliases: ['golang'], related: ['Kubernetes', 'Docker', 'gRPC'], weight: 2 },
+  { name: 'C', category: 'language', aliases: ['ansi c', 'c99', 'c11'], related: ['C++', 'Embedded C', 'Linux'], weight: 1 },
+  { name: 'C++', category: 'language', aliases: ['cpp', 'c plus plus', 'c++11', 'c++14', 'c++17', 'c++20'], related: ['C', 'CMake'], weight: 2 },
+  { name: 'C#', category: 'language', aliases: ['csharp', 'c sharp'], related: ['.NET'], weight: 2 },
+  { name: 'PHP', category: 'language', aliases: ['php7', 'php8'], related: ['Laravel', 'MySQL'], weight: 1 },
+  { name: 'Ruby', category: 'language', aliases: [], related: ['Ruby on Rails'], weight: 1 },
+  { name: 'Rust', category: 'language', aliases: [], related: ['C++', 'Go'], weight: 1 },
+  { name: 'Scala', category: 'language', aliases: [], related: ['Apache Spark', 'Java'], weight: 1 },
+  { name: 'Kotlin', category: 'language', aliases: [], related: ['Android', 'Java'], weight: 2 },
+  { name: 'Swift', category: 'language', aliases: ['swiftui'], related: ['iOS', 'Objective-C'], weight: 2 },
+  { name: 'Objective-C', category: 'language', aliases: ['objc', 'objective c'], related: ['iOS', 'Swift'], weight: 1 },
+  { name: 'Dart', category: 'language', aliases: [], related: ['Flutter'], weight: 1 },
+  { name: 'SQL', category: 'language', aliases: ['t-sql', 'pl/sql', 'tsql', 'plsql'], related: ['PostgreSQL', 'MySQL'], weight: 3 },
+  { name: 'R', category: 'language', aliases: ['r language', 'rstudio'], related: ['Python', 'Pandas'], weight: 1 },
+  { name: 'Bash', category: 'language', aliases: ['shell scripting', 'shell', 'zsh'], related: ['Linux'], weight: 2 },
+  { name: 'HTML', category: 'language', aliases: ['html5'], related: ['CSS', 'JavaScript'], weight: 2 },
+  { name: 'CSS', category: 'language', aliases: ['css3'], related: ['HTML', 'Sass', 'Tailwind CSS'], weight: 2 },
+  { name: 'Embedded C', category: 'language', aliases: [], related: ['C', 'FreeRTOS', 'Microcontrollers'], weight: 1 },
+
+  // Frameworks and libraries
+  { name: 'React', category: 'framework', aliases: ['react.js', 'reactjs'], related: ['Redux', 'Next.js', 'JavaScript'], weight: 3 },
+  { name: 'Next.js', category: 'framework', aliases: ['nextjs'], related: ['React'], weight: 2 },
+  { name: 'Redux', category: 'framework', aliases: ['redux toolkit'], related: ['React'], weight: 1 },
+  { name: 'Angular', category: 'framework', aliases: ['angularjs', 'angular.js'], related: ['TypeScript'], weight: 2 },
+  { name: 'Vue', category: 'framework', aliases: ['vue.js', 'vuejs', 'vue 3', 'nuxt'], related: ['JavaScript'], weight: 2 },
+  { name: 'Node.js', category: 'framework', aliases: ['nodejs', 'node'], related: ['Express', 'JavaScript', 'TypeScript'], weight: 3 },
+  { name: 'Express', category: 'framework', aliases: ['express.js', 'expressjs'], related: ['Node.js'], weight: 2 },
+  { name: 'NestJS', category: 'framework', aliases: ['nest.js'], related: ['Node.js', 'TypeScript'], weight: 1 },
+  { name: 'Django', category: 'framework', aliases: ['django rest framework', 'drf'], related: ['Python', 'PostgreSQL'], weight: 2 },
+  { name: 'Flask', category: 'framework', aliases: [], related: ['Python'], weight: 1 },
+  { name: 'FastAPI', category: 'framework', aliases: [], related: ['Python'], weight: 1 },
+  { name: 'Spring', category: 'framework', aliases: ['spring boot', 'springboot', 'spring framework'], related: ['Java', 'Hibernate'], weight: 2 },
+  { name: 'Hibernate', category: 'framework', aliases: ['jpa'], related: ['Spring', 'Java'], weight: 1 },
+  { name: '.NET', category: 'framework', aliases: ['dotnet', '.net core', 'asp.net', 'asp.net core'], related: ['C#'], weight: 2 },
+  { name: 'Laravel', category: 'framework', aliases: [], related: ['PHP'], weight: 1 },
+  { name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ror'], related: ['Ruby'], weight: 1 },
+  { name: 'GraphQL', category: 'framework', aliases: ['apollo'], related: ['REST APIs', 'Node.js'], weight: 2 },
+  { name: 'gRPC', category: 'framework', aliases: ['protobuf', 'protocol buffers'], related: ['Microservices', 'Go'], weight: 1 },
+  { name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind', 'tailwindcss'], related: ['CSS'], weight: 1 },
+  { name: 'Bootstrap', category: 'framework', aliases: [], related: ['CSS'], weight: 1 },
+  { name: 'Sass', category: 'framework', aliases: ['scss'], related: ['CSS'], weight: 1 },
+  { name: 'React Native', category: 'framework', aliases: [], related: ['React', 'iOS', 'Android'], weight: 2 },
+  { name: 'Flutter', category: 'framework', aliases: [], related: ['Dart', 'iOS', 'Android'], weight: 2 },
+  { name: 'Android', category: 'framework', aliases: ['android sdk', 'jetpack compose'], related: ['Kotlin', 'Java'], weight: 2 },
+  { name: 'iOS', category: 'framework', aliases: ['uikit', 'cocoa touch'], related: ['Swift', 'Xcode'], weight: 2 },
+  { name: 'Pandas', category: 'framework', aliases: [], related: ['Python', 'NumPy'], weight: 2 },
+  { name: 'NumPy', category: 'framework', aliases: [], related: ['Python', 'Pandas'], weight: 1 },
+  { name: 'scikit-learn', category: 'framework', aliases: ['sklearn', 'scikit learn'], related: ['Python', 'Machine Learning'], weight: 2 },
+  { name: 'TensorFlow', category: 'framework', aliases: ['keras'], related: ['Python', 'Deep Learning'], weight: 2 },
+  { name: 'PyTorch', category: 'framework', aliases: ['torch'], related: ['Python', 'Deep Learning'], weight: 2 },
+  { name: 'Apache Spark', category: 'framework', aliases: ['spark', 'pyspark', 'spark sql'], related: ['Scala', 'Python', 'Hadoop'], weight: 2 },
+  { name: 'Hadoop', category: 'framework', aliases: ['hdfs', 'mapreduce', 'hive'], related: ['Apache Spark'], weight: 1 },
+  { name: 'dbt', category: 'framework', aliases: ['data build tool'], related: ['SQL', 'Snowflake'], weight: 1 },
+  { name: 'Jest', category: 'framework', aliases: [], related: ['JavaScript', 'Unit Testing'], weight: 1 },
+  { name: 'Cypress', category: 'framework', aliases: [], related: ['End-to-End Testing'], weight: 1 },
+  { name: 'Selenium', category: 'framework', aliases: ['webdriver'], related: ['Test Automation'], weight: 1 },
+  { name: 'Playwright', category: 'framework', aliases: [], related: ['End-to-End Testing'], weight: 1 },
+  { name: 'JUnit', category: 'framework', aliases: [], related: ['Java', 'Unit Testing'], weight: 1 },
+  { name: 'pytest', category: 'framework', aliases: [], related: ['Python', 'Unit Testing'], weight: 1 },
+  { name: 'FreeRTOS', category: 'framework', aliases: ['rtos', 'zephyr'], related: ['Embedded C', 'Microcontrollers'], weight: 1 },
+
+  // Databases
+  { name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'psql'], related: ['SQL'], weight: 3 },
+  { name: 'MySQL', category: 'database', aliases: ['mariadb'], related: ['SQL'], weight: 2 },
+  { name: 'MongoDB', category: 'database', aliases: ['mongo', 'mongoose'], related: ['Node.js'], weight: 2 },
+  { name: 'Redis', category: 'database', aliases: [], related: ['Caching'], weight: 2 },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elastic search', 'opensearch', 'elk'], related: ['Monitoring'], weight: 1 },
+  { name: 'SQL Server', category: 'database', aliases: ['mssql', 'microsoft sql server'], related: ['SQL', 'C#'], weight: 1 },
+  { name: 'Oracle Database', category: 'database', aliases: ['oracle db', 'oracle'], related: ['SQL'], weight: 1 },
+  { name: 'SQLite', category: 'database', aliases: [], related: ['SQL'], weight: 1 },
+  { name: 'Cassandra', category: 'database', aliases: ['apache cassandra'], related: ['NoSQL'], weight: 1 },
+  { name: 'DynamoDB', category: 'database', aliases: ['dynamo'], related: ['AWS'], weight: 1 },
+  { name: 'Snowflake', category: 'database', aliases: [], related: ['SQL', 'dbt'], weight: 1 },
+  { name: 'BigQuery', category: 'database', aliases: ['google bigquery'], related: ['Google Cloud', 'SQL'], weight: 1 },
+
+  // Cloud
+  { name: 'AWS', category: 'cloud', aliases: ['amazon web services', 'ec2', 's3', 'lambda', 'aws lambda', 'ecs', 'eks'], related: ['Terraform', 'Docker'], weight: 3 },
+  { name: 'Azure', category: 'cloud', aliases: ['microsoft azure'], related: ['.NET', 'Terraform'], weight: 2 },
+  { name: 'Google Cloud', category: 'cloud', aliases: ['gcp', 'google cloud platform'], related: ['Kubernetes', 'BigQuery'], weight: 2 },
+  { name: 'Firebase', category: 'cloud', aliases: [], related: ['Google Cloud'], weight: 1 },
+  { name: 'Heroku', category: 'cloud', aliases: [], related: [], weight: 1 },
+  { name: 'Vercel', category: 'cloud', aliases: ['netlify'], related: ['Next.js'], weight: 1 },
+
+  // Tools
+  { name: 'Git', category: 'tool', aliases: ['version control'], related: ['GitHub', 'GitLab'], weight: 3 },
+  { name: 'GitHub', category: 'tool', aliases: ['github actions'], related: ['Git', 'CI/CD'], weight: 2 },
+  { name: 'GitLab', category: 'tool', aliases: ['gitlab ci'], related: ['Git', 'CI/CD'], weight: 1 },
+  { name: 'Docker', category: 'tool', aliases: ['containers', 'containerization', 'docker compose'], related: ['Kubernetes'], weight: 3 },
+  { name: 'Kubernetes', category: 'tool', aliases: ['k8s', 'helm', 'kubectl'], related: ['Docker', 'Terraform'], weight: 3 },
+  { name: 'Terraform', category: 'tool', aliases: ['infrastructure as code', 'iac'], related: ['AWS', 'Kubernetes'], weight: 2 },
+  { name: 'Ansible', category: 'tool', aliases: [], related: ['Terraform', 'Linux'], weight: 1 },
+  { name: 'Jenkins', category: 'tool', aliases: [], related: ['CI/CD'], weight: 2 },
+  { name: 'Prometheus', category: 'tool', aliases: ['grafana'], related: ['Monitoring', 'Kubernetes'], weight: 1 },
+  { name: 'Linux', category: 'tool', aliases: ['unix', 'ubuntu', 'debian', 'centos'], related: ['Bash'], weight: 2 },
+  { name: 'Kafka', category: 'tool', aliases: ['apache kafka'], related: ['Microservices', 'Apache Spark'], weight: 2 },
+  { name: 'RabbitMQ', category: 'tool', aliases: ['amqp'], related: ['Microservices'], weight: 1 },
+  { name: 'Airflow', category: 'tool', aliases: ['apache airflow'], related: ['Python', 'dbt'], weight: 1 },
+  { name: 'MLflow', category: 'tool', aliases: ['kubeflow', 'mlops'], related: ['Machine Learning'], weight: 1 },
+  { name: 'Webpack', category: 'tool', aliases: ['vite', 'babel', 'rollup'], related: ['JavaScript'], weight: 1 },
+  { name: 'npm', category: 'tool', aliases: ['yarn', 'pnpm'], related: ['Node.js'], weight: 1 },
+  { name: 'Maven', category: 'tool', aliases: ['gradle'], related: ['Java'], weight: 1 },
+  { name: 'Xcode', category: 'tool', aliases: [], related: ['iOS', 'Swift'], weight: 1 },
+  { name: 'Jira', category: 'tool', aliases: ['confluence'], related: ['Agile', 'Scrum'], weight: 1 },
+  { name: 'Postman', category: 'tool', aliases: [], related: ['REST APIs'], weight: 1 },
+  { name: 'CMake', category: 'tool', aliases: ['makefile'], related: ['C++'], weight: 1 },
+  { name: 'Microcontrollers', category: 'tool', aliases: ['microcontroller', 'mcu', 'arm cortex', 'stm32', 'arduino', 'esp32'], related: ['Embedded C', 'FreeRTOS'], weight: 1 },
+  { name: 'JMeter', category: 'tool', aliases: ['gatling', 'k6', 'locust'], related: ['Performance Testing'], weight: 1 },
+
+  // Practices
+  { name: 'REST APIs', category: 'practice', aliases: ['rest', 'restful', 'rest api', 'restful api', 'api design'], related: ['GraphQL', 'Microservices'], weight: 3 },
+  { name: 'Microservices', category: 'practice', aliases: ['microservice', 'microservice architecture', 'service oriented architecture', 'soa'], related: ['Docker', 'Kubernetes', 'Kafka'], weight: 2 },
+  { name: 'CI/CD', category: 'practice', aliases: ['continuous integration', 'continuous delivery', 'continuous deployment', 'ci cd'], related: ['Jenkins', 'GitHub', 'Docker'], weight: 3 },
+  { name: 'DevOps', category: 'practice', aliases: ['sre', 'site reliability engineering'], related: ['CI/CD', 'Kubernetes', 'Terraform'], weight: 2 },
+  { name: 'Monitoring', category: 'practice', aliases: ['observability', 'alerting'], related: ['Prometheus'], weight: 1 },
+  { name: 'Agile', category: 'practice', aliases: ['agile methodologies', 'kanban'], related: ['Scrum', 'Jira'], weight: 2 },
+  { name: 'Scrum', category: 'practice', aliases: ['sprint planning'], related: ['Agile'], weight: 1 },
+  { name: 'Unit Testing', category: 'practice', aliases: ['unit tests', 'automated testing'], related: ['Jest', 'JUnit', 'pytest', 'TDD'], weight: 2 },
+  { name: 'Integration Testing', category: 'practice', aliases: ['integration tests'], related: ['Unit Testing'], weight: 1 },
+  { name: 'End-to-End Testing', category: 'practice', aliases: ['e2e testing', 'e2e', 'end to end testing'], related: ['Cypress', 'Playwright', 'Selenium'], weight: 1 },
+  { name: 'Test Automation', category: 'practice', aliases: ['automation testing', 'qa automation'], related: ['Selenium', 'Cypress'], weight: 1 },
+  { name: 'Performance Testing', category: 'practice', aliases: ['load testing', 'stress testing'], related: ['JMeter'], weight: 1 },
+  { name: 'TDD', category: 'practice', aliases: ['test driven development', 'test-driven development', 'bdd', 'behavior driven development'], related: ['Unit Testing'], weight: 1 },
+  { name: 'Machine Learning', category: 'practice', aliases: ['ml', 'predictive modeling'], related: ['scikit-learn', 'Python', 'Deep Learning'], weight: 2 },
+  { name: 'Deep Learning', category: 'practice', aliases: ['neural networks', 'computer vision', 'nlp', 'natural language processing'], related: ['PyTorch', 'TensorFlow'], weight: 1 },
+  { name: 'Data Pipelines', category: 'practice', aliases: ['etl', 'elt', 'data pipeline', 'data engineering', 'data warehousing'], related: ['Airflow', 'Apache Spark', 'dbt'], weight: 1 },
+  { name: 'System Design', category: 'practice', aliases: ['distributed systems', 'scalability', 'software architecture'], related: ['Microservices'], weight: 2 },
+  { name: 'Caching', category: 'practice', aliases: [], related: ['Redis'], weight: 1 },
+  { name: 'Security', category: 'practice', aliases: ['application security', 'owasp', 'authentication', 'authorization', 'oauth', 'oauth2', 'jwt'], related: ['REST APIs'], weight: 2 },
+  { name: 'Performance Optimization', category: 'practice', aliases: ['performance tuning', 'optimization', 'profiling'], related: ['Caching'], weight: 1 },
+  { name: 'Debugging', category: 'practice', aliases: ['troubleshooting'], related: [], weight: 1 },
+  { name: 'Responsive Design', category: 'practice', aliases: ['responsive web design', 'mobile-first'], related: ['CSS', 'HTML'], weight: 1 },
+  { name: 'Accessibility', category: 'practice', aliases: ['a11y', 'wcag'], related: ['HTML'], weight: 1 },
+  { name: 'NoSQL', category: 'practice', aliases: [], related: ['MongoDB', 'Cassandra', 'DynamoDB'], weight: 1 },
+
+  // Soft skills
+  { name: 'Leadership', category: 'soft', aliases: ['team leadership', 'technical leadership', 'led a team'], related: ['Mentoring'], weight: 2 },
+  { name: 'Mentoring', category: 'soft', aliases: ['mentorship', 'coaching'], related: ['Leadership'], weight: 1 },
+  { name: 'Communication', category: 'soft', aliases: ['communication skills', 'stakeholder management'], related: ['Team Collaboration'], weight: 2 },
+  { name: 'Team Collaboration', category: 'soft', aliases: ['teamwork', 'collaboration', 'cross-functional collaboration'], related: ['Communication'], weight: 2 },
+  { name: 'Problem Solving', category: 'soft', aliases: ['problem-solving', 'analytical skills'], related: ['Debugging'], weight: 2 },
+  { name: 'Code Review', category: 'soft', aliases: ['code reviews', 'peer review'], related: ['Mentoring', 'Git'], weight: 1 },
+  { name: 'Technical Documentation', category: 'soft', aliases: ['documentation', 'technical writing'], related: ['Communication'], weight: 1 }
+];
+
+// Aliases dropped from the defaults because they match everyday words; rows seeded before then still carry them
+const RETIRED_ALIASES = [
+  { key: 'rest apis', remove: ['api', 'apis'] },
+  { key: 'monitoring', remove: ['logging'] },
+  { key: 'unit testing', remove: ['testing'] },
+  { key: 'caching', remove: ['cache'] },
+  { key: 'responsive design', remove: ['responsive'], add: ['responsive web design'] }
+];
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Everyday words that are also skill names only count the way tech writes them: "REST" in capitals;
+// "Node", "Express", "Spring", "Swift" and "Go" capitalized and not followed by the words that give away
+// their plain-English sense ("Swift turnaround", "Spring 2021", "Go to market")
+const EVERYDAY_SENSES = new Map([
+  ['node', /^\s+(?:failures?|outages?)\b/i],
+  ['express', /^\s+(?:interest|delivery|shipping|mail|checkout|lane|concerns?|gratitude|thanks)\b/i],
+  ['spring', /^\s+(?:\d{4}|'\d{2}|semester|term|break|quarter|season|intake)\b/i],
+  ['swift', /^\s+(?:turnaround|response|resolution|delivery|action|decisions?|progress|recovery)\b/i],
+  ['go', /^(?:\s+|-)(?:to[\s-]+market|live|ahead)\b/i]
+]);
+const ACRONYM_TERMS = new Set(['rest']);
+
+let cachedSkills = null;
+let cachedIndex = null;
+let cachedAt = 0;
+
+// Light stemming so "microservices"/"microservice" and "testing"/"tests" meet
+function stem(token) {
+  if (!/^[a-z]{5,}$/.test(token)) return token;
+  if (token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.endsWith('ing') && token.length > 6) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+  if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+// Split text into lowercase word tokens with their offsets; keeps "c++", "c#" and ".net" intact
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\.?[a-z0-9][a-z0-9+#]*/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    let value = match[0].toLowerCase();
+    let start = match.index;
+    // A leading dot only belongs to the token when it does not end a previous word ("node.js" vs "end.Next")
+    if (value.startsWith('.') && start > 0 && /[a-z0-9]/i.test(text[start - 1]) && !/^\.(js|net)$/.test(value)) {
+      value = value.slice(1);
+      start += 1;
+    }
+    tokens.push({ value, stem: stem(value), start, end: start + value.length });
+  }
+
+  return tokens;
+}
+
+function buildIndex(skills) {
+  const index = new Map();
+
+  skills.forEach(skill => {
+    [skill.name, ...(skill.aliases || [])].forEach(term => {
+      const stems = tokenize(term).map(token => token.stem);
+      if (stems.length === 0) return;
+      const entries = index.get(stems[0]) || [];
+      entries.push({ stems, skill, term });
+      index.set(stems[0], entries);
+    });
+  });
+
+  // Prefer the longest alias at each position ("spring boot" over "spring")
+  index.forEach(entries => entries.sort((a, b) => b.stems.length - a.stems.length));
+  return index;
+}
+
+function setCache(skills) {
+  cachedSkills = skills;
+  cachedIndex = buildIndex(skills);
+  cachedAt = Date.now();
+}
+
+// Load the taxonomy from MongoDB (or the defaults when the collection is empty or unreachable)
+async function loadTaxonomy({ force = false } = {}) {
+  if (!force && cachedSkills && Date.now() - cachedAt < CACHE_TTL) {
+    return cachedSkills;
+  }
+
+  let skills = DEFAULT_SKILLS;
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const stored = await Skill.find({ isActive: true }).lean();
+      if (stored.length > 0) skills = stored;
+    } catch (error) {
+      console.error('Skill taxonomy load error:', error);
+    }
+  }
+
+  setCache(skills);
+  return skills;
+}
+
+function invalidateTaxonomy() {
+  cachedAt = 0;
+}
+
+function getSkills() {
+  if (!cachedSkills) setCache(DEFAULT_SKILLS);
+  return cachedSkills;
+}
+
+function getIndex() {
+  if (!cachedIndex) setCache(DEFAULT_SKILLS);
+  return cachedIndex;
+}
+
+// Whether a matched term is more likely plain English than the skill; following is the few characters after the mention
+function isIncidentalMention(term, original, following) {
+  const word = term.toLowerCase();
+  if (ACRONYM_TERMS.has(word)) return original !== original.toUpperCase();
+  if (EVERYDAY_SENSES.has(word) && EVERYDAY_SENSES.get(word).test(following)) return true;
+  // Very short names ("Go", "C", "R", "ML") only count when written as a proper noun
+  if (/^[a-z]{1,2}$/.test(word)) return original === original.toLowerCase() || /^[.&]/.test(following);
+  if (EVERYDAY_SENSES.has(word)) return original === original.toLowerCase();
+  return false;
+}
+
+// Every skill mention in the text with canonical name, category, matched alias and character offsets
+function findSkillMatches(text) {
+  const tokens = tokenize(text || '');
+  const index = getIndex();
+  const matches = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const candidates = index.get(tokens[i].stem) || [];
+    const hit = candidates.find(({ stems }) =>
+      stems.every((value, offset) => tokens[i + offset] && tokens[i + offset].stem === value)
+    );
+    if (!hit) continue;
+
+    const last = tokens[i + hit.stems.length - 1];
+    const original = text.slice(tokens[i].start, last.end);
+    if (isIncidentalMention(hit.term, original, text.slice(last.end, last.end + 20))) continue;
+
+    matches.push({
+      skill: hit.skill.name,
+      category: hit.skill.category,
+      alias: hit.term,
+      start: tokens[i].start,
+      end: last.end
+    });
+    i += hit.stems.length - 1;
+  }
+
+  return matches;
+}
+
+// Canonical names of the skills mentioned in the text, in order of first mention
+function findSkills(text, categories) {
+  const names = findSkillMatches(text)
+    .filter(match => !categories || categories.includes(match.category))
+    .map(match => match.skill);
+  return [...new Set(names)];
+}
+
+function hasSkill(text, skillName) {
+  const canonical = normalizeSkill(skillName) || skillName;
+  return findSkillMatches(text).some(match => match.skill === canonical);
+}
+
+// Map a free-form skill ("k8s", "NodeJS") to its canonical taxonomy name
+function normalizeSkill(value) {
+  const match = findSkillMatches(value)[0];
+  if (!match) return null;
+  // The whole value has to be the alias, not just contain it
+  return match.start === 0 && match.end >= value.trim().length ? match.skill : null;
+}
+
+function getSkill(name) {
+  return getSkills().find(skill => skill.name === name) || null;
+}
+
+function getSkillsByCategory(categories) {
+  return getSkills().filter(skill => categories.includes(skill.category));
+}
+
+function getRelatedSkills(names) {
+  const owned = new Set(names);
+  const related = names
+    .map(getSkill)
+    .filter(Boolean)
+    .flatMap(skill => skill.related || [])
+    .filter(name => !owned.has(name));
+  return [...new Set(related)];
+}
+
+// Copy the defaults into MongoDB so admin edits start from the full taxonomy
+async function seedDefaultSkills() {
+  const count = await Skill.countDocuments();
+  if (count > 0) return 0;
+
+  await Skill.insertMany(DEFAULT_SKILLS.map(skill => ({ ...skill, key: skill.name.toLowerCase() })));
+  invalidateTaxonomy();
+  return DEFAULT_SKILLS.length;
+}
+
+// Take the retired aliases off seeded skills; run at startup. Skills without them (edited since) are left alone
+async function retireDefaultAliases() {
+  let updated = 0;
+  for (const { key, remove, add } of RETIRED_ALIASES) {
+    const result = await Skill.updateOne({ key, aliases: { $in: remove } }, { $pull: { aliases: { $in: remove } } });
+    if (result.modifiedCount === 0) continue;
+    if (add) await Skill.updateOne({ key }, { $addToSet: { aliases: { $each: add } } });
+    updated += 1;
+  }
+
+  if (updated > 0) invalidateTaxonomy();
+  return updated;
+}
+
+module.exports = {
+  DEFAULT_SKILLS,
+  loadTaxonomy,
+  invalidateTaxonomy,
+  seedDefaultSkills,
+  retireDefaultAliases,
+  getSkills,
+  getSkill,
+  getSkillsByCategory,
+  getRelatedSkills,
+  findSkillMatches,
+  findSkills,
+  hasSkill,
+  normalizeSkill,
+  tokenize
+};
@@ -0,0 +1,81 @@
+// Concrete edits behind CV suggestions, so a suggestion can be accepted as-is instead of applied by hand.
+// Advice with no mechanical fix (add metrics, explain a gap) keeps an empty edit list.
+const { proposeRewrites } = require('./cvRewriter');
+
+// Skill and ordering edits go to the first of these suggestions present, so they are never offered twice
+const SKILL_SUGGESTIONS = ['jobMatch.cover-the-job-requirements', 'keywords.add-missing-keywords', 'technical.expand-technical-skills'];
+
+function suggestionIdFor(suggestion) {
+  return `${suggestion.category}.${suggestion.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+function languageEdits(issues) {
+  return issues
+    .filter(issue => ['spelling', 'repeated-word'].includes(issue.type) && issue.suggestions.length > 0)
+    .map(issue => ({
+      editId: `${issue.type}-${issue.start}`,
+      kind: issue.type,
+      section: null,
+      start: issue.start,
+      end: issue.end,
+      original: issue.text,
+      replacement: issue.suggestions[0],
+      alternatives: issue.suggestions.slice(1),
+      reason: issue.message
+    }));
+}
+
+// analysis: a CVAnalysis with extractedText, parsed resume and analysis results
+function attachSuggestionEdits(suggestions, analysis, resume) {
+  const text = analysis.extractedText || '';
+  const rewrites = proposeRewrites(text, resume, {
+    jobDescription: analysis.jobDescription && analysis.jobDescription.text,
+    roleProfile: analysis.roleProfile
+  });
+  const languageIssues = (analysis.analysis.language && analysis.analysis.language.issues) || [];
+
+  const ids = suggestions.map(suggestionIdFor);
+  const skillOwner = SKILL_SUGGESTIONS.find(id => ids.includes(id));
+
+  return suggestions.map((suggestion, index) => {
+    const suggestionId = ids[index];
+    let edits = [];
+    if (suggestionId === 'language.fix-spelling-mistakes') {
+      edits = languageEdits(languageIssues);
+    } else if (suggestionId === 'content.start-bullets-with-action-verbs') {
+      edits = rewrites.edits.filter(edit => edit.kind === 'bullet-opener');
+    } else if (suggestionId === skillOwner) {
+      edits = rewrites.edits.filter(edit => ['add-skill', 'add-skills-section', 'reorder-bullets'].includes(edit.kind));
+    }
+    return { ...suggestion, suggestionId, edits, status: 'proposed' };
+  });
+}
+
+// Regenerated suggestions (re-scores) keep the user's accept/reject decisions, matched by suggestion and
+// edit id, along with replacements the user rewrote. Decided suggestions the new analysis no longer
+// raises are kept as they were, so accepted edits are never lost.
+function carryOverDecisions(suggestions, previous) {
+  const decided = (previous || []).filter(suggestion => suggestion.status !== 'proposed');
+  const carried = suggestions.map(suggestion => {
+    const before = decided.find(item => item.suggestionId === suggestion.suggestionId);
+    if (!before) return suggestion;
+    return {
+      ...suggestion,
+      status: before.status,
+      edits: suggestion.edits.map(edit => {
+        const old = before.edits.find(item => item.editId === edit.editId);
+        if (!old) return edit;
+        return old.modified
+          ? { ...edit, status: old.status, replacement: old.replacement, modified: true }
+          : { ...edit, status: old.status };
+      })
+    };
+  });
+  const dropped = decided.filter(item => !suggestions.some(suggestion => suggestion.suggestionId === item.suggestionId));
+  return [...carried, ...dropped];
+}
+
+module.exports = {
+  attachSuggestionEdits,
+  carryOverDecisions
+};
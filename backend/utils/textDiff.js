@@ -0,0 +1,78 @@
+// Line-level diff between two texts (longest common subsequence), grouped into runs of
+// equal, added and removed lines. Whitespace at line ends is ignored.
+
+// Beyond this many line pairs the changed middle is reported as replaced wholesale
+const MAX_CELLS = 4000000;
+
+function pushRun(runs, type, line) {
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(line);
+  } else {
+    runs.push({ type, lines: [line] });
+  }
+}
+
+function diffMiddle(before, after, runs) {
+  const rows = before.length;
+  const cols = after.length;
+  if (rows * cols > MAX_CELLS) {
+    before.forEach(line => pushRun(runs, 'removed', line));
+    after.forEach(line => pushRun(runs, 'added', line));
+    return;
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      pushRun(runs, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushRun(runs, 'removed', before[i++]);
+    } else {
+      pushRun(runs, 'added', after[j++]);
+    }
+  }
+  while (i < rows) pushRun(runs, 'removed', before[i++]);
+  while (j < cols) pushRun(runs, 'added', after[j++]);
+}
+
+function toLines(text) {
+  return (text || '').split(/\r?\n/).map(line => line.trimEnd());
+}
+
+function diffLines(beforeText, afterText) {
+  const before = Array.isArray(beforeText) ? beforeText : toLines(beforeText);
+  const after = Array.isArray(afterText) ? afterText : toLines(afterText);
+
+  // Most drafts share a long head and tail; only the middle needs the quadratic search
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const runs = [];
+  before.slice(0, prefix).forEach(line => pushRun(runs, 'equal', line));
+  diffMiddle(before.slice(prefix, before.length - suffix), after.slice(prefix, after.length - suffix), runs);
+  before.slice(before.length - suffix).forEach(line => pushRun(runs, 'equal', line));
+
+  const count = type => runs.filter(run => run.type === type).reduce((total, run) => total + run.lines.length, 0);
+  return { runs, added: count('added'), removed: count('removed') };
+}
+
+module.exports = {
+  diffLines
+};
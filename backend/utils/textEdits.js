@@ -0,0 +1,49 @@
+// Apply proposed edits to a CV text. An edit replaces [start, end) of the original text with
+// `replacement`; an edit with `segments` instead rebuilds its range from those original spans in a
+// new order (reordered bullets), so accepted edits inside the moved spans still apply.
+
+// Outermost first; at equal starts the wider edit wins so nested edits end up inside it
+function byPosition(a, b) {
+  return a.start - b.start || b.end - a.end;
+}
+
+function render(text, start, end, edits, result) {
+  let output = '';
+  let cursor = start;
+
+  edits.forEach((edit, index) => {
+    if (edit.start < cursor) return; // nested in an earlier edit, or overlapping it
+    if (result.applied.has(edit)) return; // an insertion at the end of a moved span went with it
+
+    output += text.slice(cursor, edit.start);
+    const inner = edits.slice(index + 1).filter(other => other.start >= edit.start && other.end <= edit.end);
+
+    if (edit.segments && edit.segments.length > 0) {
+      output += edit.segments
+        .map(segment => render(text, segment.start, segment.end,
+          inner.filter(other => other.start >= segment.start && other.end <= segment.end), result))
+        .join(edit.separator === undefined ? '\n' : edit.separator);
+    } else {
+      output += edit.replacement;
+      // Zero-width insertions at the same point can all apply; anything else inside is a conflict
+      inner.filter(other => other.start !== other.end || other.start !== edit.end).forEach(other => result.conflicts.add(other));
+    }
+    result.applied.add(edit);
+    cursor = Math.max(cursor, edit.end);
+  });
+
+  return output + text.slice(cursor, end);
+}
+
+// Returns the edited text plus the edits that could not be applied because they overlap another
+function applyEdits(text, edits) {
+  const sorted = edits.slice().sort(byPosition);
+  const result = { applied: new Set(), conflicts: new Set() };
+  const output = render(text, 0, text.length, sorted, result);
+  const skipped = sorted.filter(edit => !result.applied.has(edit) || result.conflicts.has(edit));
+  return { text: output, skipped };
+}
+
+module.exports = {
+  applyEdits
+};
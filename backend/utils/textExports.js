@@ -0,0 +1,125 @@
+// Text-based exports of the structured resume: ATS plain text, Markdown and LaTeX source.
+// All take the export from buildExportResume; LaTeX also takes the template options.
+const fs = require('fs');
+const path = require('path');
+const { FONTS } = require('./resumeTemplates');
+
+const LATEX_TEMPLATE = fs.readFileSync(path.join(__dirname, '../data/resume-template.tex'), 'utf8');
+
+function contactItems(contact) {
+  return [contact.email, contact.phone, contact.location, contact.linkedin, contact.github, contact.website].filter(Boolean);
+}
+
+// Plain text the way ATS parsers like it: uppercase headings, one fact per line, "-" bullets, ASCII punctuation
+function renderPlainText(exportResume) {
+  const { contact, sections } = exportResume;
+  const lines = [contact.name, contactItems(contact).join(' | ')];
+
+  sections.forEach(section => {
+    lines.push('', section.heading.toUpperCase());
+    if (section.text) lines.push(section.text);
+    if (section.items) lines.push(...section.items.map(item => `- ${item}`));
+    (section.entries || []).forEach((entry, index) => {
+      if (index > 0) lines.push('');
+      lines.push([entry.title, entry.subtitle].filter(Boolean).join(' | '));
+      if (entry.dates) lines.push(entry.dates);
+      lines.push(...entry.bullets.map(bullet => `- ${bullet}`));
+    });
+  });
+
+  return `${lines.filter((line, index) => line || index > 1)
+    .join('\n')
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[•·▪●]/g, '-')
+    .trim()}\n`;
+}
+
+function escapeMarkdown(value) {
+  return String(value || '').replace(/([\\`*_[\]#|<>])/g, '\\$1').replace(/^([-+]|\d+\.)(\s)/, '\\$1$2');
+}
+
+function renderMarkdown(exportResume) {
+  const { contact, sections } = exportResume;
+  const lines = [`# ${escapeMarkdown(contact.name)}`, '', contactItems(contact).map(escapeMarkdown).join(' | ')];
+
+  sections.forEach(section => {
+    lines.push('', `## ${escapeMarkdown(section.heading)}`, '');
+    if (section.text) lines.push(escapeMarkdown(section.text));
+    if (section.items) lines.push(...section.items.map(item => `- ${escapeMarkdown(item)}`));
+    (section.entries || []).forEach((entry, index) => {
+      if (index > 0) lines.push('');
+      lines.push(`### ${escapeMarkdown(entry.title)}${entry.dates ? ` (${escapeMarkdown(entry.dates)})` : ''}`);
+      if (entry.subtitle) lines.push('', `*${escapeMarkdown(entry.subtitle)}*`);
+      if (entry.bullets.length > 0) lines.push('', ...entry.bullets.map(bullet => `- ${escapeMarkdown(bullet)}`));
+    });
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}', '&': '\\&', '%': '\\%', '$': '\\$', '#': '\\#', '_': '\\_',
+  '{': '\\{', '}': '\\}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+};
+
+function escapeLatex(value) {
+  return String(value || '').replace(/[\\&%$#_{}~^]/g, char => LATEX_SPECIALS[char]);
+}
+
+// Contact items become links where they are addresses
+function latexContactItem(item) {
+  if (/^[^@\s]+@[^@\s]+$/.test(item)) return `\\href{mailto:${item}}{${escapeLatex(item)}}`;
+  if (/^(?:https?:\/\/|www\.)|\.(?:com|io|dev|org|net|me)\//i.test(item)) {
+    const url = /^https?:\/\//i.test(item) ? item : `https://${item}`;
+    return `\\href{${url.replace(/[\\%#{}]/g, char => `\\${char}`)}}{${escapeLatex(item)}}`;
+  }
+  return escapeLatex(item);
+}
+
+function latexList(items) {
+  if (items.length === 0) return [];
+  return ['\\begin{itemize}', ...items.map(item => `  \\item ${escapeLatex(item)}`), '\\end{itemize}'];
+}
+
+function latexSection(section) {
+  const lines = [`\\section*{${escapeLatex(section.heading)}}`];
+  if (section.text) lines.push(escapeLatex(section.text));
+  if (section.items) lines.push(...latexList(section.items));
+  (section.entries || []).forEach(entry => {
+    lines.push(`\\entry{${escapeLatex(entry.title)}}{${escapeLatex(entry.dates)}}`);
+    if (entry.subtitle) lines.push(`\\textit{${escapeLatex(entry.subtitle)}}\\par`);
+    lines.push(...latexList(entry.bullets));
+  });
+  return lines.join('\n');
+}
+
+const LATEX_SPACING = { compact: 6, normal: 10, relaxed: 14 };
+
+// LaTeX source from the bundled template (data/resume-template.tex), with the template options applied
+function renderLatex(exportResume, options) {
+  const { contact, sections } = exportResume;
+  const values = {
+    FONT_SIZE: Math.min(12, Math.max(10, Math.round(options.fontSize))),
+    PAPER: options.pageSize === 'Letter' ? 'letterpaper' : 'a4paper',
+    FONT_PACKAGE: FONTS[options.font].latex,
+    MARGIN: options.marginMm,
+    ACCENT: options.accentColor.replace('#', '').toUpperCase(),
+    HEADING_CASE: options.headingCase === 'upper' ? '\\MakeUppercase' : '',
+    HEADING_RULE: options.headingRule ? '\\vspace{-4pt}\\titlerule' : '',
+    SECTION_SPACING: LATEX_SPACING[options.spacing],
+    NAME_ALIGN: options.nameAlign === 'center' ? 'center' : 'flushleft',
+    NAME: escapeLatex(contact.name),
+    CONTACT: contactItems(contact).map(latexContactItem).join(' \\textbar{} '),
+    BODY: sections.map(latexSection).join('\n\n')
+  };
+  return LATEX_TEMPLATE.replace(/<<([A-Z_]+)>>/g, (match, key) => String(values[key]));
+}
+
+module.exports = {
+  renderPlainText,
+  renderMarkdown,
+  renderLatex,
+  escapeLatex
+};
@@ -0,0 +1,361 @@
+// Text extraction for the plain and markup CV formats: .txt, .md, .html, .rtf, .odt and .tex.
+// Each returns { text } with one CV line per line and "- " bullets, the layout resumeParser reads.
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+// UTF-8 unless the file says otherwise; legacy single-byte files fall back to Latin-1
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString('utf16le').slice(1);
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+// Collapse runs of blank lines and trailing spaces left behind by markup
+function tidyLines(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00A0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractPlainText(buffer) {
+  return { text: tidyLines(decodeText(buffer)) };
+}
+
+// Link text followed by its URL, unless the text already is the URL
+function linkText(text, url) {
+  const target = url.replace(/^mailto:/i, '');
+  return !text || text === target || text === url ? target : `${text} ${target}`;
+}
+
+async function extractMarkdown(buffer) {
+  const text = decodeText(buffer)
+    .replace(/\r\n?/g, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^(```|~~~).*$/gm, '')
+    .replace(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '$1')
+    .replace(/^ {0,3}(?:[-*_]\s*){3,}$/gm, '')
+    .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => linkText(label, url))
+    .replace(/<((?:https?:\/\/|mailto:)[^>]+)>/g, (match, url) => url.replace(/^mailto:/i, ''))
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    // Markdown tables: keep the cells, drop the separator row; [ \t] so no match runs into the next row
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*(?:\n|$)/gm, '')
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => cells.split('|').map(cell => cell.trim()).filter(Boolean).join(' | '))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+
+  return { text: tidyLines(text) };
+}
+
+const HTML_BLOCKS = 'p, div, section, article, header, footer, main, aside, h1, h2, h3, h4, h5, h6, tr, dt, dd, address, blockquote, pre, table, ul, ol';
+
+async function extractHtml(buffer) {
+  const $ = cheerio.load(decodeText(buffer));
+  $('script, style, noscript, template, head, svg').remove();
+  $('br').replaceWith('\n');
+  $('a[href]').each((index, link) => {
+    const href = $(link).attr('href');
+    if (/^(?:https?:|mailto:)/i.test(href)) $(link).text(linkText($(link).text().trim(), href));
+  });
+  $('li').each((index, item) => {
+    $(item).prepend('\n- ').append('\n');
+  });
+  $('td, th').each((index, cell) => {
+    $(cell).append(' | ');
+  });
+  $(HTML_BLOCKS).each((index, block) => {
+    $(block).prepend('\n').append('\n');
+  });
+
+  const text = $('body').length > 0 ? $('body').text() : $.root().text();
+  return { text: tidyLines(text.replace(/(?:\s*\|\s*)+$/gm, '')) };
+}
+
+// Destinations whose content is never body text (font tables, pictures, headers/footers, metadata)
+const RTF_SKIPPED_GROUPS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'headerl', 'headerr', 'headerf', 'footer',
+  'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'object', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+const RTF_BREAKS = { par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', cell: ' | ', tab: '\t', bullet: '•', emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”' };
+
+// Windows-1252 punctuation that Latin-1 leaves as control characters
+const CP1252_PUNCTUATION = { 0x85: '...', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—' };
+
+async function extractRtf(buffer) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('{\\rtf')) {
+    throw Object.assign(new Error('The file is not a valid RTF document'), { status: 400 });
+  }
+
+  let output = '';
+  // Each group remembers whether it is skipped and how many fallback characters follow \uN
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let index = 0;
+
+  const emit = value => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!skip) output += value;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '{') {
+      stack.push({ skip, unicodeSkip });
+      index++;
+      if (source.startsWith('\\*', index)) skip = true;
+    } else if (char === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      index++;
+    } else if (char === '\\') {
+      const next = source[index + 1];
+      if (next === '\'') {
+        const code = parseInt(source.substr(index + 2, 2), 16);
+        emit(CP1252_PUNCTUATION[code] || String.fromCharCode(code));
+        index += 4;
+      } else if (/[\\{}]/.test(next)) {
+        emit(next);
+        index += 2;
+      } else if (next === '~') {
+        emit(' ');
+        index += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        index += 2;
+      } else {
+        const match = source.slice(index).match(/^\\([a-z]+)(-?\d+)? ?/i);
+        if (!match) {
+          index += 2;
+          continue;
+        }
+        const [whole, word, param] = match;
+        index += whole.length;
+        if (RTF_SKIPPED_GROUPS.has(word)) {
+          skip = true;
+        } else if (word === 'uc') {
+          unicodeSkip = parseInt(param, 10);
+        } else if (word === 'u') {
+          const code = parseInt(param, 10);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = unicodeSkip;
+        } else if (RTF_BREAKS[word]) {
+          emit(RTF_BREAKS[word]);
+        }
+      }
+    } else {
+      if (char !== '\r' && char !== '\n') emit(char);
+      index++;
+    }
+  }
+
+  return { text: tidyLines(output.replace(/^[ \t]*[•·][ \t]*/gm, '- ')) };
+}
+
+// OpenDocument text: paragraphs and headings from content.xml, list items as bullets
+async function extractOdt(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw Object.assign(new Error('The file is not a valid OpenDocument text file'), { status: 400 });
+  }
+
+  const $ = cheerio.load(await content.async('string'), { xmlMode: true });
+  $('text\\:s').each((index, space) => {
+    $(space).replaceWith(' '.repeat(parseInt($(space).attr('text:c'), 10) || 1));
+  });
+  $('text\\:tab').replaceWith('\t');
+  $('text\\:line-break').replaceWith('\n');
+  $('text\\:note, office\\:annotation, text\\:tracked-changes').remove();
+
+  const lines = [];
+  $('office\\:body text\\:h, office\\:body text\\:p').each((index, block) => {
+    // Paragraphs nested in another paragraph (frames, notes) are read with their parent
+    if ($(block).parents('text\\:p, text\\:h').length > 0) return;
+    const text = $(block).text();
+    const inList = $(block).parents('text\\:list-item').length > 0;
+    const isFirstInItem = inList && $(block).prevAll('text\\:p, text\\:h').length === 0;
+    lines.push(isFirstInItem && text.trim() ? `- ${text}` : text);
+    if ($(block).is('text\\:h')) lines.push('');
+  });
+
+  return { text: tidyLines(lines.join('\n')) };
+}
+
+// Read one balanced {...} group starting at source[start] === '{'; returns its content and end index
+function readGroup(source, start) {
+  let depth = 0;
+  for (let index = start; index < source.length; index++) {
+    if (source[index] === '\\') {
+      index++;
+    } else if (source[index] === '{') {
+      depth++;
+    } else if (source[index] === '}') {
+      depth--;
+      if (depth === 0) return { content: source.slice(start + 1, index), end: index + 1 };
+    }
+  }
+  return { content: source.slice(start + 1), end: source.length };
+}
+
+// Read \command[opt]{arg}{arg}... at source[start]; returns name, arguments and end index.
+// Switches and symbols take no arguments, so a following {group} stays ordinary text.
+// A backslash that ends the source names nothing; it comes back with an empty name.
+function readCommand(source, start) {
+  const match = source.slice(start + 1).match(/^(?:[a-zA-Z@]+\*?|[^])/);
+  if (!match) return { name: '', args: [], end: start + 1 };
+  const name = match[0];
+  let index = start + 1 + name.length;
+  const args = [];
+  const maxArgs = Object.hasOwn(LATEX_ARG_COUNTS, name) ? LATEX_ARG_COUNTS[name]
+    : Object.hasOwn(LATEX_SYMBOLS, name) || LATEX_SWITCHES.test(name) ? 0 : Infinity;
+  while (args.length < maxArgs) {
+    const rest = source.slice(index);
+    const gap = rest.match(/^[ \t]*\n?[ \t]*/)[0].length;
+    if (rest[gap] === '[' && args.length === 0) {
+      const close = rest.indexOf(']', gap);
+      if (close === -1) break;
+      index += close + 1;
+    } else if (rest[gap] === '{') {
+      const group = readGroup(source, index + gap);
+      args.push(group.content);
+      index = group.end;
+    } else {
+      break;
+    }
+  }
+  return { name, args, end: index };
+}
+
+const LATEX_ARG_COUNTS = { begin: 1, end: 1, href: 2, url: 1, textbf: 1, textit: 1, emph: 1, underline: 1, cvitem: 2 };
+
+// Environments whose opening takes more arguments (column specs, widths) than the name
+const LATEX_ENVIRONMENT_ARGS = { 'tabular': 1, 'tabular*': 2, 'tabularx': 2, 'minipage': 1, 'multicols': 1, 'array': 1 };
+
+const LATEX_SWITCHES = /^(?:small|large|Large|LARGE|huge|Huge|footnotesize|scriptsize|tiny|normalsize|bfseries|itshape|scshape|mdseries|upshape|rmfamily|sffamily|ttfamily|centering|raggedright|raggedleft|noindent|newpage|clearpage|maketitle|makecvtitle|leavevmode|null|relax|vfill|bigskip|medskip|smallskip|hline|toprule|midrule|bottomrule|item|par|hfill)$/;
+
+const LATEX_SYMBOLS = { '\\': '\n', '&': '&', '%': '%', '$': '$', '#': '#', '_': '_', '{': '{', '}': '}', ',': ' ', ' ': ' ', '\n': ' ', ';': ' ', '-': '', textbar: '|', textendash: '–', textemdash: '—', LaTeX: 'LaTeX', TeX: 'TeX', ldots: '...', dots: '...', newline: '\n', linebreak: '\n', par: '\n', item: '\n- ', cdot: '·', textbullet: '•', quad: ' ', qquad: ' ', hfill: ' ', and: ' ', today: '' };
+
+// Commands whose arguments never hold CV text
+const LATEX_DROPPED = /^(?:documentclass|usepackage|input|include|newcommand|renewcommand|providecommand|def|setlength|addtolength|vspace\*?|hspace\*?|pagestyle|thispagestyle|label|ref|pageref|cite|color|definecolor|fontsize|selectfont|moderncvstyle|moderncvcolor|geometry|hypersetup|titleformat|titlespacing|setlist|rule|includegraphics|photo|setmainfont|setsansfont|fontspec|pagenumbering|phantom|strut|iffalse|fi)$/;
+
+const LATEX_DATES = /(?:19|20)\d{2}|present|current/i;
+
+// Section-like commands become their own line so the parser sees a heading
+const LATEX_HEADINGS = /^(?:part|chapter|section|subsection|subsubsection|paragraph|cvsection|resumesection)\*?$/;
+
+function latexToText(source) {
+  let output = '';
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '%') {
+      const newline = source.indexOf('\n', index);
+      index = newline === -1 ? source.length : newline + 1;
+    } else if (char === '{' || char === '}' || char === '$') {
+      index++;
+    } else if (char === '~') {
+      output += ' ';
+      index++;
+    } else if (char === '&') {
+      output += ' | ';
+      index++;
+    } else if (char === '\\') {
+      const { name, args, end } = readCommand(source, index);
+      index = end;
+      if (!name) {
+        output += '\\';
+      } else if (name === 'begin' || name === 'end') {
+        // Skip an environment's column spec or width so it does not read as text
+        for (let extra = name === 'begin' && Object.hasOwn(LATEX_ENVIRONMENT_ARGS, args[0]) ? LATEX_ENVIRONMENT_ARGS[args[0]] : 0; extra > 0; extra--) {
+          const gap = source.slice(index).match(/^\s*/)[0].length;
+          if (source[index + gap] !== '{') break;
+          index = readGroup(source, index + gap).end;
+        }
+        output += '\n';
+      } else if (Object.hasOwn(LATEX_SYMBOLS, name)) {
+        output += LATEX_SYMBOLS[name] + args.map(latexToText).join(' ');
+      } else if (LATEX_DROPPED.test(name)) {
+        continue;
+      } else if (LATEX_HEADINGS.test(name)) {
+        output += `\n\n${args.map(latexToText).join(' ').trim()}\n`;
+      } else if (name === 'href' && args.length === 2) {
+        output += linkText(latexToText(args[1]).trim(), args[0]);
+      } else if (name === 'url') {
+        output += args[0] || '';
+      } else if (name === 'cvitem') {
+        // moderncv "label: text" rows; skills lists read "Languages: Go, Rust" as skills
+        output += `\n${[args[0], args[1]].map(arg => latexToText(arg || '').trim()).filter(Boolean).join(': ')}\n`;
+      } else if (args.length > 1) {
+        // Resume classes pack an entry into one command (\cventry{dates}{title}{employer}...{description}):
+        // short fields share a header line, dates and descriptions get lines of their own
+        const parts = args.map(arg => latexToText(arg).trim()).filter(Boolean);
+        const dates = parts.filter(part => LATEX_DATES.test(part) && part.length <= 40);
+        const long = parts.filter(part => !dates.includes(part) && (part.length > 60 || part.includes('\n')));
+        const fields = parts.filter(part => !dates.includes(part) && !long.includes(part));
+        output += `\n${[fields.join(' | '), ...dates, ...long.map(part => part.startsWith('-') ? part : `- ${part}`)].filter(Boolean).join('\n')}\n`;
+      } else {
+        output += args.map(latexToText).join(' ');
+      }
+    } else if (char === '-' && source.startsWith('--', index)) {
+      const dashes = source.startsWith('---', index) ? 3 : 2;
+      output += dashes === 3 ? '—' : '–';
+      index += dashes;
+    } else {
+      output += char;
+      index++;
+    }
+  }
+  return output;
+}
+
+// Contact macros set in a class preamble (moderncv: \name{First}{Last}, \email{...}, \phone{...})
+const LATEX_CONTACT = /^(?:name|firstname|familyname|email|phone|mobile|address|homepage|social|extrainfo|title)$/;
+
+async function extractLatex(buffer) {
+  const source = decodeText(buffer);
+  const begin = source.indexOf('\\begin{document}');
+  const end = source.indexOf('\\end{document}');
+  const preamble = begin === -1 ? '' : source.slice(0, begin);
+  const body = begin === -1 ? source : source.slice(begin + '\\begin{document}'.length, end === -1 ? undefined : end);
+
+  const header = [];
+  const commandPattern = /\\([a-zA-Z]+)(?=\s*[[{])/g;
+  let match;
+  while ((match = commandPattern.exec(preamble)) !== null) {
+    if (!LATEX_CONTACT.test(match[1])) continue;
+    const { args } = readCommand(preamble, match.index);
+    // \social[linkedin]{handle}: the brace argument is the handle
+    const value = args.map(arg => latexToText(arg).trim()).filter(Boolean).join(match[1] === 'name' ? ' ' : ', ');
+    if (value) header.push(value);
+  }
+
+  const text = [...header, latexToText(body)].join('\n');
+  return { text: tidyLines(text.replace(/^[ \t]*[•·][ \t]*/gm, '- ')) };
+}
+
+module.exports = {
+  decodeText,
+  extractPlainText,
+  extractMarkdown,
+  extractHtml,
+  extractRtf,
+  extractOdt,
+  extractLatex
+};
@@ -0,0 +1,147 @@
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  filled: { icon: CheckCircleIcon, color: 'text-success-600', badge: 'badge-success', label: 'Filled' },
+  suspect: { icon: ExclamationTriangleIcon, color: 'text-warning-600', badge: 'badge-warning', label: 'Check' },
+  missing: { icon: XCircleIcon, color: 'text-danger-600', badge: 'badge-danger', label: 'Empty' },
+};
+
+function StatusBadge({ status }) {
+  const style = STATUS_STYLES[status];
+  return <span className={style.badge}>{style.label}</span>;
+}
+
+function FormRow({ label, value, status, messages = [] }) {
+  const style = STATUS_STYLES[status];
+  const Icon = style.icon;
+
+  return (
+    <div className="py-3 sm:grid sm:grid-cols-3 sm:gap-4">
+      <dt className="text-sm font-medium text-gray-500 flex items-center">
+        <Icon className={`h-4 w-4 mr-2 ${style.color}`} />
+        {label}
+      </dt>
+      <dd className="mt-1 sm:mt-0 sm:col-span-2">
+        <div className={`form-input bg-gray-50 ${status === 'filled' ? '' : 'border-dashed'}`}>
+          {value || <span className="text-gray-400 italic">empty</span>}
+        </div>
+        {messages.map(message => (
+          <p key={message} className={`text-xs mt-1 ${style.color}`}>{message}</p>
+        ))}
+      </dd>
+    </div>
+  );
+}
+
+// Renders /cv/analysis/:id/ats-view as the application form a recruiter would see
+export default function AtsPreview({ view }) {
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">What the recruiter sees</h3>
+            <p className="text-sm text-gray-500">
+              How a typical ATS fills its application form from {view.originalFileName || 'your CV'}
+            </p>
+          </div>
+          <div className="text-right">
+            <div className="text-2xl font-bold text-gray-900">{view.summary.completeness}%</div>
+            <div className="text-xs text-gray-500">
+              {view.summary.filled} filled · {view.summary.suspect} to check · {view.summary.missing} empty
+            </div>
+          </div>
+        </div>
+        <div className="card-body">
+          {view.warnings.map(warning => (
+            <p key={warning} className="text-sm text-danger-600 mb-2">{warning}</p>
+          ))}
+          <dl className="divide-y divide-gray-200">
+            {view.fields.map(item => (
+              <FormRow
+                key={item.key}
+                label={item.label}
+                value={item.value}
+                status={item.status}
+                messages={item.message ? [item.message] : []}
+              />
+            ))}
+          </dl>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Work history</h3>
+        </div>
+        <div className="card-body divide-y divide-gray-200">
+          {view.employers.length === 0 && <p className="text-sm text-gray-500">No roles extracted</p>}
+          {view.employers.map((employer, index) => (
+            <div key={index} className="py-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{employer.title || <span className="italic text-gray-400">No title</span>}</p>
+                  <p className="text-sm text-gray-600">{employer.company || <span className="italic text-gray-400">No employer</span>}</p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-600">{employer.startDate || '?'} – {employer.endDate || '?'}</p>
+                  <StatusBadge status={employer.status} />
+                </div>
+              </div>
+              {employer.issues.map(issue => (
+                <p key={issue} className="text-xs mt-1 text-warning-600">{issue}</p>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Education</h3>
+        </div>
+        <div className="card-body divide-y divide-gray-200">
+          {view.schools.length === 0 && <p className="text-sm text-gray-500">No education extracted</p>}
+          {view.schools.map((school, index) => (
+            <div key={index} className="py-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{school.institution || <span className="italic text-gray-400">No school</span>}</p>
+                  <p className="text-sm text-gray-600">{school.degree}</p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-600">{school.endDate}</p>
+                  <StatusBadge status={school.status} />
+                </div>
+              </div>
+              {school.issues.map(issue => (
+                <p key={issue} className="text-xs mt-1 text-warning-600">{issue}</p>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Skills</h3>
+          <StatusBadge status={view.skills.status} />
+        </div>
+        <div className="card-body">
+          <div className="flex flex-wrap gap-2">
+            {view.skills.values.map(skill => (
+              <span key={skill} className="badge-primary">{skill}</span>
+            ))}
+          </div>
+          {view.skills.issues.map(issue => (
+            <p key={issue} className="text-xs mt-2 text-warning-600">{issue}</p>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -70,14 +70,73 @@ export const cvAPI = {
   analyze: (formData) => api.post('/cv/analyze', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
+  // formData 'cv' may be PDF, DOCX, JSON Resume (resume.json), .txt, .md, .html, .rtf, .odt or .tex
+  // analyze() returns a job id at once; follow it with getJob or the event source streamJob resolves to
+  getJob: (id) => api.get(`/cv/jobs/${id}`),
+  // Token for one URL (purpose 'job-events' or 'export-preview'), valid for a few minutes
+  getUrlToken: (purpose, id) => api.post('/cv/url-token', { purpose, id }),
+  streamJob: async (id) => {
+    const { data } = await cvAPI.getUrlToken('job-events', id);
+    return new EventSource(`${API_BASE_URL}/cv/jobs/${id}/events?token=${encodeURIComponent(data.token)}`);
+  },
+  // Bulk upload: formData carries several 'files' entries (PDF, DOCX or ZIP)
+  analyzeBatch: (formData) => api.post('/cv/batch', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  getBatches: (params) => api.get('/cv/batches', { params }),
+  getBatch: (id) => api.get(`/cv/batch/${id}`),
+  exportBatch: (id, format = 'csv') => api.get(`/cv/batch/${id}/export`, {
+    params: { format },
+    responseType: 'blob'
+  }),
   getAnalysis: (id) => api.get(`/cv/analysis/${id}`),
+  getAtsView: (id) => api.get(`/cv/analysis/${id}/ats-view`),
+  // data: { status, edits: [{ editId, status?, replacement? }] }
+  decideSuggestion: (id, suggestionId, data) => api.patch(`/cv/analysis/${id}/suggestions/${suggestionId}`, data),
+  createRevision: (id) => api.post(`/cv/analysis/${id}/revisions`),
+  // params.groupBy = 'document' returns resume documents with their revisions
   getHistory: (params) => api.get('/cv/history', { params }),
-  optimize: (id) => api.post(`/cv/optimize/${id}`),
-  exportPDF: (id, useOptimized = false) => api.post(`/cv/export/${id}`, 
-    { useOptimized }, 
+  getDocuments: () => api.get('/cv/documents'),
+  getDocument: (id) => api.get(`/cv/documents/${id}`),
+  renameDocument: (id, name) => api.patch(`/cv/documents/${id}`, { name }),
+  // params: { from, to } revision numbers; defaults to the latest against the one before
+  diffRevisions: (id, params) => api.get(`/cv/documents/${id}/diff`, { params }),
+  // Proposes edits; decideEdits takes [{ editId, status: 'accepted' | 'rejected' }]
+  optimize: (id, params) => api.post(`/cv/optimize/${id}`, null, { params }),
+  decideEdits: (id, decisions) => api.patch(`/cv/optimize/${id}/edits`, { decisions }),
+  saveOptimizedRevision: (id) => api.post(`/cv/optimize/${id}/revision`),
+  // options: { template, font, accentColor, sectionOrder, pageSize, margins } (see getExportTemplates)
+  exportPDF: (id, useOptimized = false, options = {}) => api.post(`/cv/export/${id}`, 
+    { useOptimized, ...options }, 
+    { responseType: 'blob' }
+  ),
+  exportDocx: (id, useOptimized = false, options = {}) => api.post(`/cv/export/${id}`,
+    { format: 'docx', useOptimized, ...options },
     { responseType: 'blob' }
   ),
+  exportJsonResume: (id, useOptimized = false) => api.post(`/cv/export/${id}`,
+    { format: 'json', useOptimized },
+    { responseType: 'blob' }
+  ),
+  // Any export format: 'pdf', 'docx', 'html', 'tex' (template options apply), 'json', 'txt' or 'md'
+  exportAs: (id, format, useOptimized = false, options = {}) => api.post(`/cv/export/${id}`,
+    { format, useOptimized, ...options },
+    { responseType: 'blob' }
+  ),
+  getExportTemplates: () => api.get('/cv/export/templates'),
+  // Resolves to a URL for an iframe showing the export as it will look; same options as exportPDF.
+  // The URL expires after a few minutes, so fetch a new one whenever the preview reloads
+  exportPreviewUrl: async (id, useOptimized = false, options = {}) => {
+    const { data } = await cvAPI.getUrlToken('export-preview', id);
+    return `${API_BASE_URL}/cv/export/${id}/preview?${new URLSearchParams({
+      ...options,
+      ...(Array.isArray(options.sectionOrder) && { sectionOrder: options.sectionOrder.join(',') }),
+      useOptimized: String(useOptimized),
+      token: data.token
+    })}`;
+  },
   compare: (id) => api.get(`/cv/compare/${id}`),
+  getRoleProfiles: () => api.get('/cv/role-profiles'),
 };
 
 // LinkedIn Analysis API
@@ -90,6 +149,21 @@ export const linkedinAPI = {
   compare: (id) => api.get(`/linkedin/compare/${id}`),
 };
 
+// Recruiter mode: rank many CVs against one job description
+export const requisitionAPI = {
+  create: (data) => api.post('/requisitions', data),
+  list: (params) => api.get('/requisitions', { params }),
+  get: (id) => api.get(`/requisitions/${id}`),
+  update: (id, data) => api.patch(`/requisitions/${id}`, data),
+  remove: (id) => api.delete(`/requisitions/${id}`),
+  // formData with 'files' entries (PDF, DOCX or ZIP); or { analysisIds } for CVs already analyzed
+  addCandidates: (id, data) => api.post(`/requisitions/${id}/candidates`, data, data instanceof FormData
+    ? { headers: { 'Content-Type': 'multipart/form-data' } }
+    : undefined),
+  removeCandidate: (id, analysisId) => api.delete(`/requisitions/${id}/candidates/${analysisId}`),
+  exportRanking: (id) => api.get(`/requisitions/${id}/export`, { responseType: 'blob' }),
+};
+
 // Payment API
 export const paymentAPI = {
   createCheckout: (data) => api.post('/payments/create-checkout', data),
@@ -109,6 +183,10 @@ export const adminAPI = {
     params,
     responseType: 'blob'
   }),
+  getTaxonomy: (params) => api.get('/admin/taxonomy', { params }),
+  createSkill: (data) => api.post('/admin/taxonomy', data),
+  updateSkill: (id, data) => api.patch(`/admin/taxonomy/${id}`, data),
+  deleteSkill: (id) => api.delete(`/admin/taxonomy/${id}`),
 };
 
 // Public API (with API key)
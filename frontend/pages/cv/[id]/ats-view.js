@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../../../components/Layout';
+import AtsPreview from '../../../components/AtsPreview';
+import { cvAPI } from '../../../lib/api';
+
+export default function AtsViewPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [view, setView] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchView = async () => {
+      try {
+        const response = await cvAPI.getAtsView(id);
+        setView(response.data);
+      } catch (error) {
+        console.error('Failed to fetch ATS view:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchView();
+  }, [id]);
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <Link href="/dashboard" className="text-sm text-primary-600 hover:text-primary-700">
+          &larr; Back to dashboard
+        </Link>
+        {loading && (
+          <div className="animate-pulse card card-body">
+            <div className="h-4 bg-gray-200 rounded w-1/3 mb-2"></div>
+            <div className="h-8 bg-gray-200 rounded w-1/2"></div>
+          </div>
+        )}
+        {!loading && view && <AtsPreview view={view} />}
+        {!loading && !view && (
+          <p className="text-sm text-gray-600">This analysis could not be loaded.</p>
+        )}
+      </div>
+    </Layout>
+  );
+}
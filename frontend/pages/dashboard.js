@@ -122,6 +122,23 @@ export default function Dashboard() {
           <StatCard title="Avg LinkedIn Score" value={`${stats.averageLinkedInScore}%`} icon={ArrowTrendingUpIcon} color="yellow" subtitle="Optimization Level" />
         </div>
 
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Recent analyses</h3>
+          </div>
+          <div className="card-body">
+            {recentAnalyses.length === 0 ? (
+              <p className="text-sm text-gray-600">No analyses yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {recentAnalyses.map(analysis => (
+                  <RecentAnalysisRow key={`${analysis.type}-${analysis._id}`} analysis={analysis} />
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
         {/* Plan section */}
         {/* ... Keep rest as-is ... */}
 
@@ -160,6 +177,30 @@ function StatCard({ title, value, icon: Icon, color, subtitle }) {
   );
 }
 
+function RecentAnalysisRow({ analysis }) {
+  const score = analysis.type === 'cv' ? analysis.atsScore : analysis.optimizationScore;
+  const rescore = analysis.rescores && analysis.rescores[analysis.rescores.length - 1];
+
+  return (
+    <li className="flex items-center justify-between py-3">
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">
+          {analysis.type === 'cv' ? analysis.originalFileName : analysis.profileUrl}
+        </p>
+        <p className="text-sm text-gray-500">
+          {analysis.type === 'cv' ? 'CV' : 'LinkedIn'} &middot; {format(new Date(analysis.createdAt), 'MMM d, yyyy')}
+          {rescore && (
+            <span title={`Previously ${rescore.previousScore}%`}>
+              {' '}&middot; Re-scored with model v{rescore.modelVersion}
+            </span>
+          )}
+        </p>
+      </div>
+      {analysis.status === 'completed' && <span className={getScoreBadgeColor(score)}>{score}%</span>}
+    </li>
+  );
+}
+
 function QuickActionCard({ title, description, href, icon: Icon, disabled = false }) {
   const content = (
     <div className={`p-4 border border-gray-200 rounded-lg hover:border-gray-300 transition-colors ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:shadow-sm'}`}>